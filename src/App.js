@@ -1,640 +1,650 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Calendar, Clock, Heart, MessageCircle, AlertTriangle, Zap, Loader2, Trash2, X } from 'lucide-react';
-
-// API Configuration - Updated for proper environment detection
-const API_BASE_URL = process.env.NODE_ENV === "production"
-    ? "https://pet-tracker-backend-f1wx.onrender.com"
-    : "http://localhost:5000";
-
-// API Service Functions - Fixed with /api prefix
-const apiService = {
-  // Get all activities and current pet
-  async getActivities() {
-    const response = await fetch(`${API_BASE_URL}/api/activities`);
-    if (!response.ok) throw new Error('Failed to fetch activities');
-    return await response.json();
-  },
-
-  // Add new activity
-  async addActivity(activityData) {
-    const response = await fetch(`${API_BASE_URL}/api/activities`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(activityData),
-    });
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'Failed to add activity');
-    }
-    return await response.json();
-  },
-
-  // Get today's summary
-  async getSummary() {
-    const response = await fetch(`${API_BASE_URL}/api/summary`);
-    if (!response.ok) throw new Error('Failed to fetch summary');
-    return await response.json();
-  },
-
-  // Check walk reminder
-  async getReminder() {
-    const response = await fetch(`${API_BASE_URL}/api/reminder`);
-    if (!response.ok) throw new Error('Failed to check reminder');
-    return await response.json();
-  },
-
-  // Send chat message
-  async sendChatMessage(message) {
-    const response = await fetch(`${API_BASE_URL}/api/chat`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ message }),
-    });
-    if (!response.ok) throw new Error('Failed to send message');
-    return await response.json();
-  },
-
-  // Get chat history
-  async getChatHistory() {
-    const response = await fetch(`${API_BASE_URL}/api/chat`);
-    if (!response.ok) throw new Error('Failed to fetch chat history');
-    return await response.json();
-  },
-
-  // Delete activity
-  async deleteActivity(id) {
-    const response = await fetch(`${API_BASE_URL}/api/activities/${id}`, {
-      method: 'DELETE',
-    });
-    if (!response.ok) throw new Error('Failed to delete activity');
-    return await response.json();
-  }
-};
+import React, { useState, useEffect } from 'react';
+import { BarChart3, Bell, FileText, HeartPulse, Heart, MessageCircle, Dog, Syringe, Users } from 'lucide-react';
+import PetProfiles, { PetAvatar } from './components/PetProfiles';
+import HistoryView from './components/HistoryView';
+import CalendarView from './components/CalendarView';
+import AnalyticsPanel from './components/AnalyticsPanel';
+import MedicationPanel from './components/MedicationPanel';
+import HealthPanel from './components/HealthPanel';
+import RecordsPanel from './components/RecordsPanel';
+import HealthPassport from './components/HealthPassport';
+import ReminderSettings from './components/ReminderSettings';
+import ChatPanel from './components/ChatPanel';
+import HouseholdPanel from './components/HouseholdPanel';
+import UndoToast from './components/UndoToast';
+import WalkTracker from './components/WalkTracker';
+import ActivityForm from './components/ActivityForm';
+import QuickLogBar from './components/QuickLogBar';
+import ActivityList from './components/ActivityList';
+import TodaySummary from './components/TodaySummary';
+import ConnectionStatus from './components/ConnectionStatus';
+import ErrorBanner from './components/ErrorBanner';
+import ReminderBanner from './components/ReminderBanner';
+import LiveRegion from './components/LiveRegion';
+import { ConfirmProvider, useConfirm } from './components/ConfirmDialog';
+import { StoreProvider, selectAllActivities, selectPetActivities, useStore } from './store';
+import usePets from './hooks/usePets';
+import useActivities from './hooks/useActivities';
+import useMedications from './hooks/useMedications';
+import useMeasurements from './hooks/useMeasurements';
+import useConnection from './hooks/useConnection';
+import useReminders from './hooks/useReminders';
+import useRecords from './hooks/useRecords';
+import { activityFields, findNearbyActivity, validateActivity } from './activities';
+import { dayKey, storedDateTime } from './dates';
+import { buildChatContext } from './chat';
+import { getPetGoals } from './goals';
+import { daySchedule } from './medications';
+import { evaluateHealthAlerts } from './health';
+import { evaluateVaccinationAlerts, vetVisits } from './records';
+import { getPetTemplates, routineChecklist, templateActivity } from './routines';
+import { walkFormValues, walkRoute } from './walkTracking';
+import { dismissReminder, snoozeReminder, SNOOZE_MINUTES } from './reminders';
+import { createClientId } from './outbox';
+
+// The tracker screen. Shared data lives in the store (see store.js) and is
+// loaded and changed by the hooks in src/hooks/; what's left here is the
+// layout and the state of the screen itself: which view and panels are
+// open, and the undo for the last delete.
+const PetActivityTracker = ({ onLogout }) => {
+  const { state, dispatch } = useStore();
+  const { session, summary, pendingActivities, editingActivity, live, loading, error } = state;
+  const confirm = useConfirm();
+
+  // Ticks every minute so dose statuses move from upcoming to missed
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(interval);
+  }, []);
 
-const PetActivityTracker = () => {
-  // Core state
-  const [petData, setPetData] = useState({
-    activities: [],
-    currentPet: ''
-  });
-  const [summary, setSummary] = useState({
-    walks: 0,
-    meals: 0,
-    medications: 0
-  });
-
-  // Form state
-  const [formData, setFormData] = useState({
-    petName: '',
-    activityType: 'walk',
-    duration: '',
-    dateTime: new Date().toISOString().slice(0, 16)
-  });
-  const [formErrors, setFormErrors] = useState({});
+  const { pets, selectedPet, selectPet, savePet, updateSelectedPet, deletePet } = usePets();
+  const { reload, logActivity, updateActivity, deleteActivities, restoreActivities } = useActivities({ now });
+  const { medications, saveMedication, deleteMedication } = useMedications();
+  const { measurements, addMeasurement, deleteMeasurement } = useMeasurements();
+  const { vaccinations, attachments, saveVaccination, deleteVaccination, addAttachment, deleteAttachment } = useRecords();
+  const connection = useConnection();
 
   // UI state
-  const [showReminder, setShowReminder] = useState(false);
-  const [reminderMessage, setReminderMessage] = useState('');
+  const [showReminderSettings, setShowReminderSettings] = useState(false);
   const [showChat, setShowChat] = useState(false);
-  const [chatMessages, setChatMessages] = useState([]);
-  const [chatInput, setChatInput] = useState('');
-  const [loading, setLoading] = useState({
-    activities: false,
-    form: false,
-    chat: false,
-    summary: false
-  });
-  const [error, setError] = useState('');
-
-  // Load initial data
-  const loadData = useCallback(async () => {
-    try {
-      setLoading(prev => ({ ...prev, activities: true, summary: true }));
-      setError(''); // Clear any previous errors
-      
-      // Load activities and summary in parallel
-      const [activitiesResult, summaryResult] = await Promise.all([
-        apiService.getActivities(),
-        apiService.getSummary()
-      ]);
-      
-      setPetData(activitiesResult.data);
-      setSummary(summaryResult.data);
-      
-      // Load chat history
-      const chatResult = await apiService.getChatHistory();
-      setChatMessages(chatResult.data);
-      
-    } catch (err) {
-      console.error('Error loading data:', err);
-      setError(`Failed to connect to server. Please ensure the backend is running on ${API_BASE_URL}`);
-    } finally {
-      setLoading(prev => ({ ...prev, activities: false, summary: false }));
-    }
-  }, []);
+  const [showPets, setShowPets] = useState(false);
+  const [showHousehold, setShowHousehold] = useState(false);
+  const [view, setView] = useState('tracker');
+
+  // Last delete that can still be undone
+  const [undo, setUndo] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  const [restoreCount, setRestoreCount] = useState(0);
+
+  // The dose slot being logged
+  const [givingSlot, setGivingSlot] = useState(null);
+  // The quick log or routine being logged
+  const [loggingTemplate, setLoggingTemplate] = useState(null);
+
+  const setError = (message) => dispatch({ type: 'error', message });
+  const setFormLoading = (value) => dispatch({ type: 'loading', key: 'form', value });
+
+  const selectedPetId = selectedPet ? selectedPet.id : '';
+  const goals = getPetGoals(selectedPet);
+  const allActivities = selectAllActivities(state);
+  const recentActivities = selectPetActivities(state);
+
+  // Today's scheduled doses for the selected pet
+  const medicationSchedule = daySchedule(medications, recentActivities, now);
+  const missedDoses = medicationSchedule.filter(item => item.status === 'missed');
+
+  // The selected pet's quick logs and today's routine
+  const templates = getPetTemplates(selectedPet);
+  const routines = routineChecklist(templates, recentActivities, now);
+
+  // Reminders from the local rules. Only the selected pet's medications
+  // are loaded, so dose reminders cover that pet while the app is open.
+  const {
+    rules: reminderRules,
+    reminderState,
+    permission: notificationPermission,
+    activeReminders,
+    updateReminderState,
+    updateRules,
+    enableNotifications
+  } = useReminders({ activities: allActivities, doses: medicationSchedule, pets, now, onError: setError });
+
+  // Worrying health trends for the selected pet, minus dismissed ones
+  const healthAlerts = evaluateHealthAlerts(measurements, selectedPet, now)
+    .filter(alert => !reminderState.dismissed[alert.key]);
+  // Boosters due within a month or overdue, minus dismissed ones
+  const vaccinationAlerts = evaluateVaccinationAlerts(vaccinations, selectedPet, now)
+    .filter(alert => !reminderState.dismissed[alert.key]);
+
+  // Reopen an activity in the form with its values prefilled
+  const handleEditActivity = (activity) => {
+    dispatch({ type: 'editing/started', activity });
+    setView('tracker');
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    window.scrollTo({ top: 0, behavior: reduceMotion ? 'auto' : 'smooth' });
+  };
 
-  // Check for walk reminder
-  const checkReminder = useCallback(async () => {
-    try {
-      const result = await apiService.getReminder();
-      setShowReminder(result.data.showReminder);
-      setReminderMessage(result.data.message);
-    } catch (err) {
-      console.error('Error checking reminder:', err);
-      // Don't show error for reminder check failures
+  // Delete activities and offer an undo; resolves the ids that are gone
+  const removeActivities = async (targets) => {
+    const { removed, payloads, entries } = await deleteActivities(targets);
+    if (removed.size > 0) {
+      setUndo({
+        message: removed.size === 1 ? 'Activity deleted' : `${removed.size} activities deleted`,
+        payloads,
+        entries
+      });
     }
-  }, []);
+    return removed;
+  };
 
-  // Initial load
-  useEffect(() => {
-    loadData();
-  }, [loadData]);
+  // Handle activity deletion; resolves true when the activity is gone
+  const handleDeleteActivity = async (activity) => {
+    const removed = await removeActivities([activity]);
+    return removed.has(activity.id);
+  };
 
-  // Check reminder every minute
-  useEffect(() => {
-    checkReminder();
-    const interval = setInterval(checkReminder, 60000);
-    return () => clearInterval(interval);
-  }, [checkReminder]);
-
-  // Form validation
-  const validateForm = useCallback(() => {
-    const errors = {};
-    
-    if (!formData.petName.trim()) {
-      errors.petName = 'Pet name is required';
+  const handleUndoDelete = async () => {
+    setRestoring(true);
+    if (await restoreActivities(undo)) {
+      setUndo(null);
+      setRestoreCount(prev => prev + 1);
     }
-    
-    if (!formData.duration || parseFloat(formData.duration) <= 0) {
-      errors.duration = formData.activityType === 'meal' ? 'Quantity must be greater than 0' : 'Duration must be greater than 0';
+    setRestoring(false);
+  };
+
+  // Log a walk recorded with the walk tracker. Resolves false (keeping
+  // the walk) if it can't be saved.
+  const handleFinishWalk = async (walk, finishedAt) => {
+    const values = walkFormValues(walk, finishedAt);
+    const errors = validateActivity(values, pets);
+    if (Object.keys(errors).length > 0) {
+      setError(`This walk can't be logged: ${Object.values(errors).join(' ')}`);
+      return false;
     }
-    
-    setFormErrors(errors);
-    return Object.keys(errors).length === 0;
-  }, [formData]);
-
-  // Handle form submission
-  const handleSubmit = async () => {
-    if (!validateForm()) return;
-    
+
     try {
-      setLoading(prev => ({ ...prev, form: true }));
+      setFormLoading(true);
       setError('');
-      
-      await apiService.addActivity({
-        petName: formData.petName.trim(),
-        activityType: formData.activityType,
-        duration: parseFloat(formData.duration),
-        dateTime: formData.dateTime
-      });
-      
-      // Reset form
-      setFormData({
-        petName: formData.petName, // Keep pet name for convenience
+
+      const pet = pets.find(item => item.id === values.petId);
+      const route = walkRoute(walk);
+      await logActivity({
+        petId: pet.id,
+        petName: pet.name,
         activityType: 'walk',
-        duration: '',
-        dateTime: new Date().toISOString().slice(0, 16)
+        ...storedDateTime(values.dateTime),
+        ...activityFields(values),
+        ...(route.length > 0 ? { route } : {})
       });
-      setFormErrors({});
-      
-      // Reload data
-      await loadData();
-      await checkReminder();
-      
+      return true;
     } catch (err) {
-      console.error('Error adding activity:', err);
+      console.error('Error logging walk:', err);
       setError(err.message);
+      return false;
     } finally {
-      setLoading(prev => ({ ...prev, form: false }));
+      setFormLoading(false);
     }
   };
 
-  // Handle activity deletion
-  const handleDeleteActivity = async (activityId) => {
-    if (!window.confirm('Are you sure you want to delete this activity?')) {
-      return;
-    }
-    
+  // Log a scheduled dose as given right now
+  const handleGiveDose = async ({ medication, slotKey }) => {
     try {
-      setLoading(prev => ({ ...prev, activities: true }));
-      await apiService.deleteActivity(activityId);
-      
-      // Reload data after deletion
-      await loadData();
-      await checkReminder();
-      
+      setGivingSlot(slotKey);
+      setError('');
+      await logActivity({
+        petId: selectedPet.id,
+        petName: selectedPet.name,
+        activityType: 'medication',
+        duration: medication.dose,
+        ...storedDateTime(new Date()),
+        medicationId: medication.id,
+        medicationName: medication.name,
+        unit: medication.unit,
+        slot: slotKey
+      });
     } catch (err) {
-      console.error('Error deleting activity:', err);
+      console.error('Error logging dose:', err);
       setError(err.message);
     } finally {
-      setLoading(prev => ({ ...prev, activities: false }));
+      setGivingSlot(null);
     }
   };
 
-  // Clear all activities
-  const handleClearAllActivities = async () => {
-    if (!window.confirm('Are you sure you want to clear ALL activities? This cannot be undone.')) {
+  // Log a quick log for the selected pet at `dateTime`. A meal close to
+  // another one needs confirming first, as one tap is easy to repeat.
+  const logTemplate = async (template, dateTime, tags = {}) => {
+    const nearbyMeal = template.activityType === 'meal' && findNearbyActivity(recentActivities, {
+      pet: selectedPet,
+      type: 'meal',
+      dateTime
+    }, goals.mealWarningMinutes);
+    if (nearbyMeal && !(await confirm({
+      title: 'Log another meal?',
+      message: `${selectedPet.name} already had a meal at ${new Date(nearbyMeal.dateTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`,
+      confirmLabel: 'Log meal'
+    }))) {
       return;
     }
-    
+
     try {
-      setLoading(prev => ({ ...prev, activities: true }));
-      
-      // Delete all activities one by one
-      const deletePromises = petData.activities.map(activity => 
-        apiService.deleteActivity(activity.id)
-      );
-      
-      await Promise.all(deletePromises);
-      
-      // Reload data after clearing all
-      await loadData();
-      await checkReminder();
-      
+      setLoggingTemplate(template.id);
+      setError('');
+      await logActivity({ ...templateActivity(template, selectedPet, dateTime), ...tags });
     } catch (err) {
-      console.error('Error clearing all activities:', err);
+      console.error('Error logging quick log:', err);
       setError(err.message);
     } finally {
-      setLoading(prev => ({ ...prev, activities: false }));
+      setLoggingTemplate(null);
     }
   };
-  const handleChatSubmit = async () => {
-    if (!chatInput.trim()) return;
-    
-    try {
-      setLoading(prev => ({ ...prev, chat: true }));
-      const result = await apiService.sendChatMessage(chatInput);
-      
-      setChatMessages(prev => [...prev, result.data.userMessage, result.data.aiMessage]);
-      setChatInput('');
-      
-    } catch (err) {
-      console.error('Error sending message:', err);
-      setError(err.message);
-    } finally {
-      setLoading(prev => ({ ...prev, chat: false }));
-    }
+
+  // Tick a routine off today's checklist, logged at `time` ("HH:MM")
+  const handleTickRoutine = (template, time) => (
+    logTemplate(template, `${dayKey(now)}T${time}`, { routineId: template.id })
+  );
+
+  // Keep a chat reply on the selected pet's profile
+  const handleSaveNote = (text) => {
+    const note = { id: createClientId(), text, source: 'chat', createdAt: new Date().toISOString() };
+    return updateSelectedPet({ notes: [...(selectedPet.notes || []), note] });
   };
 
-  const handleKeyPress = (e, action) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      action();
+  // Unsynced activities can't follow the user out of the household
+  // Resolves false if the user changed their mind
+  const handleLogout = async () => {
+    if (pendingActivities.length > 0 && !(await confirm({
+      title: 'Sign out anyway?',
+      message: `${pendingActivities.length} offline activit${pendingActivities.length === 1 ? 'y hasn\'t' : 'ies haven\'t'} synced yet and will be lost.`,
+      confirmLabel: 'Sign out',
+      destructive: true
+    }))) {
+      return false;
     }
+    await onLogout();
+    return true;
   };
 
-  // Connection status indicator
-  const ConnectionStatus = () => (
-    <div className={`flex items-center space-x-2 text-xs ${error ? 'text-red-500' : 'text-green-500'}`}>
-      <div className={`w-2 h-2 rounded-full ${error ? 'bg-red-500' : 'bg-green-500'} ${!error ? 'animate-pulse' : ''}`} />
-      <span>{error ? 'Disconnected' : 'Connected to server'}</span>
-    </div>
-  );
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50">
+      <LiveRegion />
       <div className="max-w-md mx-auto bg-white shadow-xl">
         {/* Header */}
-        <div className="bg-gradient-to-r from-purple-500 to-blue-500 text-white p-6 rounded-t-lg">
+        <div className="bg-gradient-to-r from-purple-500 to-blue-500 text-white p-6 rounded-t-lg print:hidden">
           <div className="flex items-center justify-between">
-            <div className="flex items-center space-x-2">
-              <Heart className="w-6 h-6" />
-              <h1 className="text-xl font-bold">Pet Tracker</h1>
+            <div>
+              <div className="flex items-center space-x-2">
+                <Heart className="w-6 h-6" />
+                <h1 className="text-xl font-bold">Pet Tracker</h1>
+              </div>
+              <button
+                onClick={() => setShowHousehold(!showHousehold)}
+                aria-expanded={showHousehold}
+                className="flex items-center space-x-1 text-xs text-white/80 hover:text-white mt-1"
+                title="Household & caregivers"
+              >
+                <Users className="w-3 h-3" />
+                <span>{session.household.name}</span>
+              </button>
             </div>
-            <button
-              onClick={() => setShowChat(!showChat)}
-              className="p-2 bg-white/20 rounded-full hover:bg-white/30 transition-colors"
-              disabled={loading.chat}
-            >
-              {loading.chat ? (
-                <Loader2 className="w-5 h-5 animate-spin" />
-              ) : (
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setView(view === 'analytics' ? 'tracker' : 'analytics')}
+                aria-pressed={view === 'analytics'}
+                className="p-2 bg-white/20 rounded-full hover:bg-white/30 transition-colors"
+                title="Trends"
+                aria-label="Trends"
+              >
+                <BarChart3 className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setView(view === 'health' ? 'tracker' : 'health')}
+                aria-pressed={view === 'health'}
+                className="p-2 bg-white/20 rounded-full hover:bg-white/30 transition-colors"
+                title="Health log"
+                aria-label="Health log"
+              >
+                <HeartPulse className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setView(view === 'records' || view === 'passport' ? 'tracker' : 'records')}
+                aria-pressed={view === 'records' || view === 'passport'}
+                className="p-2 bg-white/20 rounded-full hover:bg-white/30 transition-colors"
+                title="Vet records"
+                aria-label="Vet records"
+              >
+                <FileText className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setShowReminderSettings(!showReminderSettings)}
+                aria-expanded={showReminderSettings}
+                className="p-2 bg-white/20 rounded-full hover:bg-white/30 transition-colors"
+                title="Reminders"
+                aria-label="Reminders"
+              >
+                <Bell className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setShowPets(!showPets)}
+                aria-expanded={showPets}
+                className="p-2 bg-white/20 rounded-full hover:bg-white/30 transition-colors"
+                title="Manage pets"
+                aria-label="Manage pets"
+              >
+                <Dog className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setShowChat(!showChat)}
+                aria-expanded={showChat}
+                className="p-2 bg-white/20 rounded-full hover:bg-white/30 transition-colors"
+                title="Pet care assistant"
+                aria-label="Pet care assistant"
+              >
                 <MessageCircle className="w-5 h-5" />
-              )}
-            </button>
+              </button>
+            </div>
           </div>
           <div className="flex items-center justify-between mt-2">
-            {petData.currentPet && (
-              <p className="text-purple-100">Tracking {petData.currentPet}</p>
+            {pets.length > 0 ? (
+              <div className="flex items-center space-x-2">
+                <PetAvatar pet={selectedPet} />
+                <select
+                  value={selectedPetId}
+                  onChange={(e) => selectPet(e.target.value)}
+                  className="bg-white/20 text-white rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-white/50 focus:outline-none"
+                  title="Switch pet"
+                  aria-label="Switch pet"
+                >
+                  {pets.map(pet => (
+                    <option key={pet.id} value={pet.id} className="text-gray-800">{pet.name}</option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <button onClick={() => setShowPets(true)} className="text-purple-100 underline text-sm">
+                Add your first pet
+              </button>
             )}
-            <ConnectionStatus />
+            <ConnectionStatus connection={connection} live={live} pendingCount={pendingActivities.length} />
           </div>
         </div>
 
-        {/* Error Message */}
-        {error && (
-          <div className="bg-red-100 border-l-4 border-red-500 p-4 m-4 rounded">
-            <p className="text-red-800 text-sm">{error}</p>
-            <button
-              onClick={() => {
-                setError('');
-                loadData();
-              }}
-              className="text-red-600 underline text-sm mt-1"
-            >
-              Retry connection
-            </button>
-          </div>
-        )}
-
-        {/* Walk Reminder */}
-        {showReminder && (
-          <div className="bg-orange-100 border-l-4 border-orange-500 p-4 m-4 rounded">
-            <div className="flex items-center">
-              <AlertTriangle className="w-5 h-5 text-orange-500 mr-2" />
-              <p className="text-orange-800">{reminderMessage}</p>
-            </div>
-          </div>
-        )}
+        {/* Banners and panels stay off the printed passport */}
+        <div className="print:hidden">
+          {/* Error Message */}
+          {error && (
+            <ErrorBanner
+              message={error}
+              onRetry={reload}
+            />
+          )}
 
-        {/* Chat Interface */}
-        {showChat && (
-          <div className="border-b bg-gray-50">
-            <div className="p-4">
-              <h3 className="font-semibold text-gray-800 mb-3">Pet Care Assistant</h3>
-              <div className="h-40 overflow-y-auto bg-white rounded-lg p-3 mb-3 space-y-2">
-                {chatMessages.length === 0 ? (
-                  <p className="text-gray-500 text-sm">Ask me about your pet's care routine!</p>
-                ) : (
-                  chatMessages.map(message => (
-                    <div key={message.id} className={`text-sm ${message.type === 'user' ? 'text-right' : 'text-left'}`}>
-                      <div className={`inline-block p-2 rounded-lg max-w-xs ${
-                        message.type === 'user' 
-                          ? 'bg-purple-500 text-white' 
-                          : 'bg-gray-200 text-gray-800'
-                      }`}>
-                        {message.text}
-                      </div>
-                    </div>
-                  ))
-                )}
-              </div>
-              <div className="flex space-x-2">
-                <input
-                  type="text"
-                  value={chatInput}
-                  onChange={(e) => setChatInput(e.target.value)}
-                  onKeyPress={(e) => handleKeyPress(e, handleChatSubmit)}
-                  placeholder="Ask about pet care..."
-                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                  disabled={loading.chat}
-                />
-                <button
-                  onClick={handleChatSubmit}
-                  disabled={loading.chat || !chatInput.trim()}
-                  className="px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  {loading.chat ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Send'}
-                </button>
-              </div>
-            </div>
-          </div>
-        )}
+          {/* Reminders */}
+          {activeReminders.map(reminder => (
+            <ReminderBanner
+              key={reminder.key}
+              actions={[
+                { label: `Snooze ${SNOOZE_MINUTES} min`, onClick: () => updateReminderState(snoozeReminder(reminderState, reminder.key, new Date())) },
+                { label: 'Dismiss', onClick: () => updateReminderState(dismissReminder(reminderState, reminder.key, new Date())) }
+              ]}
+            >
+              <p>{reminder.body}</p>
+            </ReminderBanner>
+          ))}
+
+          {/* Health Alerts */}
+          {healthAlerts.map(alert => (
+            <ReminderBanner
+              key={alert.key}
+              tone="health"
+              icon={HeartPulse}
+              actions={[
+                ...(view !== 'health' ? [{ label: 'View health log', onClick: () => setView('health') }] : []),
+                { label: 'Dismiss', onClick: () => updateReminderState(dismissReminder(reminderState, alert.key, new Date())) }
+              ]}
+            >
+              <p>
+                <span className="font-semibold">{alert.title}:</span> {alert.body}
+              </p>
+            </ReminderBanner>
+          ))}
+
+          {/* Vaccinations Due */}
+          {vaccinationAlerts.map(alert => (
+            <ReminderBanner
+              key={alert.key}
+              tone={alert.overdue ? 'missed' : 'reminder'}
+              icon={Syringe}
+              actions={[
+                ...(view !== 'records' ? [{ label: 'View records', onClick: () => setView('records') }] : []),
+                { label: 'Dismiss', onClick: () => updateReminderState(dismissReminder(reminderState, alert.key, new Date())) }
+              ]}
+            >
+              <p>
+                <span className="font-semibold">{alert.title}:</span> {alert.body}
+              </p>
+            </ReminderBanner>
+          ))}
+
+          {/* Missed Doses */}
+          {missedDoses.length > 0 && (
+            <ReminderBanner tone="missed">
+              {missedDoses.map(item => (
+                <p key={`${item.medication.id}-${item.slotKey}`}>
+                  Missed dose: {item.medication.name} {item.medication.dose} {item.medication.unit} at{' '}
+                  {item.slot.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </p>
+              ))}
+            </ReminderBanner>
+          )}
 
-        <div className="p-6 space-y-6">
-          {/* Activity Form */}
-          <div className="space-y-4">
-            <h2 className="text-lg font-semibold text-gray-800">Log Activity</h2>
-            
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Pet Name
-              </label>
-              <input
-                type="text"
-                value={formData.petName}
-                onChange={(e) => setFormData(prev => ({ ...prev, petName: e.target.value }))}
-                className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
-                  formErrors.petName ? 'border-red-500' : 'border-gray-300'
-                }`}
-                placeholder="Enter your pet's name"
-                disabled={loading.form}
-              />
-              {formErrors.petName && (
-                <p className="text-red-500 text-sm mt-1">{formErrors.petName}</p>
-              )}
-            </div>
+          {/* Reminder Rules */}
+          {showReminderSettings && (
+            <ReminderSettings
+              rules={reminderRules}
+              pets={pets}
+              permission={notificationPermission}
+              onChange={updateRules}
+              onEnableNotifications={enableNotifications}
+            />
+          )}
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Activity Type
-              </label>
-              <select
-                value={formData.activityType}
-                onChange={(e) => setFormData(prev => ({ ...prev, activityType: e.target.value }))}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                disabled={loading.form}
-              >
-                <option value="walk">Walk</option>
-                <option value="meal">Meal</option>
-                <option value="medication">Medication</option>
-              </select>
-            </div>
+          {/* Household & caregivers */}
+          {showHousehold && <HouseholdPanel session={session} onLogout={handleLogout} />}
+
+          {/* Pet Profiles */}
+          {showPets && (
+            <PetProfiles
+              pets={pets}
+              selectedPetId={selectedPetId}
+              onSelect={selectPet}
+              onSave={savePet}
+              onDelete={deletePet}
+              saving={loading.pets}
+            />
+          )}
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                {formData.activityType === 'walk' ? 'Duration (minutes)' : 
-                 formData.activityType === 'meal' ? 'Quantity' : 'Dosage'}
-              </label>
-              <input
-                type="number"
-                value={formData.duration}
-                onChange={(e) => setFormData(prev => ({ ...prev, duration: e.target.value }))}
-                className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
-                  formErrors.duration ? 'border-red-500' : 'border-gray-300'
-                }`}
-                placeholder={formData.activityType === 'walk' ? '30' : '1'}
-                min="0.1"
-                step="0.1"
-                disabled={loading.form}
-              />
-              {formErrors.duration && (
-                <p className="text-red-500 text-sm mt-1">{formErrors.duration}</p>
-              )}
-            </div>
+          {/* Chat Interface */}
+          {showChat && (
+            <ChatPanel
+              pet={selectedPet}
+              getContext={() => buildChatContext({
+                pet: selectedPet,
+                summary,
+                goals,
+                activities: recentActivities,
+                medications,
+                measurements,
+                healthAlerts,
+                now: new Date()
+              })}
+              onSaveNote={handleSaveNote}
+            />
+          )}
+        </div>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Date & Time
-              </label>
-              <input
-                type="datetime-local"
-                value={formData.dateTime}
-                onChange={(e) => setFormData(prev => ({ ...prev, dateTime: e.target.value }))}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                disabled={loading.form}
+        {view === 'history' ? (
+          <HistoryView
+            pets={pets}
+            initialPetId={selectedPetId}
+            onEdit={handleEditActivity}
+            onDelete={handleDeleteActivity}
+            onImported={reload}
+            reloadKey={restoreCount}
+            currentUserId={session.user.id}
+            onBack={() => setView('tracker')}
+          />
+        ) : view === 'health' ? (
+          <HealthPanel
+            pet={selectedPet}
+            measurements={measurements}
+            alerts={healthAlerts}
+            onAdd={addMeasurement}
+            onDelete={deleteMeasurement}
+            onSaveSettings={thresholds => updateSelectedPet({ healthAlerts: thresholds })}
+            saving={loading.health || loading.pets}
+            onBack={() => setView('tracker')}
+          />
+        ) : view === 'records' ? (
+          <RecordsPanel
+            pet={selectedPet}
+            vaccinations={vaccinations}
+            visits={vetVisits(recentActivities, selectedPet)}
+            attachments={attachments}
+            now={now}
+            saving={loading.records}
+            onSaveVaccination={saveVaccination}
+            onDeleteVaccination={deleteVaccination}
+            onAttach={addAttachment}
+            onDeleteAttachment={deleteAttachment}
+            onEditVisit={handleEditActivity}
+            onShowPassport={() => setView('passport')}
+            onBack={() => setView('tracker')}
+          />
+        ) : view === 'passport' && selectedPet ? (
+          <HealthPassport
+            pet={selectedPet}
+            vaccinations={vaccinations}
+            activities={recentActivities}
+            medications={medications}
+            measurements={measurements}
+            attachments={attachments}
+            now={now}
+            onBack={() => setView('records')}
+          />
+        ) : view === 'calendar' && selectedPet ? (
+          <CalendarView
+            pet={selectedPet}
+            pets={pets}
+            activities={recentActivities}
+            medications={medications}
+            now={now}
+            currentUserId={session.user.id}
+            reloadKey={restoreCount}
+            onLog={logActivity}
+            onUpdate={updateActivity}
+            onDelete={handleDeleteActivity}
+            onBack={() => setView('tracker')}
+          />
+        ) : view === 'analytics' ? (
+          <AnalyticsPanel
+            pets={pets}
+            initialPetId={selectedPetId}
+            onBack={() => setView('tracker')}
+          />
+        ) : (
+          <div className="p-6 space-y-6">
+            {/* Walk Tracking */}
+            <WalkTracker pet={selectedPet} pets={pets} onFinish={handleFinishWalk} />
+
+            {/* Quick Log */}
+            <QuickLogBar
+              pet={selectedPet}
+              templates={templates}
+              onLog={template => logTemplate(template, new Date())}
+              loggingId={loggingTemplate}
+              saving={loading.pets}
+              onSaveTemplates={newTemplates => updateSelectedPet({ templates: newTemplates })}
+            />
+
+            {/* Activity Form */}
+            <ActivityForm
+              key={editingActivity ? editingActivity.id : 'new'}
+              onLog={logActivity}
+              onUpdate={updateActivity}
+            />
+
+            {/* Today's Summary */}
+            <TodaySummary
+              pet={selectedPet}
+              summary={summary}
+              goals={goals}
+              schedule={medicationSchedule}
+              medicationCount={medications.length}
+              activities={recentActivities}
+              routines={routines}
+              now={now}
+              loading={loading.summary}
+              savingGoals={loading.pets}
+              tickingRoutine={loggingTemplate}
+              onSaveGoals={newGoals => updateSelectedPet({ goals: newGoals })}
+              onTickRoutine={handleTickRoutine}
+              onUntickRoutine={handleDeleteActivity}
+              onShowCalendar={() => setView('calendar')}
+            />
+
+            {/* Medications */}
+            {selectedPet && (
+              <MedicationPanel
+                pet={selectedPet}
+                medications={medications}
+                schedule={medicationSchedule}
+                onSave={saveMedication}
+                onDelete={deleteMedication}
+                onGive={handleGiveDose}
+                saving={loading.medications}
+                givingSlot={givingSlot}
               />
-            </div>
-
-            <button
-              onClick={handleSubmit}
-              disabled={loading.form}
-              className="w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white py-3 px-4 rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-200 font-medium transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
-            >
-              {loading.form ? (
-                <div className="flex items-center justify-center space-x-2">
-                  <Loader2 className="w-5 h-5 animate-spin" />
-                  <span>Logging...</span>
-                </div>
-              ) : (
-                'Log Activity'
-              )}
-            </button>
-          </div>
-
-          {/* Today's Summary */}
-          <div className="bg-gradient-to-r from-green-50 to-blue-50 p-4 rounded-lg">
-            <h2 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
-              <Calendar className="w-5 h-5 mr-2" />
-              Today's Summary
-              {loading.summary && <Loader2 className="w-4 h-4 animate-spin ml-2" />}
-            </h2>
-            
-            <div className="space-y-3">
-              {/* Walk Progress */}
-              <div className="flex items-center justify-between">
-                <span className="text-sm text-gray-600">Walk Time</span>
-                <span className="font-semibold">{summary.walks} min</span>
-              </div>
-              <div className="w-full bg-gray-200 rounded-full h-2">
-                <div 
-                  className="bg-gradient-to-r from-green-400 to-green-600 h-2 rounded-full transition-all duration-500 ease-out"
-                  style={{ width: `${Math.min((summary.walks / 60) * 100, 100)}%` }}
-                />
-              </div>
-              
-              {/* Meals & Medication Badges */}
-              <div className="flex space-x-4 mt-4">
-                <div className="flex items-center bg-white rounded-full px-3 py-1 shadow-sm">
-                  <div className="w-2 h-2 bg-blue-500 rounded-full mr-2 animate-pulse" />
-                  <span className="text-sm">
-                    {summary.meals} meal{summary.meals !== 1 ? 's' : ''}
-                  </span>
-                </div>
-                
-                <div className="flex items-center bg-white rounded-full px-3 py-1 shadow-sm">
-                  <div className="w-2 h-2 bg-purple-500 rounded-full mr-2 animate-pulse" />
-                  <span className="text-sm">
-                    {summary.medications} med{summary.medications !== 1 ? 's' : ''}
-                  </span>
-                </div>
-              </div>
-            </div>
+            )}
 
-            {/* Progress Ring Visual */}
-            <div className="flex justify-center mt-4">
-              <div className="relative w-20 h-20">
-                <svg className="transform -rotate-90 w-20 h-20">
-                  <circle
-                    cx="40"
-                    cy="40"
-                    r="30"
-                    stroke="#e5e7eb"
-                    strokeWidth="6"
-                    fill="transparent"
-                  />
-                  <circle
-                    cx="40"
-                    cy="40"
-                    r="30"
-                    stroke="url(#gradient)"
-                    strokeWidth="6"
-                    fill="transparent"
-                    strokeDasharray={`${2 * Math.PI * 30}`}
-                    strokeDashoffset={`${2 * Math.PI * 30 * (1 - Math.min(summary.walks / 60, 1))}`}
-                    className="transition-all duration-1000 ease-out"
-                  />
-                  <defs>
-                    <linearGradient id="gradient" x1="0%" y1="0%" x2="100%" y2="0%">
-                      <stop offset="0%" stopColor="#10b981" />
-                      <stop offset="100%" stopColor="#3b82f6" />
-                    </linearGradient>
-                  </defs>
-                </svg>
-                <div className="absolute inset-0 flex items-center justify-center">
-                  <Zap className="w-6 h-6 text-gray-600" />
-                </div>
-              </div>
-            </div>
+            {/* Recent Activities */}
+            <ActivityList
+              activities={recentActivities}
+              allActivities={allActivities}
+              pet={selectedPet}
+              pets={pets}
+              editingId={editingActivity && editingActivity.id}
+              now={now}
+              currentUserId={session.user.id}
+              loading={loading.activities}
+              onEdit={handleEditActivity}
+              onDelete={handleDeleteActivity}
+              onClear={removeActivities}
+              onShowHistory={() => setView('history')}
+            />
           </div>
-
-          {/* Recent Activities */}
-          {petData.activities.length > 0 && (
-            <div>
-              <div className="flex items-center justify-between mb-3">
-                <h2 className="text-lg font-semibold text-gray-800 flex items-center">
-                  <Clock className="w-5 h-5 mr-2" />
-                  Recent Activities
-                </h2>
-                <button
-                  onClick={handleClearAllActivities}
-                  disabled={loading.activities}
-                  className="flex items-center space-x-1 px-3 py-1 text-sm text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  <Trash2 className="w-4 h-4" />
-                  <span>Clear All</span>
-                </button>
-              </div>
-              <div className="space-y-2 max-h-48 overflow-y-auto">
-                {loading.activities ? (
-                  <div className="flex items-center justify-center py-8">
-                    <Loader2 className="w-6 h-6 animate-spin text-purple-500" />
-                  </div>
-                ) : (
-                  petData.activities
-                    .slice()
-                    .reverse()
-                    .slice(0, 5)
-                    .map((activity) => (
-                      <div key={activity.id} className="bg-white p-3 rounded-lg shadow-sm border border-gray-100 group">
-                        <div className="flex justify-between items-center">
-                          <div className="flex-1">
-                            <div className="flex items-center justify-between">
-                              <div>
-                                <span className="font-medium capitalize">{activity.type}</span>
-                                <span className="text-gray-600 ml-2">
-                                  ({activity.duration} {activity.type === 'walk' ? 'min' : activity.type === 'meal' ? 'portion' : 'dose'})
-                                </span>
-                              </div>
-                              <div className="flex items-center space-x-2">
-                                <span className="text-sm text-gray-500">
-                                  {new Date(activity.dateTime).toLocaleDateString()}
-                                </span>
-                                <button
-                                  onClick={() => handleDeleteActivity(activity.id)}
-                                  className="opacity-0 group-hover:opacity-100 p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-all duration-200"
-                                  title="Delete activity"
-                                >
-                                  <X className="w-4 h-4" />
-                                </button>
-                              </div>
-                            </div>
-                            <p className="text-sm text-gray-600">{activity.petName}</p>
-                          </div>
-                        </div>
-                      </div>
-                    ))
-                )}
-              </div>
-              
-              {/* Show more activities indicator */}
-              {petData.activities.length > 5 && (
-                <div className="text-center mt-2">
-                  <p className="text-sm text-gray-500">
-                    Showing 5 of {petData.activities.length} activities
-                  </p>
-                </div>
-              )}
-            </div>
-          )}
-        </div>
+        )}
       </div>
+
+      {undo && (
+        <UndoToast
+          message={undo.message}
+          onUndo={handleUndoDelete}
+          onDismiss={() => setUndo(null)}
+          busy={restoring}
+        />
+      )}
     </div>
   );
 };
 
-export default PetActivityTracker;
\ No newline at end of file
+const App = ({ session, onLogout }) => (
+  <StoreProvider session={session}>
+    <ConfirmProvider>
+      <PetActivityTracker onLogout={onLogout} />
+    </ConfirmProvider>
+  </StoreProvider>
+);
+
+export default App;
@@ -0,0 +1,60 @@
+import 'fake-indexeddb/auto';
+import React from 'react';
+import { act, render, screen, waitFor } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import apiService from './apiService';
+import App from './App';
+
+jest.mock('./apiService');
+
+const session = {
+  accessToken: 'access-1',
+  refreshToken: 'refresh-1',
+  user: { id: 'u1', name: 'Sam' },
+  household: { id: 'h1', name: 'Home' }
+};
+const pet = { id: 'p1', name: 'Rex', species: 'dog' };
+
+describe('App', () => {
+  beforeEach(() => {
+    localStorage.setItem('selectedPetId', 'p1');
+    // The health check goes straight through fetch
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({}) }));
+    apiService.getPets.mockResolvedValue({ data: [pet] });
+    apiService.getActivities.mockResolvedValue({
+      data: {
+        activities: [
+          { id: 'a1', type: 'walk', petId: 'p1', petName: 'Rex', duration: 30, dateTime: new Date().toISOString() },
+          { id: 'a2', type: 'meal', petId: 'p1', petName: 'Rex', duration: 1, dateTime: new Date().toISOString() }
+        ]
+      }
+    });
+    apiService.getSummary.mockResolvedValue({ data: { walks: 30, meals: 1, medications: 0 } });
+    apiService.getMedications.mockResolvedValue({ data: [] });
+    apiService.getMeasurements.mockResolvedValue({ data: [] });
+    apiService.getVaccinations.mockResolvedValue({ data: [] });
+    apiService.getAttachments.mockResolvedValue({ data: [] });
+    // Stay connected to the live stream for the whole test
+    apiService.streamHouseholdEvents.mockReturnValue(new Promise(() => {}));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    localStorage.clear();
+  });
+
+  it('renders an accessible tracker', async () => {
+    const { container } = render(<App session={session} onLogout={jest.fn()} />);
+
+    // Let everything that loads on start-up arrive first
+    expect(await screen.findByRole('list', { name: 'Recent activities' })).toBeInTheDocument();
+    expect(await screen.findByRole('button', { name: 'Start walk with Rex' })).toBeInTheDocument();
+    await waitFor(() => expect(apiService.getAttachments).toHaveBeenCalled());
+    // Reminders load from IndexedDB and may still land while axe runs
+    let results;
+    await act(async () => {
+      results = await axe(container);
+    });
+    expect(results).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,202 @@
+// Activity helpers shared by the tracker and the history view
+import { dayKey, dayLabel } from './dates';
+import { ACTIVITY_TYPES, getActivityType } from './activityTypes';
+import { activityBelongsToPet } from './pets';
+
+export const NOTES_MAX_LENGTH = 1000;
+
+// Unit of a type's amount (its `duration` field), e.g. "min" for walks
+export const activityUnit = (type) => {
+  const definition = getActivityType(type);
+  const field = definition && definition.fields.find(item => item.name === 'duration');
+  return field && field.unit ? field.unit : '';
+};
+
+// A field's value on an activity, a payload or the form's values: the
+// amount lives in `duration`, everything else under `details`
+export const fieldValue = (values, field) => (
+  field.name === 'duration' ? values.duration : (values.details || {})[field.name]
+);
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Validation rules for a new or edited activity, shared by the form and
+// the file import. `activity` uses the form's field names; the type's own
+// field errors are keyed by field name.
+export const validateActivity = (activity, pets) => {
+  const errors = {};
+
+  if (!pets.some(pet => pet.id === activity.petId)) {
+    errors.petId = 'Please select a pet';
+  }
+
+  const type = getActivityType(activity.activityType);
+  if (!type) {
+    errors.activityType = 'Unknown activity type';
+  } else {
+    type.fields.forEach(field => {
+      const value = fieldValue(activity, field);
+      if (isEmpty(value)) {
+        if (field.required) errors[field.name] = `${field.label} is required`;
+      } else if (field.kind === 'number' && !(parseFloat(value) > 0)) {
+        errors[field.name] = `${field.label} must be greater than 0`;
+      } else if (field.kind === 'number' && field.max && parseFloat(value) > field.max) {
+        errors[field.name] = `${field.label} must be at most ${field.max}${field.unit ? ` ${field.unit}` : ''}`;
+      } else if (field.kind === 'select' && !field.options.some(option => option.value === value)) {
+        errors[field.name] = `Please choose a ${field.label.toLowerCase()}`;
+      }
+    });
+  }
+
+  if (activity.notes && activity.notes.length > NOTES_MAX_LENGTH) {
+    errors.notes = `Notes can be at most ${NOTES_MAX_LENGTH} characters`;
+  }
+
+  if (!activity.dateTime || Number.isNaN(new Date(activity.dateTime).getTime())) {
+    errors.dateTime = 'Date & time is required';
+  }
+
+  return errors;
+};
+
+// The type-specific part of an addActivity payload from validated form
+// values: { duration, details, notes }, leaving out anything empty
+export const activityFields = (values) => {
+  const type = getActivityType(values.activityType);
+  const fields = {};
+  const details = {};
+
+  type.fields.forEach(field => {
+    const value = fieldValue(values, field);
+    if (isEmpty(value)) return;
+    const parsed = field.kind === 'number' ? parseFloat(value) : String(value).trim();
+    if (field.name === 'duration') fields.duration = parsed;
+    else details[field.name] = parsed;
+  });
+
+  if (Object.keys(details).length > 0) fields.details = details;
+  if (values.notes && values.notes.trim()) fields.notes = values.notes.trim();
+  return fields;
+};
+
+// Form values for editing a listed activity
+export const activityFormValues = (activity) => ({
+  activityType: activity.type,
+  duration: activity.duration === undefined || activity.duration === null ? '' : String(activity.duration),
+  details: Object.fromEntries(Object.entries(activity.details || {}).map(([key, value]) => [key, String(value)])),
+  notes: activity.notes || ''
+});
+
+// The type's fields as one line, e.g. "30 min · 2.5 km" or "Poop"
+export const formatActivityFields = (activity) => {
+  const type = getActivityType(activity.type || activity.activityType);
+  if (!type) return activity.duration ? `${activity.duration} ${activity.unit || ''}`.trim() : '';
+
+  return type.fields
+    .map(field => {
+      const value = fieldValue(activity, field);
+      if (isEmpty(value)) return '';
+      if (field.kind === 'select') {
+        const option = field.options.find(item => item.value === value);
+        return option ? option.label : value;
+      }
+      if (field.kind === 'number') {
+        const unit = field.name === 'duration' ? activity.unit || field.unit : field.unit;
+        const text = unit ? `${value} ${unit}` : String(value);
+        return field.labelled ? `${field.label} ${text}` : text;
+      }
+      return field.labelled ? `${field.label} ${value}` : value;
+    })
+    .filter(Boolean)
+    .join(' · ');
+};
+
+// "Walk", "Potty break", or the raw id for a type this app doesn't know
+export const activityLabel = (type) => {
+  const definition = getActivityType(type);
+  return definition ? definition.label : type;
+};
+
+// The activities of each type without a goal bar, for the summary chips:
+// [{ type, activities }] in registry order, leaving out types not logged
+export const otherTypeGroups = (activities) => ACTIVITY_TYPES
+  .filter(type => !type.goal)
+  .map(type => ({ type, activities: activities.filter(activity => activity.type === type.id) }))
+  .filter(group => group.activities.length > 0);
+
+// Turn a listed activity back into an addActivity payload, e.g. to restore
+// one after a delete is undone
+export const toActivityPayload = ({ id, type, pending, ...fields }) => ({ ...fields, activityType: type });
+
+// Who logged an activity, from the signed-in user's point of view
+export const loggedByLabel = (activity, userId) => {
+  if (!activity.loggedBy) return '';
+  return activity.loggedBy.id === userId ? 'you' : activity.loggedBy.name;
+};
+
+// The activity of `type` for `pet` closest to `dateTime`, if one was
+// logged within `windowMinutes` either side; used to catch double-feeding
+export const findNearbyActivity = (activities, { pet, type, dateTime, excludeId }, windowMinutes) => {
+  const at = new Date(dateTime).getTime();
+  if (!windowMinutes || Number.isNaN(at)) return null;
+
+  let nearest = null;
+  activities.forEach(activity => {
+    if (activity.type !== type || activity.id === excludeId || !activityBelongsToPet(activity, pet)) return;
+    const distance = Math.abs(new Date(activity.dateTime).getTime() - at);
+    if (distance <= windowMinutes * 60000 && (!nearest || distance < nearest.distance)) {
+      nearest = { activity, distance };
+    }
+  });
+  return nearest && nearest.activity;
+};
+
+// Short human description, e.g. "Walk (30 min) on May 1, 08:30"
+export const describeActivity = (activity) => {
+  const when = new Date(activity.dateTime).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  const fields = formatActivityFields(activity);
+  return `${activityLabel(activity.type)}${fields ? ` (${fields})` : ''} on ${when}`;
+};
+
+// Newest first, grouped into [{ key, label, activities }] by local day
+export const groupByDay = (activities) => {
+  const groups = [];
+  activities
+    .slice()
+    .sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime))
+    .forEach(activity => {
+      const key = dayKey(activity.dateTime);
+      const last = groups[groups.length - 1];
+      if (last && last.key === key) {
+        last.activities.push(activity);
+      } else {
+        groups.push({ key, label: dayLabel(key), activities: [activity] });
+      }
+    });
+  return groups;
+};
+
+// Client-side copy of the history filters, so results stay correct even if
+// the backend ignores some of the query parameters
+export const matchesFilters = (activity, { petId, type, from, to, q }, pets = []) => {
+  if (petId && !activityBelongsToPet(activity, pets.find(pet => pet.id === petId) || { id: petId, name: '' })) {
+    return false;
+  }
+  if (type && activity.type !== type) return false;
+
+  const key = dayKey(activity.dateTime);
+  if (from && key < from) return false;
+  if (to && key > to) return false;
+
+  if (q) {
+    const details = Object.values(activity.details || {}).join(' ');
+    const haystack = `${activity.notes || ''} ${activity.petName || ''} ${details}`.toLowerCase();
+    if (!haystack.includes(q.trim().toLowerCase())) return false;
+  }
+  return true;
+};
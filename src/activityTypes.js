@@ -0,0 +1,201 @@
+// Registry of everything that can be logged. The form, validation,
+// activity cards and Today's Summary all render from these definitions,
+// so a new kind of activity only needs an entry here.
+//
+// Each type has:
+// - `icon` and `color` (Tailwind classes) for cards and chips, and `dot`
+//   for the calendar's day markers (walks, meals and medication match the
+//   colours of Today's Summary)
+// - `fields`: what the form asks for, in order. A field named `duration`
+//   is the activity's amount and is stored on the activity itself, as it
+//   always has been for walks, meals and medication; every other field is
+//   stored under `activity.details`. Number fields must be greater than 0
+//   and at most `max`; select fields must be one of their `options`.
+//   `labelled` fields are shown with their label on cards ("Cost 120").
+// - `summarize(activities)`: one line for Today's Summary, e.g. "3 potty
+//   breaks". Walks, meals and medication are summarised by the goal bars
+//   instead (`goal: true`).
+//
+// Every type also takes optional free-text notes.
+import {
+  Bone,
+  Footprints,
+  GraduationCap,
+  Pill,
+  Scissors,
+  Stethoscope,
+  Thermometer,
+  TreeDeciduous,
+  Utensils
+} from 'lucide-react';
+
+const plural = (count, singular, many = `${singular}s`) => `${count} ${count === 1 ? singular : many}`;
+
+const totalMinutes = (activities) =>
+  activities.reduce((total, activity) => total + (Number(activity.duration) || 0), 0);
+
+const minutesField = (label, max) => ({ name: 'duration', label, kind: 'number', unit: 'min', placeholder: '30', max });
+
+export const ACTIVITY_TYPES = [
+  {
+    id: 'walk',
+    label: 'Walk',
+    icon: Footprints,
+    color: 'text-green-600 bg-green-100',
+    dot: 'bg-green-500',
+    goal: true,
+    fields: [
+      { ...minutesField('Duration', 600), required: true },
+      { name: 'distance', label: 'Distance', kind: 'number', unit: 'km', step: '0.1', placeholder: '2.5', max: 100 }
+    ],
+    summarize: (activities) => `${totalMinutes(activities)} min walked`
+  },
+  {
+    id: 'meal',
+    label: 'Meal',
+    icon: Utensils,
+    color: 'text-blue-600 bg-blue-100',
+    dot: 'bg-blue-500',
+    goal: true,
+    fields: [
+      { name: 'duration', label: 'Quantity', kind: 'number', unit: 'portion', step: '0.5', placeholder: '1', required: true, max: 20 },
+      { name: 'food', label: 'Food', kind: 'text', placeholder: 'e.g. kibble, chicken & rice' }
+    ],
+    summarize: (activities) => plural(activities.length, 'meal')
+  },
+  {
+    id: 'medication',
+    label: 'Medication',
+    icon: Pill,
+    color: 'text-purple-600 bg-purple-100',
+    dot: 'bg-purple-500',
+    goal: true,
+    fields: [
+      { name: 'duration', label: 'Dosage', kind: 'number', unit: 'dose', step: '0.5', placeholder: '1', required: true, max: 20 }
+    ],
+    summarize: (activities) => plural(activities.length, 'dose')
+  },
+  {
+    id: 'play',
+    label: 'Play',
+    icon: Bone,
+    color: 'text-yellow-600 bg-yellow-100',
+    dot: 'bg-yellow-500',
+    fields: [
+      { ...minutesField('Duration', 600), required: true },
+      { name: 'game', label: 'Game', kind: 'text', placeholder: 'e.g. fetch, tug' }
+    ],
+    summarize: (activities) => `${totalMinutes(activities)} min play`
+  },
+  {
+    id: 'grooming',
+    label: 'Grooming',
+    icon: Scissors,
+    color: 'text-pink-600 bg-pink-100',
+    dot: 'bg-pink-500',
+    fields: [
+      {
+        name: 'task',
+        label: 'Task',
+        kind: 'select',
+        required: true,
+        options: [
+          { value: 'bath', label: 'Bath' },
+          { value: 'brush', label: 'Brushing' },
+          { value: 'nails', label: 'Nail trim' },
+          { value: 'ears', label: 'Ear cleaning' },
+          { value: 'teeth', label: 'Teeth' },
+          { value: 'haircut', label: 'Haircut' }
+        ]
+      },
+      minutesField('Duration', 480)
+    ],
+    summarize: (activities) => plural(activities.length, 'grooming session')
+  },
+  {
+    id: 'potty',
+    label: 'Potty break',
+    icon: TreeDeciduous,
+    color: 'text-amber-700 bg-amber-100',
+    dot: 'bg-amber-600',
+    fields: [
+      {
+        name: 'result',
+        label: 'Result',
+        kind: 'select',
+        required: true,
+        options: [
+          { value: 'pee', label: 'Pee' },
+          { value: 'poop', label: 'Poop' },
+          { value: 'both', label: 'Pee & poop' },
+          { value: 'accident', label: 'Accident indoors' }
+        ]
+      }
+    ],
+    summarize: (activities) => plural(activities.length, 'potty break')
+  },
+  {
+    id: 'training',
+    label: 'Training',
+    icon: GraduationCap,
+    color: 'text-indigo-600 bg-indigo-100',
+    dot: 'bg-indigo-500',
+    fields: [
+      { ...minutesField('Duration', 300), placeholder: '15', required: true },
+      { name: 'skill', label: 'Skill', kind: 'text', placeholder: 'e.g. recall, sit, leash' }
+    ],
+    summarize: (activities) => `${totalMinutes(activities)} min training`
+  },
+  {
+    id: 'vet',
+    label: 'Vet visit',
+    icon: Stethoscope,
+    color: 'text-teal-600 bg-teal-100',
+    dot: 'bg-teal-500',
+    fields: [
+      { name: 'reason', label: 'Reason', kind: 'text', placeholder: 'e.g. vaccination, check-up', required: true },
+      { name: 'diagnosis', label: 'Diagnosis', kind: 'text', placeholder: 'Optional' },
+      { name: 'clinic', label: 'Clinic', kind: 'text', placeholder: 'Optional' },
+      { name: 'cost', label: 'Cost', kind: 'number', step: '0.01', placeholder: 'Optional', max: 100000, labelled: true }
+    ],
+    summarize: (activities) => plural(activities.length, 'vet visit')
+  },
+  {
+    id: 'symptom',
+    label: 'Symptom',
+    icon: Thermometer,
+    color: 'text-red-600 bg-red-100',
+    dot: 'bg-red-500',
+    fields: [
+      {
+        name: 'symptom',
+        label: 'Symptom',
+        kind: 'select',
+        required: true,
+        options: [
+          { value: 'vomiting', label: 'Vomiting' },
+          { value: 'diarrhea', label: 'Diarrhea' },
+          { value: 'coughing', label: 'Coughing' },
+          { value: 'itching', label: 'Itching' },
+          { value: 'lethargy', label: 'Lethargy' },
+          { value: 'appetite', label: 'Not eating' },
+          { value: 'other', label: 'Other' }
+        ]
+      },
+      {
+        name: 'severity',
+        label: 'Severity',
+        kind: 'select',
+        required: true,
+        options: [
+          { value: 'mild', label: 'Mild' },
+          { value: 'moderate', label: 'Moderate' },
+          { value: 'severe', label: 'Severe' }
+        ]
+      }
+    ],
+    summarize: (activities) => plural(activities.length, 'symptom')
+  }
+];
+
+export const getActivityType = (id) => ACTIVITY_TYPES.find(type => type.id === id) || null;
@@ -0,0 +1,52 @@
+// Pure helpers that turn activity history into per-day chart data
+import { dayKey } from './dates';
+
+// Day keys for the last `count` days, oldest first, ending today
+export const lastNDays = (count, now = new Date()) => {
+  const days = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+    days.push(dayKey(date));
+  }
+  return days;
+};
+
+// { [dayKey]: { walks, meals, medications } } for the given days
+export const dailyTotals = (activities, days) => {
+  const totals = {};
+  days.forEach(day => {
+    totals[day] = { walks: 0, meals: 0, medications: 0 };
+  });
+
+  activities.forEach(activity => {
+    const day = totals[dayKey(activity.dateTime)];
+    if (!day) return;
+    if (activity.type === 'walk') day.walks += Number(activity.duration) || 0;
+    if (activity.type === 'meal') day.meals += 1;
+    if (activity.type === 'medication') day.medications += 1;
+  });
+
+  return totals;
+};
+
+// Consecutive days, counting back from today, for which `isMet(day, key)`
+// holds, given the day's totals and its day key.
+// Today only breaks the streak once it is over, so an unfinished day
+// doesn't reset a streak built up on previous days.
+export const currentStreak = (days, totals, isMet) => {
+  let streak = 0;
+  for (let i = days.length - 1; i >= 0; i--) {
+    if (isMet(totals[days[i]], days[i])) {
+      streak += 1;
+    } else if (i !== days.length - 1) {
+      break;
+    }
+  }
+  return streak;
+};
+
+// Share of scheduled doses that were logged, 0-1, or null with no schedule
+export const adherence = (taken, scheduled) => {
+  if (!scheduled) return null;
+  return Math.min(taken / scheduled, 1);
+};
@@ -0,0 +1,271 @@
+// Shared HTTP client for every backend call: access tokens and refresh,
+// per-request timeouts, retries with exponential backoff for idempotent
+// calls, cancellation, and typed errors. Also tracks whether the backend
+// is reachable, for the connection indicator. Used by the service worker
+// too, so it must not touch `window` or the DOM.
+import { clearSession, loadSession, saveSession } from './auth';
+import { getApiBaseUrl } from './config';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_MS = 1000;
+
+// Any failed backend call. `status` is the HTTP status, or undefined when
+// no response arrived.
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+// No response at all: offline, DNS or CORS failure, or a timeout
+export class NetworkError extends ApiError {
+  constructor(message, { timedOut = false } = {}) {
+    super(message);
+    this.name = 'NetworkError';
+    this.timedOut = timedOut;
+  }
+}
+
+// The backend rejected the data (400 or 422). `fieldErrors` maps field
+// names to messages when the response includes them.
+export class ValidationError extends ApiError {
+  constructor(message, status, fieldErrors = {}) {
+    super(message, status);
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// The backend failed (5xx)
+export class ServerError extends ApiError {
+  constructor(message, status) {
+    super(message, status);
+    this.name = 'ServerError';
+  }
+}
+
+const toApiError = (status, body, failure) => {
+  const message = body.error || failure;
+  if (status === 400 || status === 422) return new ValidationError(message, status, body.fieldErrors);
+  if (status >= 500) return new ServerError(message, status);
+  return new ApiError(message, status);
+};
+
+// Turn { petId: 'a', type: '' } into "?petId=a", skipping empty values
+export const toQuery = (params = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, value);
+    }
+  });
+  const text = query.toString();
+  return text ? `?${text}` : '';
+};
+
+// Backend reachability: 'connecting' until the first answer, 'online',
+// 'waking' while calls are timing out or being retried (e.g. a cold
+// start), 'unreachable' once they have given up, and 'offline' when the
+// device itself has no network.
+let connection = 'connecting';
+const connectionListeners = new Set();
+
+const setConnection = (state) => {
+  if (state === connection) return;
+  connection = state;
+  connectionListeners.forEach(listener => listener(state));
+};
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+export const getConnection = () => connection;
+
+// Called with the new state whenever it changes; returns an unsubscribe
+// function
+export const onConnectionChange = (listener) => {
+  connectionListeners.add(listener);
+  return () => connectionListeners.delete(listener);
+};
+
+// Wait, but give up straight away if the caller cancels
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const abort = () => {
+    clearTimeout(timer);
+    reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+  if (signal) {
+    if (signal.aborted) abort();
+    else signal.addEventListener('abort', abort, { once: true });
+  }
+});
+
+// One fetch with a timeout. The timeout covers the wait for the response
+// headers, so a long streamed body is not cut off. Aborting `signal`
+// rejects with the usual AbortError; a timeout rejects with a
+// NetworkError.
+const fetchWithTimeout = async (url, options, { signal, timeout }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const forwardAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', forwardAbort, { once: true });
+  }
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (err) {
+    if (timedOut) throw new NetworkError('The server took too long to respond', { timedOut: true });
+    if (signal && signal.aborted) throw err;
+    throw new NetworkError(isOffline() ? 'You are offline' : 'Could not reach the server');
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', forwardAbort);
+  }
+};
+
+// One refresh at a time: requests that hit a 401 together share it.
+// Resolves true when a new access token was stored.
+let refreshing = null;
+const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const session = await loadSession();
+      if (!session || !session.refreshToken) return false;
+
+      const response = await fetchWithTimeout(`${await getApiBaseUrl()}/api/auth/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken: session.refreshToken }),
+      }, { timeout: DEFAULT_TIMEOUT_MS });
+      if (!response.ok) {
+        // The refresh token itself is no good any more: sign out
+        if (response.status === 401 || response.status === 403) await clearSession();
+        return false;
+      }
+      const result = await response.json();
+      await saveSession({ ...session, ...result.data });
+      return true;
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// GET, PUT and DELETE can be sent twice safely, and so can a POST that
+// carries an idempotency key
+const isIdempotent = (method, headers) =>
+  ['GET', 'HEAD', 'PUT', 'DELETE'].includes(method) || Boolean(headers['Idempotency-Key']);
+
+// Worth another attempt: no response, or the server is overloaded,
+// restarting or waking up
+const isTransient = (err) =>
+  err instanceof NetworkError || [429, 502, 503, 504].includes(err.status);
+
+// Every backend call goes through here. It sends the signed-in
+// household's access token, refreshes it once on a 401, retries transient
+// failures of idempotent calls with exponential backoff (`retries` extra
+// attempts), and turns a failed response into an ApiError carrying the
+// server's message (or `failure`). `body` is sent as JSON, or as is when
+// it's FormData (file uploads). Resolves with the raw Response.
+export const send = async (path, {
+  method = 'GET',
+  body,
+  headers = {},
+  signal,
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries = isIdempotent(method, headers) ? DEFAULT_RETRIES : 0
+} = {}, failure = 'Request failed') => {
+  // The browser sets the multipart boundary for FormData itself
+  const isJSON = body !== undefined && !(typeof FormData !== 'undefined' && body instanceof FormData);
+  const attempt = async () => {
+    const [session, baseUrl] = await Promise.all([loadSession(), getApiBaseUrl()]);
+    return fetchWithTimeout(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(isJSON ? { 'Content-Type': 'application/json' } : {}),
+        ...(session ? { Authorization: `Bearer ${session.accessToken}` } : {}),
+        ...headers,
+      },
+      body: isJSON ? JSON.stringify(body) : body,
+    }, { signal, timeout });
+  };
+
+  for (let tries = 0; ; tries += 1) {
+    try {
+      let response = await attempt();
+      if (response.status === 401 && await refreshSession()) {
+        response = await attempt();
+      }
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw toApiError(response.status, error, failure);
+      }
+      setConnection('online');
+      return response;
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      if (!isTransient(err)) {
+        // The server answered, so it is up even if it said no
+        if (err.status) setConnection('online');
+        throw err;
+      }
+      if (tries >= retries) {
+        setConnection(isOffline() ? 'offline' : 'unreachable');
+        throw err;
+      }
+      setConnection(isOffline() ? 'offline' : 'waking');
+      await sleep(RETRY_BASE_MS * 2 ** tries, signal);
+    }
+  }
+};
+
+// Same as send, resolving with the parsed JSON body
+export const request = async (path, options, failure) => {
+  const response = await send(path, options, failure);
+  return await response.json();
+};
+
+// Ask the backend whether it is up. Render free instances can take most
+// of a minute to start, hence the long timeout. Resolves true or false and
+// updates the connection state either way; overlapping calls share one
+// request.
+let checking = null;
+export const checkHealth = () => {
+  if (isOffline()) {
+    setConnection('offline');
+    return Promise.resolve(false);
+  }
+  if (!checking) {
+    if (connection !== 'online') setConnection('waking');
+    checking = send('/api/health', { timeout: 60000, retries: 0 }, 'Health check failed')
+      .then(() => true, () => false)
+      .finally(() => {
+        checking = null;
+      });
+  }
+  return checking;
+};
+
+// Health-check a backend that isn't in use yet, before switching to it.
+// Resolves when it answers; rejects with a NetworkError or ApiError.
+export const checkServer = async (baseUrl) => {
+  const response = await fetchWithTimeout(`${baseUrl}/api/health`, {}, { timeout: 60000 });
+  if (!response.ok) {
+    throw new ApiError(`The server answered the health check with status ${response.status}`, response.status);
+  }
+};
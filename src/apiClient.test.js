@@ -0,0 +1,103 @@
+import 'fake-indexeddb/auto';
+import { ApiError, request, send } from './apiClient';
+import { loadSession, onSessionChange, saveSession } from './auth';
+import { clearStore } from './db';
+import { API, json, mockBackend } from './testUtils/mockBackend';
+
+const session = {
+  accessToken: 'old-access',
+  refreshToken: 'refresh-1',
+  user: { id: 'u1', name: 'Sam' },
+  household: { id: 'h1', name: 'Home' }
+};
+
+const calls = (path) => global.fetch.mock.calls.filter(([url]) => url === `${API}${path}`);
+
+// Answers 401 to the old token and 200 to the refreshed one
+const protectedRoute = (data) => ({ headers }) => (
+  headers.Authorization === 'Bearer new-access' ? json(200, { data }) : json(401, { error: 'Token expired' })
+);
+
+describe('apiClient', () => {
+  beforeEach(async () => {
+    await clearStore('settings');
+    await saveSession(session);
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('sends the access token', async () => {
+    mockBackend({ 'GET /api/pets': ({ headers }) => json(200, { data: [], auth: headers.Authorization }) });
+
+    await expect(request('/api/pets')).resolves.toEqual({ data: [], auth: 'Bearer old-access' });
+  });
+
+  it('refreshes an expired token once and retries the request', async () => {
+    mockBackend({
+      'GET /api/pets': protectedRoute([{ id: 'p1' }]),
+      'POST /api/auth/refresh': ({ body }) => (
+        body.refreshToken === 'refresh-1'
+          ? json(200, { data: { accessToken: 'new-access', refreshToken: 'refresh-2' } })
+          : json(401, {})
+      )
+    });
+
+    await expect(request('/api/pets')).resolves.toEqual({ data: [{ id: 'p1' }] });
+
+    expect(calls('/api/auth/refresh')).toHaveLength(1);
+    expect(calls('/api/pets')).toHaveLength(2);
+    expect(await loadSession()).toEqual({ ...session, accessToken: 'new-access', refreshToken: 'refresh-2' });
+  });
+
+  it('shares one refresh between requests that expire together', async () => {
+    let finishRefresh;
+    mockBackend({
+      'GET /api/pets': protectedRoute([{ id: 'p1' }]),
+      'GET /api/activities': protectedRoute([{ id: 'a1' }]),
+      'POST /api/auth/refresh': () => new Promise(resolve => {
+        finishRefresh = () => resolve(json(200, { data: { accessToken: 'new-access' } }));
+      })
+    });
+
+    const pets = request('/api/pets');
+    const activities = request('/api/activities');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(calls('/api/auth/refresh')).toHaveLength(1);
+    finishRefresh();
+
+    await expect(pets).resolves.toEqual({ data: [{ id: 'p1' }] });
+    await expect(activities).resolves.toEqual({ data: [{ id: 'a1' }] });
+    expect(calls('/api/auth/refresh')).toHaveLength(1);
+    expect((await loadSession()).accessToken).toBe('new-access');
+  });
+
+  it('signs out when the refresh token is rejected', async () => {
+    const listener = jest.fn();
+    const unsubscribe = onSessionChange(listener);
+    mockBackend({
+      'GET /api/pets': protectedRoute([]),
+      'POST /api/auth/refresh': () => json(401, { error: 'Refresh token revoked' })
+    });
+
+    const failed = send('/api/pets', {}, 'Failed to load pets');
+    await expect(failed).rejects.toThrow(ApiError);
+    await expect(failed).rejects.toMatchObject({ status: 401, message: 'Token expired' });
+
+    expect(calls('/api/pets')).toHaveLength(1);
+    expect(await loadSession()).toBeNull();
+    expect(listener).toHaveBeenCalledWith(null);
+    unsubscribe();
+  });
+
+  it('keeps the session when the refresh fails for another reason', async () => {
+    mockBackend({
+      'GET /api/pets': protectedRoute([]),
+      'POST /api/auth/refresh': () => json(400, { error: 'Bad request' })
+    });
+
+    await expect(send('/api/pets', { retries: 0 })).rejects.toMatchObject({ status: 401 });
+    expect(await loadSession()).toEqual(session);
+  });
+});
@@ -0,0 +1,312 @@
+import { request, send, toQuery } from './apiClient';
+import { currentTimeZone, localDayRange, toOffsetISOString } from './dates';
+
+// Read a text/event-stream body, calling onEvent(event, data) for each
+// message as soon as it has fully arrived
+const readEventStream = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (message) => {
+    let event = 'message';
+    const data = [];
+    message.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (data.length > 0) onEvent(event, data.join('\n'));
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split(/\r?\n\r?\n/);
+    buffer = messages.pop();
+    messages.forEach(dispatch);
+  }
+  if (buffer.trim()) dispatch(buffer);
+};
+
+// API Service Functions - Fixed with /api prefix
+const apiService = {
+  // Create an account. Without an invite code this also creates a new
+  // household; with one, the account joins that household.
+  async signUp(details) {
+    return request('/api/auth/signup', { method: 'POST', body: details }, 'Failed to sign up');
+  },
+
+  // Sign in; resolves with { accessToken, refreshToken, user, household }
+  async login(credentials) {
+    return request('/api/auth/login', { method: 'POST', body: credentials }, 'Failed to sign in');
+  },
+
+  // Revoke the refresh token on the server
+  async logout(refreshToken) {
+    return request('/api/auth/logout', { method: 'POST', body: { refreshToken } }, 'Failed to sign out');
+  },
+
+  // Get the signed-in household with its caregivers (members)
+  async getHousehold({ signal } = {}) {
+    return request('/api/household', { signal }, 'Failed to fetch household');
+  },
+
+  // Invite a caregiver; resolves with an invite { code, email, expiresAt }
+  // they can use when signing up
+  async inviteCaregiver(email) {
+    return request('/api/household/invites', { method: 'POST', body: { email } }, 'Failed to create invite');
+  },
+
+  // Remove a caregiver from the household
+  async removeCaregiver(userId) {
+    return request(`/api/household/members/${userId}`, { method: 'DELETE' }, 'Failed to remove caregiver');
+  },
+
+  // Live household events as a streamed text/event-stream: `activity.created`,
+  // `activity.updated` and `activity.deleted`, each with the `userId` that
+  // made the change. Resolves when the server closes the stream.
+  async streamHouseholdEvents({ signal, onOpen = () => {}, onEvent }) {
+    const response = await send('/api/events', {
+      headers: { Accept: 'text/event-stream' },
+      signal,
+      retries: 0,
+    }, 'Failed to connect to live updates');
+    onOpen();
+    await readEventStream(response.body, (event, data) => {
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (err) {
+        console.error('Ignoring malformed live event:', err);
+        return;
+      }
+      onEvent(event, payload);
+    });
+  },
+
+  // Get activities and current pet. Accepts optional filters
+  // (petId, type, from, to, q) and paging (page, limit).
+  async getActivities(params, { signal } = {}) {
+    return request(`/api/activities${toQuery(params)}`, { signal }, 'Failed to fetch activities');
+  },
+
+  // Add new activity. The idempotency key lets the backend recognise a
+  // replayed request from the offline outbox and skip the duplicate.
+  async addActivity(activityData, { idempotencyKey } = {}) {
+    return request('/api/activities', {
+      method: 'POST',
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+      body: idempotencyKey ? { ...activityData, clientId: idempotencyKey } : activityData,
+    }, 'Failed to add activity');
+  },
+
+  // Update an existing activity. PATCH keeps fields the form doesn't
+  // edit, such as the medication a dose was given for.
+  async updateActivity(id, activityData) {
+    return request(`/api/activities/${id}`, { method: 'PATCH', body: activityData }, 'Failed to update activity');
+  },
+
+  // Create many activities in one request, e.g. from a file import. Each
+  // entry carries its own clientId so a retried import isn't duplicated.
+  async bulkAddActivities(activities) {
+    return request('/api/activities/bulk', { method: 'POST', body: { activities } }, 'Failed to import activities');
+  },
+
+  // Delete many activities in one request. The response lists `deleted`
+  // and `failed` ids so a partial failure can be reported exactly.
+  async bulkDeleteActivities(ids) {
+    return request('/api/activities/bulk-delete', { method: 'POST', body: { ids } }, 'Failed to delete activities');
+  },
+
+  // Get the summary for the local day of `day` (today by default),
+  // optionally for a single pet. The day's bounds are sent with their UTC
+  // offsets so the backend counts the user's day, not its own.
+  async getSummary(petId, { day = new Date(), signal } = {}) {
+    const { from, to } = localDayRange(day);
+    const query = toQuery({ petId, from: toOffsetISOString(from), to: toOffsetISOString(to), timezone: currentTimeZone() });
+    return request(`/api/summary${query}`, { signal }, 'Failed to fetch summary');
+  },
+
+  // Send chat message to a thread with a context payload (see chat.js).
+  // The reply is streamed: onToken receives each piece of text as it
+  // arrives, and the promise resolves with the saved { userMessage,
+  // aiMessage } at the end. Pass an AbortSignal to stop the reply early.
+  async sendChatMessage(message, { threadId, context, signal, onToken = () => {} } = {}) {
+    const response = await send('/api/chat', {
+      method: 'POST',
+      headers: { Accept: 'text/event-stream' },
+      body: { message, threadId, context },
+      signal,
+      // The model can take a while before the first token
+      timeout: 60000,
+    }, 'Failed to send message');
+
+    const contentType = response.headers.get('Content-Type') || '';
+
+    // A backend without streaming sends the whole reply at once
+    if (contentType.includes('application/json')) {
+      const result = await response.json();
+      onToken(result.data.aiMessage.text);
+      return result.data;
+    }
+
+    // Plain streamed text: every chunk is part of the reply
+    if (!contentType.includes('text/event-stream')) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return {};
+        onToken(decoder.decode(value, { stream: true }));
+      }
+    }
+
+    let saved = {};
+    await readEventStream(response.body, (event, data) => {
+      const payload = JSON.parse(data);
+      if (event === 'error') throw new Error(payload.error || 'Failed to send message');
+      if (event === 'done') saved = payload;
+      else if (payload.text) onToken(payload.text);
+    });
+    return saved;
+  },
+
+  // Get chat threads, optionally for a single pet
+  async getChatThreads(petId, { signal } = {}) {
+    return request(`/api/chat/threads${toQuery({ petId })}`, { signal }, 'Failed to fetch conversations');
+  },
+
+  // Start a chat thread
+  async addChatThread(threadData) {
+    return request('/api/chat/threads', { method: 'POST', body: threadData }, 'Failed to start conversation');
+  },
+
+  // Rename a chat thread
+  async updateChatThread(id, threadData) {
+    return request(`/api/chat/threads/${id}`, { method: 'PATCH', body: threadData }, 'Failed to rename conversation');
+  },
+
+  // Delete a chat thread and its messages
+  async deleteChatThread(id) {
+    return request(`/api/chat/threads/${id}`, { method: 'DELETE' }, 'Failed to delete conversation');
+  },
+
+  // Get the messages of one chat thread
+  async getChatMessages(threadId, { signal } = {}) {
+    return request(`/api/chat/threads/${threadId}/messages`, { signal }, 'Failed to fetch chat history');
+  },
+
+  // Search past chat messages (q, optional petId); each result carries
+  // the threadId it belongs to
+  async searchChat(params, { signal } = {}) {
+    return request(`/api/chat/search${toQuery(params)}`, { signal }, 'Failed to search conversations');
+  },
+
+  // Get medications, optionally for a single pet
+  async getMedications(petId, { signal } = {}) {
+    return request(`/api/medications${toQuery({ petId })}`, { signal }, 'Failed to fetch medications');
+  },
+
+  // Add medication
+  async addMedication(medicationData) {
+    return request('/api/medications', { method: 'POST', body: medicationData }, 'Failed to add medication');
+  },
+
+  // Update medication
+  async updateMedication(id, medicationData) {
+    return request(`/api/medications/${id}`, { method: 'PUT', body: medicationData }, 'Failed to update medication');
+  },
+
+  // Delete medication
+  async deleteMedication(id) {
+    return request(`/api/medications/${id}`, { method: 'DELETE' }, 'Failed to delete medication');
+  },
+
+  // Get health measurements (weight, temperature, ...) for one pet
+  async getMeasurements(petId, { signal } = {}) {
+    return request(`/api/measurements${toQuery({ petId })}`, { signal }, 'Failed to fetch health log');
+  },
+
+  // Add a health measurement { petId, metric, value, unit, measuredAt, notes }
+  async addMeasurement(measurementData) {
+    return request('/api/measurements', { method: 'POST', body: measurementData }, 'Failed to save measurement');
+  },
+
+  // Delete a health measurement
+  async deleteMeasurement(id) {
+    return request(`/api/measurements/${id}`, { method: 'DELETE' }, 'Failed to delete measurement');
+  },
+
+  // Get vaccinations { id, petId, name, givenOn, dueOn, notes } for one pet
+  async getVaccinations(petId, { signal } = {}) {
+    return request(`/api/vaccinations${toQuery({ petId })}`, { signal }, 'Failed to fetch vaccinations');
+  },
+
+  // Add vaccination
+  async addVaccination(vaccinationData) {
+    return request('/api/vaccinations', { method: 'POST', body: vaccinationData }, 'Failed to add vaccination');
+  },
+
+  // Update vaccination
+  async updateVaccination(id, vaccinationData) {
+    return request(`/api/vaccinations/${id}`, { method: 'PUT', body: vaccinationData }, 'Failed to update vaccination');
+  },
+
+  // Delete vaccination
+  async deleteVaccination(id) {
+    return request(`/api/vaccinations/${id}`, { method: 'DELETE' }, 'Failed to delete vaccination');
+  },
+
+  // Get the record files (vaccination certificates, lab results, invoices)
+  // for one pet: { id, petId, recordType, recordId, name, contentType,
+  // size, createdAt }
+  async getAttachments(petId, { signal } = {}) {
+    return request(`/api/attachments${toQuery({ petId })}`, { signal }, 'Failed to fetch documents');
+  },
+
+  // Upload a file as multipart form data. `recordType` is 'visit',
+  // 'vaccination' or 'pet', with the visit's or vaccination's id as
+  // `recordId`. Uploads can be slow on a phone connection.
+  async uploadAttachment({ petId, recordType, recordId, file }) {
+    const form = new FormData();
+    form.append('petId', petId);
+    form.append('recordType', recordType);
+    if (recordId) form.append('recordId', recordId);
+    form.append('file', file, file.name);
+    return request('/api/attachments', { method: 'POST', body: form, timeout: 60000 }, 'Failed to upload document');
+  },
+
+  // Download a record file; resolves with a Blob
+  async getAttachmentFile(id) {
+    const response = await send(`/api/attachments/${id}/file`, { timeout: 60000 }, 'Failed to download document');
+    return await response.blob();
+  },
+
+  // Delete a record file
+  async deleteAttachment(id) {
+    return request(`/api/attachments/${id}`, { method: 'DELETE' }, 'Failed to delete document');
+  },
+
+  // Get all pet profiles
+  async getPets({ signal } = {}) {
+    return request('/api/pets', { signal }, 'Failed to fetch pets');
+  },
+
+  // Add pet profile
+  async addPet(petData) {
+    return request('/api/pets', { method: 'POST', body: petData }, 'Failed to add pet');
+  },
+
+  // Update pet profile
+  async updatePet(id, petData) {
+    return request(`/api/pets/${id}`, { method: 'PUT', body: petData }, 'Failed to update pet');
+  },
+
+  // Delete pet profile
+  async deletePet(id) {
+    return request(`/api/pets/${id}`, { method: 'DELETE' }, 'Failed to delete pet');
+  }
+};
+
+export default apiService;
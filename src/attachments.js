@@ -0,0 +1,89 @@
+// Record files (vaccination certificates, lab results, invoices) stored
+// through the API. A file that can't be uploaded right now (offline, or
+// the server is down) is kept in IndexedDB instead and uploaded the next
+// time the records load. Local files look like server ones plus
+// `local: true` and the `blob` itself.
+import apiService from './apiService';
+import { withStore } from './db';
+import { downloadFile } from './importExport';
+import { createClientId, isRetryableError } from './outbox';
+
+const STORE = 'attachments';
+
+export const ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp', 'image/heic'];
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Why `file` can't be attached, or '' if it can
+export const validateAttachment = (file) => {
+  if (!ATTACHMENT_TYPES.includes(file.type)) return 'Attach a PDF or an image';
+  if (file.size > MAX_ATTACHMENT_BYTES) return 'Files must be 10 MB or smaller';
+  return '';
+};
+
+// "120 KB", "2.4 MB"
+export const formatFileSize = (bytes) => (
+  bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+);
+
+export const getLocalAttachments = async (petId) => {
+  const attachments = await withStore(STORE, 'readonly', (store) => store.getAll());
+  return attachments.filter(attachment => attachment.petId === petId);
+};
+
+const removeLocalAttachment = (id) =>
+  withStore(STORE, 'readwrite', (store) => store.delete(id));
+
+// Upload `file` for a record; resolves with the saved attachment. Falls
+// back to keeping it on this device when the server can't take it now.
+export const uploadAttachment = async ({ petId, recordType, recordId }, file) => {
+  try {
+    const result = await apiService.uploadAttachment({ petId, recordType, recordId, file });
+    return result.data;
+  } catch (err) {
+    if (!isRetryableError(err)) throw err;
+    const attachment = {
+      id: `local-${createClientId()}`,
+      petId,
+      recordType,
+      recordId: recordId || null,
+      name: file.name,
+      contentType: file.type,
+      size: file.size,
+      createdAt: new Date().toISOString(),
+      local: true,
+      blob: file
+    };
+    await withStore(STORE, 'readwrite', (store) => store.put(attachment));
+    return attachment;
+  }
+};
+
+// Try to upload the files kept on this device for a pet. Stops at the
+// first one the server still can't take; resolves with how many went up.
+export const uploadLocalAttachments = async (petId) => {
+  let uploaded = 0;
+  for (const attachment of await getLocalAttachments(petId)) {
+    const file = new File([attachment.blob], attachment.name, { type: attachment.contentType });
+    try {
+      await apiService.uploadAttachment({ ...attachment, file });
+    } catch (err) {
+      if (isRetryableError(err)) break;
+      // Rejected for good (e.g. the record was deleted): keep it local
+      console.error(`Error uploading ${attachment.name}:`, err);
+      continue;
+    }
+    await removeLocalAttachment(attachment.id);
+    uploaded += 1;
+  }
+  return uploaded;
+};
+
+export const deleteAttachment = (attachment) => (
+  attachment.local ? removeLocalAttachment(attachment.id) : apiService.deleteAttachment(attachment.id)
+);
+
+// Save a copy of the file to the device
+export const downloadAttachment = async (attachment) => {
+  const blob = attachment.local ? attachment.blob : await apiService.getAttachmentFile(attachment.id);
+  downloadFile(attachment.name, blob, attachment.contentType);
+};
@@ -0,0 +1,79 @@
+// Signed-in session: { accessToken, refreshToken, user, household }.
+// Kept in IndexedDB and read fresh for every request, so the service
+// worker and other tabs see a sign-out or a refreshed token immediately.
+import { API_URL_KEY } from './config';
+import { clearStore, getSetting, setSetting } from './db';
+
+const SESSION_KEY = 'session';
+
+// Household whose data is cached on this device (localStorage, outbox)
+const HOUSEHOLD_KEY = 'householdId';
+
+const listeners = new Set();
+
+export const loadSession = async () => {
+  try {
+    return (await getSetting(SESSION_KEY)) || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveSession = async (session) => {
+  await setSetting(SESSION_KEY, session);
+  listeners.forEach(listener => listener(session));
+};
+
+export const clearSession = async () => {
+  await setSetting(SESSION_KEY, null);
+  listeners.forEach(listener => listener(null));
+};
+
+// Called with the new session (or null) whenever it changes; returns an
+// unsubscribe function
+export const onSessionChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const validateCredentials = ({ mode, name, email, password }) => {
+  const errors = {};
+
+  if (mode === 'signup' && !name.trim()) {
+    errors.name = 'Please enter your name';
+  }
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    errors.email = 'Please enter a valid email address';
+  }
+
+  if (mode === 'signup' ? password.length < 8 : !password) {
+    errors.password = mode === 'signup' ? 'Password must be at least 8 characters' : 'Please enter your password';
+  }
+
+  return errors;
+};
+
+// Drop everything cached for the previous household: pet profiles, the
+// selected pet, open chat threads, reminder settings, the outbox and
+// record files waiting to be uploaded. The
+// chosen backend server stays. Page-only; the service worker never signs
+// in or out.
+export const clearLocalData = async () => {
+  Object.keys(localStorage)
+    .filter(key => key === 'petProfiles' || key === 'selectedPetId' || key.startsWith('chatThread:'))
+    .forEach(key => localStorage.removeItem(key));
+  localStorage.removeItem(HOUSEHOLD_KEY);
+  const apiUrl = await getSetting(API_URL_KEY);
+  await Promise.all([clearStore('outbox'), clearStore('settings'), clearStore('attachments')]);
+  if (apiUrl) await setSetting(API_URL_KEY, apiUrl);
+};
+
+// Make sure cached data belongs to the household that just signed in
+export const adoptHousehold = async (session) => {
+  if (localStorage.getItem(HOUSEHOLD_KEY) !== session.household.id) {
+    await clearLocalData();
+  }
+  localStorage.setItem(HOUSEHOLD_KEY, session.household.id);
+  await saveSession(session);
+};
@@ -0,0 +1,78 @@
+// Month calendar helpers. Months are "YYYY-MM" strings and days the local
+// "YYYY-MM-DD" keys from dates.js; weeks start on Sunday, like the
+// medication heatmap.
+import { ACTIVITY_TYPES } from './activityTypes';
+import { dayKey } from './dates';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// "2024-05" for the local month of `date`
+export const monthKey = (date = new Date()) => dayKey(date).slice(0, 7);
+
+// The month `delta` months before or after `month`
+export const shiftMonth = (month, delta) => {
+  const [year, index] = month.split('-').map(Number);
+  return monthKey(new Date(year, index - 1 + delta, 1));
+};
+
+// The day `delta` days before or after `day`
+export const shiftDay = (day, delta) => {
+  const [year, index, date] = day.split('-').map(Number);
+  return dayKey(new Date(year, index - 1, date + delta));
+};
+
+// "May 2024"
+export const monthLabel = (month) => {
+  const [year, index] = month.split('-').map(Number);
+  return new Date(year, index - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
+
+// First and last day of the month, as history filters take them
+export const monthBounds = (month) => {
+  const [year, index] = month.split('-').map(Number);
+  const last = new Date(year, index, 0).getDate();
+  return { from: `${month}-01`, to: `${month}-${pad(last)}` };
+};
+
+// The month as weeks of 7 day keys, padded with null before the 1st and
+// after the last day
+export const monthGrid = (month) => {
+  const [year, index] = month.split('-').map(Number);
+  const offset = new Date(year, index - 1, 1).getDay();
+  const days = new Date(year, index, 0).getDate();
+
+  const cells = [
+    ...Array(offset).fill(null),
+    ...Array.from({ length: days }, (_, i) => `${month}-${pad(i + 1)}`)
+  ];
+  while (cells.length % 7 !== 0) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
+};
+
+// { [dayKey]: [type, ...] }: the activity types logged on each day, in
+// registry order, for the day markers
+export const typesByDay = (activities) => {
+  const logged = {};
+  activities.forEach(activity => {
+    const key = dayKey(activity.dateTime);
+    if (!logged[key]) logged[key] = new Set();
+    logged[key].add(activity.type);
+  });
+
+  return Object.fromEntries(Object.entries(logged).map(([key, types]) => [
+    key,
+    ACTIVITY_TYPES.filter(type => types.has(type.id))
+  ]));
+};
+
+// One day's activities, oldest first
+export const dayTimeline = (activities, day) => activities
+  .filter(activity => dayKey(activity.dateTime) === day)
+  .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+
+// A datetime-local value for backfilling `day`: the current time of day
+// on that date, so "now" is prefilled when the day is today
+export const backfillDateTime = (day, now = new Date()) => `${day}T${pad(now.getHours())}:${pad(now.getMinutes())}`;
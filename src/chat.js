@@ -0,0 +1,65 @@
+// Context sent with each chat message, so the assistant can answer from
+// the pet's actual log ("has Max walked enough this week?")
+import { activityUnit } from './activities';
+import { dayKey, toOffsetISOString } from './dates';
+import { latestMeasurements } from './health';
+import { petAge } from './pets';
+
+export const CONTEXT_DAYS = 7;
+export const CONTEXT_ACTIVITY_LIMIT = 50;
+
+export const buildChatContext = ({ pet, summary, goals, activities, medications = [], measurements = [], healthAlerts = [], now = new Date() }) => {
+  const since = new Date(now);
+  since.setDate(since.getDate() - (CONTEXT_DAYS - 1));
+  since.setHours(0, 0, 0, 0);
+
+  const recentActivities = activities
+    .filter(activity => new Date(activity.dateTime) >= since)
+    .sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime))
+    .slice(0, CONTEXT_ACTIVITY_LIMIT)
+    .map(activity => ({
+      type: activity.type,
+      amount: activity.duration,
+      unit: activity.unit || activityUnit(activity.type),
+      dateTime: toOffsetISOString(activity.dateTime),
+      ...(activity.details ? { details: activity.details } : {}),
+      ...(activity.medicationName ? { medicationName: activity.medicationName } : {}),
+      ...(activity.notes ? { notes: activity.notes } : {})
+    }));
+
+  return {
+    now: toOffsetISOString(now),
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    pet: pet ? {
+      name: pet.name,
+      species: pet.species,
+      breed: pet.breed || null,
+      age: petAge(pet.birthdate, now) || null,
+      weightKg: pet.weight || null
+    } : null,
+    goals: {
+      walkMinutes: goals.walkMinutes,
+      meals: goals.meals,
+      medicationTimes: goals.medicationTimes
+    },
+    medications: medications.map(medication => ({
+      name: medication.name,
+      dose: medication.dose,
+      unit: medication.unit,
+      everyHours: medication.frequencyHours
+    })),
+    today: {
+      date: dayKey(now),
+      walkMinutes: summary.walks,
+      meals: summary.meals,
+      medications: summary.medications
+    },
+    // Latest weight, temperature, ... and any alerts shown in the app
+    health: {
+      latest: latestMeasurements(measurements),
+      alerts: healthAlerts.map(alert => `${alert.title}: ${alert.body}`)
+    },
+    recentDays: CONTEXT_DAYS,
+    recentActivities
+  };
+};
@@ -0,0 +1,79 @@
+import React, { useId } from 'react';
+import { getActivityType } from '../activityTypes';
+import { fieldValue, NOTES_MAX_LENGTH } from '../activities';
+import FieldError, { fieldProps } from './FieldError';
+
+// The form inputs for one activity type, rendered from its registry
+// entry, plus the notes every type has. `onChange(field, value)` gets the
+// field's name; the caller decides where the value is kept.
+const ActivityFields = ({ values, errors, onChange, disabled }) => {
+  const type = getActivityType(values.activityType);
+  const formId = useId();
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+    errors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  return (
+    <>
+      {type && type.fields.map(field => {
+        const value = fieldValue(values, field);
+        const id = `${formId}-${field.name}`;
+        return (
+          <div key={`${type.id}-${field.name}`}>
+            <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+              {field.label}
+              {field.unit && ` (${field.unit === 'min' ? 'minutes' : field.unit})`}
+              {!field.required && <span className="text-gray-400 font-normal"> · optional</span>}
+            </label>
+            {field.kind === 'select' ? (
+              <select
+                {...fieldProps(id, errors[field.name])}
+                value={value || ''}
+                onChange={(e) => onChange(field.name, e.target.value)}
+                className={inputClass(field.name)}
+                disabled={disabled}
+              >
+                <option value="">Choose…</option>
+                {field.options.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                {...fieldProps(id, errors[field.name])}
+                type={field.kind === 'number' ? 'number' : 'text'}
+                value={value === undefined || value === null ? '' : value}
+                onChange={(e) => onChange(field.name, e.target.value)}
+                className={inputClass(field.name)}
+                placeholder={field.placeholder}
+                {...(field.kind === 'number' ? { min: '0', step: field.step || '1', max: field.max } : {})}
+                disabled={disabled}
+              />
+            )}
+            <FieldError id={id} error={errors[field.name]} />
+          </div>
+        );
+      })}
+
+      <div>
+        <label htmlFor={`${formId}-notes`} className="block text-sm font-medium text-gray-700 mb-1">
+          Notes<span className="text-gray-400 font-normal"> · optional</span>
+        </label>
+        <textarea
+          {...fieldProps(`${formId}-notes`, errors.notes)}
+          value={values.notes || ''}
+          onChange={(e) => onChange('notes', e.target.value)}
+          className={inputClass('notes')}
+          rows={2}
+          maxLength={NOTES_MAX_LENGTH}
+          placeholder="Anything worth remembering"
+          disabled={disabled}
+        />
+        <FieldError id={`${formId}-notes`} error={errors.notes} />
+      </div>
+    </>
+  );
+};
+
+export default ActivityFields;
@@ -0,0 +1,235 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { AlertTriangle, Loader2 } from 'lucide-react';
+import { ValidationError } from '../apiClient';
+import { activityFields, activityFormValues, findNearbyActivity, loggedByLabel, validateActivity } from '../activities';
+import { ACTIVITY_TYPES } from '../activityTypes';
+import { storedDateTime, toFormDateTime } from '../dates';
+import { getPetGoals } from '../goals';
+import { activityBelongsToPet } from '../pets';
+import { selectAllActivities, useStore } from '../store';
+import ActivityFields from './ActivityFields';
+import ActivityIcon from './ActivityIcon';
+import FieldError, { fieldProps } from './FieldError';
+import RouteMap from './RouteMap';
+
+const emptyForm = (petId, dateTime = toFormDateTime(new Date())) => ({
+  petId,
+  activityType: 'walk',
+  duration: '',
+  details: {},
+  notes: '',
+  dateTime
+});
+
+// Log a new activity, or edit the one in the store's `editingActivity`.
+// Render it with `key` set to the edited activity's id so it starts over
+// when another one is opened. `onLog(activityData)` and
+// `onUpdate(original, activityData)` save it and throw on failure. New
+// entries start at `initialDateTime` (a datetime-local value) if given,
+// e.g. to backfill a day from the calendar.
+const ActivityForm = ({ onLog, onUpdate, initialDateTime }) => {
+  const { state, dispatch } = useStore();
+  const { pets, selectedPetId, editingActivity, loading, session } = state;
+
+  const [formData, setFormData] = useState(() => {
+    if (!editingActivity) return emptyForm(selectedPetId, initialDateTime);
+    const pet = pets.find(item => activityBelongsToPet(editingActivity, item));
+    return {
+      petId: pet ? pet.id : '',
+      ...activityFormValues(editingActivity),
+      dateTime: toFormDateTime(new Date(editingActivity.dateTime))
+    };
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const formId = useId();
+
+  // Scope the form to a newly selected pet
+  const selectedRef = useRef(selectedPetId);
+  useEffect(() => {
+    if (selectedRef.current === selectedPetId) return;
+    selectedRef.current = selectedPetId;
+    setFormData(prev => ({ ...prev, petId: selectedPetId }));
+  }, [selectedPetId]);
+
+  // The amount is kept in `duration` and the type's other fields under
+  // `details`, like on a saved activity (see activityTypes.js)
+  const setFormField = (name, value) => setFormData(prev => (
+    name === 'duration' || name === 'notes'
+      ? { ...prev, [name]: value }
+      : { ...prev, details: { ...prev.details, [name]: value } }
+  ));
+
+  // Each type has its own fields, so start over when the type changes
+  const setFormType = (activityType) => {
+    setFormData(prev => ({ ...prev, activityType, duration: '', details: {} }));
+    setFormErrors({});
+  };
+
+  const setLoading = (value) => dispatch({ type: 'loading', key: 'form', value });
+
+  const handleSubmit = async () => {
+    const errors = validateActivity(formData, pets);
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    try {
+      setLoading(true);
+      dispatch({ type: 'error', message: '' });
+
+      const pet = pets.find(item => item.id === formData.petId);
+      const activityData = {
+        petId: pet.id,
+        petName: pet.name,
+        activityType: formData.activityType,
+        ...storedDateTime(formData.dateTime),
+        ...activityFields(formData)
+      };
+
+      if (editingActivity) {
+        await onUpdate(editingActivity, activityData);
+        dispatch({ type: 'editing/finished' });
+        return;
+      }
+
+      await onLog(activityData);
+      // Keep the pet selected for convenience
+      setFormData(prev => emptyForm(prev.petId, initialDateTime));
+      setFormErrors({});
+    } catch (err) {
+      console.error('Error saving activity:', err);
+      // Show the backend's per-field complaints next to the fields
+      if (err instanceof ValidationError) setFormErrors(err.fieldErrors);
+      dispatch({ type: 'error', message: err.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Another meal for the form's pet close to the time being entered,
+  // e.g. someone else already fed the dog
+  const formPet = pets.find(pet => pet.id === formData.petId);
+  const nearbyMeal = formPet && formData.activityType === 'meal'
+    ? findNearbyActivity(selectAllActivities(state), {
+      pet: formPet,
+      type: 'meal',
+      dateTime: formData.dateTime,
+      excludeId: editingActivity && editingActivity.id
+    }, getPetGoals(formPet).mealWarningMinutes)
+    : null;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-800">
+          {editingActivity ? 'Edit Activity' : 'Log Activity'}
+        </h2>
+        {editingActivity && (
+          <button
+            onClick={() => dispatch({ type: 'editing/finished' })}
+            disabled={loading.form}
+            className="text-sm text-gray-600 hover:text-gray-800 underline"
+          >
+            Cancel edit
+          </button>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor={`${formId}-pet`} className="block text-sm font-medium text-gray-700 mb-1">
+          Pet
+        </label>
+        <select
+          {...fieldProps(`${formId}-pet`, formErrors.petId)}
+          value={formData.petId}
+          onChange={(e) => setFormData(prev => ({ ...prev, petId: e.target.value }))}
+          className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+            formErrors.petId ? 'border-red-500' : 'border-gray-300'
+          }`}
+          disabled={loading.form || pets.length === 0}
+        >
+          {pets.length === 0 && <option value="">Add a pet to start logging</option>}
+          {pets.map(pet => (
+            <option key={pet.id} value={pet.id}>{pet.name}</option>
+          ))}
+        </select>
+        <FieldError id={`${formId}-pet`} error={formErrors.petId} />
+      </div>
+
+      <div>
+        <label htmlFor={`${formId}-type`} className="block text-sm font-medium text-gray-700 mb-1">
+          Activity Type
+        </label>
+        <div className="flex items-center space-x-2">
+          <ActivityIcon type={formData.activityType} size="w-5 h-5" />
+          <select
+            id={`${formId}-type`}
+            value={formData.activityType}
+            onChange={(e) => setFormType(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            disabled={loading.form}
+          >
+            {ACTIVITY_TYPES.map(type => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <ActivityFields
+        values={formData}
+        errors={formErrors}
+        onChange={setFormField}
+        disabled={loading.form}
+      />
+
+      {editingActivity && editingActivity.route && (
+        <RouteMap route={editingActivity.route} />
+      )}
+
+      <div>
+        <label htmlFor={`${formId}-dateTime`} className="block text-sm font-medium text-gray-700 mb-1">
+          Date & Time
+        </label>
+        <input
+          {...fieldProps(`${formId}-dateTime`, formErrors.dateTime)}
+          type="datetime-local"
+          value={formData.dateTime}
+          onChange={(e) => setFormData(prev => ({ ...prev, dateTime: e.target.value }))}
+          className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+            formErrors.dateTime ? 'border-red-500' : 'border-gray-300'
+          }`}
+          disabled={loading.form}
+        />
+        <FieldError id={`${formId}-dateTime`} error={formErrors.dateTime} />
+      </div>
+
+      {nearbyMeal && (
+        <div className="flex items-start bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded text-sm text-yellow-800">
+          <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+          <span>
+            {formPet.name} already had a meal at {new Date(nearbyMeal.dateTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            {nearbyMeal.loggedBy && `, logged by ${loggedByLabel(nearbyMeal, session.user.id)}`}.
+            Make sure this isn't a second feeding.
+          </span>
+        </div>
+      )}
+
+      <button
+        onClick={handleSubmit}
+        disabled={loading.form}
+        className="w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white py-3 px-4 rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-200 font-medium motion-safe:hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+      >
+        {loading.form ? (
+          <div className="flex items-center justify-center space-x-2">
+            <Loader2 className="w-5 h-5 animate-spin" />
+            <span>{editingActivity ? 'Saving...' : 'Logging...'}</span>
+          </div>
+        ) : (
+          editingActivity ? 'Save Changes' : 'Log Activity'
+        )}
+      </button>
+    </div>
+  );
+};
+
+export default ActivityForm;
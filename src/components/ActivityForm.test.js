@@ -0,0 +1,151 @@
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { ValidationError } from '../apiClient';
+import { StoreProvider, useStore } from '../store';
+import ActivityForm from './ActivityForm';
+
+jest.mock('../apiService');
+
+const session = { user: { id: 'u1', name: 'Sam' }, household: { name: 'Home' } };
+const pets = [{ id: 'p1', name: 'Rex' }, { id: 'p2', name: 'Tom' }];
+
+// Renders the form the way App does, keyed by the activity being edited.
+// Returns the store, for tests to dispatch to and inspect, along with the
+// rendered `container`.
+const renderForm = (props = {}) => {
+  const store = {};
+  const Form = () => {
+    Object.assign(store, useStore());
+    const { editingActivity } = store.state;
+    return <ActivityForm key={editingActivity ? editingActivity.id : 'new'} {...props} />;
+  };
+  const { container } = render(<StoreProvider session={session}><Form /></StoreProvider>);
+  store.container = container;
+  return store;
+};
+
+const submit = (name = 'Log Activity') => fireEvent.click(screen.getByRole('button', { name }));
+
+describe('ActivityForm', () => {
+  beforeEach(() => {
+    localStorage.setItem('petProfiles', JSON.stringify(pets));
+    localStorage.setItem('selectedPetId', 'p1');
+  });
+
+  afterEach(() => localStorage.clear());
+
+  it('is accessible, with and without errors', async () => {
+    const { container } = renderForm({ onLog: jest.fn() });
+    expect(await axe(container)).toHaveNoViolations();
+
+    submit();
+    expect(screen.getByLabelText('Duration (minutes)')).toHaveAttribute('aria-invalid', 'true');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('flags missing fields instead of logging', () => {
+    const onLog = jest.fn();
+    renderForm({ onLog });
+
+    submit();
+
+    expect(onLog).not.toHaveBeenCalled();
+    const duration = screen.getByLabelText('Duration (minutes)');
+    expect(duration).toHaveAttribute('aria-invalid', 'true');
+    expect(duration).toHaveAccessibleDescription('Duration is required');
+  });
+
+  it('logs an activity for the selected pet and starts over', async () => {
+    const onLog = jest.fn().mockResolvedValue();
+    renderForm({ onLog, initialDateTime: '2024-05-01T08:30' });
+
+    fireEvent.change(screen.getByLabelText('Duration (minutes)'), { target: { value: '45' } });
+    fireEvent.change(screen.getByLabelText(/^Distance/), { target: { value: '3.5' } });
+    submit();
+
+    await waitFor(() => expect(onLog).toHaveBeenCalledTimes(1));
+    expect(onLog.mock.calls[0][0]).toMatchObject({
+      petId: 'p1',
+      petName: 'Rex',
+      activityType: 'walk',
+      duration: 45,
+      details: { distance: 3.5 }
+    });
+    expect(new Date(onLog.mock.calls[0][0].dateTime)).toEqual(new Date(2024, 4, 1, 8, 30));
+    await waitFor(() => expect(screen.getByLabelText('Duration (minutes)')).toHaveValue(null));
+    expect(screen.getByLabelText('Pet')).toHaveValue('p1');
+  });
+
+  it("shows the chosen type's fields", () => {
+    renderForm({ onLog: jest.fn() });
+
+    fireEvent.change(screen.getByLabelText('Duration (minutes)'), { target: { value: '45' } });
+    fireEvent.change(screen.getByLabelText('Activity Type'), { target: { value: 'meal' } });
+
+    expect(screen.queryByLabelText('Duration (minutes)')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Quantity (portion)')).toHaveValue(null);
+    expect(screen.getByLabelText(/^Food/)).toBeInTheDocument();
+  });
+
+  it("shows the backend's field errors next to the fields", async () => {
+    const onLog = jest.fn().mockRejectedValue(
+      new ValidationError('Check the highlighted fields', 422, { duration: 'Too long for one walk' })
+    );
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = renderForm({ onLog });
+
+    fireEvent.change(screen.getByLabelText('Duration (minutes)'), { target: { value: '45' } });
+    submit();
+
+    expect(await screen.findByText('Too long for one walk')).toBeInTheDocument();
+    expect(screen.getByLabelText('Duration (minutes)')).toHaveAttribute('aria-invalid', 'true');
+    expect(store.state.error).toBe('Check the highlighted fields');
+    expect(store.state.loading.form).toBe(false);
+    console.error.mockRestore();
+  });
+
+  it('edits the activity opened from the list', async () => {
+    const activity = {
+      id: 'a1',
+      type: 'meal',
+      petId: 'p2',
+      petName: 'Tom',
+      duration: 1,
+      details: { food: 'kibble' },
+      dateTime: new Date(2024, 4, 1, 7, 0).toISOString()
+    };
+    const onUpdate = jest.fn().mockResolvedValue();
+    const store = renderForm({ onLog: jest.fn(), onUpdate });
+
+    act(() => store.dispatch({ type: 'editing/started', activity }));
+
+    expect(screen.getByRole('heading', { name: 'Edit Activity' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Pet')).toHaveValue('p2');
+    expect(screen.getByLabelText(/^Food/)).toHaveValue('kibble');
+
+    fireEvent.change(screen.getByLabelText('Quantity (portion)'), { target: { value: '1.5' } });
+    submit('Save Changes');
+
+    await waitFor(() => expect(store.state.editingActivity).toBeNull());
+    expect(onUpdate).toHaveBeenCalledWith(activity, expect.objectContaining({
+      petId: 'p2',
+      activityType: 'meal',
+      duration: 1.5,
+      details: { food: 'kibble' }
+    }));
+    expect(screen.getByRole('heading', { name: 'Log Activity' })).toBeInTheDocument();
+  });
+
+  it('cancels an edit', () => {
+    const store = renderForm({ onLog: jest.fn(), onUpdate: jest.fn() });
+    act(() => store.dispatch({
+      type: 'editing/started',
+      activity: { id: 'a1', type: 'walk', petId: 'p1', duration: 30, dateTime: new Date().toISOString() }
+    }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel edit' }));
+
+    expect(store.state.editingActivity).toBeNull();
+  });
+});
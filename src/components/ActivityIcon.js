@@ -0,0 +1,16 @@
+import React from 'react';
+import { Circle } from 'lucide-react';
+import { getActivityType } from '../activityTypes';
+
+// The registry's icon for an activity type, in the type's colours
+const ActivityIcon = ({ type, size = 'w-4 h-4' }) => {
+  const definition = getActivityType(type);
+  const Icon = definition ? definition.icon : Circle;
+  return (
+    <span className={`inline-flex items-center justify-center rounded-full p-1.5 flex-shrink-0 ${definition ? definition.color : 'text-gray-500 bg-gray-100'}`}>
+      <Icon className={size} />
+    </span>
+  );
+};
+
+export default ActivityIcon;
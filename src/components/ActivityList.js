@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { Clock, CloudOff, History, Loader2, Pencil, Trash2, X } from 'lucide-react';
+import { activityLabel, describeActivity, formatActivityFields, loggedByLabel } from '../activities';
+import { formatDateTime, formatRelativeTime } from '../dates';
+import ActivityIcon from './ActivityIcon';
+import ClearActivitiesPanel from './ClearActivitiesPanel';
+import SwipeableCard from './SwipeableCard';
+
+// The selected pet's latest activities, tap to edit and swipe left to
+// delete. `activities` are the pet's (oldest first), `allActivities`
+// everyone's, for the Clear All scopes. `onClear(targets)` resolves once they're deleted.
+const ActivityList = ({
+  activities,
+  allActivities,
+  pet,
+  pets,
+  editingId,
+  now,
+  currentUserId,
+  loading,
+  onEdit,
+  onDelete,
+  onClear,
+  onShowHistory
+}) => {
+  const [showClear, setShowClear] = useState(false);
+
+  if (activities.length === 0) return null;
+
+  const handleClear = async (targets) => {
+    await onClear(targets);
+    setShowClear(false);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+          <Clock className="w-5 h-5 mr-2" />
+          Recent Activities
+        </h2>
+        <button
+          onClick={() => setShowClear(prev => !prev)}
+          disabled={loading}
+          aria-expanded={showClear}
+          className="flex items-center space-x-1 px-3 py-1 text-sm text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Trash2 className="w-4 h-4" />
+          <span>Clear All</span>
+        </button>
+      </div>
+      {showClear && (
+        <ClearActivitiesPanel
+          pet={pet}
+          pets={pets}
+          activities={allActivities}
+          busy={loading}
+          onClear={handleClear}
+          onCancel={() => setShowClear(false)}
+        />
+      )}
+      <ul className="space-y-2 max-h-48 overflow-y-auto" aria-label="Recent activities" aria-busy={loading}>
+        {loading ? (
+          <li className="flex items-center justify-center py-8">
+            <Loader2 className="w-6 h-6 animate-spin text-purple-500" aria-label="Loading activities" />
+          </li>
+        ) : (
+          activities
+            .slice()
+            .reverse()
+            .slice(0, 5)
+            .map((activity) => (
+              <li key={activity.id}>
+                <SwipeableCard
+                  label={describeActivity(activity)}
+                  onDelete={() => onDelete(activity)}
+                  actions={[
+                    { label: 'Edit', icon: Pencil, onClick: () => onEdit(activity) },
+                    { label: 'Delete', icon: Trash2, destructive: true, onClick: () => onDelete(activity) }
+                  ]}
+                >
+                  <div
+                    className={`bg-white p-3 rounded-lg shadow-sm border group flex items-start hover:border-purple-200 ${
+                      editingId === activity.id ? 'border-purple-400' : 'border-gray-100'
+                    }`}
+                  >
+                    <div
+                      role="button"
+                      tabIndex={0}
+                      onClick={() => onEdit(activity)}
+                      onKeyDown={(e) => {
+                        if (e.target !== e.currentTarget || (e.key !== 'Enter' && e.key !== ' ')) return;
+                        e.preventDefault();
+                        onEdit(activity);
+                      }}
+                      aria-label={`Edit ${describeActivity(activity)}`}
+                      aria-pressed={editingId === activity.id}
+                      className="flex-1 min-w-0 cursor-pointer rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-purple-500"
+                      title="Tap to edit, swipe left to delete"
+                    >
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center flex-wrap">
+                          <ActivityIcon type={activity.type} />
+                          <span className="font-medium ml-2">{activityLabel(activity.type)}</span>
+                          <span className="text-gray-600 ml-2">
+                            {formatActivityFields(activity)}{activity.medicationName && ` ${activity.medicationName}`}
+                          </span>
+                          {activity.pending && (
+                            <span className="inline-flex items-center ml-2 px-2 py-0.5 text-xs text-orange-700 bg-orange-100 rounded-full" title="Saved offline, will sync when connected">
+                              <CloudOff className="w-3 h-3 mr-1" aria-hidden="true" />
+                              Pending
+                            </span>
+                          )}
+                        </div>
+                        <span className="text-sm text-gray-500 whitespace-nowrap" title={formatDateTime(activity.dateTime, activity.timezone)}>
+                          {formatRelativeTime(activity.dateTime, now)}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-600">
+                        {activity.petName}
+                        {activity.loggedBy && <span className="text-gray-400"> · by {loggedByLabel(activity, currentUserId)}</span>}
+                      </p>
+                      <p className="text-xs text-gray-400">{formatDateTime(activity.dateTime, activity.timezone)}</p>
+                      {activity.notes && (
+                        <p className="text-sm text-gray-500 line-clamp-2">{activity.notes}</p>
+                      )}
+                    </div>
+                    {/* Always shown on touch screens, on hover or focus elsewhere */}
+                    <button
+                      onClick={() => onDelete(activity)}
+                      className="ml-2 p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-all duration-200 can-hover:opacity-0 group-hover:opacity-100 group-focus-within:opacity-100"
+                      title="Delete activity"
+                      aria-label={`Delete ${describeActivity(activity)}`}
+                    >
+                      <X className="w-4 h-4" aria-hidden="true" />
+                    </button>
+                  </div>
+                </SwipeableCard>
+              </li>
+            ))
+        )}
+      </ul>
+
+      {/* Show more activities indicator */}
+      <div className="text-center mt-2">
+        {activities.length > 5 && (
+          <p className="text-sm text-gray-500">
+            Showing 5 of {activities.length} activities
+          </p>
+        )}
+        <button
+          onClick={onShowHistory}
+          className="inline-flex items-center space-x-1 text-sm text-purple-600 hover:text-purple-800 mt-1"
+        >
+          <History className="w-4 h-4" />
+          <span>View full history</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityList;
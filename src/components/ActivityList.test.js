@@ -0,0 +1,128 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { describeActivity } from '../activities';
+import ActivityList from './ActivityList';
+
+jest.mock('../apiService');
+
+const pet = { id: 'p1', name: 'Rex' };
+
+const walk = (id, hour, fields = {}) => ({
+  id,
+  type: 'walk',
+  petId: 'p1',
+  petName: 'Rex',
+  duration: 30,
+  dateTime: new Date(2024, 4, 1, hour).toISOString(),
+  ...fields
+});
+
+const renderList = (props = {}) => {
+  const activities = props.activities || [walk('a1', 8), walk('a2', 12)];
+  const handlers = {
+    onEdit: jest.fn(),
+    onDelete: jest.fn(),
+    onClear: jest.fn().mockResolvedValue(),
+    onShowHistory: jest.fn()
+  };
+  render(
+    <ActivityList
+      activities={activities}
+      allActivities={activities}
+      pet={pet}
+      pets={[pet]}
+      editingId={null}
+      now={new Date(2024, 4, 1, 13)}
+      currentUserId="u1"
+      loading={false}
+      {...handlers}
+      {...props}
+    />
+  );
+  return handlers;
+};
+
+describe('ActivityList', () => {
+  it('renders nothing without activities', () => {
+    const { container } = render(
+      <ActivityList activities={[]} allActivities={[]} pet={pet} pets={[pet]} now={new Date()} />
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('lists the latest five, newest first', () => {
+    const activities = [6, 7, 8, 9, 10, 11].map(hour => walk(`a${hour}`, hour));
+    renderList({ activities });
+
+    const items = within(screen.getByRole('list', { name: 'Recent activities' })).getAllByRole('listitem');
+    expect(items).toHaveLength(5);
+    expect(within(items[0]).getByRole('button', { name: `Edit ${describeActivity(activities[5])}` })).toBeInTheDocument();
+    expect(screen.getByText('Showing 5 of 6 activities')).toBeInTheDocument();
+  });
+
+  it('edits an activity by click or keyboard', () => {
+    const activity = walk('a1', 8);
+    const { onEdit } = renderList({ activities: [activity] });
+    const card = screen.getByRole('button', { name: `Edit ${describeActivity(activity)}` });
+
+    fireEvent.click(card);
+    fireEvent.keyDown(card, { key: 'Enter' });
+    expect(onEdit).toHaveBeenCalledTimes(2);
+    expect(onEdit).toHaveBeenCalledWith(activity);
+  });
+
+  it('marks the activity being edited', () => {
+    const activity = walk('a1', 8);
+    renderList({ activities: [activity], editingId: 'a1' });
+    expect(screen.getByRole('button', { name: `Edit ${describeActivity(activity)}` })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('deletes an activity from its button or the Delete key', () => {
+    const activity = walk('a1', 8);
+    const { onDelete } = renderList({ activities: [activity] });
+
+    fireEvent.click(screen.getByRole('button', { name: `Delete ${describeActivity(activity)}` }));
+    fireEvent.keyDown(screen.getByRole('button', { name: `Edit ${describeActivity(activity)}` }), { key: 'Delete' });
+    expect(onDelete).toHaveBeenCalledTimes(2);
+    expect(onDelete).toHaveBeenCalledWith(activity);
+  });
+
+  it('opens its actions menu from the keyboard', () => {
+    const activity = walk('a1', 8);
+    const { onEdit } = renderList({ activities: [activity] });
+
+    fireEvent.keyDown(screen.getByRole('button', { name: `Edit ${describeActivity(activity)}` }), { key: 'F10', shiftKey: true });
+    const menu = screen.getByRole('menu', { name: `Actions for ${describeActivity(activity)}` });
+    expect(within(menu).getByRole('menuitem', { name: 'Edit' })).toHaveFocus();
+
+    fireEvent.click(within(menu).getByRole('menuitem', { name: 'Edit' }));
+    expect(onEdit).toHaveBeenCalledWith(activity);
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+  });
+
+  it('clears the chosen activities and closes the panel', async () => {
+    const activities = [walk('a1', 8), walk('a2', 12)];
+    const { onClear } = renderList({ activities });
+    const toggle = screen.getByRole('button', { name: 'Clear All' });
+
+    fireEvent.click(toggle);
+    expect(toggle).toHaveAttribute('aria-expanded', 'true');
+    fireEvent.click(screen.getByRole('button', { name: 'Delete 2 activities' }));
+
+    expect(onClear).toHaveBeenCalledWith(activities);
+    await waitFor(() => expect(toggle).toHaveAttribute('aria-expanded', 'false'));
+  });
+
+  it('shows a spinner while loading', () => {
+    renderList({ loading: true });
+    expect(screen.getByRole('list', { name: 'Recent activities' })).toHaveAttribute('aria-busy', 'true');
+    expect(screen.queryByRole('button', { name: /^Edit / })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Clear All' })).toBeDisabled();
+  });
+
+  it('opens the full history', () => {
+    const { onShowHistory } = renderList();
+    fireEvent.click(screen.getByRole('button', { name: 'View full history' }));
+    expect(onShowHistory).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ArrowLeft, Flame, Loader2 } from 'lucide-react';
+import apiService from '../apiService';
+import { matchesFilters } from '../activities';
+import { adherence, currentStreak, dailyTotals, lastNDays } from '../analytics';
+import { fromFormDateTime } from '../dates';
+import { getPetGoals } from '../goals';
+import { dailyDoseTarget } from '../medications';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+const LABEL_HEIGHT = 14;
+
+// Day-of-month or weekday initial for the x axis
+const dayTickLabel = (key, range) => {
+  const [year, month, day] = key.split('-').map(Number);
+  if (range === 7) {
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'narrow' });
+  }
+  return day % 5 === 0 ? String(day) : '';
+};
+
+// Daily bars with an optional dashed goal line, drawn like the summary ring.
+// `label` names the chart for screen readers.
+const BarChart = ({ label, days, values, goal, range, color, overColor, unit }) => {
+  const max = Math.max(goal || 0, ...values, 1);
+  const plotHeight = CHART_HEIGHT - LABEL_HEIGHT;
+  const slot = CHART_WIDTH / days.length;
+  const barWidth = Math.max(slot * 0.7, 2);
+  const goalY = plotHeight - (goal / max) * plotHeight;
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-32" role="img" aria-label={label}>
+      {days.map((day, i) => {
+        const height = (values[i] / max) * plotHeight;
+        const x = i * slot + (slot - barWidth) / 2;
+        return (
+          <g key={day}>
+            <rect
+              x={x}
+              y={plotHeight - height}
+              width={barWidth}
+              height={height}
+              rx="2"
+              fill={overColor && goal && values[i] > goal ? overColor : color}
+              className="transition-all duration-500 ease-out"
+            >
+              <title>{`${day}: ${values[i]} ${unit}`}</title>
+            </rect>
+            <text x={i * slot + slot / 2} y={CHART_HEIGHT - 2} textAnchor="middle" fontSize="9" fill="#6b7280">
+              {dayTickLabel(day, range)}
+            </text>
+          </g>
+        );
+      })}
+      {goal > 0 && (
+        <line x1="0" x2={CHART_WIDTH} y1={goalY} y2={goalY} stroke="#f59e0b" strokeWidth="1.5" strokeDasharray="4 3" />
+      )}
+    </svg>
+  );
+};
+
+// Medication adherence heatmap: one cell per day, in weekday columns.
+// `scheduled` is each day's dose target by day key.
+const AdherenceHeatmap = ({ days, totals, scheduled }) => {
+  const cell = 16;
+  const gap = 3;
+  const [year, month, day] = days[0].split('-').map(Number);
+  const offset = new Date(year, month - 1, day).getDay();
+  const rows = Math.ceil((days.length + offset) / 7);
+
+  const fill = (key) => {
+    const ratio = adherence(totals[key].medications, scheduled[key]);
+    if (ratio === null) return totals[key].medications > 0 ? '#c4b5fd' : '#f3f4f6';
+    if (ratio === 0) return '#fecaca';
+    if (ratio < 1) return '#c4b5fd';
+    return '#7c3aed';
+  };
+
+  return (
+    <svg
+      viewBox={`0 0 ${7 * (cell + gap)} ${rows * (cell + gap)}`}
+      className="w-48"
+      role="img"
+      aria-label={`Medication doses, last ${days.length} days`}
+    >
+      {days.map((key, i) => {
+        const position = i + offset;
+        return (
+          <rect
+            key={key}
+            x={(position % 7) * (cell + gap)}
+            y={Math.floor(position / 7) * (cell + gap)}
+            width={cell}
+            height={cell}
+            rx="3"
+            fill={fill(key)}
+          >
+            <title>{`${key}: ${totals[key].medications}${scheduled[key] ? `/${scheduled[key]}` : ''} doses`}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+};
+
+const StreakCard = ({ label, days, color }) => (
+  <div className="flex-1 bg-white rounded-lg p-3 shadow-sm text-center">
+    <div className={`flex items-center justify-center space-x-1 ${color}`}>
+      <Flame className="w-4 h-4" />
+      <span className="text-xl font-bold">{days}</span>
+    </div>
+    <p className="text-xs text-gray-500">{label}</p>
+  </div>
+);
+
+const AnalyticsPanel = ({ pets, initialPetId, onBack }) => {
+  const [petId, setPetId] = useState(initialPetId || (pets[0] && pets[0].id) || '');
+  const [range, setRange] = useState(7);
+  const [activities, setActivities] = useState([]);
+  const [medications, setMedications] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const pet = pets.find(item => item.id === petId) || null;
+  const goals = getPetGoals(pet);
+
+  // Streaks look back further than the charts
+  const historyDays = lastNDays(90);
+  const from = historyDays[0];
+
+  const loadActivities = useCallback(async ({ signal } = {}) => {
+    try {
+      setLoading(true);
+      setError('');
+      const [result, medicationResult] = await Promise.all([
+        apiService.getActivities({ petId, from }, { signal }),
+        petId ? apiService.getMedications(petId, { signal }) : { data: [] }
+      ]);
+      setActivities(result.data.activities.filter(activity => matchesFilters(activity, { petId, from }, pets)));
+      setMedications(medicationResult.data);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error loading analytics:', err);
+      setError(err.message);
+    }
+    setLoading(false);
+  }, [petId, from, pets]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadActivities({ signal: controller.signal });
+    return () => controller.abort();
+  }, [loadActivities]);
+
+  const totals = dailyTotals(activities, historyDays);
+  const days = historyDays.slice(-range);
+  // Each day's dose target, counted like Today's Summary does
+  const scheduledDoses = Object.fromEntries(historyDays.map(day => [
+    day,
+    dailyDoseTarget(medications, goals.medicationTimes, fromFormDateTime(`${day}T12:00`))
+  ]));
+  const hasSchedule = Object.values(scheduledDoses).some(count => count > 0);
+
+  const streaks = {
+    walks: currentStreak(historyDays, totals, day => goals.walkMinutes > 0 && day.walks >= goals.walkMinutes),
+    meals: currentStreak(historyDays, totals, day => goals.meals > 0 && day.meals >= goals.meals),
+    medications: currentStreak(historyDays, totals, (day, key) => scheduledDoses[key] > 0 && day.medications >= scheduledDoses[key])
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onBack}
+            className="p-1 text-gray-600 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+            title="Back to tracker"
+            aria-label="Back to tracker"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <h2 className="text-lg font-semibold text-gray-800">Trends</h2>
+          {loading && <Loader2 className="w-4 h-4 animate-spin text-purple-500" />}
+        </div>
+        <select
+          value={petId}
+          onChange={(e) => setPetId(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        >
+          {pets.map(item => (
+            <option key={item.id} value={item.id}>{item.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 p-4 rounded">
+          <p className="text-red-800 text-sm">{error}</p>
+          <button onClick={loadActivities} className="text-red-600 underline text-sm mt-1">
+            Try again
+          </button>
+        </div>
+      )}
+
+      {/* Streaks */}
+      <div className="flex space-x-2">
+        <StreakCard label="day walk streak" days={streaks.walks} color="text-green-600" />
+        <StreakCard label="day meal streak" days={streaks.meals} color="text-blue-600" />
+        <StreakCard label="day med streak" days={streaks.medications} color="text-purple-600" />
+      </div>
+
+      <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+        {[7, 30].map(option => (
+          <button
+            key={option}
+            onClick={() => setRange(option)}
+            aria-pressed={range === option}
+            className={`flex-1 py-1 rounded-md transition-colors ${range === option ? 'bg-white shadow-sm font-medium' : 'text-gray-600'}`}
+          >
+            {option} days
+          </button>
+        ))}
+      </div>
+
+      {/* Walk minutes */}
+      <div className="bg-gradient-to-r from-green-50 to-blue-50 p-4 rounded-lg">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold text-gray-800">Walk Minutes</h3>
+          <span className="text-xs text-amber-600">- - goal {goals.walkMinutes} min</span>
+        </div>
+        <BarChart
+          label={`Walk minutes, last ${range} days`}
+          days={days}
+          values={days.map(day => totals[day].walks)}
+          goal={goals.walkMinutes}
+          range={range}
+          color="#10b981"
+          unit="min"
+        />
+      </div>
+
+      {/* Meals */}
+      <div className="bg-gradient-to-r from-blue-50 to-purple-50 p-4 rounded-lg">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold text-gray-800">Meals per Day</h3>
+          <span className="text-xs text-amber-600">- - goal {goals.meals}</span>
+        </div>
+        <BarChart
+          label={`Meals per day, last ${range} days`}
+          days={days}
+          values={days.map(day => totals[day].meals)}
+          goal={goals.meals}
+          range={range}
+          color="#3b82f6"
+          overColor="#f97316"
+          unit="meals"
+        />
+      </div>
+
+      {/* Medication adherence */}
+      <div className="bg-gradient-to-r from-purple-50 to-blue-50 p-4 rounded-lg">
+        <h3 className="font-semibold text-gray-800 mb-2">Medication Adherence</h3>
+        {!hasSchedule && (
+          <p className="text-xs text-gray-500 mb-2">No medication schedule set for {pet ? pet.name : 'this pet'}.</p>
+        )}
+        <div className="flex items-end space-x-4">
+          <AdherenceHeatmap days={historyDays.slice(-30)} totals={totals} scheduled={scheduledDoses} />
+          <div className="space-y-1 text-xs text-gray-600">
+            <div className="flex items-center"><span className="w-3 h-3 rounded-sm bg-purple-600 mr-1" />All doses</div>
+            <div className="flex items-center"><span className="w-3 h-3 rounded-sm bg-purple-300 mr-1" />Some doses</div>
+            <div className="flex items-center"><span className="w-3 h-3 rounded-sm bg-red-200 mr-1" />Missed</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsPanel;
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useId } from 'react';
+import { Heart, Loader2 } from 'lucide-react';
+import apiService from '../apiService';
+import { ValidationError } from '../apiClient';
+import FieldError, { fieldProps } from './FieldError';
+import ServerSettings from './ServerSettings';
+import { adoptHousehold, clearLocalData, clearSession, loadSession, onSessionChange, validateCredentials } from '../auth';
+
+const emptyCredentials = () => ({
+  name: '',
+  email: '',
+  password: '',
+  householdName: '',
+  inviteCode: ''
+});
+
+// Sign-up and login screen
+const AuthScreen = () => {
+  const [mode, setMode] = useState('login');
+  const [fields, setFields] = useState(emptyCredentials);
+  const [errors, setErrors] = useState({});
+  const formId = useId();
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [showServer, setShowServer] = useState(false);
+
+  const setField = (field, value) => setFields(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateCredentials({ mode, ...fields });
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const credentials = { email: fields.email.trim(), password: fields.password };
+      const result = mode === 'signup'
+        ? await apiService.signUp({
+          ...credentials,
+          name: fields.name.trim(),
+          householdName: fields.householdName.trim() || undefined,
+          inviteCode: fields.inviteCode.trim() || undefined
+        })
+        : await apiService.login(credentials);
+      await adoptHousehold(result.data);
+    } catch (err) {
+      console.error('Error signing in:', err);
+      // e.g. an email that already has an account
+      if (err instanceof ValidationError) setErrors(err.fieldErrors);
+      setError(err.status === 401 ? 'Wrong email or password' : err.message);
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(mode === 'login' ? 'signup' : 'login');
+    setErrors({});
+    setError('');
+  };
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+    errors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  return (
+    <form onSubmit={handleSubmit} className="p-6 space-y-4">
+      <h2 className="text-lg font-semibold text-gray-800">
+        {mode === 'login' ? 'Sign in to your household' : 'Create an account'}
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 p-3 rounded">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+
+      {mode === 'signup' && (
+        <div>
+          <label htmlFor={`${formId}-name`} className="block text-sm font-medium text-gray-700 mb-1">Your name</label>
+          <input
+            {...fieldProps(`${formId}-name`, errors.name)}
+            type="text"
+            value={fields.name}
+            onChange={(e) => setField('name', e.target.value)}
+            className={inputClass('name')}
+            autoComplete="name"
+            disabled={submitting}
+          />
+          <FieldError id={`${formId}-name`} error={errors.name} />
+        </div>
+      )}
+
+      <div>
+        <label htmlFor={`${formId}-email`} className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+        <input
+          {...fieldProps(`${formId}-email`, errors.email)}
+          type="email"
+          value={fields.email}
+          onChange={(e) => setField('email', e.target.value)}
+          className={inputClass('email')}
+          autoComplete="email"
+          disabled={submitting}
+        />
+        <FieldError id={`${formId}-email`} error={errors.email} />
+      </div>
+
+      <div>
+        <label htmlFor={`${formId}-password`} className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+        <input
+          {...fieldProps(`${formId}-password`, errors.password)}
+          type="password"
+          value={fields.password}
+          onChange={(e) => setField('password', e.target.value)}
+          className={inputClass('password')}
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          disabled={submitting}
+        />
+        <FieldError id={`${formId}-password`} error={errors.password} />
+      </div>
+
+      {mode === 'signup' && (
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label htmlFor={`${formId}-householdName`} className="block text-sm font-medium text-gray-700 mb-1">Household name</label>
+            <input
+              {...fieldProps(`${formId}-householdName`, errors.householdName)}
+              type="text"
+              value={fields.householdName}
+              onChange={(e) => setField('householdName', e.target.value)}
+              className={inputClass('householdName')}
+              placeholder="The Smiths"
+              disabled={submitting || Boolean(fields.inviteCode.trim())}
+            />
+          </div>
+          <div>
+            <label htmlFor={`${formId}-inviteCode`} className="block text-sm font-medium text-gray-700 mb-1">Invite code</label>
+            <input
+              {...fieldProps(`${formId}-inviteCode`, errors.inviteCode)}
+              type="text"
+              value={fields.inviteCode}
+              onChange={(e) => setField('inviteCode', e.target.value)}
+              className={inputClass('inviteCode')}
+              placeholder="Optional"
+              disabled={submitting}
+            />
+          </div>
+          <p className="col-span-2 text-xs text-gray-500">
+            Leave the invite code empty to start a new household, or enter one to join an existing household.
+          </p>
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white py-3 rounded-lg font-semibold hover:from-purple-600 hover:to-blue-600 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitting ? <Loader2 className="w-5 h-5 animate-spin mx-auto" /> : mode === 'login' ? 'Sign In' : 'Create Account'}
+      </button>
+
+      <p className="text-center text-sm text-gray-600">
+        {mode === 'login' ? 'New here?' : 'Already have an account?'}{' '}
+        <button type="button" onClick={switchMode} className="text-purple-600 underline">
+          {mode === 'login' ? 'Create an account' : 'Sign in'}
+        </button>
+      </p>
+
+      <div className="border-t pt-3">
+        <button type="button" onClick={() => setShowServer(!showServer)} aria-expanded={showServer} className="text-xs text-gray-500 underline">
+          {showServer ? 'Hide server settings' : 'Server settings'}
+        </button>
+        {showServer && <div className="mt-3"><ServerSettings /></div>}
+      </div>
+    </form>
+  );
+};
+
+// Renders children({ session, onLogout }) once someone is signed in, and
+// the sign-in screen otherwise. The session is cleared from anywhere (e.g.
+// an expired refresh token in apiService), which brings the screen back.
+const AuthGate = ({ children }) => {
+  const [session, setSession] = useState(undefined);
+
+  useEffect(() => {
+    loadSession().then(setSession);
+    return onSessionChange(setSession);
+  }, []);
+
+  const handleLogout = async () => {
+    try {
+      await apiService.logout(session.refreshToken);
+    } catch (err) {
+      // Signing out locally still works if the server can't be reached
+      console.error('Error signing out:', err);
+    }
+    await clearLocalData();
+    await clearSession();
+  };
+
+  if (session) return children({ session, onLogout: handleLogout });
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50">
+      <div className="max-w-md mx-auto bg-white shadow-xl">
+        <div className="bg-gradient-to-r from-purple-500 to-blue-500 text-white p-6 rounded-t-lg">
+          <div className="flex items-center space-x-2">
+            <Heart className="w-6 h-6" />
+            <h1 className="text-xl font-bold">Pet Tracker</h1>
+          </div>
+        </div>
+        {session === undefined ? (
+          <div className="flex items-center justify-center py-16">
+            <Loader2 className="w-6 h-6 animate-spin text-purple-500" />
+          </div>
+        ) : (
+          <AuthScreen />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuthGate;
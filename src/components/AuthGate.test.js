@@ -0,0 +1,113 @@
+import 'fake-indexeddb/auto';
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { loadSession, saveSession } from '../auth';
+import { clearStore } from '../db';
+import { json, mockBackend } from '../testUtils/mockBackend';
+import AuthGate from './AuthGate';
+
+const signedIn = {
+  accessToken: 'access-1',
+  refreshToken: 'refresh-1',
+  user: { id: 'u1', name: 'Sam' },
+  household: { id: 'h1', name: 'Home' }
+};
+
+const renderGate = () => render(
+  <AuthGate>
+    {({ session, onLogout }) => (
+      <div>
+        <p>Signed in as {session.user.name}</p>
+        <button onClick={onLogout}>Sign out</button>
+      </div>
+    )}
+  </AuthGate>
+);
+
+const signIn = async (email, password) => {
+  fireEvent.change(await screen.findByLabelText('Email'), { target: { value: email } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: password } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+};
+
+describe('AuthGate', () => {
+  beforeEach(async () => {
+    await clearStore('settings');
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('signs in and keeps the session', async () => {
+    mockBackend({
+      'POST /api/auth/login': ({ body }) => (
+        body.email === 'sam@example.com' && body.password === 'secret'
+          ? json(200, { data: signedIn })
+          : json(401, { error: 'Invalid credentials' })
+      )
+    });
+    renderGate();
+
+    await signIn(' sam@example.com ', 'secret');
+
+    expect(await screen.findByText('Signed in as Sam')).toBeInTheDocument();
+    expect(await loadSession()).toEqual(signedIn);
+    expect(localStorage.getItem('householdId')).toBe('h1');
+  });
+
+  it('explains a wrong password', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockBackend({ 'POST /api/auth/login': () => json(401, { error: 'Invalid credentials' }) });
+    renderGate();
+
+    await signIn('sam@example.com', 'wrong');
+
+    expect(await screen.findByText('Wrong email or password')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Sign In' })).toBeEnabled();
+    expect(await loadSession()).toBeNull();
+    console.error.mockRestore();
+  });
+
+  it('checks the fields before calling the server', async () => {
+    mockBackend({});
+    renderGate();
+
+    await signIn('not-an-email', '');
+
+    expect(screen.getByLabelText('Email')).toHaveAccessibleDescription('Please enter a valid email address');
+    expect(screen.getByLabelText('Password')).toHaveAccessibleDescription('Please enter your password');
+    expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('/api/auth/'), expect.anything());
+  });
+
+  it("signs out and forgets the household's data", async () => {
+    await saveSession(signedIn);
+    localStorage.setItem('householdId', 'h1');
+    localStorage.setItem('petProfiles', '[]');
+    const logout = jest.fn(() => json(200, {}));
+    mockBackend({ 'POST /api/auth/logout': logout });
+    renderGate();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Sign out' }));
+
+    expect(await screen.findByRole('heading', { name: 'Sign in to your household' })).toBeInTheDocument();
+    expect(logout).toHaveBeenCalledWith(expect.objectContaining({ body: { refreshToken: 'refresh-1' } }));
+    expect(await loadSession()).toBeNull();
+    expect(localStorage.getItem('petProfiles')).toBeNull();
+    expect(localStorage.getItem('householdId')).toBeNull();
+  });
+
+  it('signs out locally when the server fails to', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await saveSession(signedIn);
+    mockBackend({ 'POST /api/auth/logout': () => json(500, { error: 'Server error' }) });
+    renderGate();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Sign out' }));
+
+    expect(await screen.findByRole('heading', { name: 'Sign in to your household' })).toBeInTheDocument();
+    expect(await loadSession()).toBeNull();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,407 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { ArrowLeft, CheckCircle, ChevronLeft, ChevronRight, CloudOff, Loader2, Pencil, Plus, Trash2, X } from 'lucide-react';
+import { activityLabel, describeActivity, formatActivityFields, loggedByLabel, matchesFilters, otherTypeGroups } from '../activities';
+import { ACTIVITY_TYPES, getActivityType } from '../activityTypes';
+import { dailyTotals } from '../analytics';
+import { backfillDateTime, dayTimeline, monthBounds, monthGrid, monthKey, monthLabel, shiftDay, shiftMonth, typesByDay } from '../calendar';
+import { dayKey, dayLabel, fromFormDateTime } from '../dates';
+import { getPetGoals, summarizeGoals } from '../goals';
+import { fetchAllActivities } from '../importExport';
+import { daySchedule, scheduleAdherence } from '../medications';
+import { useStore } from '../store';
+import ActivityForm from './ActivityForm';
+import ActivityIcon from './ActivityIcon';
+import SwipeableCard from './SwipeableCard';
+
+const WEEKDAY_INITIALS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+// Days the arrow keys move through the month grid
+const ARROW_DAYS = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// A Today's Summary-style breakdown of one day: walk minutes against the
+// goal, meals, doses against the schedule and the other types as chips
+const DayBreakdown = ({ pet, day, activities, medications, now }) => {
+  const goals = getPetGoals(pet);
+  const totals = dailyTotals(activities, [day])[day];
+  // Statuses as they stood at the end of a past day
+  const at = day === dayKey(now) ? now : fromFormDateTime(`${day}T23:59`);
+  const schedule = daySchedule(medications, activities, at);
+  const doseTarget = medications.length > 0 ? schedule.length : goals.medicationTimes.length;
+  const goalStatus = summarizeGoals(totals, goals, doseTarget);
+  const doseAdherence = scheduleAdherence(schedule);
+
+  return (
+    <div className="bg-gradient-to-r from-green-50 to-blue-50 p-4 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-gray-600 flex items-center">
+          Walk Time
+          {goalStatus.walks.met && <CheckCircle className="w-4 h-4 text-green-500 ml-1" />}
+        </span>
+        <span className="font-semibold">{totals.walks} / {goals.walkMinutes} min</span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div
+          className="bg-gradient-to-r from-green-400 to-green-600 h-2 rounded-full"
+          style={{ width: `${goalStatus.walks.percent}%` }}
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <div className={`flex items-center rounded-full px-3 py-1 shadow-sm ${goalStatus.meals.over ? 'bg-orange-100' : 'bg-white'}`}>
+          <div className="w-2 h-2 bg-blue-500 rounded-full mr-2" />
+          <span className="text-sm">
+            {totals.meals}{goalStatus.meals.hasGoal && `/${goals.meals}`} meal{(goalStatus.meals.hasGoal ? goals.meals : totals.meals) !== 1 ? 's' : ''}
+          </span>
+          {goalStatus.meals.met && !goalStatus.meals.over && <CheckCircle className="w-4 h-4 text-green-500 ml-1" />}
+        </div>
+        <div className={`flex items-center rounded-full px-3 py-1 shadow-sm ${goalStatus.medications.over ? 'bg-red-100' : 'bg-white'}`}>
+          <div className="w-2 h-2 bg-purple-500 rounded-full mr-2" />
+          <span className="text-sm">
+            {totals.medications}{goalStatus.medications.hasGoal && `/${doseTarget}`} med{(goalStatus.medications.hasGoal ? doseTarget : totals.medications) !== 1 ? 's' : ''}
+          </span>
+          {goalStatus.medications.met && !goalStatus.medications.over && <CheckCircle className="w-4 h-4 text-green-500 ml-1" />}
+        </div>
+        {otherTypeGroups(activities).map(({ type, activities: logged }) => (
+          <div key={type.id} className="flex items-center bg-white rounded-full pl-1 pr-3 py-1 shadow-sm">
+            <ActivityIcon type={type.id} size="w-3 h-3" />
+            <span className="text-sm ml-2">{type.summarize(logged)}</span>
+          </div>
+        ))}
+      </div>
+
+      {schedule.length > 0 && (
+        <p className="text-sm text-gray-600">
+          {doseAdherence.taken} of {doseAdherence.dueSoFar} due dose{doseAdherence.dueSoFar !== 1 ? 's' : ''} given
+          {doseAdherence.dueSoFar > 0 && (
+            <span className={`ml-1 font-semibold ${doseAdherence.percent === 100 ? 'text-green-600' : 'text-red-600'}`}>
+              ({doseAdherence.percent}%)
+            </span>
+          )}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// A month of the selected pet's activities, one marker per type logged
+// each day. Tapping a day shows its timeline and breakdown, and lets
+// missed entries be backfilled or fixed there. `activities` are the
+// store's (including pending ones), so new entries show without a reload.
+const CalendarView = ({ pet, pets, activities: storeActivities, medications, now, currentUserId, reloadKey, onLog, onUpdate, onDelete, onBack }) => {
+  const { state, dispatch } = useStore();
+  const { editingActivity } = state;
+
+  const [month, setMonth] = useState(() => monthKey(now));
+  const [selectedDay, setSelectedDay] = useState(() => dayKey(now));
+  const [showForm, setShowForm] = useState(false);
+  const [loaded, setLoaded] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // The day the arrow keys moved to, focused once its month is shown
+  const [focusDay, setFocusDay] = useState(null);
+  const grid = useRef(null);
+
+  // Ignore a month that has since been navigated away from
+  const requestId = useRef(0);
+
+  const loadMonth = useCallback(async () => {
+    const id = ++requestId.current;
+    try {
+      setLoading(true);
+      setError('');
+      const received = await fetchAllActivities({ petId: pet.id, ...monthBounds(month) }, pets);
+      if (id !== requestId.current) return;
+      setLoaded(received);
+    } catch (err) {
+      if (id !== requestId.current) return;
+      console.error('Error loading calendar:', err);
+      setError(err.message);
+    } finally {
+      if (id === requestId.current) setLoading(false);
+    }
+  }, [pet.id, month, pets]);
+
+  useEffect(() => {
+    loadMonth();
+  }, [loadMonth, reloadKey]);
+
+  // Edits opened here stay here: start without one and drop it on leaving
+  useEffect(() => {
+    dispatch({ type: 'editing/finished' });
+    return () => dispatch({ type: 'editing/finished' });
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (!focusDay) return;
+    const button = grid.current.querySelector(`[data-day="${focusDay}"]`);
+    if (button) button.focus();
+    setFocusDay(null);
+  }, [focusDay, month]);
+
+  // The store's copy wins: it has this session's edits and pending entries
+  const byId = new Map(loaded.map(activity => [activity.id, activity]));
+  storeActivities
+    .filter(activity => matchesFilters(activity, { petId: pet.id, ...monthBounds(month) }, pets))
+    .forEach(activity => byId.set(activity.id, activity));
+  const activities = [...byId.values()];
+
+  const markers = typesByDay(activities);
+  const today = dayKey(now);
+  const timeline = selectedDay && selectedDay.startsWith(month) ? dayTimeline(activities, selectedDay) : [];
+
+  const changeMonth = (delta) => {
+    setMonth(prev => shiftMonth(prev, delta));
+    setSelectedDay(null);
+    setShowForm(false);
+    dispatch({ type: 'editing/finished' });
+  };
+
+  const selectDay = (day) => {
+    setSelectedDay(day);
+    setShowForm(false);
+    dispatch({ type: 'editing/finished' });
+  };
+
+  // Arrow keys move between days, into the next or previous month when
+  // they cross its edge, but not into the future
+  const handleDayKeyDown = (e, day) => {
+    const delta = ARROW_DAYS[e.key];
+    if (!delta) return;
+    e.preventDefault();
+    const target = shiftDay(day, delta);
+    if (target > today) return;
+    if (!target.startsWith(month)) {
+      setMonth(target.slice(0, 7));
+      setShowForm(false);
+      dispatch({ type: 'editing/finished' });
+    }
+    setSelectedDay(target);
+    setFocusDay(target);
+  };
+
+  // Tab stops at one day; the arrows do the rest
+  const tabDay = selectedDay && selectedDay.startsWith(month)
+    ? selectedDay
+    : (today.startsWith(month) ? today : `${month}-01`);
+
+  const dayDescription = (day) => {
+    const types = markers[day] || [];
+    return `${new Date(`${day}T12:00`).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' })}${
+      types.length > 0 ? `: ${types.map(type => type.label).join(', ')}` : ', nothing logged'
+    }`;
+  };
+
+  const editActivity = (activity) => dispatch({ type: 'editing/started', activity });
+
+  // Edits may move an activity to another day or month
+  const handleUpdate = async (original, activityData) => {
+    await onUpdate(original, activityData);
+    loadMonth();
+  };
+
+  const handleDelete = async (activity) => {
+    if (await onDelete(activity)) {
+      setLoaded(prev => prev.filter(item => item.id !== activity.id));
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-4">
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={onBack}
+          className="p-1 text-gray-600 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+          title="Back to tracker"
+          aria-label="Back to tracker"
+        >
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <h2 className="text-lg font-semibold text-gray-800">{pet.name}'s Calendar</h2>
+        {loading && <Loader2 className="w-4 h-4 animate-spin text-purple-500" />}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 p-4 rounded">
+          <p className="text-red-800 text-sm">{error}</p>
+          <button onClick={loadMonth} className="text-red-600 underline text-sm mt-1">
+            Try again
+          </button>
+        </div>
+      )}
+
+      {/* Month */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <button
+            onClick={() => changeMonth(-1)}
+            className="p-1 text-gray-600 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+            title="Previous month"
+            aria-label="Previous month"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <span className="font-medium text-gray-800">{monthLabel(month)}</span>
+          <button
+            onClick={() => changeMonth(1)}
+            disabled={month >= monthKey(now)}
+            className="p-1 text-gray-600 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors disabled:opacity-30 disabled:hover:bg-transparent"
+            title="Next month"
+            aria-label="Next month"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div ref={grid} className="grid grid-cols-7 gap-1 text-center" role="group" aria-label={monthLabel(month)}>
+          {WEEKDAY_INITIALS.map((initial, i) => (
+            <span key={i} className="text-xs text-gray-400" aria-hidden="true">{initial}</span>
+          ))}
+          {monthGrid(month).flat().map((day, i) => (day ? (
+            <button
+              key={day}
+              data-day={day}
+              onClick={() => selectDay(day)}
+              onKeyDown={(e) => handleDayKeyDown(e, day)}
+              disabled={day > today}
+              tabIndex={day === tabDay ? 0 : -1}
+              aria-label={dayDescription(day)}
+              aria-pressed={day === selectedDay}
+              aria-current={day === today ? 'date' : undefined}
+              className={`flex flex-col items-center h-12 pt-1 rounded-lg transition-colors disabled:opacity-40 ${
+                day === selectedDay ? 'bg-purple-100' : 'hover:bg-gray-100'
+              } ${day === today ? 'ring-1 ring-purple-400' : ''}`}
+              title={dayLabel(day, now)}
+            >
+              <span className={`text-sm ${day === selectedDay ? 'font-semibold text-purple-700' : 'text-gray-700'}`}>
+                {Number(day.slice(8))}
+              </span>
+              <span className="flex flex-wrap justify-center gap-0.5 px-0.5 mt-0.5" aria-hidden="true">
+                {(markers[day] || []).map(type => (
+                  <span key={type.id} className={`w-1.5 h-1.5 rounded-full ${type.dot}`} />
+                ))}
+              </span>
+            </button>
+          ) : (
+            <span key={`empty-${i}`} aria-hidden="true" />
+          )))}
+        </div>
+
+        {/* Legend */}
+        <div className="flex flex-wrap gap-x-3 gap-y-1 mt-3">
+          {ACTIVITY_TYPES.map(type => (
+            <span key={type.id} className="flex items-center text-xs text-gray-500">
+              <span className={`w-2 h-2 rounded-full mr-1 ${type.dot}`} />
+              {type.label}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* Selected day */}
+      {selectedDay && selectedDay.startsWith(month) && (
+        <div className="space-y-3 border-t pt-4">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold text-gray-800">{dayLabel(selectedDay, now)}</h3>
+            {!showForm && !editingActivity && (
+              <button
+                onClick={() => setShowForm(true)}
+                className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Add entry</span>
+              </button>
+            )}
+          </div>
+
+          {(showForm || editingActivity) && (
+            <div className="bg-white border border-purple-100 rounded-lg p-3">
+              <ActivityForm
+                key={editingActivity ? editingActivity.id : `new-${selectedDay}`}
+                initialDateTime={backfillDateTime(selectedDay, now)}
+                onLog={onLog}
+                onUpdate={handleUpdate}
+              />
+              {!editingActivity && (
+                <button
+                  onClick={() => setShowForm(false)}
+                  className="w-full mt-2 text-sm text-gray-600 hover:text-gray-800"
+                >
+                  Done
+                </button>
+              )}
+            </div>
+          )}
+
+          <DayBreakdown pet={pet} day={selectedDay} activities={timeline} medications={medications} now={now} />
+
+          {timeline.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing logged for {pet.name} this day.</p>
+          ) : (
+            <ol className="border-l-2 border-purple-100 ml-2 space-y-3">
+              {timeline.map(activity => (
+                <li key={activity.id} className="relative pl-4 group">
+                  <span className={`absolute -left-[5px] top-2 w-2 h-2 rounded-full ${
+                    getActivityType(activity.type) ? getActivityType(activity.type).dot : 'bg-gray-400'
+                  }`} />
+                  <SwipeableCard
+                    label={describeActivity(activity)}
+                    onDelete={() => handleDelete(activity)}
+                    actions={[
+                      { label: 'Edit', icon: Pencil, onClick: () => editActivity(activity) },
+                      { label: 'Delete', icon: Trash2, destructive: true, onClick: () => handleDelete(activity) }
+                    ]}
+                  >
+                    <div className="flex items-start justify-between bg-white">
+                      <div className="min-w-0">
+                        <p className="text-sm">
+                          <span className="text-gray-500 mr-2">{formatTime(activity.dateTime)}</span>
+                          <span className="font-medium">{activityLabel(activity.type)}</span>
+                          <span className="text-gray-600 ml-2">
+                            {formatActivityFields(activity)}{activity.medicationName && ` ${activity.medicationName}`}
+                          </span>
+                          {activity.pending && (
+                            <span className="inline-flex items-center ml-2 px-2 py-0.5 text-xs text-orange-700 bg-orange-100 rounded-full" title="Saved offline, will sync when connected">
+                              <CloudOff className="w-3 h-3 mr-1" aria-hidden="true" />
+                              Pending
+                            </span>
+                          )}
+                        </p>
+                        {activity.loggedBy && (
+                          <p className="text-xs text-gray-400">by {loggedByLabel(activity, currentUserId)}</p>
+                        )}
+                        {activity.notes && <p className="text-sm text-gray-500 line-clamp-2">{activity.notes}</p>}
+                      </div>
+                      {/* Always shown on touch screens, on hover or focus elsewhere */}
+                      <div className="flex items-center space-x-1 transition-opacity can-hover:opacity-0 group-hover:opacity-100 group-focus-within:opacity-100">
+                        <button
+                          onClick={() => editActivity(activity)}
+                          className="p-1 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+                          title="Edit activity"
+                          aria-label={`Edit ${describeActivity(activity)}`}
+                        >
+                          <Pencil className="w-4 h-4" aria-hidden="true" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(activity)}
+                          className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                          title="Delete activity"
+                          aria-label={`Delete ${describeActivity(activity)}`}
+                        >
+                          <X className="w-4 h-4" aria-hidden="true" />
+                        </button>
+                      </div>
+                    </div>
+                  </SwipeableCard>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarView;
@@ -0,0 +1,458 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Bookmark, Check, Copy, List, Loader2, Pencil, Plus, Search, Square, Trash2 } from 'lucide-react';
+import apiService from '../apiService';
+import { createClientId } from '../outbox';
+import { useConfirm } from './ConfirmDialog';
+import Markdown from './Markdown';
+
+const TITLE_LENGTH = 40;
+
+// Remember the open conversation per pet across visits
+const lastThreadKey = (petId) => `chatThread:${petId || 'all'}`;
+
+// A new thread is named after its first question
+const threadTitle = (text) => (text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text);
+
+const ChatPanel = ({ pet, getContext, onSaveNote }) => {
+  const petId = pet ? pet.id : '';
+  const [threads, setThreads] = useState([]);
+  const [threadId, setThreadId] = useState('');
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [sending, setSending] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showThreads, setShowThreads] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [results, setResults] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const [savedId, setSavedId] = useState(null);
+  const confirm = useConfirm();
+
+  // Thread whose messages are on screen; a thread created mid-send is
+  // marked here first so loading it doesn't wipe the streaming reply
+  const openedThread = useRef('');
+  // Aborts the reply that is currently streaming
+  const controller = useRef(null);
+  const log = useRef(null);
+
+  const selectThread = useCallback((id) => {
+    setThreadId(id);
+    setShowThreads(false);
+    if (id) {
+      localStorage.setItem(lastThreadKey(petId), id);
+    } else {
+      localStorage.removeItem(lastThreadKey(petId));
+    }
+  }, [petId]);
+
+  const loadThreads = useCallback(async ({ signal } = {}) => {
+    try {
+      setLoading(true);
+      setError('');
+      const result = await apiService.getChatThreads(petId, { signal });
+      setThreads(result.data);
+      const stored = localStorage.getItem(lastThreadKey(petId));
+      setThreadId(result.data.some(thread => thread.id === stored) ? stored : '');
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error loading conversations:', err);
+      setError(err.message);
+    }
+    setLoading(false);
+  }, [petId]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadThreads({ signal: controller.signal });
+    return () => controller.abort();
+  }, [loadThreads]);
+
+  // Load the open thread's messages
+  useEffect(() => {
+    if (threadId === openedThread.current) return undefined;
+    openedThread.current = threadId;
+    setMessages([]);
+    if (!threadId) return undefined;
+
+    const controller = new AbortController();
+    const load = async () => {
+      try {
+        setLoading(true);
+        const result = await apiService.getChatMessages(threadId, { signal: controller.signal });
+        if (openedThread.current === threadId) setMessages(result.data);
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('Error loading chat history:', err);
+        setError(err.message);
+      }
+      setLoading(false);
+    };
+    load();
+    return () => {
+      controller.abort();
+      setLoading(false);
+    };
+  }, [threadId]);
+
+  // Keep the newest chat text in view while a reply streams in
+  useEffect(() => {
+    if (log.current) log.current.scrollTop = log.current.scrollHeight;
+  }, [messages]);
+
+  // Debounced search across past messages
+  useEffect(() => {
+    const q = searchInput.trim();
+    if (!q) {
+      setResults(null);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timeout = setTimeout(async () => {
+      try {
+        const result = await apiService.searchChat({ q, petId }, { signal: controller.signal });
+        setResults(result.data);
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('Error searching conversations:', err);
+        setError(err.message);
+      }
+    }, 300);
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [searchInput, petId]);
+
+  // Stop a reply that is still streaming when the panel closes
+  useEffect(() => () => controller.current && controller.current.abort(), []);
+
+  // Send a message and show the reply as it streams in. The local
+  // placeholders are swapped for the saved messages once the reply ends.
+  const handleSend = async () => {
+    const text = input.trim();
+    if (!text || sending) return;
+
+    const localId = createClientId();
+    const userMessage = { id: `user-${localId}`, type: 'user', text };
+    const replyId = `ai-${localId}`;
+    const updateReply = (update) => setMessages(prev => prev.map(message => (
+      message.id === replyId ? { ...message, ...update(message) } : message
+    )));
+
+    const abort = new AbortController();
+    controller.current = abort;
+    let id = threadId;
+
+    try {
+      setSending(true);
+      setError('');
+      setInput('');
+      setMessages(prev => [...prev, userMessage, { id: replyId, type: 'ai', text: '', streaming: true }]);
+
+      if (!id) {
+        const created = await apiService.addChatThread({ petId: petId || null, title: threadTitle(text) });
+        id = created.data.id;
+        openedThread.current = id;
+        selectThread(id);
+        setThreads(prev => [created.data, ...prev]);
+      }
+
+      const result = await apiService.sendChatMessage(text, {
+        threadId: id,
+        context: getContext(),
+        signal: abort.signal,
+        onToken: (token) => updateReply(message => ({ text: message.text + token }))
+      });
+
+      if (result.userMessage && result.aiMessage) {
+        setMessages(prev => prev.map(message => {
+          if (message.id === userMessage.id) return result.userMessage;
+          if (message.id === replyId) return result.aiMessage;
+          return message;
+        }));
+      } else {
+        updateReply(() => ({ streaming: false }));
+      }
+      // Most recently used thread first
+      setThreads(prev => [...prev.filter(thread => thread.id === id), ...prev.filter(thread => thread.id !== id)]);
+
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        // Keep whatever arrived before the user pressed stop
+        updateReply(() => ({ streaming: false, stopped: true }));
+      } else {
+        console.error('Error sending message:', err);
+        setError(err.message);
+        setMessages(prev => prev.filter(message => message.id !== replyId || message.text));
+        updateReply(() => ({ streaming: false }));
+      }
+    } finally {
+      controller.current = null;
+      setSending(false);
+    }
+  };
+
+  const handleStop = () => {
+    if (controller.current) controller.current.abort();
+  };
+
+  const handleRename = async () => {
+    const title = renaming.title.trim();
+    if (!title) return;
+    try {
+      const result = await apiService.updateChatThread(renaming.id, { title });
+      setThreads(prev => prev.map(thread => (thread.id === renaming.id ? { ...thread, ...result.data, title } : thread)));
+      setRenaming(null);
+    } catch (err) {
+      console.error('Error renaming conversation:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (thread) => {
+    if (!(await confirm({
+      title: `Delete "${thread.title}"?`,
+      message: 'Its messages will be lost.',
+      confirmLabel: 'Delete',
+      destructive: true
+    }))) return;
+    try {
+      await apiService.deleteChatThread(thread.id);
+      setThreads(prev => prev.filter(item => item.id !== thread.id));
+      if (thread.id === threadId) selectThread('');
+    } catch (err) {
+      console.error('Error deleting conversation:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleCopy = async (message) => {
+    try {
+      await navigator.clipboard.writeText(message.text);
+      setCopiedId(message.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error('Error copying reply:', err);
+      setError('Could not copy to the clipboard');
+    }
+  };
+
+  const handleSaveNote = async (message) => {
+    if (await onSaveNote(message.text)) setSavedId(message.id);
+  };
+
+  const openResult = (result) => {
+    setSearchInput('');
+    selectThread(result.threadId);
+  };
+
+  const activeThread = threads.find(thread => thread.id === threadId);
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+  return (
+    <div className="border-b bg-gray-50">
+      <div className="p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="min-w-0">
+            <h3 className="font-semibold text-gray-800">Pet Care Assistant</h3>
+            <p className="text-xs text-gray-500 truncate">
+              {activeThread ? activeThread.title : 'New conversation'}{pet && ` · ${pet.name}`}
+            </p>
+          </div>
+          <div className="flex items-center space-x-1">
+            {loading && <Loader2 className="w-4 h-4 animate-spin text-purple-500" />}
+            <button
+              onClick={() => setShowThreads(prev => !prev)}
+              aria-expanded={showThreads}
+              className={`p-1 rounded transition-colors ${showThreads ? 'text-purple-600 bg-purple-100' : 'text-gray-600 hover:text-purple-600 hover:bg-purple-50'}`}
+              title="Conversations"
+              aria-label="Conversations"
+            >
+              <List className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => selectThread('')}
+              disabled={sending}
+              className="p-1 text-gray-600 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors disabled:opacity-50"
+              title="New conversation"
+              aria-label="New conversation"
+            >
+              <Plus className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+
+        {showThreads ? (
+          <div className="space-y-2 mb-3">
+            <div className="relative">
+              <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search past messages..."
+                aria-label="Search past messages"
+                className={`${inputClass} pl-9`}
+              />
+            </div>
+
+            <div className="h-64 overflow-y-auto space-y-1">
+              {results ? (
+                results.length === 0 ? (
+                  <p className="text-sm text-gray-500">No messages match.</p>
+                ) : results.map(result => {
+                  const thread = threads.find(item => item.id === result.threadId);
+                  return (
+                    <button
+                      key={result.id}
+                      onClick={() => openResult(result)}
+                      className="block w-full text-left bg-white p-2 rounded-lg shadow-sm border border-gray-100 hover:border-purple-200"
+                    >
+                      <p className="text-xs text-gray-500">{thread ? thread.title : 'Conversation'}</p>
+                      <p className="text-sm text-gray-700 line-clamp-2">{result.text}</p>
+                    </button>
+                  );
+                })
+              ) : threads.length === 0 ? (
+                <p className="text-sm text-gray-500">No conversations yet.</p>
+              ) : threads.map(thread => (
+                <div
+                  key={thread.id}
+                  className={`flex items-center justify-between bg-white p-2 rounded-lg shadow-sm border ${
+                    thread.id === threadId ? 'border-purple-400' : 'border-gray-100'
+                  }`}
+                >
+                  {renaming && renaming.id === thread.id ? (
+                    <input
+                      type="text"
+                      value={renaming.title}
+                      onChange={(e) => setRenaming(prev => ({ ...prev, title: e.target.value }))}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleRename();
+                        if (e.key === 'Escape') setRenaming(null);
+                      }}
+                      className={inputClass}
+                      autoFocus
+                    />
+                  ) : (
+                    <>
+                      <button onClick={() => selectThread(thread.id)} className="flex-1 text-left text-sm truncate">
+                        {thread.title}
+                      </button>
+                      <div className="flex items-center space-x-1">
+                        <button
+                          onClick={() => setRenaming({ id: thread.id, title: thread.title })}
+                          className="p-1 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+                          title="Rename conversation"
+                          aria-label="Rename conversation"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(thread)}
+                          className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                          title="Delete conversation"
+                          aria-label="Delete conversation"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <div ref={log} className="h-64 overflow-y-auto bg-white rounded-lg p-3 mb-3 space-y-2">
+            {messages.length === 0 ? (
+              <p className="text-gray-500 text-sm">Ask me about {pet ? `${pet.name}'s` : "your pet's"} care routine!</p>
+            ) : (
+              messages.map(message => (
+                <div key={message.id} className={`text-sm ${message.type === 'user' ? 'text-right' : 'text-left'}`}>
+                  <div className={`inline-block p-2 rounded-lg max-w-xs text-left ${
+                    message.type === 'user'
+                      ? 'bg-purple-500 text-white whitespace-pre-wrap'
+                      : 'bg-gray-200 text-gray-800'
+                  }`}>
+                    {message.type === 'user' ? message.text : <Markdown text={message.text} />}
+                    {message.streaming && (
+                      message.text
+                        ? <span className="inline-block w-1.5 h-3 ml-0.5 bg-gray-500 motion-safe:animate-pulse" />
+                        : <Loader2 className="w-4 h-4 animate-spin" />
+                    )}
+                    {message.stopped && <span className="block text-xs text-gray-500 mt-1">Stopped</span>}
+                  </div>
+                  {message.type !== 'user' && !message.streaming && message.text && (
+                    <div className="flex items-center space-x-1 mt-1 text-gray-500">
+                      <button
+                        onClick={() => handleCopy(message)}
+                        className="p-1 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+                        title="Copy reply"
+                        aria-label="Copy reply"
+                      >
+                        {copiedId === message.id ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+                      </button>
+                      {pet && (
+                        <button
+                          onClick={() => handleSaveNote(message)}
+                          disabled={savedId === message.id}
+                          className="p-1 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors disabled:text-purple-600"
+                          title={savedId === message.id ? `Saved to ${pet.name}'s notes` : `Save as a note on ${pet.name}`}
+                        >
+                          <Bookmark className={`w-3 h-3 ${savedId === message.id ? 'fill-current' : ''}`} />
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+        )}
+
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyPress={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleSend();
+              }
+            }}
+            placeholder="Ask about pet care..."
+            aria-label="Message the pet care assistant"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            disabled={sending}
+          />
+          {sending ? (
+            <button
+              onClick={handleStop}
+              className="flex items-center space-x-1 px-3 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition-colors"
+              title="Stop the reply"
+            >
+              <Square className="w-3 h-3 fill-current" />
+              <span>Stop</span>
+            </button>
+          ) : (
+            <button
+              onClick={handleSend}
+              disabled={!input.trim()}
+              className="px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Send
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChatPanel;
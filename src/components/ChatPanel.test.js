@@ -0,0 +1,144 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import apiService from '../apiService';
+import ChatPanel from './ChatPanel';
+import { ConfirmProvider } from './ConfirmDialog';
+
+jest.mock('../apiService');
+
+const pet = { id: 'p1', name: 'Rex' };
+const threads = [{ id: 't1', title: 'Diet' }, { id: 't2', title: 'Training' }];
+
+const renderChat = (props = {}) => render(
+  <ConfirmProvider>
+    <ChatPanel pet={pet} getContext={() => ({ pet: 'Rex' })} onSaveNote={jest.fn()} {...props} />
+  </ConfirmProvider>
+);
+
+const ask = (text) => {
+  fireEvent.change(screen.getByLabelText('Message the pet care assistant'), { target: { value: text } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+};
+
+describe('ChatPanel', () => {
+  beforeEach(() => {
+    apiService.getChatThreads.mockResolvedValue({ data: threads });
+    apiService.getChatMessages.mockResolvedValue({ data: [] });
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it("reopens the pet's last conversation", async () => {
+    localStorage.setItem('chatThread:p1', 't2');
+    apiService.getChatMessages.mockResolvedValue({
+      data: [
+        { id: 'm1', type: 'user', text: 'How do I teach sit?' },
+        { id: 'm2', type: 'ai', text: 'Use treats.' }
+      ]
+    });
+    renderChat();
+
+    expect(await screen.findByText('Use treats.')).toBeInTheDocument();
+    expect(screen.getByText('How do I teach sit?')).toBeInTheDocument();
+    expect(screen.getByText('Training · Rex')).toBeInTheDocument();
+    expect(apiService.getChatThreads).toHaveBeenCalledWith('p1', expect.anything());
+    expect(apiService.getChatMessages).toHaveBeenCalledWith('t2', expect.anything());
+  });
+
+  it('starts a conversation and streams the reply in', async () => {
+    apiService.addChatThread.mockResolvedValue({ data: { id: 't3', title: 'Is chocolate safe?' } });
+    let finish;
+    apiService.sendChatMessage.mockImplementation((text, { onToken }) => {
+      onToken('No, ');
+      onToken('never.');
+      return new Promise(resolve => { finish = resolve; });
+    });
+    renderChat();
+    await screen.findByText("Ask me about Rex's care routine!");
+
+    ask('Is chocolate safe?');
+
+    expect(await screen.findByText('No, never.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Stop' })).toBeInTheDocument();
+    expect(apiService.addChatThread).toHaveBeenCalledWith({ petId: 'p1', title: 'Is chocolate safe?' });
+    expect(apiService.sendChatMessage).toHaveBeenCalledWith('Is chocolate safe?', expect.objectContaining({
+      threadId: 't3',
+      context: { pet: 'Rex' }
+    }));
+    expect(localStorage.getItem('chatThread:p1')).toBe('t3');
+
+    finish({
+      userMessage: { id: 'm1', type: 'user', text: 'Is chocolate safe?' },
+      aiMessage: { id: 'm2', type: 'ai', text: 'No, never.' }
+    });
+    expect(await screen.findByRole('button', { name: 'Copy reply' })).toBeInTheDocument();
+    expect(apiService.getChatMessages).not.toHaveBeenCalledWith('t3', expect.anything());
+  });
+
+  it('stops a streaming reply when the panel closes', async () => {
+    localStorage.setItem('chatThread:p1', 't1');
+    let signal;
+    apiService.sendChatMessage.mockImplementation((text, options) => {
+      signal = options.signal;
+      return new Promise(() => {});
+    });
+    const { unmount } = renderChat();
+    await waitFor(() => expect(apiService.getChatMessages).toHaveBeenCalled());
+
+    ask('Is chocolate safe?');
+    await waitFor(() => expect(apiService.sendChatMessage).toHaveBeenCalled());
+    expect(signal.aborted).toBe(false);
+
+    unmount();
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('shows why a message could not be sent', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('chatThread:p1', 't1');
+    apiService.sendChatMessage.mockRejectedValue(new Error('The assistant is unavailable'));
+    renderChat();
+    await waitFor(() => expect(apiService.getChatMessages).toHaveBeenCalled());
+
+    ask('Hello?');
+
+    expect(await screen.findByText('The assistant is unavailable')).toBeInTheDocument();
+    expect(screen.getByText('Hello?')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Copy reply' })).not.toBeInTheDocument();
+    expect(apiService.addChatThread).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it('deletes a conversation once confirmed', async () => {
+    apiService.deleteChatThread.mockResolvedValue({});
+    renderChat();
+    await waitFor(() => expect(apiService.getChatThreads).toHaveBeenCalled());
+
+    fireEvent.click(screen.getByRole('button', { name: 'Conversations' }));
+    const diet = (await screen.findByRole('button', { name: 'Diet' })).parentElement;
+    fireEvent.click(within(diet).getByRole('button', { name: 'Delete conversation' }));
+
+    const dialog = screen.getByRole('alertdialog', { name: 'Delete "Diet"?' });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Delete' }));
+
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Diet' })).not.toBeInTheDocument());
+    expect(apiService.deleteChatThread).toHaveBeenCalledWith('t1');
+    expect(screen.getByRole('button', { name: 'Training' })).toBeInTheDocument();
+  });
+
+  it('keeps a conversation when the delete is cancelled', async () => {
+    renderChat();
+    await waitFor(() => expect(apiService.getChatThreads).toHaveBeenCalled());
+
+    fireEvent.click(screen.getByRole('button', { name: 'Conversations' }));
+    const diet = (await screen.findByRole('button', { name: 'Diet' })).parentElement;
+    fireEvent.click(within(diet).getByRole('button', { name: 'Delete conversation' }));
+    fireEvent.click(within(screen.getByRole('alertdialog')).getByRole('button', { name: 'Cancel' }));
+
+    await waitFor(() => expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument());
+    expect(apiService.deleteChatThread).not.toHaveBeenCalled();
+    expect(screen.getByRole('button', { name: 'Diet' })).toBeInTheDocument();
+  });
+});
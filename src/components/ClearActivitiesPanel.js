@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { Download, Loader2, Trash2 } from 'lucide-react';
+import { matchesFilters } from '../activities';
+import { downloadActivities } from '../importExport';
+
+// Scope for "Clear All": the selected pet (or every pet), optionally
+// narrowed to a date range, with a backup download before deleting.
+// `onClear` gets the matching activities themselves, not the scope, so
+// they're deleted (and restored on undo) by id.
+const ClearActivitiesPanel = ({ pet, pets, activities, busy, onClear, onCancel }) => {
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const matching = activities.filter(activity => matchesFilters(activity, { petId: pet ? pet.id : '', from, to }, pets));
+  const whose = pet ? `${pet.name}'s` : 'all';
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+  return (
+    <div className="bg-red-50 rounded-lg p-3 space-y-3 mb-3">
+      <p className="text-sm text-gray-700">
+        Delete {whose} activities{from || to ? ' in this date range' : ''}. You can undo for a few seconds afterwards.
+      </p>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs text-gray-500">
+          From
+          <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-500">
+          To
+          <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      <div className="flex space-x-2">
+        <button
+          onClick={() => onClear(matching)}
+          disabled={busy || matching.length === 0}
+          className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+          <span>Delete {matching.length} {matching.length === 1 ? 'activity' : 'activities'}</span>
+        </button>
+        <button
+          onClick={() => downloadActivities(matching, pets, 'json')}
+          disabled={matching.length === 0}
+          className="px-3 py-2 text-gray-600 bg-white rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50"
+          title="Download a JSON backup of these activities"
+          aria-label="Download a JSON backup of these activities"
+        >
+          <Download className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={busy}
+          className="px-3 py-2 text-gray-600 bg-white rounded-lg hover:bg-gray-100 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ClearActivitiesPanel;
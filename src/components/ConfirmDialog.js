@@ -0,0 +1,122 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// In-app replacement for window.confirm, shown as a sheet at the bottom
+// of the screen. Focus moves to Cancel when it opens, Tab stays inside it,
+// Escape or a tap outside cancels, and focus goes back where it was after.
+const ConfirmDialog = ({ title, message, confirmLabel, destructive, onClose }) => {
+  const dialog = useRef(null);
+  const cancel = useRef(null);
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    cancel.current.focus();
+    return () => {
+      if (previous && previous.isConnected) previous.focus();
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose(false);
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = [...dialog.current.querySelectorAll(FOCUSABLE)];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end sm:items-center justify-center bg-black/40 p-4"
+      onClick={(e) => e.target === e.currentTarget && onClose(false)}
+    >
+      <div
+        ref={dialog}
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="confirm-dialog-title"
+        aria-describedby={message ? 'confirm-dialog-message' : undefined}
+        onKeyDown={handleKeyDown}
+        className="w-full max-w-sm bg-white rounded-lg shadow-xl p-4 space-y-4"
+      >
+        <h2 id="confirm-dialog-title" className="font-semibold text-gray-800">{title}</h2>
+        {message && <p id="confirm-dialog-message" className="text-sm text-gray-600">{message}</p>}
+        <div className="flex space-x-2">
+          <button
+            ref={cancel}
+            onClick={() => onClose(false)}
+            className="flex-1 px-3 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onClose(true)}
+            className={`flex-1 px-3 py-2 text-white rounded-lg transition-colors ${
+              destructive ? 'bg-red-600 hover:bg-red-700' : 'bg-purple-500 hover:bg-purple-600'
+            }`}
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ConfirmContext = createContext(null);
+
+// Provides `confirm({ title, message, confirmLabel, destructive })`, which
+// shows the dialog and resolves true if the user confirms
+export const ConfirmProvider = ({ children }) => {
+  const [request, setRequest] = useState(null);
+
+  const confirm = useCallback(({ title, message = '', confirmLabel = 'OK', destructive = false }) => (
+    new Promise(resolve => {
+      setRequest(prev => {
+        // A newer question replaces one still open
+        if (prev) prev.resolve(false);
+        return { title, message, confirmLabel, destructive, resolve };
+      });
+    })
+  ), []);
+
+  const handleClose = (confirmed) => {
+    request.resolve(confirmed);
+    setRequest(null);
+  };
+
+  return (
+    <ConfirmContext.Provider value={confirm}>
+      {children}
+      {request && (
+        <ConfirmDialog
+          title={request.title}
+          message={request.message}
+          confirmLabel={request.confirmLabel}
+          destructive={request.destructive}
+          onClose={handleClose}
+        />
+      )}
+    </ConfirmContext.Provider>
+  );
+};
+
+export const useConfirm = () => {
+  const confirm = useContext(ConfirmContext);
+  if (!confirm) throw new Error('useConfirm must be used inside a ConfirmProvider');
+  return confirm;
+};
+
+export default ConfirmDialog;
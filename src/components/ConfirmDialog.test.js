@@ -0,0 +1,64 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { ConfirmProvider, useConfirm } from './ConfirmDialog';
+
+jest.mock('../apiService');
+
+// A button that asks before deleting and reports the answer
+const DeleteButton = ({ onAnswer }) => {
+  const confirm = useConfirm();
+  const ask = async () => onAnswer(await confirm({
+    title: 'Delete Rex?',
+    message: 'His activities will be deleted too.',
+    confirmLabel: 'Delete',
+    destructive: true
+  }));
+  return <button onClick={ask}>Delete pet</button>;
+};
+
+const renderDialog = () => {
+  const onAnswer = jest.fn();
+  const result = render(<ConfirmProvider><DeleteButton onAnswer={onAnswer} /></ConfirmProvider>);
+  const button = screen.getByRole('button', { name: 'Delete pet' });
+  button.focus();
+  fireEvent.click(button);
+  return { ...result, onAnswer };
+};
+
+describe('ConfirmDialog', () => {
+  it('is accessible', async () => {
+    const { container } = renderDialog();
+    expect(screen.getByRole('alertdialog', { name: 'Delete Rex?' })).toHaveAccessibleDescription('His activities will be deleted too.');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('starts on Cancel and resolves false when cancelled', async () => {
+    const { onAnswer } = renderDialog();
+    expect(screen.getByRole('button', { name: 'Cancel' })).toHaveFocus();
+
+    fireEvent.keyDown(screen.getByRole('alertdialog'), { key: 'Escape' });
+
+    await waitFor(() => expect(onAnswer).toHaveBeenCalledWith(false));
+    expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Delete pet' })).toHaveFocus();
+  });
+
+  it('resolves true when confirmed', async () => {
+    const { onAnswer } = renderDialog();
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    await waitFor(() => expect(onAnswer).toHaveBeenCalledWith(true));
+  });
+
+  it('keeps Tab inside the dialog', () => {
+    renderDialog();
+    const dialog = screen.getByRole('alertdialog');
+    screen.getByRole('button', { name: 'Delete' }).focus();
+
+    fireEvent.keyDown(dialog, { key: 'Tab' });
+    expect(screen.getByRole('button', { name: 'Cancel' })).toHaveFocus();
+
+    fireEvent.keyDown(dialog, { key: 'Tab', shiftKey: true });
+    expect(screen.getByRole('button', { name: 'Delete' })).toHaveFocus();
+  });
+});
@@ -0,0 +1,26 @@
+import React from 'react';
+
+// Label and colour for each connection state from apiClient.js
+const CONNECTION_DISPLAY = {
+  connecting: { label: 'Connecting…', text: 'text-yellow-200', dot: 'bg-yellow-300 motion-safe:animate-pulse' },
+  online: { label: 'Connected to server', text: 'text-green-500', dot: 'bg-green-500 motion-safe:animate-pulse' },
+  waking: { label: 'Waking up the server…', text: 'text-yellow-200', dot: 'bg-yellow-300 motion-safe:animate-pulse' },
+  unreachable: { label: 'Server unreachable', text: 'text-red-500', dot: 'bg-red-500' },
+  offline: { label: 'Offline', text: 'text-gray-200', dot: 'bg-gray-300' }
+};
+
+// Header indicator: backend reachability, the live stream and the outbox
+const ConnectionStatus = ({ connection, live, pendingCount }) => {
+  const display = CONNECTION_DISPLAY[connection];
+  return (
+    <div className={`flex items-center space-x-2 text-xs ${display.text}`}>
+      <div className={`w-2 h-2 rounded-full ${display.dot}`} />
+      <span>{display.label}{live && connection === 'online' && ' · live'}</span>
+      {pendingCount > 0 && (
+        <span className="text-orange-200">({pendingCount} pending sync)</span>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionStatus;
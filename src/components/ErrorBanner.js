@@ -0,0 +1,16 @@
+import React from 'react';
+
+// The tracker's error message, with a retry that clears it and reloads
+const ErrorBanner = ({ message, onRetry }) => (
+  <div role="alert" className="bg-red-100 border-l-4 border-red-500 p-4 m-4 rounded">
+    <p className="text-red-800 text-sm">{message}</p>
+    <button
+      onClick={onRetry}
+      className="text-red-600 underline text-sm mt-1"
+    >
+      Retry connection
+    </button>
+  </div>
+);
+
+export default ErrorBanner;
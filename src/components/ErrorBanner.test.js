@@ -0,0 +1,19 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import ErrorBanner from './ErrorBanner';
+
+jest.mock('../apiService');
+
+describe('ErrorBanner', () => {
+  it('announces the message as an alert', () => {
+    render(<ErrorBanner message="Could not reach the server" onRetry={() => {}} />);
+    expect(screen.getByRole('alert')).toHaveTextContent('Could not reach the server');
+  });
+
+  it('retries when asked', () => {
+    const onRetry = jest.fn();
+    render(<ErrorBanner message="Could not reach the server" onRetry={onRetry} />);
+    fireEvent.click(screen.getByRole('button', { name: 'Retry connection' }));
+    expect(onRetry).toHaveBeenCalledTimes(1);
+  });
+});
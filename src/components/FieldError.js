@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Props that tie a form control to its validation error: spread
+// `fieldProps(id, error)` on the control, point its label's `htmlFor` at
+// `id` and render <FieldError id={id} error={error} /> after it, so screen
+// readers announce the control as invalid and read the message with it.
+export const fieldProps = (id, error) => ({
+  id,
+  'aria-invalid': error ? true : undefined,
+  'aria-describedby': error ? `${id}-error` : undefined
+});
+
+// A field's validation message, if it has one
+const FieldError = ({ id, error }) => (
+  error ? <p id={`${id}-error`} className="text-red-500 text-sm mt-1">{error}</p> : null
+);
+
+export default FieldError;
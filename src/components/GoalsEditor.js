@@ -0,0 +1,150 @@
+import React, { useId, useState } from 'react';
+import { Loader2, Plus, X } from 'lucide-react';
+import { getPetGoals, validateGoals } from '../goals';
+import FieldError, { fieldProps } from './FieldError';
+
+const GoalsEditor = ({ pet, onSave, onCancel, saving }) => {
+  const [goals, setGoals] = useState(() => getPetGoals(pet));
+  const [errors, setErrors] = useState({});
+  const formId = useId();
+
+  const setMedicationTime = (index, value) => {
+    setGoals(prev => ({
+      ...prev,
+      medicationTimes: prev.medicationTimes.map((time, i) => (i === index ? value : time))
+    }));
+  };
+
+  const handleSave = () => {
+    const validationErrors = validateGoals(goals);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    onSave({
+      walkMinutes: Number(goals.walkMinutes),
+      meals: Number(goals.meals),
+      mealWarningMinutes: Number(goals.mealWarningMinutes),
+      medicationTimes: goals.medicationTimes.slice().sort()
+    });
+  };
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+    errors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  return (
+    <div className="bg-white rounded-lg p-3 space-y-3 mb-4">
+      <h3 className="font-semibold text-gray-800">{pet.name}'s Daily Goals</h3>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label htmlFor={`${formId}-walkMinutes`} className="block text-sm font-medium text-gray-700 mb-1">Walk (minutes)</label>
+          <input
+            {...fieldProps(`${formId}-walkMinutes`, errors.walkMinutes)}
+            type="number"
+            value={goals.walkMinutes}
+            onChange={(e) => setGoals(prev => ({ ...prev, walkMinutes: e.target.value }))}
+            className={inputClass('walkMinutes')}
+            min="0"
+            step="5"
+            disabled={saving}
+          />
+          <FieldError id={`${formId}-walkMinutes`} error={errors.walkMinutes} />
+        </div>
+        <div>
+          <label htmlFor={`${formId}-meals`} className="block text-sm font-medium text-gray-700 mb-1">Meals per day</label>
+          <input
+            {...fieldProps(`${formId}-meals`, errors.meals)}
+            type="number"
+            value={goals.meals}
+            onChange={(e) => setGoals(prev => ({ ...prev, meals: e.target.value }))}
+            className={inputClass('meals')}
+            min="0"
+            step="1"
+            disabled={saving}
+          />
+          <FieldError id={`${formId}-meals`} error={errors.meals} />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor={`${formId}-mealWarningMinutes`} className="block text-sm font-medium text-gray-700 mb-1">Warn about a second meal within (minutes)</label>
+        <input
+          {...fieldProps(`${formId}-mealWarningMinutes`, errors.mealWarningMinutes)}
+          type="number"
+          value={goals.mealWarningMinutes}
+          onChange={(e) => setGoals(prev => ({ ...prev, mealWarningMinutes: e.target.value }))}
+          className={inputClass('mealWarningMinutes')}
+          min="0"
+          step="15"
+          disabled={saving}
+        />
+        <p className="text-xs text-gray-500 mt-1">Helps avoid double-feeding when several people care for {pet.name}. 0 turns it off.</p>
+        <FieldError id={`${formId}-mealWarningMinutes`} error={errors.mealWarningMinutes} />
+      </div>
+
+      <div role="group" aria-labelledby={`${formId}-medicationTimes-label`}>
+        <span id={`${formId}-medicationTimes-label`} className="block text-sm font-medium text-gray-700 mb-1">Medication schedule</span>
+        {goals.medicationTimes.length === 0 && (
+          <p className="text-sm text-gray-500 mb-2">No daily medication.</p>
+        )}
+        <div className="space-y-2">
+          {goals.medicationTimes.map((time, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <input
+                {...fieldProps(`${formId}-medicationTimes-${index}`, errors.medicationTimes)}
+                aria-describedby={errors.medicationTimes ? `${formId}-medicationTimes-error` : undefined}
+                aria-label={`Dose time ${index + 1}`}
+                type="time"
+                value={time}
+                onChange={(e) => setMedicationTime(index, e.target.value)}
+                className={inputClass('medicationTimes')}
+                disabled={saving}
+              />
+              <button
+                onClick={() => setGoals(prev => ({
+                  ...prev,
+                  medicationTimes: prev.medicationTimes.filter((_, i) => i !== index)
+                }))}
+                className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                title="Remove dose"
+                aria-label={`Remove dose time ${index + 1}`}
+                disabled={saving}
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => setGoals(prev => ({ ...prev, medicationTimes: [...prev.medicationTimes, '08:00'] }))}
+          className="flex items-center space-x-1 mt-2 text-sm text-purple-600 hover:text-purple-800"
+          disabled={saving}
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add dose time</span>
+        </button>
+        <FieldError id={`${formId}-medicationTimes`} error={errors.medicationTimes} />
+      </div>
+
+      <div className="flex space-x-2">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex-1 px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin mx-auto" /> : 'Save Goals'}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className="px-3 py-2 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GoalsEditor;
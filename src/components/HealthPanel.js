@@ -0,0 +1,367 @@
+import React, { useId, useState } from 'react';
+import { ArrowLeft, Loader2, Plus, Settings, Trash2 } from 'lucide-react';
+import {
+  convertValue,
+  formatMeasurement,
+  getHealthAlertSettings,
+  HEALTH_METRICS,
+  metricSeries,
+  validateHealthAlertSettings,
+  validateMeasurement
+} from '../health';
+import { fromFormDateTime, toFormDateTime, toOffsetISOString } from '../dates';
+import FieldError, { fieldProps } from './FieldError';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 140;
+const PADDING = { top: 10, right: 10, bottom: 16, left: 30 };
+
+const shortDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// Measurements over time, spaced by date, with optional dashed threshold
+// lines (e.g. the fever limit)
+const LineChart = ({ series, unit, metric, thresholds = [] }) => {
+  const points = series.map(measurement => ({
+    measurement,
+    time: new Date(measurement.measuredAt).getTime(),
+    value: convertValue(Number(measurement.value), measurement.unit, unit)
+  }));
+  const values = [...points.map(point => point.value), ...thresholds];
+  const spread = Math.max(...values) - Math.min(...values);
+  const low = Math.min(...values) - (spread * 0.1 || 1);
+  const high = Math.max(...values) + (spread * 0.1 || 1);
+  const first = points[0].time;
+  const last = points[points.length - 1].time;
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + (last === first ? plotWidth / 2 : ((time - first) / (last - first)) * plotWidth);
+  const y = (value) => PADDING.top + plotHeight - ((value - low) / (high - low)) * plotHeight;
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full h-36"
+      role="img"
+      aria-label={`${metric.label} (${unit}), ${points.length} measurement${points.length === 1 ? '' : 's'}`}
+    >
+      {[high, low].map(value => (
+        <text key={value} x={PADDING.left - 4} y={y(value) + 3} textAnchor="end" fontSize="9" fill="#6b7280">
+          {value.toFixed(metric.decimals)}
+        </text>
+      ))}
+      {thresholds.map(value => (
+        <line
+          key={value}
+          x1={PADDING.left}
+          x2={CHART_WIDTH - PADDING.right}
+          y1={y(value)}
+          y2={y(value)}
+          stroke="#f59e0b"
+          strokeWidth="1.5"
+          strokeDasharray="4 3"
+        />
+      ))}
+      <polyline
+        points={points.map(point => `${x(point.time)},${y(point.value)}`).join(' ')}
+        fill="none"
+        stroke="#8b5cf6"
+        strokeWidth="2"
+        strokeLinejoin="round"
+      />
+      {points.map(point => (
+        <circle key={point.measurement.id} cx={x(point.time)} cy={y(point.value)} r="3" fill="#8b5cf6">
+          <title>{`${shortDate(point.time)}: ${formatMeasurement(point.value, unit, metric)}`}</title>
+        </circle>
+      ))}
+      <text x={PADDING.left} y={CHART_HEIGHT - 2} fontSize="9" fill="#6b7280">{shortDate(first)}</text>
+      {last !== first && (
+        <text x={CHART_WIDTH - PADDING.right} y={CHART_HEIGHT - 2} textAnchor="end" fontSize="9" fill="#6b7280">{shortDate(last)}</text>
+      )}
+    </svg>
+  );
+};
+
+const ALERT_FIELDS = [
+  { key: 'weightChangePercent', label: 'Weight change over (%)', step: '0.5' },
+  { key: 'weightChangeDays', label: '…within (days)', step: '1' },
+  { key: 'temperatureLow', label: 'Temperature below (°C)', step: '0.1' },
+  { key: 'temperatureHigh', label: 'Temperature above (°C)', step: '0.1' },
+  { key: 'bodyConditionLow', label: 'Body condition below', step: '1' },
+  { key: 'bodyConditionHigh', label: 'Body condition above', step: '1' },
+  { key: 'waterDailyMax', label: 'Water per day over (ml)', step: '50' }
+];
+
+const emptyMeasurement = (metric) => ({
+  metric: metric.id,
+  value: '',
+  unit: metric.units[0],
+  measuredAt: toFormDateTime(new Date()),
+  notes: ''
+});
+
+// A pet's health log: chart, new measurement form, recent readings and
+// the alert thresholds
+const HealthPanel = ({ pet, measurements, alerts, onAdd, onDelete, onSaveSettings, saving, onBack }) => {
+  const [metricId, setMetricId] = useState(HEALTH_METRICS[0].id);
+  const metric = HEALTH_METRICS.find(item => item.id === metricId);
+  const [form, setForm] = useState(() => emptyMeasurement(metric));
+  const [errors, setErrors] = useState({});
+  const formId = useId();
+  const [displayUnit, setDisplayUnit] = useState({});
+  const [settings, setSettings] = useState(null);
+  const [settingsErrors, setSettingsErrors] = useState({});
+
+  const series = metricSeries(measurements, metricId);
+  const unit = displayUnit[metricId] || (series.length > 0 ? series[series.length - 1].unit : metric.units[0]);
+  const alertSettings = getHealthAlertSettings(pet);
+  const thresholds = {
+    temperature: [alertSettings.temperatureLow, alertSettings.temperatureHigh],
+    bodyCondition: [alertSettings.bodyConditionLow, alertSettings.bodyConditionHigh]
+  }[metricId] || [];
+
+  const selectMetric = (id) => {
+    setMetricId(id);
+    setForm(emptyMeasurement(HEALTH_METRICS.find(item => item.id === id)));
+    setErrors({});
+  };
+
+  const handleAdd = async () => {
+    const validationErrors = validateMeasurement(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const saved = await onAdd({
+      ...form,
+      value: parseFloat(form.value),
+      measuredAt: toOffsetISOString(fromFormDateTime(form.measuredAt)),
+      notes: form.notes.trim() || undefined
+    });
+    if (saved) setForm(emptyMeasurement(metric));
+  };
+
+  const handleSaveSettings = async () => {
+    const validationErrors = validateHealthAlertSettings(settings);
+    setSettingsErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const saved = await onSaveSettings(Object.fromEntries(
+      Object.entries(settings).map(([key, value]) => [key, Number(value)])
+    ));
+    if (saved) setSettings(null);
+  };
+
+  const inputClass = (field, fieldErrors = errors) => `w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+    fieldErrors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onBack}
+            className="p-1 text-gray-600 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+            title="Back to tracker"
+            aria-label="Back to tracker"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <h2 className="text-lg font-semibold text-gray-800">Health Log{pet && ` · ${pet.name}`}</h2>
+        </div>
+        {pet && !settings && (
+          <button
+            onClick={() => setSettings(getHealthAlertSettings(pet))}
+            className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+          >
+            <Settings className="w-4 h-4" />
+            <span>Alerts</span>
+          </button>
+        )}
+      </div>
+
+      {!pet ? (
+        <p className="text-sm text-gray-500">Add a pet to start a health log.</p>
+      ) : (
+        <>
+          {settings && (
+            <div className="bg-gray-50 rounded-lg p-3 space-y-3">
+              <h3 className="font-semibold text-gray-800">Alert when…</h3>
+              <div className="grid grid-cols-2 gap-3">
+                {ALERT_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label htmlFor={`${formId}-${field.key}`} className="block text-xs font-medium text-gray-700 mb-1">{field.label}</label>
+                    <input
+                      {...fieldProps(`${formId}-${field.key}`, settingsErrors[field.key])}
+                      type="number"
+                      value={settings[field.key]}
+                      onChange={(e) => setSettings(prev => ({ ...prev, [field.key]: e.target.value }))}
+                      className={inputClass(field.key, settingsErrors)}
+                      min="0"
+                      step={field.step}
+                      disabled={saving}
+                    />
+                    {settingsErrors[field.key] && (
+                      <p id={`${formId}-${field.key}-error`} className="text-red-500 text-xs mt-1">{settingsErrors[field.key]}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">0 turns an alert off.</p>
+              <div className="flex space-x-2">
+                <button
+                  onClick={handleSaveSettings}
+                  disabled={saving}
+                  className="flex-1 bg-purple-500 text-white py-2 rounded-lg text-sm hover:bg-purple-600 transition-colors disabled:opacity-50"
+                >
+                  {saving ? <Loader2 className="w-4 h-4 animate-spin mx-auto" /> : 'Save Alerts'}
+                </button>
+                <button
+                  onClick={() => setSettings(null)}
+                  disabled={saving}
+                  className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg text-sm hover:bg-gray-300 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+            {HEALTH_METRICS.map(item => (
+              <button
+                key={item.id}
+                onClick={() => selectMetric(item.id)}
+                className={`relative flex-1 py-1 rounded-md transition-colors ${metricId === item.id ? 'bg-white shadow-sm font-medium' : 'text-gray-600'}`}
+              >
+                {item.label}
+                {alerts.some(alert => alert.metric === item.id) && (
+                  <span className="absolute top-1 right-1 w-2 h-2 bg-rose-500 rounded-full" title="Has an alert" />
+                )}
+              </button>
+            ))}
+          </div>
+
+          {/* Chart */}
+          <div className="bg-gradient-to-r from-purple-50 to-blue-50 p-4 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-semibold text-gray-800">{metric.label}</h3>
+              {metric.units.length > 1 && (
+                <div className="flex bg-white rounded-lg p-0.5 text-xs">
+                  {metric.units.map(option => (
+                    <button
+                      key={option}
+                      onClick={() => setDisplayUnit(prev => ({ ...prev, [metricId]: option }))}
+                      className={`px-2 py-0.5 rounded-md ${unit === option ? 'bg-purple-500 text-white' : 'text-gray-600'}`}
+                    >
+                      {option}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+            {series.length > 0 ? (
+              <LineChart series={series} unit={unit} metric={metric} thresholds={thresholds.filter(Boolean).map(value => convertValue(value, metric.units[0], unit))} />
+            ) : (
+              <p className="text-sm text-gray-500 py-6 text-center">No {metric.label.toLowerCase()} measurements yet.</p>
+            )}
+          </div>
+
+          {/* New measurement */}
+          <div className="space-y-3">
+            <div className="grid grid-cols-3 gap-3">
+              <div className="col-span-2">
+                <label htmlFor={`${formId}-value`} className="block text-sm font-medium text-gray-700 mb-1">{metric.label}</label>
+                <input
+                  {...fieldProps(`${formId}-value`, errors.value)}
+                  type="number"
+                  value={form.value}
+                  onChange={(e) => setForm(prev => ({ ...prev, value: e.target.value }))}
+                  className={inputClass('value')}
+                  min={metric.min || '0'}
+                  max={metric.max}
+                  step={metric.step}
+                  disabled={saving}
+                />
+              </div>
+              <div>
+                <label htmlFor={`${formId}-unit`} className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
+                <select
+                  {...fieldProps(`${formId}-unit`, errors.unit)}
+                  aria-describedby={errors.unit ? `${formId}-value-error` : undefined}
+                  value={form.unit}
+                  onChange={(e) => setForm(prev => ({ ...prev, unit: e.target.value }))}
+                  className={inputClass('unit')}
+                  disabled={saving || metric.units.length === 1}
+                >
+                  {metric.units.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {(errors.value || errors.unit) && (
+              <p id={`${formId}-value-error`} className="text-red-500 text-sm">{errors.value || errors.unit}</p>
+            )}
+            <div>
+              <label htmlFor={`${formId}-measuredAt`} className="block text-sm font-medium text-gray-700 mb-1">Measured at</label>
+              <input
+                {...fieldProps(`${formId}-measuredAt`, errors.measuredAt)}
+                type="datetime-local"
+                value={form.measuredAt}
+                onChange={(e) => setForm(prev => ({ ...prev, measuredAt: e.target.value }))}
+                className={inputClass('measuredAt')}
+                disabled={saving}
+              />
+              <FieldError id={`${formId}-measuredAt`} error={errors.measuredAt} />
+            </div>
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+              className={inputClass('notes')}
+              placeholder="Notes (optional)"
+              aria-label="Notes"
+              disabled={saving}
+            />
+            <button
+              onClick={handleAdd}
+              disabled={saving}
+              className="w-full flex items-center justify-center space-x-2 bg-gradient-to-r from-purple-500 to-blue-500 text-white py-2 rounded-lg font-medium hover:from-purple-600 hover:to-blue-600 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+              <span>Add Measurement</span>
+            </button>
+          </div>
+
+          {/* Recent readings */}
+          {series.length > 0 && (
+            <div className="space-y-2">
+              {series.slice(-10).reverse().map(measurement => (
+                <div key={measurement.id} className="flex items-center justify-between bg-white p-3 rounded-lg shadow-sm border border-gray-100">
+                  <div>
+                    <p className="font-medium text-sm">{formatMeasurement(measurement.value, measurement.unit, metric)}</p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(measurement.measuredAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                      {measurement.notes && ` · ${measurement.notes}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => onDelete(measurement)}
+                    className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                    title="Delete measurement"
+                    aria-label="Delete measurement"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HealthPanel;
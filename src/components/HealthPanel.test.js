@@ -0,0 +1,57 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import HealthPanel from './HealthPanel';
+
+jest.mock('../apiService');
+
+const pet = { id: 'p1', name: 'Rex' };
+const measurements = [
+  { id: 'w1', metric: 'weight', value: 20.5, unit: 'kg', measuredAt: '2024-04-01T08:00:00Z' },
+  { id: 'w2', metric: 'weight', value: 21, unit: 'kg', measuredAt: '2024-05-01T08:00:00Z' }
+];
+
+const renderPanel = (props = {}) => render(
+  <HealthPanel
+    pet={pet}
+    measurements={measurements}
+    alerts={[]}
+    onAdd={jest.fn()}
+    onDelete={jest.fn()}
+    onSaveSettings={jest.fn()}
+    saving={false}
+    onBack={jest.fn()}
+    {...props}
+  />
+);
+
+describe('HealthPanel', () => {
+  it('is accessible, with and without errors', async () => {
+    const { container } = renderPanel();
+    expect(await axe(container)).toHaveNoViolations();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add Measurement' }));
+    expect(screen.getByLabelText('Weight')).toHaveAccessibleDescription('Enter a value greater than 0');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('has accessible alert settings', async () => {
+    const { container } = renderPanel();
+    fireEvent.click(screen.getByRole('button', { name: 'Alerts' }));
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('adds a measurement and clears the form', async () => {
+    const onAdd = jest.fn().mockResolvedValue(true);
+    renderPanel({ onAdd });
+
+    fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '21.4' } });
+    fireEvent.change(screen.getByLabelText('Unit'), { target: { value: 'lb' } });
+    fireEvent.change(screen.getByLabelText('Measured at'), { target: { value: '2024-05-02T09:15' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Measurement' }));
+
+    await waitFor(() => expect(screen.getByLabelText('Weight')).toHaveValue(null));
+    expect(onAdd).toHaveBeenCalledWith(expect.objectContaining({ metric: 'weight', value: 21.4, unit: 'lb' }));
+    expect(new Date(onAdd.mock.calls[0][0].measuredAt)).toEqual(new Date(2024, 4, 2, 9, 15));
+  });
+});
@@ -0,0 +1,129 @@
+import React from 'react';
+import { ArrowLeft, Download, Printer } from 'lucide-react';
+import { downloadFile } from '../importExport';
+import { buildPassport, passportText } from '../records';
+import { PetAvatar } from './PetProfiles';
+
+const STATUS_LABELS = {
+  overdue: { label: 'Overdue', className: 'text-red-700' },
+  due: { label: 'Due soon', className: 'text-orange-700' }
+};
+
+const Section = ({ title, empty, children }) => (
+  <section className="break-inside-avoid">
+    <h3 className="font-semibold text-gray-800 border-b border-gray-200 pb-1 mb-2">{title}</h3>
+    {React.Children.count(children) > 0 ? children : <p className="text-sm text-gray-500">{empty}</p>}
+  </section>
+);
+
+// One-page summary of a pet's health for boarding kennels and new vets.
+// Prints on its own (the rest of the app is hidden when printing) and can
+// be saved as a text file.
+const HealthPassport = ({ pet, vaccinations, activities, medications, measurements, attachments, now, onBack }) => {
+  const passport = buildPassport({ pet, vaccinations, activities, medications, measurements, attachments, now });
+  const { pet: profile } = passport;
+
+  const handleDownload = () => {
+    const name = pet.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    downloadFile(`${name}-health-passport-${passport.generatedOn}.txt`, passportText(passport), 'text/plain;charset=utf-8');
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between print:hidden">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onBack}
+            className="p-1 text-gray-600 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+            title="Back to records"
+            aria-label="Back to records"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <h2 className="text-lg font-semibold text-gray-800">Health Passport</h2>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => window.print()}
+            className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+          >
+            <Printer className="w-4 h-4" />
+            <span>Print</span>
+          </button>
+          <button
+            onClick={handleDownload}
+            className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            <span>Download</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="flex items-center space-x-4">
+        <div className="text-purple-600">
+          <PetAvatar pet={pet} size="w-16 h-16" />
+        </div>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{profile.name}</h1>
+          <p className="text-sm text-gray-600 capitalize">
+            {[profile.breed || profile.species, profile.age, profile.weight].filter(Boolean).join(' · ')}
+          </p>
+          {profile.birthdate && <p className="text-xs text-gray-500">Born {profile.birthdate}</p>}
+        </div>
+      </div>
+
+      <Section title="Vaccinations" empty="None recorded">
+        {passport.vaccinations.map(vaccination => (
+          <div key={`${vaccination.name}-${vaccination.givenOn}`} className="flex justify-between text-sm py-0.5">
+            <span className="font-medium">{vaccination.name}</span>
+            <span className="text-gray-600 text-right">
+              {vaccination.givenOn}
+              {vaccination.dueOn && ` → ${vaccination.dueOn}`}
+              {STATUS_LABELS[vaccination.status] && (
+                <span className={`ml-1 font-semibold ${STATUS_LABELS[vaccination.status].className}`}>
+                  ({STATUS_LABELS[vaccination.status].label})
+                </span>
+              )}
+            </span>
+          </div>
+        ))}
+      </Section>
+
+      <Section title="Current Medications" empty="None">
+        {passport.medications.map(line => (
+          <p key={line} className="text-sm">{line}</p>
+        ))}
+      </Section>
+
+      <Section title="Latest Measurements" empty="None recorded">
+        {passport.measurements.map(item => (
+          <div key={item.label} className="flex justify-between text-sm py-0.5">
+            <span>{item.label}</span>
+            <span className="text-gray-600">{item.value} <span className="text-xs">({item.measuredOn})</span></span>
+          </div>
+        ))}
+      </Section>
+
+      <Section title="Recent Vet Visits" empty="None recorded">
+        {passport.visits.map((visit, i) => (
+          <div key={`${visit.date}-${i}`} className="text-sm py-0.5">
+            <span className="text-gray-600">{visit.date}</span> · <span className="font-medium">{visit.reason}</span>
+            {visit.diagnosis && <span> · {visit.diagnosis}</span>}
+            {visit.clinic && <span className="text-gray-500"> ({visit.clinic})</span>}
+          </div>
+        ))}
+      </Section>
+
+      <Section title="Documents on File" empty="None">
+        {passport.documents.map((name, i) => (
+          <p key={`${name}-${i}`} className="text-sm">{name}</p>
+        ))}
+      </Section>
+
+      <p className="text-xs text-gray-400">Generated {passport.generatedOn} with Pet Tracker</p>
+    </div>
+  );
+};
+
+export default HealthPassport;
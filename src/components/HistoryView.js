@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { ArrowLeft, Download, Loader2, Pencil, Search, Trash2, Upload, X } from 'lucide-react';
+import apiService from '../apiService';
+import { activityLabel, describeActivity, formatActivityFields, groupByDay, loggedByLabel, matchesFilters } from '../activities';
+import { ACTIVITY_TYPES } from '../activityTypes';
+import { formatDateTime, formatRelativeTime } from '../dates';
+import { downloadActivities, fetchAllActivities } from '../importExport';
+import { formatPace } from '../walkTracking';
+import ImportPanel from './ImportPanel';
+import ActivityIcon from './ActivityIcon';
+import RouteMap from './RouteMap';
+import SwipeableCard from './SwipeableCard';
+
+const PAGE_SIZE = 20;
+
+// Pace of a tracked walk from its logged minutes and distance
+const walkPace = (activity) => formatPace(
+  Number((activity.details || {}).distance),
+  Number(activity.duration) * 60000
+);
+
+const HistoryView = ({ pets, initialPetId, currentUserId, onEdit, onDelete, onImported, reloadKey, onBack }) => {
+  const [filters, setFilters] = useState({
+    petId: initialPetId || '',
+    type: '',
+    from: '',
+    to: '',
+    q: ''
+  });
+  const [searchInput, setSearchInput] = useState('');
+  const [activities, setActivities] = useState([]);
+  const [page, setPage] = useState(0);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [exporting, setExporting] = useState('');
+  const [showImport, setShowImport] = useState(false);
+
+  // Ignore responses for filters that have since changed, and cancel the
+  // request still in flight
+  const requestId = useRef(0);
+  const controller = useRef(null);
+  const sentinel = useRef(null);
+
+  const loadPage = useCallback(async (pageNumber) => {
+    const id = ++requestId.current;
+    if (controller.current) controller.current.abort();
+    controller.current = new AbortController();
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const result = await apiService.getActivities(
+        { ...filters, page: pageNumber, limit: PAGE_SIZE },
+        { signal: controller.current.signal }
+      );
+      if (id !== requestId.current) return;
+
+      const { activities: received = [], total } = result.data;
+      const matching = received.filter(activity => matchesFilters(activity, filters, pets));
+
+      setActivities(prev => {
+        const base = pageNumber === 1 ? [] : prev;
+        const seen = new Set(base.map(activity => activity.id));
+        return [...base, ...matching.filter(activity => !seen.has(activity.id))];
+      });
+      setPage(pageNumber);
+      // A backend that ignores paging sends everything at once
+      setHasMore(total !== undefined
+        ? pageNumber * PAGE_SIZE < total
+        : received.length === PAGE_SIZE);
+    } catch (err) {
+      if (id !== requestId.current) return;
+      console.error('Error loading history:', err);
+      setError(err.message);
+      setHasMore(false);
+    } finally {
+      if (id === requestId.current) setLoading(false);
+    }
+  }, [filters, pets]);
+
+  // Start over whenever the filters change, or deleted activities come back
+  useEffect(() => {
+    setActivities([]);
+    setHasMore(true);
+    loadPage(1);
+  }, [loadPage, reloadKey]);
+
+  useEffect(() => () => {
+    if (controller.current) controller.current.abort();
+  }, []);
+
+  // Debounce the search box so typing doesn't fire a request per key
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setFilters(prev => (prev.q === searchInput ? prev : { ...prev, q: searchInput }));
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  // Infinite scroll: fetch the next page when the sentinel comes into view
+  useEffect(() => {
+    const node = sentinel.current;
+    if (!node || !hasMore || loading || !('IntersectionObserver' in window)) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadPage(page + 1);
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMore, loading, page, loadPage]);
+
+  const handleDelete = async (activity) => {
+    if (await onDelete(activity)) {
+      setActivities(prev => prev.filter(item => item.id !== activity.id));
+    }
+  };
+
+  // Export everything matching the current filters, not just the loaded pages
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      setError('');
+      downloadActivities(await fetchAllActivities(filters, pets), pets, format);
+    } catch (err) {
+      console.error('Error exporting activities:', err);
+      setError(err.message);
+    } finally {
+      setExporting('');
+    }
+  };
+
+  const handleImported = () => {
+    loadPage(1);
+    onImported();
+  };
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+  return (
+    <div className="p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onBack}
+            className="p-1 text-gray-600 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+            title="Back to tracker"
+            aria-label="Back to tracker"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <h2 className="text-lg font-semibold text-gray-800">Activity History</h2>
+        </div>
+        <div className="flex items-center space-x-1">
+          {['csv', 'json'].map(format => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={Boolean(exporting)}
+              className="flex items-center space-x-1 px-2 py-1 text-sm text-purple-600 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors disabled:opacity-50"
+              title={`Export shown activities as ${format.toUpperCase()}`}
+            >
+              {exporting === format ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+              <span className="uppercase">{format}</span>
+            </button>
+          ))}
+          <button
+            onClick={() => setShowImport(prev => !prev)}
+            aria-expanded={showImport}
+            className="p-1 text-gray-600 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+            title="Import activities"
+            aria-label="Import activities"
+          >
+            <Upload className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {showImport && (
+        <ImportPanel pets={pets} onImported={handleImported} onClose={() => setShowImport(false)} />
+      )}
+
+      {/* Filters */}
+      <div className="space-y-2">
+        <div className="relative">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search notes..."
+            aria-label="Search notes"
+            className={`${inputClass} pl-9`}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <select value={filters.petId} onChange={(e) => setFilter('petId', e.target.value)} className={inputClass} aria-label="Pet">
+            <option value="">All pets</option>
+            {pets.map(pet => (
+              <option key={pet.id} value={pet.id}>{pet.name}</option>
+            ))}
+          </select>
+          <select value={filters.type} onChange={(e) => setFilter('type', e.target.value)} className={inputClass} aria-label="Activity type">
+            <option value="">All types</option>
+            {ACTIVITY_TYPES.map(type => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
+          </select>
+          <label className="text-xs text-gray-500">
+            From
+            <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => setFilter('from', e.target.value)} className={inputClass} />
+          </label>
+          <label className="text-xs text-gray-500">
+            To
+            <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => setFilter('to', e.target.value)} className={inputClass} />
+          </label>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 p-4 rounded">
+          <p className="text-red-800 text-sm">{error}</p>
+          <button onClick={() => loadPage(page + 1)} className="text-red-600 underline text-sm mt-1">
+            Try again
+          </button>
+        </div>
+      )}
+
+      {/* Day groups */}
+      <div className="space-y-4">
+        {groupByDay(activities).map(group => (
+          <div key={group.key}>
+            <h3 className="text-sm font-semibold text-gray-500 mb-2">{group.label}</h3>
+            <ul className="space-y-2">
+              {group.activities.map(activity => (
+                <li key={activity.id}>
+                  <SwipeableCard
+                    label={describeActivity(activity)}
+                    onDelete={() => handleDelete(activity)}
+                    actions={[
+                      { label: 'Edit', icon: Pencil, onClick: () => onEdit(activity) },
+                      { label: 'Delete', icon: Trash2, destructive: true, onClick: () => handleDelete(activity) }
+                    ]}
+                  >
+                    <div className="bg-white p-3 rounded-lg shadow-sm border border-gray-100">
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center flex-wrap">
+                          <ActivityIcon type={activity.type} />
+                          <span className="font-medium ml-2">{activityLabel(activity.type)}</span>
+                          <span className="text-gray-600 ml-2">
+                            {formatActivityFields(activity)}{activity.medicationName && ` ${activity.medicationName}`}
+                          </span>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <span className="text-sm text-gray-500" title={`${formatDateTime(activity.dateTime, activity.timezone)} · ${formatRelativeTime(activity.dateTime)}`}>
+                            {new Date(activity.dateTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                          </span>
+                          <button
+                            onClick={() => onEdit(activity)}
+                            className="p-1 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+                            title="Edit activity"
+                            aria-label={`Edit ${describeActivity(activity)}`}
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(activity)}
+                            className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                            title="Delete activity"
+                            aria-label={`Delete ${describeActivity(activity)}`}
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                      <p className="text-sm text-gray-600">
+                        {activity.petName}
+                        {activity.loggedBy && <span className="text-gray-400"> · by {loggedByLabel(activity, currentUserId)}</span>}
+                      </p>
+                      {activity.notes && <p className="text-sm text-gray-500 mt-1">{activity.notes}</p>}
+                      {activity.route && (
+                        <div className="mt-2">
+                          <RouteMap route={activity.route} />
+                          {walkPace(activity) && <p className="text-xs text-gray-500 mt-1">Pace {walkPace(activity)} min/km</p>}
+                        </div>
+                      )}
+                    </div>
+                  </SwipeableCard>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      {!loading && !error && activities.length === 0 && (
+        <p className="text-center text-sm text-gray-500 py-8">No activities match these filters.</p>
+      )}
+
+      {/* Infinite scroll sentinel, with a button for browsers without IntersectionObserver */}
+      <div ref={sentinel} className="flex justify-center py-2">
+        {loading ? (
+          <Loader2 className="w-6 h-6 animate-spin text-purple-500" />
+        ) : hasMore && !error && (
+          <button onClick={() => loadPage(page + 1)} className="text-sm text-purple-600 underline">
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryView;
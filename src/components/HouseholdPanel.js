@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, LogOut, Trash2, UserPlus } from 'lucide-react';
+import apiService from '../apiService';
+import { useConfirm } from './ConfirmDialog';
+import ServerSettings from './ServerSettings';
+
+// Caregivers in the signed-in household, invites, and sign-out
+const HouseholdPanel = ({ session, onLogout }) => {
+  const [household, setHousehold] = useState(null);
+  const [email, setEmail] = useState('');
+  const [invite, setInvite] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [inviting, setInviting] = useState(false);
+  const [error, setError] = useState('');
+  const [showServer, setShowServer] = useState(false);
+  const confirm = useConfirm();
+
+  const loadHousehold = useCallback(async ({ signal } = {}) => {
+    try {
+      setLoading(true);
+      setError('');
+      const result = await apiService.getHousehold({ signal });
+      setHousehold(result.data);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error loading household:', err);
+      setError(err.message);
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadHousehold({ signal: controller.signal });
+    return () => controller.abort();
+  }, [loadHousehold]);
+
+  const handleInvite = async () => {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      setError('Please enter a valid email address');
+      return;
+    }
+    try {
+      setInviting(true);
+      setError('');
+      const result = await apiService.inviteCaregiver(email.trim());
+      setInvite(result.data);
+      setEmail('');
+    } catch (err) {
+      console.error('Error inviting caregiver:', err);
+      setError(err.message);
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!(await confirm({ title: `Remove ${member.name} from ${household.name}?`, confirmLabel: 'Remove', destructive: true }))) return;
+    try {
+      setError('');
+      await apiService.removeCaregiver(member.id);
+      await loadHousehold();
+    } catch (err) {
+      console.error('Error removing caregiver:', err);
+      setError(err.message);
+    }
+  };
+
+  // Accounts belong to one server, so switching signs out first
+  const switchServer = async () => (
+    (await confirm({
+      title: 'Switch servers?',
+      message: 'Switching servers signs you out of this one.',
+      confirmLabel: 'Sign out & switch'
+    })) && onLogout()
+  );
+
+  const members = household ? household.members : [];
+  const isOwner = members.some(member => member.id === session.user.id && member.role === 'owner');
+
+  return (
+    <div className="border-b bg-gray-50">
+      <div className="p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="font-semibold text-gray-800">{session.household.name}</h3>
+          <button
+            onClick={onLogout}
+            className="flex items-center space-x-1 px-3 py-1 text-sm text-gray-600 bg-white rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            <LogOut className="w-4 h-4" />
+            <span>Sign out</span>
+          </button>
+        </div>
+        <p className="text-xs text-gray-500">
+          Signed in as {session.user.email} ·{' '}
+          <button onClick={() => setShowServer(!showServer)} aria-expanded={showServer} className="underline">
+            {showServer ? 'hide server' : 'change server'}
+          </button>
+        </p>
+
+        {showServer && (
+          <div className="bg-white p-3 rounded-lg shadow-sm border border-gray-100">
+            <ServerSettings onSwitch={switchServer} />
+          </div>
+        )}
+
+        {error && <p className="text-red-500 text-sm">{error}</p>}
+
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="w-5 h-5 animate-spin text-purple-500" />
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {members.map(member => (
+              <div key={member.id} className="flex items-center justify-between bg-white p-3 rounded-lg shadow-sm border border-gray-100">
+                <div>
+                  <p className="font-medium text-sm">
+                    {member.name}{member.id === session.user.id && <span className="text-gray-500 font-normal"> (you)</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {member.email}{member.role === 'owner' && ' · owner'}
+                  </p>
+                </div>
+                {isOwner && member.id !== session.user.id && (
+                  <button
+                    onClick={() => handleRemove(member)}
+                    className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                    title="Remove caregiver"
+                    aria-label="Remove caregiver"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex space-x-2">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="caregiver@example.com"
+            aria-label="Caregiver email"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            disabled={inviting}
+          />
+          <button
+            onClick={handleInvite}
+            disabled={inviting || !email.trim()}
+            className="flex items-center space-x-1 px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {inviting ? <Loader2 className="w-4 h-4 animate-spin" /> : <UserPlus className="w-4 h-4" />}
+            <span>Invite</span>
+          </button>
+        </div>
+
+        {invite && (
+          <div className="bg-purple-50 p-3 rounded-lg text-sm text-gray-700">
+            Invite code for {invite.email}: <span className="font-mono font-semibold">{invite.code}</span>
+            <p className="text-xs text-gray-500 mt-1">
+              They enter it when creating their account.
+              {invite.expiresAt && ` Valid until ${new Date(invite.expiresAt).toLocaleDateString()}.`}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HouseholdPanel;
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle, Copy, Loader2, Upload, X } from 'lucide-react';
+import { activityLabel, formatActivityFields } from '../activities';
+import { acceptedRows, fetchAllActivities, importActivities, prepareImport, readImportFile } from '../importExport';
+
+const formatDateTime = (dateTime) => new Date(dateTime).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const ImportPanel = ({ pets, onImported, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [imported, setImported] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setChecking(true);
+      setError('');
+      setImported(null);
+      setFileName(file.name);
+      const records = readImportFile(file.name, await file.text());
+      // Compare against everything already logged to flag duplicates
+      const existing = await fetchAllActivities({}, pets);
+      setRows(prepareImport(records, pets, existing));
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      setError(err.message);
+      setRows([]);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const accepted = acceptedRows(rows);
+
+  const handleImport = async () => {
+    try {
+      setImporting(true);
+      setError('');
+      await importActivities(accepted);
+      setImported(accepted.length);
+      setRows([]);
+      setFileName('');
+      onImported();
+    } catch (err) {
+      console.error('Error importing activities:', err);
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const invalidCount = rows.filter(row => Object.keys(row.errors).length > 0).length;
+  const duplicateCount = rows.filter(row => row.duplicate).length;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-gray-800">Import Activities</h3>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded transition-colors"
+          title="Close import"
+          aria-label="Close import"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <label className="flex items-center justify-center space-x-2 px-3 py-2 border-2 border-dashed border-gray-300 rounded-lg text-sm text-gray-600 cursor-pointer hover:border-purple-400 hover:text-purple-600 focus-within:ring-2 focus-within:ring-purple-500 transition-colors">
+        {checking ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+        <span>{fileName || 'Choose a CSV or JSON export'}</span>
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={handleFile}
+          className="sr-only"
+          disabled={checking || importing}
+        />
+      </label>
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+
+      {imported !== null && (
+        <p className="flex items-center text-sm text-green-700">
+          <CheckCircle className="w-4 h-4 mr-1" />
+          Imported {imported} {imported === 1 ? 'activity' : 'activities'}.
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <p className="text-sm text-gray-600">
+            {accepted.length} of {rows.length} rows ready
+            {invalidCount > 0 && <span className="text-red-600"> · {invalidCount} invalid</span>}
+            {duplicateCount > 0 && <span className="text-amber-600"> · {duplicateCount} already logged</span>}
+          </p>
+
+          <div className="space-y-1 max-h-64 overflow-y-auto">
+            {rows.map(row => {
+              const messages = Object.values(row.errors);
+              return (
+                <div
+                  key={row.line}
+                  className={`p-2 rounded text-sm border ${
+                    messages.length > 0 ? 'bg-red-50 border-red-200' : row.duplicate ? 'bg-amber-50 border-amber-200' : 'bg-white border-gray-100'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span>
+                      <span className="text-gray-400 mr-2">#{row.line}</span>
+                      <span className="font-medium">{row.activity.activityType ? activityLabel(row.activity.activityType) : '?'}</span>
+                      {formatActivityFields(row.activity) && (
+                        <span className="text-gray-600 ml-1">({formatActivityFields(row.activity)})</span>
+                      )}
+                      {row.activity.petName && <span className="text-gray-600 ml-1">· {row.activity.petName}</span>}
+                    </span>
+                    {row.activity.dateTime && (
+                      <span className="text-xs text-gray-500">{formatDateTime(row.activity.dateTime)}</span>
+                    )}
+                  </div>
+                  {messages.length > 0 && (
+                    <p className="flex items-center text-xs text-red-600 mt-1">
+                      <AlertTriangle className="w-3 h-3 mr-1" />
+                      {messages.join(' · ')}
+                    </p>
+                  )}
+                  {row.duplicate && (
+                    <p className="flex items-center text-xs text-amber-700 mt-1">
+                      <Copy className="w-3 h-3 mr-1" />
+                      Already logged, will be skipped
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <button
+            onClick={handleImport}
+            disabled={importing || accepted.length === 0}
+            className="w-full px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {importing
+              ? <Loader2 className="w-4 h-4 animate-spin mx-auto" />
+              : `Import ${accepted.length} ${accepted.length === 1 ? 'activity' : 'activities'}`}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportPanel;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { useStore } from '../store';
+
+// Reads the store's latest announcement to screen readers, e.g. "Walk
+// logged for Rex". Stays mounted so the region exists before it changes;
+// the key makes a repeated message count as new.
+const LiveRegion = () => {
+  const { state } = useStore();
+  const { message, id } = state.announcement;
+
+  return (
+    <div role="status" aria-live="polite" className="sr-only">
+      <span key={id}>{message}</span>
+    </div>
+  );
+};
+
+export default LiveRegion;
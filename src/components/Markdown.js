@@ -0,0 +1,50 @@
+import React from 'react';
+import { parseMarkdown } from '../markdown';
+
+const Inline = ({ nodes }) => nodes.map((node, i) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={i}>{node.text}</strong>;
+    case 'em':
+      return <em key={i}>{node.text}</em>;
+    case 'code':
+      return <code key={i} className="px-1 bg-gray-300/60 rounded text-xs">{node.text}</code>;
+    case 'link':
+      return (
+        <a key={i} href={node.href} target="_blank" rel="noopener noreferrer" className="text-purple-700 underline">
+          {node.text}
+        </a>
+      );
+    default:
+      return <React.Fragment key={i}>{node.text}</React.Fragment>;
+  }
+});
+
+const HEADING_SIZES = ['text-base', 'text-base', 'text-sm', 'text-sm', 'text-sm', 'text-sm'];
+
+// Renders assistant replies; see markdown.js for what is supported
+const Markdown = ({ text }) => (
+  <div className="space-y-2">
+    {parseMarkdown(text).map((block, i) => {
+      if (block.type === 'heading') {
+        return <p key={i} className={`font-semibold ${HEADING_SIZES[block.level - 1]}`}><Inline nodes={block.children} /></p>;
+      }
+      if (block.type === 'code') {
+        return <pre key={i} className="p-2 bg-gray-800 text-gray-100 rounded text-xs overflow-x-auto">{block.text}</pre>;
+      }
+      if (block.type === 'list') {
+        const List = block.ordered ? 'ol' : 'ul';
+        return (
+          <List key={i} className={`pl-4 space-y-0.5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+            {block.items.map((item, j) => (
+              <li key={j}><Inline nodes={item} /></li>
+            ))}
+          </List>
+        );
+      }
+      return <p key={i}><Inline nodes={block.children} /></p>;
+    })}
+  </div>
+);
+
+export default Markdown;
@@ -0,0 +1,258 @@
+import React, { useId, useState } from 'react';
+import { CheckCircle, Loader2, Pencil, Pill, Plus, Trash2 } from 'lucide-react';
+import { DOSE_UNITS, emptyMedication, validateMedication } from '../medications';
+import FieldError, { fieldProps } from './FieldError';
+
+const STATUS_STYLES = {
+  taken: 'text-green-700 bg-green-100',
+  due: 'text-orange-700 bg-orange-100',
+  upcoming: 'text-gray-600 bg-gray-100',
+  missed: 'text-red-700 bg-red-100'
+};
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const MedicationPanel = ({ pet, medications, schedule, onSave, onDelete, onGive, saving, givingSlot }) => {
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const formId = useId();
+
+  const startEdit = (medication) => {
+    setEditing(medication ? { ...emptyMedication(), ...medication, endDate: medication.endDate || '' } : emptyMedication());
+    setErrors({});
+  };
+
+  const handleSave = async () => {
+    const validationErrors = validateMedication(editing);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const { id, ...fields } = editing;
+    const saved = await onSave({
+      ...fields,
+      petId: pet.id,
+      name: fields.name.trim(),
+      dose: parseFloat(fields.dose),
+      frequencyHours: parseFloat(fields.frequencyHours),
+      endDate: fields.endDate || null
+    }, id);
+    if (saved) setEditing(null);
+  };
+
+  const setField = (field, value) => setEditing(prev => ({ ...prev, [field]: value }));
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+    errors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  return (
+    <div className="bg-gradient-to-r from-purple-50 to-blue-50 p-4 rounded-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+          <Pill className="w-5 h-5 mr-2" />
+          Medications
+        </h2>
+        {!editing && (
+          <button
+            onClick={() => startEdit(null)}
+            className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-white rounded-lg hover:bg-purple-50 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add</span>
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <div className="bg-white rounded-lg p-3 space-y-3 mb-4">
+          <div>
+            <label htmlFor={`${formId}-name`} className="block text-sm font-medium text-gray-700 mb-1">Medication</label>
+            <input
+              {...fieldProps(`${formId}-name`, errors.name)}
+              type="text"
+              value={editing.name}
+              onChange={(e) => setField('name', e.target.value)}
+              className={inputClass('name')}
+              placeholder="Apoquel"
+              disabled={saving}
+            />
+            <FieldError id={`${formId}-name`} error={errors.name} />
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor={`${formId}-dose`} className="block text-sm font-medium text-gray-700 mb-1">Dose</label>
+              <input
+                {...fieldProps(`${formId}-dose`, errors.dose)}
+                type="number"
+                value={editing.dose}
+                onChange={(e) => setField('dose', e.target.value)}
+                className={inputClass('dose')}
+                placeholder="16"
+                min="0.1"
+                step="0.1"
+                disabled={saving}
+              />
+              <FieldError id={`${formId}-dose`} error={errors.dose} />
+            </div>
+            <div>
+              <label htmlFor={`${formId}-unit`} className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
+              <select {...fieldProps(`${formId}-unit`, errors.unit)} value={editing.unit} onChange={(e) => setField('unit', e.target.value)} className={inputClass('unit')} disabled={saving}>
+                {DOSE_UNITS.map(unit => (
+                  <option key={unit} value={unit}>{unit}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor={`${formId}-frequencyHours`} className="block text-sm font-medium text-gray-700 mb-1">Every (hours)</label>
+              <input
+                {...fieldProps(`${formId}-frequencyHours`, errors.frequencyHours)}
+                type="number"
+                value={editing.frequencyHours}
+                onChange={(e) => setField('frequencyHours', e.target.value)}
+                className={inputClass('frequencyHours')}
+                min="1"
+                step="1"
+                disabled={saving}
+              />
+              <FieldError id={`${formId}-frequencyHours`} error={errors.frequencyHours} />
+            </div>
+            <div>
+              <label htmlFor={`${formId}-firstDoseTime`} className="block text-sm font-medium text-gray-700 mb-1">First dose at</label>
+              <input
+                {...fieldProps(`${formId}-firstDoseTime`, errors.firstDoseTime)}
+                type="time"
+                value={editing.firstDoseTime}
+                onChange={(e) => setField('firstDoseTime', e.target.value)}
+                className={inputClass('firstDoseTime')}
+                disabled={saving}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor={`${formId}-startDate`} className="block text-sm font-medium text-gray-700 mb-1">Start date</label>
+              <input
+                {...fieldProps(`${formId}-startDate`, errors.startDate)}
+                type="date"
+                value={editing.startDate}
+                onChange={(e) => setField('startDate', e.target.value)}
+                className={inputClass('startDate')}
+                disabled={saving}
+              />
+              <FieldError id={`${formId}-startDate`} error={errors.startDate} />
+            </div>
+            <div>
+              <label htmlFor={`${formId}-endDate`} className="block text-sm font-medium text-gray-700 mb-1">End date</label>
+              <input
+                {...fieldProps(`${formId}-endDate`, errors.endDate)}
+                type="date"
+                value={editing.endDate}
+                onChange={(e) => setField('endDate', e.target.value)}
+                className={inputClass('endDate')}
+                min={editing.startDate}
+                disabled={saving}
+              />
+              <FieldError id={`${formId}-endDate`} error={errors.endDate} />
+            </div>
+          </div>
+
+          <div className="flex space-x-2">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex-1 px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin mx-auto" /> : 'Save Medication'}
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              disabled={saving}
+              className="px-3 py-2 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Today's doses */}
+      {schedule.length === 0 ? (
+        <p className="text-sm text-gray-500">No doses scheduled for {pet.name} today.</p>
+      ) : (
+        <div className="space-y-2">
+          {schedule.map(item => (
+            <div key={`${item.medication.id}-${item.slotKey}`} className="flex items-center justify-between bg-white p-3 rounded-lg shadow-sm">
+              <div>
+                <p className="font-medium text-sm">
+                  {formatTime(item.slot)} · {item.medication.name}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {item.medication.dose} {item.medication.unit}
+                  {item.dose && ` · given ${formatTime(new Date(item.dose.dateTime))}`}
+                </p>
+              </div>
+              {item.status === 'taken' ? (
+                <span className={`flex items-center px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES.taken}`}>
+                  <CheckCircle className="w-3 h-3 mr-1" />
+                  Taken
+                </span>
+              ) : (
+                <div className="flex items-center space-x-2">
+                  <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${STATUS_STYLES[item.status]}`}>
+                    {item.status}
+                  </span>
+                  <button
+                    onClick={() => onGive(item)}
+                    disabled={givingSlot === item.slotKey}
+                    className="px-3 py-1 text-sm bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50"
+                  >
+                    {givingSlot === item.slotKey ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Given'}
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Defined medications */}
+      {medications.length > 0 && (
+        <div className="mt-4 pt-3 border-t border-purple-100 space-y-1">
+          {medications.map(medication => (
+            <div key={medication.id} className="flex items-center justify-between text-sm">
+              <span className="text-gray-700">
+                {medication.name} {medication.dose} {medication.unit}, every {medication.frequencyHours}h
+                {medication.endDate && <span className="text-gray-500"> until {medication.endDate}</span>}
+              </span>
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => startEdit(medication)}
+                  className="p-1 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+                  title="Edit medication"
+                  aria-label="Edit medication"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => onDelete(medication.id)}
+                  className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                  title="Delete medication"
+                  aria-label="Delete medication"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MedicationPanel;
@@ -0,0 +1,271 @@
+import React, { useId, useState } from 'react';
+import { Loader2, Dog, Pencil, Trash2, Plus, X } from 'lucide-react';
+import { SPECIES, emptyPet, petAge, validatePet } from '../pets';
+import { getPetGoals } from '../goals';
+import FieldError, { fieldProps } from './FieldError';
+
+// Photos are stored inline on the profile, so keep them small
+const MAX_PHOTO_BYTES = 500 * 1024;
+
+export const PetAvatar = ({ pet, size = 'w-8 h-8' }) => (
+  pet && pet.photo ? (
+    <img src={pet.photo} alt={pet.name} className={`${size} rounded-full object-cover border-2 border-white/60`} />
+  ) : (
+    <div className={`${size} rounded-full bg-white/20 flex items-center justify-center`}>
+      <Dog className="w-4 h-4" />
+    </div>
+  )
+);
+
+const PetProfiles = ({ pets, selectedPetId, onSelect, onSave, onDelete, saving }) => {
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const formId = useId();
+
+  const startEdit = (pet) => {
+    setEditing(pet
+      ? { ...emptyPet(), ...pet, weight: pet.weight ?? '', notes: pet.notes || [], goals: getPetGoals(pet) }
+      : emptyPet());
+    setErrors({});
+  };
+
+  const handlePhoto = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (file.size > MAX_PHOTO_BYTES) {
+      setErrors(prev => ({ ...prev, photo: 'Photo must be smaller than 500 KB' }));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      setEditing(prev => ({ ...prev, photo: reader.result }));
+      setErrors(prev => ({ ...prev, photo: undefined }));
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const handleSave = async () => {
+    const validationErrors = validatePet(editing, pets);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const { id, ...fields } = editing;
+    const saved = await onSave({
+      ...fields,
+      name: fields.name.trim(),
+      breed: fields.breed.trim(),
+      weight: fields.weight === '' ? null : parseFloat(fields.weight)
+    }, id);
+    if (saved) setEditing(null);
+  };
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+    errors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  return (
+    <div className="border-b bg-gray-50">
+      <div className="p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-semibold text-gray-800">My Pets</h3>
+          {!editing && (
+            <button
+              onClick={() => startEdit(null)}
+              className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add Pet</span>
+            </button>
+          )}
+        </div>
+
+        {editing ? (
+          <div className="bg-white rounded-lg p-3 space-y-3">
+            <div>
+              <label htmlFor={`${formId}-name`} className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                {...fieldProps(`${formId}-name`, errors.name)}
+                type="text"
+                value={editing.name}
+                onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                className={inputClass('name')}
+                placeholder="Bella"
+                disabled={saving}
+              />
+              <FieldError id={`${formId}-name`} error={errors.name} />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor={`${formId}-species`} className="block text-sm font-medium text-gray-700 mb-1">Species</label>
+                <select
+                  {...fieldProps(`${formId}-species`, errors.species)}
+                  value={editing.species}
+                  onChange={(e) => setEditing(prev => ({ ...prev, species: e.target.value }))}
+                  className={`${inputClass('species')} capitalize`}
+                  disabled={saving}
+                >
+                  {SPECIES.map(species => (
+                    <option key={species} value={species}>{species}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor={`${formId}-breed`} className="block text-sm font-medium text-gray-700 mb-1">Breed</label>
+                <input
+                  {...fieldProps(`${formId}-breed`, errors.breed)}
+                  type="text"
+                  value={editing.breed}
+                  onChange={(e) => setEditing(prev => ({ ...prev, breed: e.target.value }))}
+                  className={inputClass('breed')}
+                  placeholder="Labrador"
+                  disabled={saving}
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor={`${formId}-birthdate`} className="block text-sm font-medium text-gray-700 mb-1">Birthdate</label>
+                <input
+                  {...fieldProps(`${formId}-birthdate`, errors.birthdate)}
+                  type="date"
+                  value={editing.birthdate}
+                  onChange={(e) => setEditing(prev => ({ ...prev, birthdate: e.target.value }))}
+                  className={inputClass('birthdate')}
+                  disabled={saving}
+                />
+                <FieldError id={`${formId}-birthdate`} error={errors.birthdate} />
+              </div>
+              <div>
+                <label htmlFor={`${formId}-weight`} className="block text-sm font-medium text-gray-700 mb-1">Weight (kg)</label>
+                <input
+                  {...fieldProps(`${formId}-weight`, errors.weight)}
+                  type="number"
+                  value={editing.weight}
+                  onChange={(e) => setEditing(prev => ({ ...prev, weight: e.target.value }))}
+                  className={inputClass('weight')}
+                  placeholder="12.5"
+                  min="0.1"
+                  step="0.1"
+                  disabled={saving}
+                />
+                <FieldError id={`${formId}-weight`} error={errors.weight} />
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor={`${formId}-photo`} className="block text-sm font-medium text-gray-700 mb-1">Photo</label>
+              <div className="flex items-center space-x-3">
+                {editing.photo && (
+                  <img src={editing.photo} alt={editing.name} className="w-10 h-10 rounded-full object-cover" />
+                )}
+                <input
+                  {...fieldProps(`${formId}-photo`, errors.photo)}
+                  type="file"
+                  accept="image/*"
+                  onChange={handlePhoto}
+                  className="text-sm text-gray-600"
+                  disabled={saving}
+                />
+              </div>
+              <FieldError id={`${formId}-photo`} error={errors.photo} />
+            </div>
+
+            {editing.notes.length > 0 && (
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Notes</span>
+                <div className="space-y-1 max-h-40 overflow-y-auto">
+                  {editing.notes.map(note => (
+                    <div key={note.id} className="flex items-start justify-between bg-gray-50 p-2 rounded text-sm">
+                      <div>
+                        <p className="text-gray-700 whitespace-pre-wrap">{note.text}</p>
+                        <p className="text-xs text-gray-400">
+                          {new Date(note.createdAt).toLocaleDateString()}{note.source === 'chat' && ' · from chat'}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => setEditing(prev => ({ ...prev, notes: prev.notes.filter(item => item.id !== note.id) }))}
+                        className="p-1 text-gray-400 hover:text-red-600 rounded transition-colors"
+                        title="Remove note"
+                        aria-label="Remove note"
+                        disabled={saving}
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="flex space-x-2">
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="flex-1 px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? <Loader2 className="w-4 h-4 animate-spin mx-auto" /> : 'Save Pet'}
+              </button>
+              <button
+                onClick={() => setEditing(null)}
+                disabled={saving}
+                className="px-3 py-2 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : pets.length === 0 ? (
+          <p className="text-gray-500 text-sm">Add a profile for each of your pets to start tracking.</p>
+        ) : (
+          <div className="space-y-2">
+            {pets.map(pet => (
+              <div
+                key={pet.id}
+                className={`flex items-center justify-between bg-white p-3 rounded-lg shadow-sm border ${
+                  pet.id === selectedPetId ? 'border-purple-400' : 'border-gray-100'
+                }`}
+              >
+                <button onClick={() => onSelect(pet.id)} className="flex items-center space-x-3 text-left flex-1">
+                  <div className="text-purple-500">
+                    <PetAvatar pet={pet} size="w-10 h-10" />
+                  </div>
+                  <div>
+                    <p className="font-medium">{pet.name}</p>
+                    <p className="text-sm text-gray-500 capitalize">
+                      {[pet.breed || pet.species, petAge(pet.birthdate), pet.weight ? `${pet.weight} kg` : '',
+                        pet.notes && pet.notes.length > 0 ? `${pet.notes.length} note${pet.notes.length !== 1 ? 's' : ''}` : '']
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </p>
+                  </div>
+                </button>
+                <div className="flex items-center space-x-1">
+                  <button
+                    onClick={() => startEdit(pet)}
+                    className="p-1 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+                    title="Edit pet"
+                    aria-label="Edit pet"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(pet.id)}
+                    className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                    title="Delete pet"
+                    aria-label="Delete pet"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PetProfiles;
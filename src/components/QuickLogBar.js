@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { Loader2, Settings, Zap } from 'lucide-react';
+import { formatActivityFields } from '../activities';
+import ActivityIcon from './ActivityIcon';
+import TemplatesEditor from './TemplatesEditor';
+
+// One-tap buttons for the selected pet's saved templates, shown above the
+// activity form. `onLog(template)` logs one right now; `onSaveTemplates`
+// resolves true when the list is saved.
+const QuickLogBar = ({ pet, templates, onLog, loggingId, saving, onSaveTemplates }) => {
+  const [showEditor, setShowEditor] = useState(false);
+
+  if (!pet) return null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-semibold text-gray-700 flex items-center">
+          <Zap className="w-4 h-4 mr-1 text-purple-500" />
+          Quick Log
+        </h2>
+        {!showEditor && (
+          <button
+            onClick={() => setShowEditor(true)}
+            className="p-1 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+            title="Manage quick logs"
+            aria-label="Manage quick logs"
+          >
+            <Settings className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {showEditor ? (
+        <TemplatesEditor
+          pet={pet}
+          templates={templates}
+          onSave={onSaveTemplates}
+          onClose={() => setShowEditor(false)}
+          saving={saving}
+        />
+      ) : templates.length === 0 ? (
+        <button
+          onClick={() => setShowEditor(true)}
+          className="w-full px-3 py-2 text-sm text-purple-600 border border-dashed border-purple-300 rounded-lg hover:bg-purple-50 transition-colors"
+        >
+          Save {pet.name}'s everyday activities for one-tap logging
+        </button>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {templates.map(template => (
+            <button
+              key={template.id}
+              onClick={() => onLog(template)}
+              disabled={Boolean(loggingId)}
+              title={`Log ${formatActivityFields(template) || template.name} now`}
+              className="flex items-center bg-white border border-purple-200 rounded-full pl-1 pr-3 py-1 shadow-sm text-sm hover:bg-purple-50 transition-colors disabled:opacity-50"
+            >
+              {loggingId === template.id
+                ? <span className="p-1.5"><Loader2 className="w-3 h-3 animate-spin" /></span>
+                : <ActivityIcon type={template.activityType} size="w-3 h-3" />}
+              <span className="ml-2">{template.name}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuickLogBar;
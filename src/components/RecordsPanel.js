@@ -0,0 +1,396 @@
+import React, { useId, useState } from 'react';
+import { ArrowLeft, BookOpen, Download, FileText, Loader2, Paperclip, Pencil, Plus, Stethoscope, Syringe, Trash2 } from 'lucide-react';
+import { ATTACHMENT_TYPES, downloadAttachment, formatFileSize, validateAttachment } from '../attachments';
+import { dayKey } from '../dates';
+import { emptyVaccination, validateVaccination, vaccinationStatus, visitCostThisYear } from '../records';
+import FieldError, { fieldProps } from './FieldError';
+
+const STATUS_STYLES = {
+  overdue: { label: 'Overdue', className: 'text-red-700 bg-red-100' },
+  due: { label: 'Due soon', className: 'text-orange-700 bg-orange-100' },
+  current: { label: 'Up to date', className: 'text-green-700 bg-green-100' },
+  none: { label: 'No booster', className: 'text-gray-600 bg-gray-100' },
+  superseded: { label: 'Boosted', className: 'text-gray-500 bg-gray-100' }
+};
+
+// Files attached to one record, with an "Attach" picker
+const AttachmentList = ({ attachments, record, onAttach, onDelete, saving }) => {
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const problem = validateAttachment(file);
+    setError(problem);
+    if (!problem) await onAttach(file, record);
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      setError('');
+      await downloadAttachment(attachment);
+    } catch (err) {
+      console.error('Error downloading document:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mt-2 space-y-1">
+      {attachments.map(attachment => (
+        <div key={attachment.id} className="flex items-center justify-between text-xs">
+          <button
+            onClick={() => handleDownload(attachment)}
+            className="flex items-center min-w-0 text-purple-600 hover:text-purple-800"
+            title="Download"
+          >
+            <Download className="w-3 h-3 mr-1 flex-shrink-0" />
+            <span className="truncate">{attachment.name}</span>
+          </button>
+          <div className="flex items-center space-x-2 flex-shrink-0 ml-2 text-gray-500">
+            {attachment.local && (
+              <span className="px-1.5 py-0.5 text-orange-700 bg-orange-100 rounded-full" title="Will upload when the server can be reached">
+                On this device
+              </span>
+            )}
+            <span>{formatFileSize(attachment.size)}</span>
+            <button
+              onClick={() => onDelete(attachment)}
+              className="p-0.5 text-red-500 hover:text-red-700 rounded"
+              title="Delete document"
+              aria-label="Delete document"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+        </div>
+      ))}
+      <label className={`inline-flex items-center text-xs text-gray-600 hover:text-purple-600 cursor-pointer relative rounded focus-within:ring-2 focus-within:ring-purple-500 ${saving ? 'opacity-50 pointer-events-none' : ''}`}>
+        <Paperclip className="w-3 h-3 mr-1" />
+        Attach PDF or image
+        <input type="file" accept={ATTACHMENT_TYPES.join(',')} onChange={handleFile} className="sr-only" disabled={saving} />
+      </label>
+      {error && <p className="text-red-500 text-xs">{error}</p>}
+    </div>
+  );
+};
+
+// A pet's vet records: vaccinations with their booster schedule, vet
+// visits (logged as 'vet' activities) and documents attached to either
+const RecordsPanel = ({
+  pet,
+  vaccinations,
+  visits,
+  attachments,
+  now,
+  saving,
+  onSaveVaccination,
+  onDeleteVaccination,
+  onAttach,
+  onDeleteAttachment,
+  onEditVisit,
+  onShowPassport,
+  onBack
+}) => {
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const formId = useId();
+
+  const attachmentsFor = (recordType, recordId) => attachments.filter(attachment => (
+    attachment.recordType === recordType && attachment.recordId === recordId
+  ));
+  // Files whose visit or vaccination is gone are kept with the pet's own
+  const recordIds = new Set([...vaccinations, ...visits].map(record => record.id));
+  const otherDocuments = attachments.filter(attachment => attachment.recordType === 'pet' || !recordIds.has(attachment.recordId));
+
+  const startEdit = (vaccination) => {
+    setEditing(vaccination ? { ...emptyVaccination(), ...vaccination, dueOn: vaccination.dueOn || '', notes: vaccination.notes || '' } : emptyVaccination());
+    setErrors({});
+  };
+
+  const handleSave = async () => {
+    const validationErrors = validateVaccination(editing, now);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const { id, ...fields } = editing;
+    const saved = await onSaveVaccination({
+      ...fields,
+      petId: pet.id,
+      name: fields.name.trim(),
+      dueOn: fields.dueOn || null,
+      notes: fields.notes.trim() || undefined
+    }, id);
+    if (saved) setEditing(null);
+  };
+
+  const setField = (field, value) => setEditing(prev => ({ ...prev, [field]: value }));
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+    errors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  const sortedVaccinations = vaccinations.slice().sort((a, b) => (a.givenOn < b.givenOn ? 1 : -1));
+  const costThisYear = visitCostThisYear(visits, now);
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onBack}
+            className="p-1 text-gray-600 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+            title="Back to tracker"
+            aria-label="Back to tracker"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <h2 className="text-lg font-semibold text-gray-800">Vet Records{pet && ` · ${pet.name}`}</h2>
+        </div>
+        {pet && (
+          <button
+            onClick={onShowPassport}
+            className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+          >
+            <BookOpen className="w-4 h-4" />
+            <span>Passport</span>
+          </button>
+        )}
+      </div>
+
+      {!pet ? (
+        <p className="text-sm text-gray-500">Add a pet to keep their vet records.</p>
+      ) : (
+        <>
+          {/* Vaccinations */}
+          <div className="bg-gradient-to-r from-purple-50 to-blue-50 p-4 rounded-lg">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="font-semibold text-gray-800 flex items-center">
+                <Syringe className="w-5 h-5 mr-2" />
+                Vaccinations
+              </h3>
+              {!editing && (
+                <button
+                  onClick={() => startEdit(null)}
+                  className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-white rounded-lg hover:bg-purple-50 transition-colors"
+                >
+                  <Plus className="w-4 h-4" />
+                  <span>Add</span>
+                </button>
+              )}
+            </div>
+
+            {editing && (
+              <div className="bg-white rounded-lg p-3 space-y-3 mb-4">
+                <div>
+                  <label htmlFor={`${formId}-name`} className="block text-sm font-medium text-gray-700 mb-1">Vaccine</label>
+                  <input
+                    {...fieldProps(`${formId}-name`, errors.name)}
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setField('name', e.target.value)}
+                    className={inputClass('name')}
+                    placeholder="Rabies"
+                    disabled={saving}
+                  />
+                  <FieldError id={`${formId}-name`} error={errors.name} />
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label htmlFor={`${formId}-givenOn`} className="block text-sm font-medium text-gray-700 mb-1">Given on</label>
+                    <input
+                      {...fieldProps(`${formId}-givenOn`, errors.givenOn)}
+                      type="date"
+                      value={editing.givenOn}
+                      onChange={(e) => setField('givenOn', e.target.value)}
+                      className={inputClass('givenOn')}
+                      max={dayKey(now)}
+                      disabled={saving}
+                    />
+                    <FieldError id={`${formId}-givenOn`} error={errors.givenOn} />
+                  </div>
+                  <div>
+                    <label htmlFor={`${formId}-dueOn`} className="block text-sm font-medium text-gray-700 mb-1">Next due</label>
+                    <input
+                      {...fieldProps(`${formId}-dueOn`, errors.dueOn)}
+                      type="date"
+                      value={editing.dueOn}
+                      onChange={(e) => setField('dueOn', e.target.value)}
+                      className={inputClass('dueOn')}
+                      min={editing.givenOn}
+                      disabled={saving}
+                    />
+                    <FieldError id={`${formId}-dueOn`} error={errors.dueOn} />
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor={`${formId}-notes`} className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                  <input
+                    {...fieldProps(`${formId}-notes`, errors.notes)}
+                    type="text"
+                    value={editing.notes}
+                    onChange={(e) => setField('notes', e.target.value)}
+                    className={inputClass('notes')}
+                    placeholder="Batch number, vet, ..."
+                    disabled={saving}
+                  />
+                </div>
+
+                <div className="flex space-x-2">
+                  <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="flex-1 px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin mx-auto" /> : 'Save Vaccination'}
+                  </button>
+                  <button
+                    onClick={() => setEditing(null)}
+                    disabled={saving}
+                    className="px-3 py-2 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {sortedVaccinations.length === 0 ? (
+              <p className="text-sm text-gray-500">No vaccinations recorded for {pet.name} yet.</p>
+            ) : (
+              <div className="space-y-2">
+                {sortedVaccinations.map(vaccination => {
+                  const status = STATUS_STYLES[vaccinationStatus(vaccination, vaccinations, now)];
+                  return (
+                    <div key={vaccination.id} className="bg-white p-3 rounded-lg shadow-sm">
+                      <div className="flex items-start justify-between">
+                        <div>
+                          <p className="font-medium text-sm">{vaccination.name}</p>
+                          <p className="text-xs text-gray-500">
+                            Given {vaccination.givenOn}
+                            {vaccination.dueOn && ` · next due ${vaccination.dueOn}`}
+                          </p>
+                          {vaccination.notes && <p className="text-xs text-gray-500">{vaccination.notes}</p>}
+                        </div>
+                        <div className="flex items-center space-x-1">
+                          <span className={`px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${status.className}`}>
+                            {status.label}
+                          </span>
+                          <button
+                            onClick={() => startEdit(vaccination)}
+                            className="p-1 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+                            title="Edit vaccination"
+                            aria-label="Edit vaccination"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => onDeleteVaccination(vaccination)}
+                            className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                            title="Delete vaccination"
+                            aria-label="Delete vaccination"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                      <AttachmentList
+                        attachments={attachmentsFor('vaccination', vaccination.id)}
+                        record={{ recordType: 'vaccination', recordId: vaccination.id }}
+                        onAttach={onAttach}
+                        onDelete={onDeleteAttachment}
+                        saving={saving}
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Vet Visits */}
+          <div className="bg-gradient-to-r from-teal-50 to-blue-50 p-4 rounded-lg">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="font-semibold text-gray-800 flex items-center">
+                <Stethoscope className="w-5 h-5 mr-2" />
+                Vet Visits
+              </h3>
+              {costThisYear > 0 && (
+                <span className="text-sm text-gray-600">{costThisYear.toFixed(2)} spent this year</span>
+              )}
+            </div>
+
+            {visits.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No vet visits yet. Log one from the tracker as a "Vet visit" activity.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {visits.map(visit => {
+                  const details = visit.details || {};
+                  return (
+                    <div key={visit.id} className="bg-white p-3 rounded-lg shadow-sm">
+                      <div className="flex items-start justify-between">
+                        <div>
+                          <p className="font-medium text-sm">{details.reason || 'Vet visit'}</p>
+                          <p className="text-xs text-gray-500">
+                            {dayKey(visit.dateTime)}
+                            {details.clinic && ` · ${details.clinic}`}
+                            {details.cost && ` · cost ${details.cost}`}
+                          </p>
+                          {details.diagnosis && <p className="text-xs text-gray-700">Diagnosis: {details.diagnosis}</p>}
+                          {visit.notes && <p className="text-xs text-gray-500 line-clamp-2">{visit.notes}</p>}
+                        </div>
+                        {!visit.pending && (
+                          <button
+                            onClick={() => onEditVisit(visit)}
+                            className="p-1 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+                            title="Edit visit"
+                            aria-label="Edit visit"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                      {/* Pending visits have no server id to attach to yet */}
+                      {!visit.pending && (
+                        <AttachmentList
+                          attachments={attachmentsFor('visit', visit.id)}
+                          record={{ recordType: 'visit', recordId: visit.id }}
+                          onAttach={onAttach}
+                          onDelete={onDeleteAttachment}
+                          saving={saving}
+                        />
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Other Documents */}
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <h3 className="font-semibold text-gray-800 flex items-center mb-2">
+              <FileText className="w-5 h-5 mr-2" />
+              Other Documents
+            </h3>
+            <p className="text-xs text-gray-500">Insurance, microchip registration, adoption papers, ...</p>
+            <AttachmentList
+              attachments={otherDocuments}
+              record={{ recordType: 'pet' }}
+              onAttach={onAttach}
+              onDelete={onDeleteAttachment}
+              saving={saving}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecordsPanel;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const TONES = {
+  reminder: { box: 'bg-orange-100 border-orange-500', icon: 'text-orange-500', text: 'text-orange-800', action: 'text-orange-700' },
+  health: { box: 'bg-rose-100 border-rose-500', icon: 'text-rose-500', text: 'text-rose-800', action: 'text-rose-700' },
+  missed: { box: 'bg-red-100 border-red-500', icon: 'text-red-500', text: 'text-red-800', action: 'text-red-700' }
+};
+
+// A banner under the header for reminders, health alerts and missed
+// doses. `actions` are [{ label, onClick }] links such as Snooze/Dismiss.
+const ReminderBanner = ({ tone = 'reminder', icon: Icon = AlertTriangle, actions = [], children }) => {
+  const colors = TONES[tone];
+  return (
+    <div className={`border-l-4 p-4 m-4 rounded ${colors.box}`}>
+      <div className="flex items-start">
+        <Icon className={`w-5 h-5 mr-2 flex-shrink-0 ${colors.icon}`} />
+        <div className={colors.text}>{children}</div>
+      </div>
+      {actions.length > 0 && (
+        <div className="flex space-x-3 mt-2 ml-7 text-sm">
+          {actions.map(action => (
+            <button key={action.label} onClick={action.onClick} className={`${colors.action} underline`}>
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReminderBanner;
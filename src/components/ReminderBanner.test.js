@@ -0,0 +1,35 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { Pill } from 'lucide-react';
+import ReminderBanner from './ReminderBanner';
+
+jest.mock('../apiService');
+
+describe('ReminderBanner', () => {
+  it('shows its message without actions', () => {
+    render(<ReminderBanner>Time for Rex's walk</ReminderBanner>);
+    expect(screen.getByText("Time for Rex's walk")).toBeInTheDocument();
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  it('runs the action that was clicked', () => {
+    const snooze = jest.fn();
+    const dismiss = jest.fn();
+    render(
+      <ReminderBanner actions={[{ label: 'Snooze', onClick: snooze }, { label: 'Dismiss', onClick: dismiss }]}>
+        Time for Rex's walk
+      </ReminderBanner>
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+    expect(dismiss).toHaveBeenCalledTimes(1);
+    expect(snooze).not.toHaveBeenCalled();
+  });
+
+  it('uses the colours of its tone', () => {
+    const { container } = render(
+      <ReminderBanner tone="missed" icon={Pill}>Rex missed a dose</ReminderBanner>
+    );
+    expect(container.firstChild).toHaveClass('bg-red-100', 'border-red-500');
+    expect(screen.getByText('Rex missed a dose')).toHaveClass('text-red-800');
+  });
+});
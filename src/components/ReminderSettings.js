@@ -0,0 +1,239 @@
+import React, { useId, useState } from 'react';
+import { Bell, BellOff, Pencil, Plus, Trash2 } from 'lucide-react';
+import { activityLabel } from '../activities';
+import { ACTIVITY_TYPES } from '../activityTypes';
+import { createClientId } from '../outbox';
+import { validateRule } from '../reminders';
+import FieldError, { fieldProps } from './FieldError';
+
+const emptyRule = () => ({
+  id: createClientId(),
+  enabled: true,
+  kind: 'missing-activity',
+  label: '',
+  petId: '',
+  activityType: 'walk',
+  minCount: 1,
+  byTime: '18:00',
+  quietStart: '22:00',
+  quietEnd: '07:00'
+});
+
+const describeRule = (rule, pets) => {
+  const pet = pets.find(item => item.id === rule.petId);
+  const who = pet ? pet.name : 'any pet';
+  if (rule.kind === 'medication-due') {
+    return `When a scheduled dose is due for ${who}`;
+  }
+  const label = activityLabel(rule.activityType).toLowerCase();
+  const count = Number(rule.minCount) > 1 ? `${rule.minCount} ${label}s` : `a ${label}`;
+  return `If ${who} hasn't had ${count} by ${rule.byTime}`;
+};
+
+const ReminderSettings = ({ rules, pets, permission, onChange, onEnableNotifications }) => {
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const formId = useId();
+
+  const startEdit = (rule) => {
+    setEditing(rule ? { ...rule } : emptyRule());
+    setErrors({});
+  };
+
+  const handleSave = () => {
+    const validationErrors = validateRule(editing);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const rule = { ...editing, label: editing.label.trim(), minCount: Number(editing.minCount) };
+    const exists = rules.some(item => item.id === rule.id);
+    onChange(exists ? rules.map(item => (item.id === rule.id ? rule : item)) : [...rules, rule]);
+    setEditing(null);
+  };
+
+  const setField = (field, value) => setEditing(prev => ({ ...prev, [field]: value }));
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+    errors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  return (
+    <div className="border-b bg-gray-50">
+      <div className="p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-semibold text-gray-800">Reminders</h3>
+          {!editing && (
+            <button
+              onClick={() => startEdit(null)}
+              className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add Rule</span>
+            </button>
+          )}
+        </div>
+
+        {/* Notification permission */}
+        {permission === 'unsupported' ? (
+          <p className="text-sm text-gray-500 mb-3">This browser can't show notifications; reminders appear in the app only.</p>
+        ) : permission !== 'granted' && (
+          <div className="flex items-center justify-between bg-white rounded-lg p-3 mb-3 shadow-sm">
+            <span className="flex items-center text-sm text-gray-600">
+              <BellOff className="w-4 h-4 mr-2" />
+              {permission === 'denied' ? 'Notifications are blocked in browser settings' : 'Notifications are off'}
+            </span>
+            {permission !== 'denied' && (
+              <button
+                onClick={onEnableNotifications}
+                className="px-3 py-1 text-sm bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors"
+              >
+                Enable
+              </button>
+            )}
+          </div>
+        )}
+
+        {editing ? (
+          <div className="bg-white rounded-lg p-3 space-y-3">
+            <div>
+              <label htmlFor={`${formId}-label`} className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                {...fieldProps(`${formId}-label`, errors.label)}
+                type="text"
+                value={editing.label}
+                onChange={(e) => setField('label', e.target.value)}
+                className={inputClass('label')}
+                placeholder="Evening walk"
+              />
+              <FieldError id={`${formId}-label`} error={errors.label} />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor={`${formId}-kind`} className="block text-sm font-medium text-gray-700 mb-1">Remind when</label>
+                <select {...fieldProps(`${formId}-kind`, errors.kind)} value={editing.kind} onChange={(e) => setField('kind', e.target.value)} className={inputClass('kind')}>
+                  <option value="missing-activity">Activity not logged</option>
+                  <option value="medication-due">Medication due</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor={`${formId}-petId`} className="block text-sm font-medium text-gray-700 mb-1">Pet</label>
+                <select {...fieldProps(`${formId}-petId`, errors.petId)} value={editing.petId} onChange={(e) => setField('petId', e.target.value)} className={inputClass('petId')}>
+                  <option value="">Any pet</option>
+                  {pets.map(pet => (
+                    <option key={pet.id} value={pet.id}>{pet.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {editing.kind === 'missing-activity' && (
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label htmlFor={`${formId}-activityType`} className="block text-sm font-medium text-gray-700 mb-1">Activity</label>
+                  <select {...fieldProps(`${formId}-activityType`, errors.activityType)} value={editing.activityType} onChange={(e) => setField('activityType', e.target.value)} className={inputClass('activityType')}>
+                    {ACTIVITY_TYPES.map(type => (
+                      <option key={type.id} value={type.id}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor={`${formId}-minCount`} className="block text-sm font-medium text-gray-700 mb-1">At least</label>
+                  <input
+                    {...fieldProps(`${formId}-minCount`, errors.minCount)}
+                    type="number"
+                    value={editing.minCount}
+                    onChange={(e) => setField('minCount', e.target.value)}
+                    className={inputClass('minCount')}
+                    min="1"
+                    step="1"
+                  />
+                  <FieldError id={`${formId}-minCount`} error={errors.minCount} />
+                </div>
+                <div>
+                  <label htmlFor={`${formId}-byTime`} className="block text-sm font-medium text-gray-700 mb-1">By</label>
+                  <input {...fieldProps(`${formId}-byTime`, errors.byTime)} type="time" value={editing.byTime} onChange={(e) => setField('byTime', e.target.value)} className={inputClass('byTime')} />
+                  <FieldError id={`${formId}-byTime`} error={errors.byTime} />
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label htmlFor={`${formId}-quiet`} className="block text-sm font-medium text-gray-700 mb-1">Quiet hours (no notifications)</label>
+              <div className="flex items-center space-x-2">
+                <input {...fieldProps(`${formId}-quiet`, errors.quiet)} type="time" value={editing.quietStart} onChange={(e) => setField('quietStart', e.target.value)} className={inputClass('quiet')} />
+                <span className="text-gray-500">to</span>
+                <input
+                  type="time"
+                  value={editing.quietEnd}
+                  onChange={(e) => setField('quietEnd', e.target.value)}
+                  className={inputClass('quiet')}
+                  aria-label="Quiet hours end"
+                  aria-invalid={errors.quiet ? true : undefined}
+                  aria-describedby={errors.quiet ? `${formId}-quiet-error` : undefined}
+                />
+              </div>
+              <FieldError id={`${formId}-quiet`} error={errors.quiet} />
+            </div>
+
+            <div className="flex space-x-2">
+              <button
+                onClick={handleSave}
+                className="flex-1 px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors"
+              >
+                Save Rule
+              </button>
+              <button
+                onClick={() => setEditing(null)}
+                className="px-3 py-2 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {rules.map(rule => (
+              <div key={rule.id} className="flex items-center justify-between bg-white p-3 rounded-lg shadow-sm border border-gray-100">
+                <button
+                  onClick={() => onChange(rules.map(item => (item.id === rule.id ? { ...item, enabled: !item.enabled } : item)))}
+                  className={`flex items-center space-x-3 text-left flex-1 ${rule.enabled ? '' : 'opacity-50'}`}
+                  title={rule.enabled ? 'Turn off' : 'Turn on'}
+                >
+                  {rule.enabled ? <Bell className="w-4 h-4 text-purple-500" /> : <BellOff className="w-4 h-4 text-gray-400" />}
+                  <div>
+                    <p className="font-medium text-sm">{rule.label}</p>
+                    <p className="text-xs text-gray-500">
+                      {describeRule(rule, pets)}
+                      {rule.quietStart && ` · quiet ${rule.quietStart}-${rule.quietEnd}`}
+                    </p>
+                  </div>
+                </button>
+                <div className="flex items-center space-x-1">
+                  <button
+                    onClick={() => startEdit(rule)}
+                    className="p-1 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+                    title="Edit rule"
+                    aria-label="Edit rule"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onChange(rules.filter(item => item.id !== rule.id))}
+                    className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                    title="Delete rule"
+                    aria-label="Delete rule"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReminderSettings;
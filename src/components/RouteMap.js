@@ -0,0 +1,58 @@
+import React from 'react';
+
+const MAP_WIDTH = 300;
+const MAP_HEIGHT = 160;
+const PADDING = 10;
+
+// A walk's route as a line on a blank background (no map tiles), with the
+// start in green and the end in red. `route` is a list of segments of
+// [lat, lng] points; gaps between segments are pauses.
+const RouteMap = ({ route, className = 'w-full h-40' }) => {
+  const points = route.flat();
+  if (points.length < 2) return null;
+
+  // Equirectangular projection is plenty at walk scale
+  const midLat = points.reduce((sum, [lat]) => sum + lat, 0) / points.length;
+  const scaleX = Math.cos(midLat * Math.PI / 180);
+  const xs = points.map(([, lng]) => lng * scaleX);
+  const ys = points.map(([lat]) => lat);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+  const scale = Math.min(MAP_WIDTH, MAP_HEIGHT) - PADDING * 2;
+  // Centre the route in the box
+  const offsetX = (MAP_WIDTH - (Math.max(...xs) - minX) / span * scale) / 2;
+  const offsetY = (MAP_HEIGHT - (Math.max(...ys) - minY) / span * scale) / 2;
+
+  const project = ([lat, lng]) => [
+    offsetX + (lng * scaleX - minX) / span * scale,
+    MAP_HEIGHT - offsetY - (lat - minY) / span * scale
+  ];
+  const [startX, startY] = project(points[0]);
+  const [endX, endY] = project(points[points.length - 1]);
+
+  return (
+    <svg viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`} className={`${className} bg-green-50 rounded-lg`} role="img">
+      <title>Walk route</title>
+      {route.map((segment, i) => (
+        <polyline
+          key={i}
+          points={segment.map(point => project(point).join(',')).join(' ')}
+          fill="none"
+          stroke="#8b5cf6"
+          strokeWidth="3"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        />
+      ))}
+      <circle cx={startX} cy={startY} r="5" fill="#22c55e" stroke="white" strokeWidth="2">
+        <title>Start</title>
+      </circle>
+      <circle cx={endX} cy={endY} r="5" fill="#ef4444" stroke="white" strokeWidth="2">
+        <title>Finish</title>
+      </circle>
+    </svg>
+  );
+};
+
+export default RouteMap;
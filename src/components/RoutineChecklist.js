@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { CheckSquare, Loader2, Square } from 'lucide-react';
+import { formatActivityFields } from '../activities';
+import ActivityIcon from './ActivityIcon';
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Today's routines as a checklist. Ticking one logs it at the time shown,
+// which starts at the scheduled time and can be changed to when it really
+// happened; unticking deletes the activity logged for it.
+const RoutineChecklist = ({ checklist, onTick, onUntick, tickingId }) => {
+  // Times changed from the schedule, by template id
+  const [times, setTimes] = useState({});
+
+  if (checklist.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-semibold text-gray-700">Routine</h3>
+      {checklist.map(({ template, status, activity }) => {
+        const busy = tickingId === template.id;
+        const time = times[template.id] || template.time;
+        return (
+          <div key={template.id} className="flex items-center bg-white rounded-lg p-2 shadow-sm">
+            <button
+              onClick={() => (activity ? onUntick(activity) : onTick(template, time))}
+              disabled={busy}
+              role="checkbox"
+              aria-checked={Boolean(activity)}
+              aria-label={template.name}
+              className={`p-1 rounded transition-colors disabled:opacity-50 ${
+                activity ? 'text-green-600 hover:text-green-800' : 'text-gray-400 hover:text-purple-600'
+              }`}
+              title={activity ? 'Untick and delete the logged activity' : `Log at ${time}`}
+            >
+              {busy ? <Loader2 className="w-5 h-5 animate-spin" /> : activity ? <CheckSquare className="w-5 h-5" /> : <Square className="w-5 h-5" />}
+            </button>
+            <ActivityIcon type={template.activityType} size="w-3 h-3" />
+            <div className="flex-1 min-w-0 ml-2">
+              <p className={`text-sm font-medium truncate ${activity ? 'text-gray-500 line-through' : 'text-gray-800'}`}>
+                {template.name}
+              </p>
+              <p className="text-xs text-gray-500 truncate">
+                {formatActivityFields(template)}
+                {activity && ` · done at ${formatTime(new Date(activity.dateTime))}`}
+              </p>
+            </div>
+            {!activity && (
+              <input
+                type="time"
+                value={time}
+                onChange={(e) => setTimes(prev => ({ ...prev, [template.id]: e.target.value }))}
+                className={`ml-2 px-2 py-1 border rounded text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+                  status === 'due' ? 'border-orange-300 text-orange-700' : 'border-gray-300'
+                }`}
+                title={status === 'due' ? 'Due' : 'Upcoming'}
+                aria-label={`${template.name} time${status === 'due' ? ', due' : ''}`}
+                disabled={busy}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RoutineChecklist;
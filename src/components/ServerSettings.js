@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Server } from 'lucide-react';
+import { checkServer } from '../apiClient';
+import { getApiUrlSources, normalizeApiUrl, setApiUrlOverride, validateApiUrl } from '../config';
+
+const SOURCE_LABELS = {
+  override: 'chosen here',
+  config: 'from config.json',
+  env: 'from REACT_APP_API_URL',
+  builtIn: 'built-in default'
+};
+
+// Point the app at another backend (staging, self-hosted). The new server
+// must pass its health check first. `onSwitch` runs before the switch,
+// e.g. to sign out of the old server; resolving false cancels it.
+const ServerSettings = ({ onSwitch = async () => true }) => {
+  const [sources, setSources] = useState(null);
+  const [url, setUrl] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadSources = useCallback(async () => {
+    try {
+      setSources(await getApiUrlSources());
+    } catch (err) {
+      console.error('Error loading server settings:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSources();
+  }, [loadSources]);
+
+  const currentSource = sources && ['override', 'config', 'env', 'builtIn'].find(key => sources[key]);
+  const fallbackSource = sources && ['config', 'env', 'builtIn'].find(key => sources[key]);
+
+  // Switch to `target`, or back to the configured server when it's null
+  const switchTo = async (target) => {
+    const address = target ? normalizeApiUrl(target) : sources[fallbackSource];
+    try {
+      setChecking(true);
+      setError('');
+      setMessage('');
+      await checkServer(address);
+      if (!(await onSwitch())) return;
+      await setApiUrlOverride(target);
+      setUrl('');
+      setMessage(`Now using ${address}`);
+      await loadSources();
+    } catch (err) {
+      console.error('Error switching server:', err);
+      setError(`${address} didn't pass the health check: ${err.message}`);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleSwitch = () => {
+    const validationError = validateApiUrl(url);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    switchTo(url);
+  };
+
+  if (!sources) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="w-5 h-5 animate-spin text-purple-500" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-start space-x-2 text-sm text-gray-700">
+        <Server className="w-4 h-4 mt-0.5 flex-shrink-0 text-gray-500" />
+        <p>
+          Server: <span className="font-mono break-all">{sources[currentSource]}</span>
+          <span className="text-gray-500"> ({SOURCE_LABELS[currentSource]})</span>
+        </p>
+      </div>
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+      {message && <p className="text-green-600 text-sm">{message}</p>}
+
+      <div className="flex space-x-2">
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://pets.example.com"
+          aria-label="Server address"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          disabled={checking}
+        />
+        <button
+          type="button"
+          onClick={handleSwitch}
+          disabled={checking || !url.trim()}
+          className="flex items-center space-x-1 px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+        >
+          {checking && <Loader2 className="w-4 h-4 animate-spin" />}
+          <span>Test & switch</span>
+        </button>
+      </div>
+
+      {sources.override && (
+        <button
+          type="button"
+          onClick={() => switchTo(null)}
+          disabled={checking}
+          className="text-sm text-purple-600 underline disabled:opacity-50"
+        >
+          Go back to {sources[fallbackSource]}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ServerSettings;
@@ -0,0 +1,199 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+
+// How far a card has to be dragged left to delete it
+export const SWIPE_DELETE_PX = 96;
+// How long a press has to be held to open the actions
+export const LONG_PRESS_MS = 500;
+// Movement still treated as holding still (fingers wobble)
+const MOVE_TOLERANCE_PX = 10;
+
+// Touch-first wrapper for an activity card. Swipe it left to delete it, or
+// long-press it for its `actions` ([{ label, icon, onClick, destructive }]).
+// Keyboard users get the same: Delete deletes, and the context menu key or
+// Shift+F10 opens the actions, from anywhere inside the card. `label`
+// names the card in the actions menu, e.g. "Walk (30 min) on May 1, 08:30".
+const SwipeableCard = ({ label, actions, onDelete, children }) => {
+  const [offset, setOffset] = useState(0);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const gesture = useRef(null);
+  // A swipe or long-press ends with a click that mustn't also edit
+  const swallowClick = useRef(false);
+  const container = useRef(null);
+  const menu = useRef(null);
+
+  useEffect(() => () => gesture.current && clearTimeout(gesture.current.timer), []);
+
+  // Put focus on the first action when the menu opens, and close it on a
+  // tap anywhere else (taps don't always move focus)
+  useEffect(() => {
+    if (!menuOpen) return undefined;
+    menu.current.querySelector('[role="menuitem"]').focus();
+    const handleOutside = (e) => {
+      if (!menu.current.contains(e.target)) setMenuOpen(false);
+    };
+    document.addEventListener('pointerdown', handleOutside);
+    return () => document.removeEventListener('pointerdown', handleOutside);
+  }, [menuOpen]);
+
+  const closeMenu = ({ refocus = true } = {}) => {
+    setMenuOpen(false);
+    if (refocus) {
+      const target = container.current && container.current.querySelector('[tabindex="0"], button');
+      if (target) target.focus();
+    }
+  };
+
+  const endGesture = () => {
+    if (gesture.current) clearTimeout(gesture.current.timer);
+    gesture.current = null;
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    endGesture();
+    gesture.current = {
+      pointerId: e.pointerId,
+      x: e.clientX,
+      y: e.clientY,
+      swiping: false,
+      timer: setTimeout(() => {
+        gesture.current.timer = null;
+        swallowClick.current = true;
+        setMenuOpen(true);
+      }, LONG_PRESS_MS)
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    const current = gesture.current;
+    if (!current || current.pointerId !== e.pointerId) return;
+    const dx = e.clientX - current.x;
+    const dy = e.clientY - current.y;
+
+    if (Math.abs(dx) > MOVE_TOLERANCE_PX || Math.abs(dy) > MOVE_TOLERANCE_PX) {
+      clearTimeout(current.timer);
+      current.timer = null;
+    }
+    // Only a mostly horizontal drag is a swipe; vertical ones scroll
+    if (!current.swiping && onDelete && Math.abs(dx) > MOVE_TOLERANCE_PX && Math.abs(dx) > Math.abs(dy)) {
+      current.swiping = true;
+      e.currentTarget.setPointerCapture(e.pointerId);
+    }
+    if (current.swiping) setOffset(Math.min(0, dx));
+  };
+
+  const handlePointerUp = () => {
+    const current = gesture.current;
+    endGesture();
+    if (!current || !current.swiping) return;
+    swallowClick.current = true;
+    if (offset <= -SWIPE_DELETE_PX) onDelete();
+    setOffset(0);
+  };
+
+  const handlePointerCancel = () => {
+    endGesture();
+    setOffset(0);
+  };
+
+  const handleClickCapture = (e) => {
+    if (!swallowClick.current) return;
+    swallowClick.current = false;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.target.closest('[role="menu"]')) return;
+    if (e.key === 'ContextMenu' || (e.shiftKey && e.key === 'F10')) {
+      e.preventDefault();
+      setMenuOpen(true);
+    } else if (e.key === 'Delete' && onDelete && !['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+      e.preventDefault();
+      onDelete();
+    }
+  };
+
+  // Arrow keys move through the actions; Escape and Tab close them
+  const handleMenuKeyDown = (e) => {
+    const items = [...menu.current.querySelectorAll('[role="menuitem"]')];
+    const index = items.indexOf(document.activeElement);
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const next = (index + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+      items[next].focus();
+    } else if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault();
+      items[e.key === 'Home' ? 0 : items.length - 1].focus();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeMenu();
+    } else if (e.key === 'Tab') {
+      closeMenu({ refocus: false });
+    }
+  };
+
+  const runAction = (action) => {
+    closeMenu();
+    action.onClick();
+  };
+
+  return (
+    <div ref={container} className="relative" onKeyDown={handleKeyDown}>
+      {/* Revealed behind the card while it's swiped */}
+      {offset < 0 && (
+        <div
+          className={`absolute inset-0 flex items-center justify-end pr-4 rounded-lg text-white text-sm font-medium ${
+            offset <= -SWIPE_DELETE_PX ? 'bg-red-600' : 'bg-red-400'
+          }`}
+          aria-hidden="true"
+        >
+          <Trash2 className="w-4 h-4 mr-1" />
+          Delete
+        </div>
+      )}
+      <div
+        className={`relative touch-pan-y select-none ${offset === 0 ? 'motion-safe:transition-transform' : ''}`}
+        style={{ transform: `translateX(${offset}px)` }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        onClickCapture={handleClickCapture}
+        onContextMenu={(e) => {
+          e.preventDefault();
+          setMenuOpen(true);
+        }}
+      >
+        {children}
+      </div>
+      {menuOpen && (
+        <div
+          ref={menu}
+          role="menu"
+          aria-label={`Actions for ${label}`}
+          onKeyDown={handleMenuKeyDown}
+          onBlur={(e) => !menu.current.contains(e.relatedTarget) && closeMenu({ refocus: false })}
+          className="mt-1 bg-white rounded-lg shadow-lg border border-gray-100 py-1"
+        >
+          {actions.map(action => (
+            <button
+              key={action.label}
+              role="menuitem"
+              onClick={() => runAction(action)}
+              className={`flex items-center w-full px-3 py-2 text-sm text-left hover:bg-gray-50 focus:bg-gray-50 focus:outline-none ${
+                action.destructive ? 'text-red-600' : 'text-gray-700'
+              }`}
+            >
+              {action.icon && <action.icon className="w-4 h-4 mr-2" aria-hidden="true" />}
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SwipeableCard;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { Pencil, Trash2 } from 'lucide-react';
+import SwipeableCard from './SwipeableCard';
+
+jest.mock('../apiService');
+
+const renderCard = () => {
+  const onEdit = jest.fn();
+  const onDelete = jest.fn();
+  const result = render(
+    <ul>
+      <li>
+        <SwipeableCard
+          label="Walk (30 min) on May 1, 08:30"
+          onDelete={onDelete}
+          actions={[
+            { label: 'Edit', icon: Pencil, onClick: onEdit },
+            { label: 'Delete', icon: Trash2, destructive: true, onClick: onDelete }
+          ]}
+        >
+          <div role="button" tabIndex={0} aria-label="Edit Walk (30 min) on May 1, 08:30">Walk</div>
+        </SwipeableCard>
+      </li>
+    </ul>
+  );
+  return { ...result, onEdit, onDelete, card: screen.getByRole('button', { name: /^Edit Walk/ }) };
+};
+
+describe('SwipeableCard', () => {
+  it('has an accessible actions menu', async () => {
+    const { container, card } = renderCard();
+    fireEvent.contextMenu(card);
+
+    expect(screen.getByRole('menu', { name: 'Actions for Walk (30 min) on May 1, 08:30' })).toBeInTheDocument();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('moves through the actions with the arrow keys', () => {
+    const { card } = renderCard();
+    fireEvent.keyDown(card, { key: 'ContextMenu' });
+    const menu = screen.getByRole('menu');
+    const [edit, remove] = screen.getAllByRole('menuitem');
+    expect(edit).toHaveFocus();
+
+    fireEvent.keyDown(menu, { key: 'ArrowDown' });
+    expect(remove).toHaveFocus();
+    fireEvent.keyDown(menu, { key: 'ArrowDown' });
+    expect(edit).toHaveFocus();
+    fireEvent.keyDown(menu, { key: 'End' });
+    expect(remove).toHaveFocus();
+  });
+
+  it('closes the menu on Escape and returns focus to the card', () => {
+    const { card, onDelete } = renderCard();
+    fireEvent.keyDown(card, { key: 'F10', shiftKey: true });
+
+    fireEvent.keyDown(screen.getByRole('menu'), { key: 'Escape' });
+
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+    expect(card).toHaveFocus();
+    expect(onDelete).not.toHaveBeenCalled();
+  });
+
+  it('runs an action and closes the menu', () => {
+    const { card, onDelete } = renderCard();
+    fireEvent.contextMenu(card);
+
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Delete' }));
+
+    expect(onDelete).toHaveBeenCalledTimes(1);
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+  });
+});
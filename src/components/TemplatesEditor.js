@@ -0,0 +1,224 @@
+import React, { useId, useState } from 'react';
+import { Loader2, Pencil, Plus, Trash2 } from 'lucide-react';
+import { formatActivityFields } from '../activities';
+import { ACTIVITY_TYPES } from '../activityTypes';
+import { createClientId } from '../outbox';
+import { describeDays, emptyTemplate, templateFormValues, toTemplate, validateTemplate, WEEKDAYS } from '../routines';
+import ActivityFields from './ActivityFields';
+import ActivityIcon from './ActivityIcon';
+import { useConfirm } from './ConfirmDialog';
+import FieldError, { fieldProps } from './FieldError';
+
+// Add, edit and delete a pet's quick-log templates. Every change saves
+// the whole list through `onSave(templates)`, which resolves true when
+// saved.
+const TemplatesEditor = ({ pet, templates, onSave, onClose, saving }) => {
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const formId = useId();
+  const confirm = useConfirm();
+
+  const startEdit = (template) => {
+    setEditing(template ? templateFormValues(template) : emptyTemplate());
+    setErrors({});
+  };
+
+  // The amount is kept in `duration` and the type's other fields under
+  // `details`, as in the activity form
+  const setActivityField = (name, value) => setEditing(prev => (
+    name === 'duration' || name === 'notes'
+      ? { ...prev, [name]: value }
+      : { ...prev, details: { ...prev.details, [name]: value } }
+  ));
+
+  const setField = (field, value) => setEditing(prev => ({ ...prev, [field]: value }));
+
+  const toggleDay = (day) => setEditing(prev => ({
+    ...prev,
+    days: prev.days.includes(day) ? prev.days.filter(item => item !== day) : [...prev.days, day]
+  }));
+
+  const handleSave = async () => {
+    const validationErrors = validateTemplate(editing, pet);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const template = toTemplate({ ...editing, id: editing.id || createClientId() });
+    const saved = await onSave(editing.id
+      ? templates.map(item => (item.id === editing.id ? template : item))
+      : [...templates, template]);
+    if (saved) setEditing(null);
+  };
+
+  const handleDelete = async (template) => {
+    if (!(await confirm({ title: `Delete the "${template.name}" quick log?`, confirmLabel: 'Delete', destructive: true }))) return;
+    onSave(templates.filter(item => item.id !== template.id));
+  };
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+    errors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  return (
+    <div className="bg-white rounded-lg p-3 space-y-3 border border-purple-100">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-gray-800">{pet.name}'s Quick Logs</h3>
+        {!editing && (
+          <button
+            onClick={() => startEdit(null)}
+            className="flex items-center space-x-1 text-sm text-purple-600 hover:text-purple-800"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add</span>
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <div className="space-y-3">
+          <div>
+            <label htmlFor={`${formId}-name`} className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              {...fieldProps(`${formId}-name`, errors.name)}
+              type="text"
+              value={editing.name}
+              onChange={(e) => setField('name', e.target.value)}
+              className={inputClass('name')}
+              placeholder="Morning walk"
+              disabled={saving}
+            />
+            <FieldError id={`${formId}-name`} error={errors.name} />
+          </div>
+
+          <div>
+            <label htmlFor={`${formId}-activityType`} className="block text-sm font-medium text-gray-700 mb-1">Activity Type</label>
+            <div className="flex items-center space-x-2">
+              <ActivityIcon type={editing.activityType} size="w-5 h-5" />
+              <select
+                {...fieldProps(`${formId}-activityType`, errors.activityType)}
+                value={editing.activityType}
+                onChange={(e) => setEditing(prev => ({ ...prev, activityType: e.target.value, duration: '', details: {} }))}
+                className={inputClass('activityType')}
+                disabled={saving}
+              >
+                {ACTIVITY_TYPES.map(type => (
+                  <option key={type.id} value={type.id}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <ActivityFields
+            values={editing}
+            errors={errors}
+            onChange={setActivityField}
+            disabled={saving}
+          />
+
+          <div>
+            <label htmlFor={`${formId}-time`} className="block text-sm font-medium text-gray-700 mb-1">Typical time</label>
+            <input
+              {...fieldProps(`${formId}-time`, errors.time)}
+              type="time"
+              value={editing.time}
+              onChange={(e) => setField('time', e.target.value)}
+              className={inputClass('time')}
+              disabled={saving}
+            />
+            <FieldError id={`${formId}-time`} error={errors.time} />
+          </div>
+
+          <div role="group" aria-labelledby={`${formId}-days`}>
+            <span id={`${formId}-days`} className="block text-sm font-medium text-gray-700 mb-1">
+              Repeat on<span className="text-gray-400 font-normal"> · optional</span>
+            </span>
+            <div className="flex flex-wrap gap-1">
+              {WEEKDAYS.map((label, day) => (
+                <button
+                  key={label}
+                  onClick={() => toggleDay(day)}
+                  disabled={saving}
+                  aria-pressed={editing.days.includes(day)}
+                  className={`px-2 py-1 text-xs rounded-full transition-colors ${
+                    editing.days.includes(day) ? 'bg-purple-500 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">Repeating quick logs show up on today's checklist.</p>
+          </div>
+
+          <div className="flex space-x-2">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex-1 px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin mx-auto" /> : 'Save Quick Log'}
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              disabled={saving}
+              className="px-3 py-2 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!editing && templates.length === 0 && (
+        <p className="text-sm text-gray-500">
+          Save what you log every day, like a morning walk or breakfast, to log it with one tap.
+        </p>
+      )}
+
+      {!editing && templates.map(template => (
+        <div key={template.id} className="flex items-center justify-between text-sm">
+          <div className="flex items-center space-x-2 min-w-0">
+            <ActivityIcon type={template.activityType} size="w-3 h-3" />
+            <div className="min-w-0">
+              <p className="font-medium text-gray-800 truncate">{template.name}</p>
+              <p className="text-xs text-gray-500 truncate">
+                {[formatActivityFields(template), template.time, describeDays(template.days)].filter(Boolean).join(' · ')}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={() => startEdit(template)}
+              disabled={saving}
+              className="p-1 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded transition-colors"
+              title="Edit quick log"
+              aria-label="Edit quick log"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => handleDelete(template)}
+              disabled={saving}
+              className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+              title="Delete quick log"
+              aria-label="Delete quick log"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {!editing && (
+        <button
+          onClick={onClose}
+          className="w-full px-3 py-2 text-sm text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          Done
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TemplatesEditor;
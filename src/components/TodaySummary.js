@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Calendar, CalendarDays, CheckCircle, Loader2, PartyPopper, Target, Trophy, Zap } from 'lucide-react';
+import { otherTypeGroups } from '../activities';
+import { dayKey } from '../dates';
+import { summarizeGoals } from '../goals';
+import { scheduleAdherence } from '../medications';
+import ActivityIcon from './ActivityIcon';
+import GoalsEditor from './GoalsEditor';
+import RoutineChecklist from './RoutineChecklist';
+
+// Progress towards the pet's goals for the local day. `schedule` is today's
+// dose schedule; with medications defined it replaces the plain dose times
+// from the goals editor as the medication target. `routines` is today's
+// routine checklist (see routines.js). `onSaveGoals` resolves true when
+// saved.
+const TodaySummary = ({
+  pet,
+  summary,
+  goals,
+  schedule,
+  medicationCount,
+  activities,
+  routines,
+  now,
+  loading,
+  savingGoals,
+  tickingRoutine,
+  onSaveGoals,
+  onTickRoutine,
+  onUntickRoutine,
+  onShowCalendar
+}) => {
+  const [showGoals, setShowGoals] = useState(false);
+
+  const doseAdherence = scheduleAdherence(schedule);
+  const doseTarget = medicationCount > 0 ? schedule.length : goals.medicationTimes.length;
+  const goalStatus = summarizeGoals(summary, goals, doseTarget);
+
+  // Today's activities of the types without a goal bar
+  const todayKey = dayKey(now);
+  const otherToday = otherTypeGroups(activities.filter(activity => dayKey(activity.dateTime) === todayKey));
+
+  const handleSaveGoals = async (newGoals) => {
+    if (await onSaveGoals(newGoals)) {
+      setShowGoals(false);
+    }
+  };
+
+  return (
+    <div className="bg-gradient-to-r from-green-50 to-blue-50 p-4 rounded-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+          <Calendar className="w-5 h-5 mr-2" />
+          Today's Summary
+          {loading && <Loader2 className="w-4 h-4 animate-spin ml-2" />}
+        </h2>
+        {pet && !showGoals && (
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={onShowCalendar}
+              className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-white rounded-lg hover:bg-purple-50 transition-colors"
+            >
+              <CalendarDays className="w-4 h-4" />
+              <span>Calendar</span>
+            </button>
+            <button
+              onClick={() => setShowGoals(true)}
+              className="flex items-center space-x-1 px-3 py-1 text-sm text-purple-600 bg-white rounded-lg hover:bg-purple-50 transition-colors"
+            >
+              <Target className="w-4 h-4" />
+              <span>Goals</span>
+            </button>
+          </div>
+        )}
+      </div>
+
+      {showGoals && pet && (
+        <GoalsEditor
+          pet={pet}
+          onSave={handleSaveGoals}
+          onCancel={() => setShowGoals(false)}
+          saving={savingGoals}
+        />
+      )}
+
+      {/* Goal Met Celebration */}
+      {goalStatus.allMet && (
+        <div className="flex items-center bg-green-100 border-l-4 border-green-500 p-3 mb-4 rounded">
+          <PartyPopper className="w-5 h-5 text-green-600 mr-2" />
+          <p className="text-green-800 text-sm font-medium">
+            {pet ? pet.name : 'Your pet'} met every goal today. Great job!
+          </p>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {/* Walk Progress */}
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-gray-600 flex items-center">
+            Walk Time
+            {goalStatus.walks.met && <CheckCircle className="w-4 h-4 text-green-500 ml-1" />}
+          </span>
+          <span className="font-semibold">
+            {summary.walks} / {goals.walkMinutes} min
+            {goalStatus.walks.over && (
+              <span className="text-green-600 text-sm font-normal ml-1">
+                (+{summary.walks - goals.walkMinutes})
+              </span>
+            )}
+          </span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div
+            className={`bg-gradient-to-r h-2 rounded-full transition-all duration-500 ease-out ${
+              goalStatus.walks.over ? 'from-green-500 to-emerald-700' : 'from-green-400 to-green-600'
+            }`}
+            style={{ width: `${goalStatus.walks.percent}%` }}
+          />
+        </div>
+
+        {/* Meals & Medication Badges */}
+        <div className="flex space-x-4 mt-4">
+          <div className={`flex items-center rounded-full px-3 py-1 shadow-sm ${goalStatus.meals.over ? 'bg-orange-100' : 'bg-white'}`}>
+            <div className="w-2 h-2 bg-blue-500 rounded-full mr-2 motion-safe:animate-pulse" />
+            <span className="text-sm">
+              {summary.meals}{goalStatus.meals.hasGoal && `/${goals.meals}`} meal{(goalStatus.meals.hasGoal ? goals.meals : summary.meals) !== 1 ? 's' : ''}
+            </span>
+            {goalStatus.meals.met && !goalStatus.meals.over && <CheckCircle className="w-4 h-4 text-green-500 ml-1" />}
+            {goalStatus.meals.over && (
+              <AlertTriangle className="w-4 h-4 text-orange-500 ml-1" title="More meals than planned" />
+            )}
+          </div>
+
+          <div className={`flex items-center rounded-full px-3 py-1 shadow-sm ${goalStatus.medications.over ? 'bg-red-100' : 'bg-white'}`}>
+            <div className="w-2 h-2 bg-purple-500 rounded-full mr-2 motion-safe:animate-pulse" />
+            <span className="text-sm">
+              {summary.medications}{goalStatus.medications.hasGoal && `/${doseTarget}`} med{(goalStatus.medications.hasGoal ? doseTarget : summary.medications) !== 1 ? 's' : ''}
+            </span>
+            {goalStatus.medications.met && !goalStatus.medications.over && <CheckCircle className="w-4 h-4 text-green-500 ml-1" />}
+            {goalStatus.medications.over && (
+              <AlertTriangle className="w-4 h-4 text-red-500 ml-1" title="More doses than scheduled" />
+            )}
+          </div>
+        </div>
+
+        {/* Everything else logged today, as each type summarises it */}
+        {otherToday.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {otherToday.map(({ type, activities: logged }) => (
+              <div key={type.id} className="flex items-center bg-white rounded-full pl-1 pr-3 py-1 shadow-sm">
+                <ActivityIcon type={type.id} size="w-3 h-3" />
+                <span className="text-sm ml-2">{type.summarize(logged)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Today's routine */}
+        <RoutineChecklist
+          checklist={routines}
+          onTick={onTickRoutine}
+          onUntick={onUntickRoutine}
+          tickingId={tickingRoutine}
+        />
+
+        {/* Scheduled dose adherence */}
+        {schedule.length > 0 && (
+          <p className="text-sm text-gray-600">
+            Medication adherence: {doseAdherence.taken} of {doseAdherence.dueSoFar} due dose{doseAdherence.dueSoFar !== 1 ? 's' : ''} given
+            {doseAdherence.dueSoFar > 0 && (
+              <span className={`ml-1 font-semibold ${doseAdherence.percent === 100 ? 'text-green-600' : 'text-red-600'}`}>
+                ({doseAdherence.percent}%)
+              </span>
+            )}
+          </p>
+        )}
+
+        {/* Over-target warnings */}
+        {goalStatus.meals.over && (
+          <p className="text-sm text-orange-700">
+            {summary.meals - goals.meals} more meal{summary.meals - goals.meals !== 1 ? 's' : ''} than planned today.
+          </p>
+        )}
+        {goalStatus.medications.over && (
+          <p className="text-sm text-red-700">
+            More doses logged than scheduled ({doseTarget}). Check for a double dose.
+          </p>
+        )}
+      </div>
+
+      {/* Progress Ring Visual */}
+      <div className="flex justify-center mt-4">
+        <div className="relative w-20 h-20">
+          <svg className="transform -rotate-90 w-20 h-20">
+            <circle
+              cx="40"
+              cy="40"
+              r="30"
+              stroke="#e5e7eb"
+              strokeWidth="6"
+              fill="transparent"
+            />
+            <circle
+              cx="40"
+              cy="40"
+              r="30"
+              stroke="url(#gradient)"
+              strokeWidth="6"
+              fill="transparent"
+              strokeDasharray={`${2 * Math.PI * 30}`}
+              strokeDashoffset={`${2 * Math.PI * 30 * (1 - goalStatus.walks.percent / 100)}`}
+              className="transition-all duration-1000 ease-out"
+            />
+            <defs>
+              <linearGradient id="gradient" x1="0%" y1="0%" x2="100%" y2="0%">
+                <stop offset="0%" stopColor="#10b981" />
+                <stop offset="100%" stopColor="#3b82f6" />
+              </linearGradient>
+            </defs>
+          </svg>
+          <div className="absolute inset-0 flex items-center justify-center">
+            {goalStatus.allMet ? (
+              <Trophy className="w-6 h-6 text-yellow-500" />
+            ) : (
+              <Zap className="w-6 h-6 text-gray-600" />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TodaySummary;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { getPetGoals } from '../goals';
+import TodaySummary from './TodaySummary';
+
+jest.mock('../apiService');
+
+const pet = { id: 'p1', name: 'Rex', goals: { walkMinutes: 60, meals: 2, medicationTimes: ['08:00'] } };
+const now = new Date(2024, 4, 1, 12, 0);
+
+const renderSummary = (props = {}) => render(
+  <TodaySummary
+    pet={pet}
+    summary={{ walks: 30, meals: 1, medications: 0 }}
+    goals={getPetGoals(pet)}
+    schedule={[]}
+    medicationCount={0}
+    activities={[]}
+    routines={[]}
+    now={now}
+    loading={false}
+    savingGoals={false}
+    tickingRoutine={null}
+    onSaveGoals={jest.fn()}
+    onTickRoutine={jest.fn()}
+    onUntickRoutine={jest.fn()}
+    onShowCalendar={jest.fn()}
+    {...props}
+  />
+);
+
+describe('TodaySummary', () => {
+  it("shows progress towards the day's goals", () => {
+    renderSummary();
+    expect(screen.getByText('30 / 60 min')).toBeInTheDocument();
+    expect(screen.getByText('1/2 meals')).toBeInTheDocument();
+    expect(screen.getByText('0/1 med')).toBeInTheDocument();
+    expect(screen.queryByText(/met every goal/)).not.toBeInTheDocument();
+  });
+
+  it('celebrates when every goal is met', () => {
+    renderSummary({ summary: { walks: 60, meals: 2, medications: 1 } });
+    expect(screen.getByText('Rex met every goal today. Great job!')).toBeInTheDocument();
+  });
+
+  it('warns about an extra meal or dose', () => {
+    renderSummary({ summary: { walks: 60, meals: 3, medications: 2 } });
+    expect(screen.getByText('1 more meal than planned today.')).toBeInTheDocument();
+    expect(screen.getByText('More doses logged than scheduled (1). Check for a double dose.')).toBeInTheDocument();
+    expect(screen.queryByText(/met every goal/)).not.toBeInTheDocument();
+  });
+
+  it('counts doses from the medication schedule once there is one', () => {
+    const slot = (hour, status) => ({ medication: { id: 'm1' }, slot: new Date(2024, 4, 1, hour), status });
+    renderSummary({
+      summary: { walks: 0, meals: 0, medications: 1 },
+      medicationCount: 1,
+      schedule: [slot(8, 'taken'), slot(11, 'missed'), slot(20, 'upcoming')]
+    });
+    expect(screen.getByText('1/3 meds')).toBeInTheDocument();
+    expect(screen.getByText(/1 of 2 due doses given/)).toHaveTextContent('(50%)');
+  });
+
+  it('summarises the types without a goal bar', () => {
+    renderSummary({
+      activities: [
+        { id: 'a1', type: 'potty', dateTime: new Date(2024, 4, 1, 7).toISOString() },
+        { id: 'a2', type: 'potty', dateTime: new Date(2024, 4, 1, 11).toISOString() },
+        { id: 'a3', type: 'potty', dateTime: new Date(2024, 3, 30, 11).toISOString() }
+      ]
+    });
+    expect(screen.getByText('2 potty breaks')).toBeInTheDocument();
+  });
+
+  it('opens the calendar', () => {
+    const onShowCalendar = jest.fn();
+    renderSummary({ onShowCalendar });
+    fireEvent.click(screen.getByRole('button', { name: 'Calendar' }));
+    expect(onShowCalendar).toHaveBeenCalledTimes(1);
+  });
+
+  it('closes the goals editor once the goals are saved', async () => {
+    const onSaveGoals = jest.fn().mockResolvedValue(true);
+    renderSummary({ onSaveGoals });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Goals' }));
+    fireEvent.change(screen.getByLabelText('Walk (minutes)'), { target: { value: '90' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Goals' }));
+
+    expect(onSaveGoals).toHaveBeenCalledWith({
+      walkMinutes: 90,
+      meals: 2,
+      mealWarningMinutes: 120,
+      medicationTimes: ['08:00']
+    });
+    await waitFor(() => expect(screen.queryByText("Rex's Daily Goals")).not.toBeInTheDocument());
+  });
+
+  it('keeps the goals editor open when saving fails', async () => {
+    const onSaveGoals = jest.fn().mockResolvedValue(false);
+    renderSummary({ onSaveGoals });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Goals' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Save Goals' }));
+
+    await waitFor(() => expect(onSaveGoals).toHaveBeenCalled());
+    expect(screen.getByText("Rex's Daily Goals")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,39 @@
+import React, { useEffect, useRef } from 'react';
+import { Loader2, RotateCcw, X } from 'lucide-react';
+
+export const UNDO_SECONDS = 10;
+
+// Bottom toast offering to undo the last delete; hides itself after
+// UNDO_SECONDS, after which the delete is final
+const UndoToast = ({ message, onUndo, onDismiss, busy }) => {
+  // Keep the timer running across parent re-renders
+  const dismiss = useRef(onDismiss);
+  dismiss.current = onDismiss;
+
+  useEffect(() => {
+    if (busy) return undefined;
+    const timeout = setTimeout(() => dismiss.current(), UNDO_SECONDS * 1000);
+    return () => clearTimeout(timeout);
+  }, [message, busy]);
+
+  return (
+    <div className="fixed bottom-4 inset-x-0 flex justify-center px-4 z-50">
+      <div className="flex items-center space-x-3 bg-gray-800 text-white text-sm px-4 py-3 rounded-lg shadow-lg">
+        <span>{message}</span>
+        <button
+          onClick={onUndo}
+          disabled={busy}
+          className="flex items-center space-x-1 font-medium text-purple-300 hover:text-purple-200 disabled:opacity-50"
+        >
+          {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+          <span>Undo</span>
+        </button>
+        <button onClick={onDismiss} disabled={busy} className="p-1 text-gray-400 hover:text-white" title="Dismiss" aria-label="Dismiss">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { Footprints, Loader2, MapPin, Pause, Play, Square, X } from 'lucide-react';
+import { getSetting, setSetting } from '../db';
+import {
+  addPosition,
+  elapsedMs,
+  formatPace,
+  formatStopwatch,
+  pauseWalk,
+  resumeWalk,
+  routeDistanceKm,
+  startWalk,
+  watchPositions
+} from '../walkTracking';
+import { useConfirm } from './ConfirmDialog';
+import RouteMap from './RouteMap';
+
+// Kept in IndexedDB so a walk survives a reload or the tab being closed
+const ACTIVE_WALK_KEY = 'activeWalk';
+
+// "Start walk" mode: a stopwatch plus GPS route for `pet`. A walk already
+// under way keeps its own pet when another one is selected. On stop,
+// `onFinish(walk, now)` logs the walk and resolves true, or false to keep
+// the walk (paused) so saving can be retried. `geolocation` can be swapped
+// for a fake position stream.
+const WalkTracker = ({ pet, pets, onFinish, geolocation = navigator.geolocation }) => {
+  const [walk, setWalk] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [gpsError, setGpsError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const confirm = useConfirm();
+
+  useEffect(() => {
+    getSetting(ACTIVE_WALK_KEY)
+      .then(saved => setWalk(saved || null))
+      .catch(err => console.error('Error loading active walk:', err))
+      .finally(() => setLoaded(true));
+  }, []);
+
+  useEffect(() => {
+    if (!loaded) return;
+    setSetting(ACTIVE_WALK_KEY, walk).catch(err => console.error('Error saving active walk:', err));
+  }, [walk, loaded]);
+
+  const running = Boolean(walk && walk.status === 'running');
+
+  // The stopwatch
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  // GPS only while running; the stopwatch still works without it
+  useEffect(() => {
+    if (!running) return undefined;
+    if (!geolocation) {
+      setGpsError('Location isn\'t available on this device, so only the time is recorded.');
+      return undefined;
+    }
+    setGpsError('');
+    return watchPositions(
+      geolocation,
+      position => {
+        setGpsError('');
+        setWalk(prev => (prev ? addPosition(prev, position) : prev));
+      },
+      err => setGpsError(err.code === 1
+        ? 'Location permission was denied, so only the time is recorded.'
+        : 'Waiting for a GPS signal…')
+    );
+  }, [running, geolocation]);
+
+  if (!loaded || (!walk && !pet)) return null;
+
+  if (!walk) {
+    return (
+      <button
+        onClick={() => {
+          setNow(Date.now());
+          setWalk(startWalk(pet.id, Date.now()));
+        }}
+        className="w-full flex items-center justify-center space-x-2 bg-green-500 text-white py-2 rounded-lg font-medium hover:bg-green-600 transition-colors"
+      >
+        <Footprints className="w-4 h-4" />
+        <span>Start walk with {pet.name}</span>
+      </button>
+    );
+  }
+
+  const walkPet = pets.find(item => item.id === walk.petId);
+  const elapsed = elapsedMs(walk, now);
+  const distance = routeDistanceKm(walk.route);
+  const pace = formatPace(distance, elapsed);
+
+  const handleStop = async () => {
+    const stoppedAt = Date.now();
+    const stopped = pauseWalk(walk, stoppedAt);
+    setWalk(stopped);
+    setSaving(true);
+    const saved = await onFinish(stopped, stoppedAt);
+    setSaving(false);
+    if (saved) setWalk(null);
+  };
+
+  const handleDiscard = async () => {
+    if (await confirm({ title: 'Discard this walk without logging it?', confirmLabel: 'Discard', destructive: true })) {
+      setWalk(null);
+    }
+  };
+
+  return (
+    <div className="bg-green-50 border border-green-200 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold text-gray-800">
+          Walking{walkPet && ` ${walkPet.name}`}
+          {walk.status === 'paused' && <span className="text-sm font-normal text-gray-500"> · paused</span>}
+        </span>
+        <button
+          onClick={handleDiscard}
+          disabled={saving}
+          className="p-1 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+          title="Discard walk"
+          aria-label="Discard walk"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 text-center">
+        <div>
+          <p className="text-2xl font-bold text-green-700 tabular-nums">{formatStopwatch(elapsed)}</p>
+          <p className="text-xs text-gray-500">time</p>
+        </div>
+        <div>
+          <p className="text-2xl font-bold text-green-700 tabular-nums">{distance.toFixed(2)}</p>
+          <p className="text-xs text-gray-500">km</p>
+        </div>
+        <div>
+          <p className="text-2xl font-bold text-green-700 tabular-nums">{pace || '–'}</p>
+          <p className="text-xs text-gray-500">min/km</p>
+        </div>
+      </div>
+
+      <RouteMap route={walk.route} className="w-full h-32" />
+
+      {gpsError && (
+        <p className="flex items-center text-xs text-orange-700">
+          <MapPin className="w-3 h-3 mr-1 flex-shrink-0" />
+          {gpsError}
+        </p>
+      )}
+
+      <div className="flex space-x-2">
+        {walk.status === 'running' ? (
+          <button
+            onClick={() => setWalk(pauseWalk(walk, Date.now()))}
+            disabled={saving}
+            className="flex-1 flex items-center justify-center space-x-1 bg-white border border-green-300 text-green-700 py-2 rounded-lg hover:bg-green-100 transition-colors"
+          >
+            <Pause className="w-4 h-4" />
+            <span>Pause</span>
+          </button>
+        ) : (
+          <button
+            onClick={() => {
+              setNow(Date.now());
+              setWalk(resumeWalk(walk, Date.now()));
+            }}
+            disabled={saving}
+            className="flex-1 flex items-center justify-center space-x-1 bg-white border border-green-300 text-green-700 py-2 rounded-lg hover:bg-green-100 transition-colors"
+          >
+            <Play className="w-4 h-4" />
+            <span>Resume</span>
+          </button>
+        )}
+        <button
+          onClick={handleStop}
+          disabled={saving}
+          className="flex-1 flex items-center justify-center space-x-1 bg-green-500 text-white py-2 rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Square className="w-4 h-4" />}
+          <span>Stop & log</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WalkTracker;
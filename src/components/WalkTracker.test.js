@@ -0,0 +1,108 @@
+import 'fake-indexeddb/auto';
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { clearStore, getSetting } from '../db';
+import { ConfirmProvider } from './ConfirmDialog';
+import WalkTracker from './WalkTracker';
+
+const pet = { id: 'p1', name: 'Rex' };
+
+// Stands in for navigator.geolocation; `send` and `fail` play the watch
+// callbacks
+const fakeGeolocation = () => {
+  const geolocation = {
+    watchPosition: jest.fn((onPosition, onError) => {
+      geolocation.send = (north, after) => act(() => onPosition({
+        coords: { latitude: 51.5 + north / 111195, longitude: -0.1, accuracy: 10 },
+        timestamp: 1714550400000 + after * 1000
+      }));
+      geolocation.fail = (code) => act(() => onError({ code }));
+      return 1;
+    }),
+    clearWatch: jest.fn()
+  };
+  return geolocation;
+};
+
+const renderTracker = (props = {}) => render(
+  <ConfirmProvider>
+    <WalkTracker pet={pet} pets={[pet]} onFinish={jest.fn()} {...props} />
+  </ConfirmProvider>
+);
+
+const startWalking = async () => {
+  fireEvent.click(await screen.findByRole('button', { name: 'Start walk with Rex' }));
+  expect(await screen.findByText('Walking Rex')).toBeInTheDocument();
+};
+
+describe('WalkTracker', () => {
+  beforeEach(() => clearStore('settings'));
+
+  it('records the route from the position stream', async () => {
+    const geolocation = fakeGeolocation();
+    renderTracker({ geolocation });
+
+    await startWalking();
+    expect(geolocation.watchPosition).toHaveBeenCalledTimes(1);
+
+    geolocation.send(0, 0);
+    geolocation.send(150, 60);
+    expect(screen.getByText('0.15')).toBeInTheDocument();
+
+    await waitFor(async () => expect((await getSetting('activeWalk')).route[0]).toHaveLength(2));
+  });
+
+  it('stops following the position while paused', async () => {
+    const geolocation = fakeGeolocation();
+    renderTracker({ geolocation });
+    await startWalking();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+
+    expect(screen.getByText('· paused')).toBeInTheDocument();
+    expect(geolocation.clearWatch).toHaveBeenCalledWith(1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Resume' }));
+    expect(geolocation.watchPosition).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps timing without location permission', async () => {
+    const geolocation = fakeGeolocation();
+    renderTracker({ geolocation });
+    await startWalking();
+
+    geolocation.fail(1);
+
+    expect(screen.getByText('Location permission was denied, so only the time is recorded.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Pause' })).toBeInTheDocument();
+  });
+
+  it('logs the walk on stop and offers a new one', async () => {
+    const geolocation = fakeGeolocation();
+    const onFinish = jest.fn().mockResolvedValue(true);
+    renderTracker({ geolocation, onFinish });
+    await startWalking();
+    geolocation.send(0, 0);
+    geolocation.send(150, 60);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Stop & log' }));
+
+    expect(await screen.findByRole('button', { name: 'Start walk with Rex' })).toBeInTheDocument();
+    const [walk, stoppedAt] = onFinish.mock.calls[0];
+    expect(walk).toMatchObject({ petId: 'p1', status: 'paused' });
+    expect(walk.route[0]).toHaveLength(2);
+    expect(typeof stoppedAt).toBe('number');
+  });
+
+  it('keeps the walk when logging it fails', async () => {
+    const onFinish = jest.fn().mockResolvedValue(false);
+    renderTracker({ geolocation: fakeGeolocation(), onFinish });
+    await startWalking();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Stop & log' }));
+
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Stop & log' })).toBeEnabled());
+    expect(onFinish).toHaveBeenCalledTimes(1);
+    expect(screen.getByText('· paused')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,61 @@
+// Which backend the app talks to. The first of these wins:
+// 1. a server chosen in the app's server settings, kept in IndexedDB so
+//    the service worker uses it too,
+// 2. `apiUrl` in a /config.json served next to index.html, so one build
+//    can be deployed for staging or a self-hosted instance,
+// 3. REACT_APP_API_URL at build time,
+// 4. the hosted backend in production, localhost:5000 in development.
+import { getSetting, setSetting } from './db';
+
+export const API_URL_KEY = 'apiUrl';
+
+const BUILT_IN_API_URL = process.env.NODE_ENV === "production"
+    ? "https://pet-tracker-backend-f1wx.onrender.com"
+    : "http://localhost:5000";
+
+// Request paths already start with /api, so "https://host/api/" and
+// "https://host" mean the same server
+export const normalizeApiUrl = (url) => url.trim().replace(/\/+$/, '').replace(/\/api$/, '');
+
+export const validateApiUrl = (url) => {
+  try {
+    const { protocol } = new URL(url.trim());
+    return protocol === 'http:' || protocol === 'https:' ? '' : 'The address must start with http:// or https://';
+  } catch (err) {
+    return 'Please enter a full address, e.g. https://pets.example.com';
+  }
+};
+
+// Fetched once. A missing or malformed file just means "no runtime config"
+// (the dev server answers unknown paths with index.html).
+let runtimeConfig = null;
+const loadRuntimeConfig = () => {
+  if (!runtimeConfig) {
+    runtimeConfig = fetch(`${process.env.PUBLIC_URL}/config.json`, { cache: 'no-cache' })
+      .then(response => (response.ok ? response.json() : {}))
+      .catch(() => ({}));
+  }
+  return runtimeConfig;
+};
+
+// Every candidate, for the settings screen; empty ones are null
+export const getApiUrlSources = async () => {
+  const [override, config] = await Promise.all([
+    getSetting(API_URL_KEY).catch(() => null),
+    loadRuntimeConfig()
+  ]);
+  return {
+    override: override || null,
+    config: config.apiUrl ? normalizeApiUrl(config.apiUrl) : null,
+    env: process.env.REACT_APP_API_URL ? normalizeApiUrl(process.env.REACT_APP_API_URL) : null,
+    builtIn: BUILT_IN_API_URL
+  };
+};
+
+export const getApiBaseUrl = async () => {
+  const sources = await getApiUrlSources();
+  return sources.override || sources.config || sources.env || sources.builtIn;
+};
+
+// Pass null to go back to the configured server
+export const setApiUrlOverride = (url) => setSetting(API_URL_KEY, url ? normalizeApiUrl(url) : null);
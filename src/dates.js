@@ -0,0 +1,116 @@
+// Calendar helpers. Kept free of the activity type registry (and its
+// icons) because the service worker uses them too.
+
+// Local calendar day of an activity, e.g. "2024-05-01"
+export const dayKey = (dateTime) => {
+  const date = new Date(dateTime);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// "2024-05-01T08:30" in local time, for datetime-local inputs
+export const toFormDateTime = (date) => (
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+);
+
+// A datetime-local value read as local wall-clock time. In the hour a DST
+// change skips, the browser moves it forward (02:30 becomes 03:30); in the
+// hour that repeats, the first of the two is used.
+export const fromFormDateTime = (value) => {
+  const [date, time = '00:00'] = String(value).split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+};
+
+// The device's IANA timezone, e.g. "Europe/Berlin"
+export const currentTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// "2024-05-01T08:30:00+02:00": local wall-clock time with its UTC offset,
+// so a reader in another timezone still gets the right instant
+export const toOffsetISOString = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const hours = pad(Math.floor(Math.abs(offset) / 60));
+  const minutes = pad(Math.abs(offset) % 60);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}${sign}${hours}:${minutes}`;
+};
+
+// How an activity's time is sent to the backend: the instant with the
+// UTC offset it was logged at, plus the timezone, e.g. { dateTime:
+// "2024-05-01T08:30:00+02:00", timezone: "Europe/Berlin" }. `value` is a
+// datetime-local value or a Date.
+export const storedDateTime = (value) => ({
+  dateTime: toOffsetISOString(value instanceof Date ? value : fromFormDateTime(value)),
+  timezone: currentTimeZone()
+});
+
+// Start of the local day of `now` and of the next one. Built from the
+// calendar date rather than by adding 24 hours, so DST days come out 23 or
+// 25 hours long.
+export const localDayRange = (now = new Date()) => ({
+  from: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+  to: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)
+});
+
+// "just now", "5 min ago", "2h ago", "yesterday", "3 days ago" (or "in
+// 2h" for future times); a date from a week on
+export const formatRelativeTime = (value, now = new Date()) => {
+  const date = new Date(value);
+  const minutes = Math.round((now - date) / 60000);
+  const ahead = minutes < 0;
+  const span = Math.abs(minutes);
+  const phrase = (text) => (ahead ? `in ${text}` : `${text} ago`);
+
+  if (span < 1) return 'just now';
+  if (span < 60) return phrase(`${span} min`);
+  if (span < 24 * 60 && dayKey(date) === dayKey(now)) return phrase(`${Math.round(span / 60)}h`);
+
+  // Whole calendar days apart, so 23:00 yesterday is "yesterday" at 01:00
+  const { from: today } = localDayRange(now);
+  const { from: thatDay } = localDayRange(date);
+  const days = Math.round((today - thatDay) / (24 * 60 * 60 * 1000));
+  if (days === 1) return 'yesterday';
+  if (days === -1) return 'tomorrow';
+  if (Math.abs(days) < 7) return days > 0 ? `${days} days ago` : `in ${-days} days`;
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: date.getFullYear() === now.getFullYear() ? undefined : 'numeric' });
+};
+
+// Full local date and time, e.g. "Wed, May 1, 08:30". When the activity was
+// logged in another timezone, its time there is added, e.g. "Wed, May 1,
+// 08:30 (07:30 in Europe/London)".
+export const formatDateTime = (value, timeZone) => {
+  const date = new Date(value);
+  const local = date.toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  if (!timeZone || timeZone === currentTimeZone()) return local;
+  try {
+    const there = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', timeZone });
+    return `${local} (${there} in ${timeZone})`;
+  } catch (err) {
+    // Unknown timezone name
+    return local;
+  }
+};
+
+export const dayLabel = (key, now = new Date()) => {
+  const today = dayKey(now);
+  const yesterday = new Date(now);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  if (key === today) return 'Today';
+  if (key === dayKey(yesterday)) return 'Yesterday';
+
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric',
+    year: year === now.getFullYear() ? undefined : 'numeric'
+  });
+};
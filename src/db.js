@@ -0,0 +1,61 @@
+// Small promise wrapper around IndexedDB. Shared by the app and the
+// service worker, so it must not touch `window` or the DOM.
+const DB_NAME = 'pet-tracker';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+// Create object stores for every schema version we have shipped
+const upgrade = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    const outbox = db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+    outbox.createIndex('clientId', 'clientId', { unique: true });
+  }
+  if (oldVersion < 2) {
+    // Small key/value settings readable from the service worker, which
+    // has no access to localStorage
+    db.createObjectStore('settings');
+  }
+  if (oldVersion < 3) {
+    // Vet record files that couldn't be uploaded yet
+    db.createObjectStore('attachments', { keyPath: 'id' });
+  }
+};
+
+export const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      // Allow a later call to try again instead of caching the failure
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Run `callback(store)` inside a transaction and resolve with the value of
+// the request it returns once the transaction has committed
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = callback(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const getSetting = (key) =>
+  withStore('settings', 'readonly', (store) => store.get(key));
+
+export const setSetting = (key, value) =>
+  withStore('settings', 'readwrite', (store) => store.put(value, key));
+
+export const clearStore = (storeName) =>
+  withStore(storeName, 'readwrite', (store) => store.clear());
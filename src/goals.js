@@ -0,0 +1,72 @@
+// Daily goal helpers. Goals live on each pet profile under `goals`;
+// anything a pet hasn't set falls back to these defaults.
+export const DEFAULT_GOALS = {
+  walkMinutes: 60,
+  meals: 2,
+  medicationTimes: [],
+  // Warn when a meal is logged this soon after another one (0 = never)
+  mealWarningMinutes: 120
+};
+
+export const getPetGoals = (pet) => ({
+  ...DEFAULT_GOALS,
+  ...(pet && pet.goals)
+});
+
+// Progress of `value` towards `target`. A target of 0 means "no goal".
+export const goalProgress = (value, target) => {
+  if (!target) {
+    return { ratio: 0, percent: 0, met: false, over: false, hasGoal: false };
+  }
+  const ratio = value / target;
+  return {
+    ratio,
+    percent: Math.min(ratio * 100, 100),
+    met: value >= target,
+    over: value > target,
+    hasGoal: true
+  };
+};
+
+// Progress for every goal in today's summary. Extra walking is fine, but
+// an extra meal or an extra dose is worth flagging. `doseTarget` defaults
+// to the number of daily dose times set in the goals editor.
+export const summarizeGoals = (summary, goals, doseTarget = goals.medicationTimes.length) => {
+  const walks = goalProgress(summary.walks, goals.walkMinutes);
+  const meals = goalProgress(summary.meals, goals.meals);
+  const medications = goalProgress(summary.medications, doseTarget);
+  const tracked = [walks, meals, medications].filter(goal => goal.hasGoal);
+
+  return {
+    walks,
+    meals,
+    medications,
+    allMet: tracked.length > 0 && tracked.every(goal => goal.met) && !meals.over && !medications.over
+  };
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const validateGoals = (goals) => {
+  const errors = {};
+
+  if (goals.walkMinutes === '' || !Number.isFinite(Number(goals.walkMinutes)) || Number(goals.walkMinutes) < 0) {
+    errors.walkMinutes = 'Walk goal must be 0 or more minutes';
+  }
+
+  if (goals.meals === '' || !Number.isInteger(Number(goals.meals)) || Number(goals.meals) < 0) {
+    errors.meals = 'Meal goal must be a whole number';
+  }
+
+  if (goals.mealWarningMinutes === '' || !Number.isInteger(Number(goals.mealWarningMinutes)) || Number(goals.mealWarningMinutes) < 0) {
+    errors.mealWarningMinutes = 'Warning window must be 0 or more minutes';
+  }
+
+  if (goals.medicationTimes.some(time => !TIME_PATTERN.test(time))) {
+    errors.medicationTimes = 'Each dose needs a time';
+  } else if (new Set(goals.medicationTimes).size !== goals.medicationTimes.length) {
+    errors.medicationTimes = 'Dose times must be different';
+  }
+
+  return errors;
+};
@@ -0,0 +1,211 @@
+// Health log helpers: the metrics a pet can be measured on, unit
+// conversion, and alerts on worrying changes. Measurements look like
+// { id, petId, metric, value, unit, measuredAt, notes } and keep the unit
+// they were entered in; charts and alerts convert as needed.
+import { dayKey } from './dates';
+
+// The first unit of each metric is the one alerts are configured in
+export const HEALTH_METRICS = [
+  { id: 'weight', label: 'Weight', units: ['kg', 'lb'], step: '0.1', decimals: 1 },
+  { id: 'bodyCondition', label: 'Body condition', units: ['/9'], step: '1', decimals: 0, min: 1, max: 9 },
+  { id: 'water', label: 'Water intake', units: ['ml', 'fl oz'], step: '10', decimals: 0 },
+  { id: 'temperature', label: 'Temperature', units: ['°C', '°F'], step: '0.1', decimals: 1 }
+];
+
+export const getHealthMetric = (id) => HEALTH_METRICS.find(metric => metric.id === id) || null;
+
+const TO_BASE = {
+  kg: value => value,
+  lb: value => value / 2.20462,
+  ml: value => value,
+  'fl oz': value => value * 29.5735,
+  '°C': value => value,
+  '°F': value => (value - 32) * 5 / 9,
+  '/9': value => value
+};
+
+const FROM_BASE = {
+  kg: value => value,
+  lb: value => value * 2.20462,
+  ml: value => value,
+  'fl oz': value => value / 29.5735,
+  '°C': value => value,
+  '°F': value => value * 9 / 5 + 32,
+  '/9': value => value
+};
+
+export const convertValue = (value, from, to) => FROM_BASE[to](TO_BASE[from](value));
+
+// A measurement's value in its metric's first unit (kg, ml, °C)
+export const baseValue = (measurement) => {
+  const metric = getHealthMetric(measurement.metric);
+  return convertValue(Number(measurement.value), measurement.unit, metric.units[0]);
+};
+
+export const formatMeasurement = (value, unit, metric) => {
+  const rounded = Number(value).toFixed(metric.decimals);
+  return unit === '/9' ? `${rounded}/9` : `${rounded} ${unit}`;
+};
+
+// Oldest first, one metric at a time
+export const metricSeries = (measurements, metricId) => measurements
+  .filter(measurement => measurement.metric === metricId)
+  .sort((a, b) => new Date(a.measuredAt) - new Date(b.measuredAt));
+
+export const validateMeasurement = (measurement) => {
+  const errors = {};
+  const metric = getHealthMetric(measurement.metric);
+  const value = Number(measurement.value);
+
+  if (!metric) {
+    errors.metric = 'Choose what you measured';
+  } else if (measurement.value === '' || !Number.isFinite(value) || value <= 0) {
+    errors.value = 'Enter a value greater than 0';
+  } else if ((metric.min && value < metric.min) || (metric.max && value > metric.max)) {
+    errors.value = `Must be between ${metric.min} and ${metric.max}`;
+  } else if (!metric.units.includes(measurement.unit)) {
+    errors.unit = 'Choose a unit';
+  }
+
+  if (!measurement.measuredAt || Number.isNaN(new Date(measurement.measuredAt).getTime())) {
+    errors.measuredAt = 'Date & time is required';
+  }
+
+  return errors;
+};
+
+// Alert thresholds live on each pet profile under `healthAlerts`, in
+// kg/ml/°C. A 0 turns that alert off.
+export const DEFAULT_HEALTH_ALERTS = {
+  // Weight changed by more than this percentage...
+  weightChangePercent: 5,
+  // ...within this many days
+  weightChangeDays: 30,
+  temperatureLow: 37.5,
+  temperatureHigh: 39.4,
+  bodyConditionLow: 4,
+  bodyConditionHigh: 6,
+  // Drinking a lot more than usual can be an early sign of illness
+  waterDailyMax: 0
+};
+
+export const getHealthAlertSettings = (pet) => ({
+  ...DEFAULT_HEALTH_ALERTS,
+  ...(pet && pet.healthAlerts)
+});
+
+export const validateHealthAlertSettings = (settings) => {
+  const errors = {};
+  const number = (key) => Number(settings[key]);
+  const invalid = (key) => settings[key] === '' || !Number.isFinite(number(key)) || number(key) < 0;
+
+  Object.keys(DEFAULT_HEALTH_ALERTS).forEach(key => {
+    if (invalid(key)) errors[key] = 'Must be 0 or more';
+  });
+  if (!errors.temperatureHigh && number('temperatureLow') && number('temperatureHigh') && number('temperatureLow') >= number('temperatureHigh')) {
+    errors.temperatureHigh = 'Must be above the low temperature';
+  }
+  if (!errors.bodyConditionHigh && number('bodyConditionLow') && number('bodyConditionHigh') && number('bodyConditionLow') > number('bodyConditionHigh')) {
+    errors.bodyConditionHigh = 'Must be at least the low score';
+  }
+
+  return errors;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Latest weight against the earliest one in the window before it
+const weightAlert = (series, settings, pet) => {
+  if (!settings.weightChangePercent || !settings.weightChangeDays || series.length < 2) return null;
+
+  const latest = series[series.length - 1];
+  const since = new Date(latest.measuredAt).getTime() - settings.weightChangeDays * DAY_MS;
+  const baseline = series.find(measurement => new Date(measurement.measuredAt).getTime() >= since);
+  if (!baseline || baseline === latest) return null;
+
+  const change = (baseValue(latest) - baseValue(baseline)) / baseValue(baseline) * 100;
+  if (Math.abs(change) <= settings.weightChangePercent) return null;
+
+  const days = Math.max(1, Math.round((new Date(latest.measuredAt) - new Date(baseline.measuredAt)) / DAY_MS));
+  return {
+    key: `health:${pet.id}:weight:${latest.id}`,
+    metric: 'weight',
+    title: change < 0 ? 'Weight loss' : 'Weight gain',
+    body: `${pet.name} has ${change < 0 ? 'lost' : 'gained'} ${Math.abs(change).toFixed(1)}% of body weight in ${days} day${days !== 1 ? 's' : ''}`
+      + ` (${formatMeasurement(baseline.value, baseline.unit, getHealthMetric('weight'))} to ${formatMeasurement(latest.value, latest.unit, getHealthMetric('weight'))}).`
+  };
+};
+
+// The latest reading, if it is recent and outside [low, high]
+const rangeAlert = (series, { low, high, metricId, pet, now, maxAgeDays }) => {
+  const latest = series[series.length - 1];
+  if (!latest || now - new Date(latest.measuredAt) > maxAgeDays * DAY_MS) return null;
+
+  const value = baseValue(latest);
+  const tooLow = low && value < low;
+  const tooHigh = high && value > high;
+  if (!tooLow && !tooHigh) return null;
+
+  const metric = getHealthMetric(metricId);
+  return {
+    key: `health:${pet.id}:${metricId}:${latest.id}`,
+    metric: metricId,
+    title: `${metric.label} ${tooLow ? 'low' : 'high'}`,
+    body: `${pet.name}'s ${metric.label.toLowerCase()} was ${formatMeasurement(latest.value, latest.unit, metric)}, `
+      + `${tooLow ? 'below' : 'above'} ${formatMeasurement(tooLow ? low : high, metric.units[0], metric)}.`
+  };
+};
+
+// Today's total water intake against the daily maximum
+const waterAlert = (series, settings, pet, now) => {
+  if (!settings.waterDailyMax) return null;
+  const today = series.filter(measurement => dayKey(measurement.measuredAt) === dayKey(now));
+  const total = today.reduce((sum, measurement) => sum + baseValue(measurement), 0);
+  if (total <= settings.waterDailyMax) return null;
+
+  const metric = getHealthMetric('water');
+  return {
+    key: `health:${pet.id}:water:${dayKey(now)}`,
+    metric: 'water',
+    title: 'Drinking a lot',
+    body: `${pet.name} has drunk ${formatMeasurement(total, 'ml', metric)} today, more than ${formatMeasurement(settings.waterDailyMax, 'ml', metric)}.`
+  };
+};
+
+// Active alerts for one pet: [{ key, metric, title, body }]. Keys change
+// with each new measurement, so dismissing one alert doesn't hide the
+// next.
+export const evaluateHealthAlerts = (measurements, pet, now = new Date()) => {
+  if (!pet) return [];
+  const settings = getHealthAlertSettings(pet);
+  const series = (metricId) => metricSeries(measurements, metricId);
+
+  return [
+    weightAlert(series('weight'), settings, pet),
+    rangeAlert(series('temperature'), {
+      low: settings.temperatureLow,
+      high: settings.temperatureHigh,
+      metricId: 'temperature',
+      pet,
+      now,
+      maxAgeDays: 2
+    }),
+    rangeAlert(series('bodyCondition'), {
+      low: settings.bodyConditionLow,
+      high: settings.bodyConditionHigh,
+      metricId: 'bodyCondition',
+      pet,
+      now,
+      maxAgeDays: 90
+    }),
+    waterAlert(series('water'), settings, pet, now)
+  ].filter(Boolean);
+};
+
+// Latest reading of every metric, for the chat context
+export const latestMeasurements = (measurements) => Object.fromEntries(
+  HEALTH_METRICS
+    .map(metric => [metric.id, metricSeries(measurements, metric.id).pop()])
+    .filter(([, measurement]) => measurement)
+    .map(([id, measurement]) => [id, { value: Number(measurement.value), unit: measurement.unit, measuredAt: measurement.measuredAt }])
+);
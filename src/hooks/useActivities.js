@@ -0,0 +1,324 @@
+import { useCallback, useEffect, useRef } from 'react';
+import apiService from '../apiService';
+import { NetworkError, onConnectionChange } from '../apiClient';
+import { getApiBaseUrl } from '../config';
+import { activityLabel, describeActivity, toActivityPayload } from '../activities';
+import { dayKey } from '../dates';
+import { subscribeToHousehold } from '../liveUpdates';
+import { createClientId, enqueueActivity, flushOutbox, getQueuedActivities, isRetryableError, removeQueuedActivity, requeueActivity, updateQueuedActivity } from '../outbox';
+import { requestOutboxSync } from '../serviceWorkerRegistration';
+import { useStore } from '../store';
+
+// Whether a create/update response carries the activity the way
+// GET /api/activities lists it
+const isListedActivity = (data) => Boolean(data && data.id && data.type && data.dateTime);
+
+// Activities, today's summary and the offline outbox. Owns the loading
+// effects (start-up, pet switches, local midnight, outbox replays and
+// other caregivers' live changes), so call it from the top of the tracker
+// only. Changes made here update the list in place and refetch just the
+// summary, rather than reloading everything.
+const useActivities = ({ now }) => {
+  const { state, dispatch } = useStore();
+  const { session, selectedPetId, pendingActivities, editingActivity } = state;
+
+  const setError = useCallback((message) => dispatch({ type: 'error', message }), [dispatch]);
+  const setLoading = useCallback((key, value) => dispatch({ type: 'loading', key, value }), [dispatch]);
+  const announce = (message) => dispatch({ type: 'announced', message });
+
+  const showLoadError = useCallback(async (err) => {
+    console.error('Error loading data:', err);
+    setError(err instanceof NetworkError
+      ? `Failed to connect to server. Please ensure the backend is running on ${await getApiBaseUrl()}`
+      : err.message);
+  }, [setError]);
+
+  // A cancelled load leaves the loading flag to the request that replaced it
+  const loadActivities = useCallback(async ({ signal } = {}) => {
+    try {
+      setLoading('activities', true);
+      const result = await apiService.getActivities(undefined, { signal });
+      dispatch({ type: 'activities/loaded', activities: result.data.activities });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      await showLoadError(err);
+    }
+    setLoading('activities', false);
+  }, [dispatch, setLoading, showLoadError]);
+
+  const loadSummary = useCallback(async ({ signal } = {}) => {
+    try {
+      setLoading('summary', true);
+      const result = await apiService.getSummary(selectedPetId, { signal });
+      dispatch({ type: 'summary/loaded', summary: result.data });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      await showLoadError(err);
+    }
+    setLoading('summary', false);
+  }, [selectedPetId, dispatch, setLoading, showLoadError]);
+
+  // Everything, e.g. after a retry or someone else's changes
+  const reload = useCallback(async () => {
+    setError('');
+    await Promise.all([loadActivities(), loadSummary()]);
+  }, [setError, loadActivities, loadSummary]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadActivities({ signal: controller.signal });
+    return () => controller.abort();
+  }, [loadActivities]);
+
+  // Today's Summary covers the selected pet's local day, so it reloads for
+  // a newly selected pet and when the day rolls over
+  const todayKey = dayKey(now);
+  useEffect(() => {
+    const controller = new AbortController();
+    loadSummary({ signal: controller.signal });
+    return () => controller.abort();
+  }, [loadSummary, todayKey]);
+
+  // Reload the offline outbox so queued entries show as pending
+  const refreshPending = useCallback(async () => {
+    try {
+      dispatch({ type: 'pending/loaded', entries: await getQueuedActivities() });
+    } catch (err) {
+      console.error('Error reading offline outbox:', err);
+    }
+  }, [dispatch]);
+
+  // Replay queued activities once the backend is reachable again
+  const syncOutbox = useCallback(async () => {
+    if (!navigator.onLine) return;
+
+    try {
+      const result = await flushOutbox((payload, clientId) =>
+        apiService.addActivity(payload, { idempotencyKey: clientId })
+      );
+
+      if (result.rejected.length > 0) {
+        setError(`${result.rejected.length} offline activit${result.rejected.length === 1 ? 'y was' : 'ies were'} rejected by the server: ${result.rejected[0].error}`);
+      }
+      if (result.sent.length > 0 || result.rejected.length > 0) {
+        await reload();
+      }
+    } catch (err) {
+      console.error('Error syncing offline activities:', err);
+    } finally {
+      await refreshPending();
+    }
+  }, [reload, refreshPending, setError]);
+
+  // Flush the outbox on start-up and whenever connectivity returns: the
+  // device coming back online, or the backend answering again after a cold
+  // start (Background Sync only covers this in some browsers)
+  useEffect(() => {
+    refreshPending().then(syncOutbox);
+    window.addEventListener('online', syncOutbox);
+    const unsubscribe = onConnectionChange((connection) => {
+      if (connection === 'online') syncOutbox();
+    });
+    return () => {
+      window.removeEventListener('online', syncOutbox);
+      unsubscribe();
+    };
+  }, [refreshPending, syncOutbox]);
+
+  // The service worker may replay the outbox in the background
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return undefined;
+
+    const handleMessage = (event) => {
+      if (event.data && event.data.type === 'OUTBOX_FLUSHED') {
+        refreshPending();
+        reload();
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [refreshPending, reload]);
+
+  // Other caregivers' changes arrive live. Bursts of events trigger a
+  // single reload; our own changes are already applied by the actions below.
+  const latestReload = useRef(reload);
+  latestReload.current = reload;
+  useEffect(() => {
+    let timeout = null;
+    const unsubscribe = subscribeToHousehold((event, data) => {
+      if (!event.startsWith('activity.') || data.userId === session.user.id) return;
+      clearTimeout(timeout);
+      timeout = setTimeout(() => latestReload.current(), 500);
+    }, { onStatus: live => dispatch({ type: 'live/changed', live }) });
+    return () => {
+      unsubscribe();
+      clearTimeout(timeout);
+    };
+  }, [session.user.id, dispatch]);
+
+  // Send a new activity to the server, or to the offline outbox when the
+  // server can't be reached. Resolves true if it was queued.
+  const logActivity = async (fields) => {
+    const clientId = createClientId();
+    // The server stamps this too; sending it keeps pending entries attributed
+    const activityData = { ...fields, loggedBy: { id: session.user.id, name: session.user.name } };
+
+    // Queue behind anything already waiting so entries replay in order
+    let queued = !navigator.onLine || pendingActivities.length > 0;
+    let result = null;
+    if (!queued) {
+      try {
+        result = await apiService.addActivity(activityData, { idempotencyKey: clientId });
+      } catch (err) {
+        if (!isRetryableError(err)) throw err;
+        queued = true;
+      }
+    }
+
+    if (queued) {
+      await enqueueActivity(activityData, clientId);
+      await refreshPending();
+      requestOutboxSync();
+      syncOutbox();
+    } else if (isListedActivity(result.data)) {
+      // The server sent back the saved activity; no need to reload the list
+      dispatch({ type: 'activities/added', activity: result.data });
+      await loadSummary();
+    } else {
+      await reload();
+    }
+    announce(`${activityLabel(fields.activityType)} logged for ${fields.petName}${queued ? ', saved offline' : ''}`);
+    return queued;
+  };
+
+  // Save changes to a listed activity. The list updates straight away and
+  // is rolled back (and the error rethrown) if the server rejects them.
+  const updateActivity = async (original, activityData) => {
+    if (original.pending) {
+      await updateQueuedActivity(original.id, activityData);
+      await refreshPending();
+      announce(`${activityLabel(activityData.activityType)} updated`);
+      return;
+    }
+
+    const updated = {
+      ...original,
+      petId: activityData.petId,
+      petName: activityData.petName,
+      type: activityData.activityType,
+      duration: activityData.duration,
+      details: activityData.details,
+      notes: activityData.notes,
+      dateTime: activityData.dateTime,
+      timezone: activityData.timezone
+    };
+
+    dispatch({ type: 'activities/replaced', activity: updated });
+    let result;
+    try {
+      result = await apiService.updateActivity(original.id, activityData);
+    } catch (err) {
+      dispatch({ type: 'activities/replaced', activity: original });
+      throw err;
+    }
+
+    if (isListedActivity(result.data)) {
+      dispatch({ type: 'activities/replaced', activity: result.data });
+    }
+    await loadSummary();
+    announce(`${activityLabel(activityData.activityType)} updated`);
+  };
+
+  // Delete activities (server and pending alike). Resolves with the ids
+  // that are really gone and what's needed to undo it: `payloads` to
+  // create the saved ones again, each with the clientId it keeps across
+  // retries, and the outbox `entries`. Anything the server refused is
+  // listed in the error banner so nothing disappears silently.
+  const deleteActivities = async (targets) => {
+    const saved = targets.filter(activity => !activity.pending);
+    const queued = pendingActivities.filter(entry => targets.some(activity => activity.pending && activity.id === entry.clientId));
+    const removed = new Set();
+
+    try {
+      setLoading('activities', true);
+      setError('');
+
+      if (saved.length > 0) {
+        const ids = saved.map(activity => activity.id);
+        const result = await apiService.bulkDeleteActivities(ids);
+        const { deleted = ids.filter(id => !(result.data.failed || []).includes(id)) } = result.data;
+        deleted.forEach(id => removed.add(id));
+      }
+
+      // Pending entries never reached the server, so just drop them locally
+      const outcomes = await Promise.allSettled(queued.map(entry => removeQueuedActivity(entry.clientId)));
+      outcomes.forEach((outcome, i) => {
+        if (outcome.status === 'fulfilled') removed.add(queued[i].clientId);
+      });
+    } catch (err) {
+      console.error('Error deleting activities:', err);
+      setError(err.message);
+    } finally {
+      setLoading('activities', false);
+    }
+
+    const remaining = targets.filter(activity => !removed.has(activity.id));
+    if (removed.size > 0 && remaining.length > 0) {
+      setError(`Deleted ${removed.size} of ${targets.length} activities. Still there: ${remaining.map(describeActivity).join('; ')}`);
+    }
+
+    if (removed.size > 0) {
+      if (editingActivity && removed.has(editingActivity.id)) dispatch({ type: 'editing/finished' });
+      dispatch({ type: 'activities/removed', ids: [...removed] });
+      announce(removed.size === 1 ? 'Activity deleted' : `${removed.size} activities deleted`);
+      await refreshPending();
+      await loadSummary();
+    }
+    return {
+      removed,
+      payloads: saved
+        .filter(activity => removed.has(activity.id))
+        .map(activity => ({ ...toActivityPayload(activity), clientId: createClientId() })),
+      entries: queued.filter(entry => removed.has(entry.clientId))
+    };
+  };
+
+  // Put deleted activities back. Saved ones are created again (with new
+  // ids) under the clientIds picked when they were deleted, so trying
+  // again after a failure can't create them twice; pending ones go back
+  // into the outbox as they were, unless an earlier try already put them
+  // back. Resolves true when done.
+  const restoreActivities = async ({ payloads, entries }) => {
+    try {
+      if (payloads.length > 0) {
+        // 409: an earlier attempt already got them back
+        await apiService.bulkAddActivities(payloads).catch(err => {
+          if (err.status !== 409) throw err;
+        });
+      }
+      await Promise.all(entries.map(requeueActivity));
+      await refreshPending();
+      await reload();
+      if (entries.length > 0) {
+        requestOutboxSync();
+        syncOutbox();
+      }
+      announce('Deleted activities restored');
+      return true;
+    } catch (err) {
+      console.error('Error restoring activities:', err);
+      setError(`Failed to restore deleted activities: ${err.message}`);
+      return false;
+    }
+  };
+
+  return {
+    reload,
+    logActivity,
+    updateActivity,
+    deleteActivities,
+    restoreActivities
+  };
+};
+
+export default useActivities;
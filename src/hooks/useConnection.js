@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import { checkHealth, getConnection, onConnectionChange } from '../apiClient';
+
+// Whether the backend is reachable (see apiClient.js). Keeps the answer
+// honest by asking the backend's health check on start-up, whenever the
+// device goes on- or offline, and every 30 seconds while the backend
+// isn't answering.
+const useConnection = () => {
+  const [connection, setConnection] = useState(getConnection);
+
+  useEffect(() => onConnectionChange(setConnection), []);
+
+  useEffect(() => {
+    checkHealth();
+    window.addEventListener('online', checkHealth);
+    window.addEventListener('offline', checkHealth);
+    return () => {
+      window.removeEventListener('online', checkHealth);
+      window.removeEventListener('offline', checkHealth);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (connection === 'online') return undefined;
+    const interval = setInterval(checkHealth, 30000);
+    return () => clearInterval(interval);
+  }, [connection]);
+
+  return connection;
+};
+
+export default useConnection;
@@ -0,0 +1,72 @@
+import { useCallback, useEffect } from 'react';
+import apiService from '../apiService';
+import { useConfirm } from '../components/ConfirmDialog';
+import { useStore } from '../store';
+
+// The selected pet's health log. Reloads when the selection changes, so
+// call it from the top of the tracker only.
+const useMeasurements = () => {
+  const { state, dispatch } = useStore();
+  const { measurements, selectedPetId } = state;
+  const confirm = useConfirm();
+
+  const loadMeasurements = useCallback(async ({ signal } = {}) => {
+    if (!selectedPetId) {
+      dispatch({ type: 'measurements/loaded', measurements: [] });
+      return;
+    }
+    try {
+      const result = await apiService.getMeasurements(selectedPetId, { signal });
+      dispatch({ type: 'measurements/loaded', measurements: result.data });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error loading health log:', err);
+    }
+  }, [selectedPetId, dispatch]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadMeasurements({ signal: controller.signal });
+    return () => controller.abort();
+  }, [loadMeasurements]);
+
+  // Resolves true when saved
+  const addMeasurement = async (measurement) => {
+    try {
+      dispatch({ type: 'loading', key: 'health', value: true });
+      dispatch({ type: 'error', message: '' });
+      const result = await apiService.addMeasurement({ ...measurement, petId: selectedPetId });
+      // Use the saved measurement when the server sends it back
+      if (result.data && result.data.id) {
+        dispatch({ type: 'measurements/loaded', measurements: [...measurements, result.data] });
+      } else {
+        await loadMeasurements();
+      }
+      return true;
+    } catch (err) {
+      console.error('Error saving measurement:', err);
+      dispatch({ type: 'error', message: err.message });
+      return false;
+    } finally {
+      dispatch({ type: 'loading', key: 'health', value: false });
+    }
+  };
+
+  const deleteMeasurement = async (measurement) => {
+    if (!(await confirm({ title: 'Delete this measurement?', confirmLabel: 'Delete', destructive: true }))) {
+      return;
+    }
+
+    try {
+      await apiService.deleteMeasurement(measurement.id);
+      dispatch({ type: 'measurements/loaded', measurements: measurements.filter(item => item.id !== measurement.id) });
+    } catch (err) {
+      console.error('Error deleting measurement:', err);
+      dispatch({ type: 'error', message: err.message });
+    }
+  };
+
+  return { measurements, addMeasurement, deleteMeasurement };
+};
+
+export default useMeasurements;
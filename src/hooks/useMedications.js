@@ -0,0 +1,77 @@
+import { useCallback, useEffect } from 'react';
+import apiService from '../apiService';
+import { useConfirm } from '../components/ConfirmDialog';
+import { useStore } from '../store';
+
+// The selected pet's medication schedules. Reloads when the selection
+// changes, so call it from the top of the tracker only.
+const useMedications = () => {
+  const { state, dispatch } = useStore();
+  const { medications, selectedPetId } = state;
+  const confirm = useConfirm();
+
+  const loadMedications = useCallback(async ({ signal } = {}) => {
+    if (!selectedPetId) {
+      dispatch({ type: 'medications/loaded', medications: [] });
+      return;
+    }
+    try {
+      const result = await apiService.getMedications(selectedPetId, { signal });
+      dispatch({ type: 'medications/loaded', medications: result.data });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error loading medications:', err);
+    }
+  }, [selectedPetId, dispatch]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadMedications({ signal: controller.signal });
+    return () => controller.abort();
+  }, [loadMedications]);
+
+  // Resolves true when saved
+  const saveMedication = async (medication, id) => {
+    try {
+      dispatch({ type: 'loading', key: 'medications', value: true });
+      dispatch({ type: 'error', message: '' });
+      if (id) {
+        await apiService.updateMedication(id, medication);
+      } else {
+        await apiService.addMedication(medication);
+      }
+      await loadMedications();
+      return true;
+    } catch (err) {
+      console.error('Error saving medication:', err);
+      dispatch({ type: 'error', message: err.message });
+      return false;
+    } finally {
+      dispatch({ type: 'loading', key: 'medications', value: false });
+    }
+  };
+
+  const deleteMedication = async (medicationId) => {
+    const medication = medications.find(item => item.id === medicationId);
+    if (!(await confirm({
+      title: `Stop tracking ${medication.name}?`,
+      message: 'Doses already given are kept.',
+      confirmLabel: 'Stop tracking',
+      destructive: true
+    }))) {
+      return;
+    }
+
+    try {
+      await apiService.deleteMedication(medicationId);
+      dispatch({ type: 'medications/loaded', medications: medications.filter(item => item.id !== medicationId) });
+    } catch (err) {
+      console.error('Error deleting medication:', err);
+      dispatch({ type: 'error', message: err.message });
+    }
+  };
+
+  return { medications, saveMedication, deleteMedication };
+};
+
+export default useMedications;
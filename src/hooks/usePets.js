@@ -0,0 +1,103 @@
+import { useCallback, useEffect } from 'react';
+import apiService from '../apiService';
+import { useConfirm } from '../components/ConfirmDialog';
+import { selectSelectedPet, useStore } from '../store';
+
+// Pet profiles and the selected pet. Loads once on mount, so call it from
+// the top of the tracker only.
+const usePets = () => {
+  const { state, dispatch } = useStore();
+  const { pets, selectedPetId } = state;
+  const confirm = useConfirm();
+
+  const loadPets = useCallback(async ({ signal } = {}) => {
+    try {
+      const result = await apiService.getPets({ signal });
+      dispatch({ type: 'pets/loaded', pets: result.data });
+      localStorage.setItem('petProfiles', JSON.stringify(result.data));
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error loading pets:', err);
+    }
+  }, [dispatch]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadPets({ signal: controller.signal });
+    return () => controller.abort();
+  }, [loadPets]);
+
+  const selectPet = useCallback((petId) => dispatch({ type: 'pets/selected', petId }), [dispatch]);
+
+  // Keep the selection valid when pets are added or removed
+  useEffect(() => {
+    if (pets.length > 0 && !pets.some(pet => pet.id === selectedPetId)) {
+      selectPet(pets[0].id);
+    }
+  }, [pets, selectedPetId, selectPet]);
+
+  useEffect(() => {
+    localStorage.setItem('selectedPetId', selectedPetId);
+  }, [selectedPetId]);
+
+  // Create or update a pet profile; resolves true when saved
+  const savePet = async (profile, id) => {
+    try {
+      dispatch({ type: 'loading', key: 'pets', value: true });
+      dispatch({ type: 'error', message: '' });
+      const result = id
+        ? await apiService.updatePet(id, profile)
+        : await apiService.addPet(profile);
+      await loadPets();
+      if (!id) selectPet(result.data.id);
+      return true;
+    } catch (err) {
+      console.error('Error saving pet:', err);
+      dispatch({ type: 'error', message: err.message });
+      return false;
+    } finally {
+      dispatch({ type: 'loading', key: 'pets', value: false });
+    }
+  };
+
+  // Save settings kept on the selected pet's profile (goals, notes,
+  // health alert thresholds, ...); resolves true when saved
+  const updateSelectedPet = (changes) => {
+    const { id, ...profile } = selectSelectedPet(state);
+    return savePet({ ...profile, ...changes }, id);
+  };
+
+  const deletePet = async (petId) => {
+    const pet = pets.find(item => item.id === petId);
+    if (!(await confirm({
+      title: `Delete ${pet.name}'s profile?`,
+      message: 'Logged activities are kept.',
+      confirmLabel: 'Delete',
+      destructive: true
+    }))) {
+      return;
+    }
+
+    try {
+      dispatch({ type: 'loading', key: 'pets', value: true });
+      await apiService.deletePet(petId);
+      await loadPets();
+    } catch (err) {
+      console.error('Error deleting pet:', err);
+      dispatch({ type: 'error', message: err.message });
+    } finally {
+      dispatch({ type: 'loading', key: 'pets', value: false });
+    }
+  };
+
+  return {
+    pets,
+    selectedPet: selectSelectedPet(state),
+    selectPet,
+    savePet,
+    updateSelectedPet,
+    deletePet
+  };
+};
+
+export default usePets;
@@ -0,0 +1,137 @@
+import { useCallback, useEffect } from 'react';
+import apiService from '../apiService';
+import { deleteAttachment as removeAttachment, getLocalAttachments, uploadAttachment, uploadLocalAttachments } from '../attachments';
+import { useConfirm } from '../components/ConfirmDialog';
+import { useStore } from '../store';
+
+// The selected pet's vaccinations and record files. Reloads when the
+// selection changes, so call it from the top of the tracker only.
+const useRecords = () => {
+  const { state, dispatch } = useStore();
+  const { vaccinations, attachments, selectedPetId } = state;
+  const confirm = useConfirm();
+
+  const setError = useCallback((message) => dispatch({ type: 'error', message }), [dispatch]);
+  const setLoading = (value) => dispatch({ type: 'loading', key: 'records', value });
+
+  const loadVaccinations = useCallback(async ({ signal } = {}) => {
+    if (!selectedPetId) {
+      dispatch({ type: 'vaccinations/loaded', vaccinations: [] });
+      return;
+    }
+    try {
+      const result = await apiService.getVaccinations(selectedPetId, { signal });
+      dispatch({ type: 'vaccinations/loaded', vaccinations: result.data });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error loading vaccinations:', err);
+    }
+  }, [selectedPetId, dispatch]);
+
+  // Files kept on this device go up first, then the server's list is
+  // shown with whatever is still local. Offline, only local files show.
+  const loadAttachments = useCallback(async ({ signal } = {}) => {
+    if (!selectedPetId) {
+      dispatch({ type: 'attachments/loaded', attachments: [] });
+      return;
+    }
+    let saved = [];
+    try {
+      if (navigator.onLine) await uploadLocalAttachments(selectedPetId);
+      const result = await apiService.getAttachments(selectedPetId, { signal });
+      saved = result.data;
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error loading documents:', err);
+    }
+    try {
+      const local = await getLocalAttachments(selectedPetId);
+      if (signal && signal.aborted) return;
+      dispatch({ type: 'attachments/loaded', attachments: [...saved, ...local] });
+    } catch (err) {
+      console.error('Error reading local documents:', err);
+    }
+  }, [selectedPetId, dispatch]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadVaccinations({ signal: controller.signal });
+    loadAttachments({ signal: controller.signal });
+    return () => controller.abort();
+  }, [loadVaccinations, loadAttachments]);
+
+  // Resolves true when saved
+  const saveVaccination = async (vaccination, id) => {
+    try {
+      setLoading(true);
+      setError('');
+      if (id) {
+        await apiService.updateVaccination(id, vaccination);
+      } else {
+        await apiService.addVaccination(vaccination);
+      }
+      await loadVaccinations();
+      return true;
+    } catch (err) {
+      console.error('Error saving vaccination:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const deleteVaccination = async (vaccination) => {
+    if (!(await confirm({
+      title: `Delete the ${vaccination.name} vaccination from ${vaccination.givenOn}?`,
+      confirmLabel: 'Delete',
+      destructive: true
+    }))) {
+      return;
+    }
+
+    try {
+      await apiService.deleteVaccination(vaccination.id);
+      dispatch({ type: 'vaccinations/loaded', vaccinations: vaccinations.filter(item => item.id !== vaccination.id) });
+    } catch (err) {
+      console.error('Error deleting vaccination:', err);
+      setError(err.message);
+    }
+  };
+
+  // Attach a file to a visit, a vaccination or the pet itself
+  // ({ recordType, recordId }); resolves true when stored
+  const addAttachment = async (file, record) => {
+    try {
+      setLoading(true);
+      setError('');
+      const attachment = await uploadAttachment({ ...record, petId: selectedPetId }, file);
+      dispatch({ type: 'attachments/loaded', attachments: [...attachments, attachment] });
+      return true;
+    } catch (err) {
+      console.error('Error attaching document:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const deleteAttachment = async (attachment) => {
+    if (!(await confirm({ title: `Delete ${attachment.name}?`, confirmLabel: 'Delete', destructive: true }))) {
+      return;
+    }
+
+    try {
+      await removeAttachment(attachment);
+      dispatch({ type: 'attachments/loaded', attachments: attachments.filter(item => item.id !== attachment.id) });
+    } catch (err) {
+      console.error('Error deleting document:', err);
+      setError(err.message);
+    }
+  };
+
+  return { vaccinations, attachments, saveVaccination, deleteVaccination, addAttachment, deleteAttachment };
+};
+
+export default useRecords;
@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { DEFAULT_RULES, emptyReminderState, evaluateReminders } from '../reminders';
+import { deliverReminders, loadReminderState, loadRules, saveReminderState, saveRules } from '../reminderDelivery';
+import { getRegistration, registerReminderSync } from '../serviceWorkerRegistration';
+
+// Reminder rules and their snooze/dismiss state, kept in IndexedDB where
+// the service worker can read them too. Returns the reminders active for
+// `activities`, `doses` and `pets` at `now`, and notifies about new ones.
+const useReminders = ({ activities, doses, pets, now, onError }) => {
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [reminderState, setReminderState] = useState(emptyReminderState);
+  const [permission, setPermission] = useState(
+    typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+  );
+
+  const loadReminders = useCallback(async () => {
+    try {
+      const [savedRules, state] = await Promise.all([loadRules(), loadReminderState()]);
+      setRules(savedRules);
+      setReminderState(state);
+    } catch (err) {
+      console.error('Error loading reminders:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReminders();
+  }, [loadReminders]);
+
+  // Snoozed or dismissed from a notification
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return undefined;
+
+    const handleMessage = (event) => {
+      if (event.data && event.data.type === 'REMINDERS_CHANGED') loadReminders();
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [loadReminders]);
+
+  const activeReminders = evaluateReminders(rules, { activities, doses, pets, now, state: reminderState });
+  const latestReminders = useRef(activeReminders);
+  latestReminders.current = activeReminders;
+  const reminderKeys = activeReminders.map(reminder => `${reminder.key}:${reminder.quiet}`).join('|');
+
+  // Send a notification for reminders that just became active
+  useEffect(() => {
+    if (!reminderKeys) return;
+    (async () => {
+      try {
+        const registration = await getRegistration();
+        setReminderState(await deliverReminders(latestReminders.current, registration, new Date()));
+      } catch (err) {
+        console.error('Error delivering reminders:', err);
+      }
+    })();
+  }, [reminderKeys]);
+
+  const updateReminderState = (next) => {
+    setReminderState(next);
+    saveReminderState(next).catch(err => console.error('Error saving reminder state:', err));
+  };
+
+  const updateRules = (next) => {
+    setRules(next);
+    saveRules(next).catch(err => {
+      console.error('Error saving reminder rules:', err);
+      onError('Failed to save reminder rules');
+    });
+  };
+
+  const enableNotifications = async () => {
+    const result = await Notification.requestPermission();
+    setPermission(result);
+    if (result === 'granted') {
+      registerReminderSync();
+    }
+  };
+
+  return {
+    rules,
+    reminderState,
+    permission,
+    activeReminders,
+    updateReminderState,
+    updateRules,
+    enableNotifications
+  };
+};
+
+export default useReminders;
@@ -0,0 +1,279 @@
+// Export of activity history to CSV/JSON, and parsing of those files back
+// into validated activities for import
+import apiService from './apiService';
+import { activityFields, activityUnit, matchesFilters, validateActivity } from './activities';
+import { getActivityType } from './activityTypes';
+import { currentTimeZone, toFormDateTime, toOffsetISOString } from './dates';
+import { activityBelongsToPet } from './pets';
+import { createClientId } from './outbox';
+
+export const EXPORT_COLUMNS = ['id', 'petId', 'petName', 'type', 'duration', 'unit', 'dateTime', 'timezone', 'details', 'notes', 'medicationName'];
+
+const EXPORT_PAGE_SIZE = 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toExportRow = (activity, pets) => {
+  const pet = pets.find(item => activityBelongsToPet(activity, item));
+  return {
+    id: activity.id,
+    petId: activity.petId || (pet ? pet.id : ''),
+    petName: activity.petName || (pet ? pet.name : ''),
+    type: activity.type,
+    duration: activity.duration,
+    unit: activity.unit || activityUnit(activity.type),
+    dateTime: toOffsetISOString(activity.dateTime),
+    // Where it was logged, e.g. "Europe/Berlin"
+    timezone: activity.timezone || '',
+    // Type-specific fields (see activityTypes.js); JSON text in CSV files
+    details: activity.details || null,
+    notes: activity.notes || '',
+    medicationName: activity.medicationName || ''
+  };
+};
+
+const sortByDate = (activities) => activities
+  .slice()
+  .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+
+// Cells starting like this run as formulas in Excel and Sheets, so they
+// are written with a leading ' (and read back without it). Text that
+// already starts with ' before such a character gets one more, so it
+// survives the round trip.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+const ESCAPED_FORMULA = /^'(?='*[=+\-@\t\r])/;
+
+const csvField = (value) => {
+  const raw = value === undefined || value === null ? ''
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const activitiesToCSV = (activities, pets) => {
+  const rows = sortByDate(activities).map(activity => toExportRow(activity, pets));
+  return [
+    EXPORT_COLUMNS.join(','),
+    ...rows.map(row => EXPORT_COLUMNS.map(column => csvField(row[column])).join(','))
+  ].join('\r\n');
+};
+
+export const activitiesToJSON = (activities, pets, now = new Date()) => JSON.stringify({
+  exportedAt: toOffsetISOString(now),
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  activities: sortByDate(activities).map(activity => toExportRow(activity, pets))
+}, null, 2);
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Save activities as "pet-activities-2024-05-01.csv" (or .json)
+export const downloadActivities = (activities, pets, format, now = new Date()) => {
+  const filename = `pet-activities-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}.${format}`;
+  if (format === 'csv') {
+    downloadFile(filename, activitiesToCSV(activities, pets), 'text/csv;charset=utf-8');
+  } else {
+    downloadFile(filename, activitiesToJSON(activities, pets, now), 'application/json');
+  }
+};
+
+// Every activity matching the history filters, walking through all pages
+export const fetchAllActivities = async (filters, pets) => {
+  const byId = new Map();
+  for (let page = 1; ; page += 1) {
+    const result = await apiService.getActivities({ ...filters, page, limit: EXPORT_PAGE_SIZE });
+    const { activities: received = [], total } = result.data;
+    const before = byId.size;
+    received
+      .filter(activity => matchesFilters(activity, filters, pets))
+      .forEach(activity => byId.set(activity.id, activity));
+
+    // A backend that ignores paging sends everything at once
+    const done = total !== undefined
+      ? page * EXPORT_PAGE_SIZE >= total
+      : received.length < EXPORT_PAGE_SIZE || byId.size === before;
+    if (done) return [...byId.values()];
+  }
+};
+
+// Minimal RFC 4180 parser: quoted fields may hold commas, quotes and newlines
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Raw records from an exported file, keyed by the export column names.
+// Throws when the file can't be read as either format.
+export const readImportFile = (filename, text) => {
+  if (/\.json$/i.test(filename) || text.trim().startsWith('{') || text.trim().startsWith('[')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new Error('File is not valid JSON');
+    }
+    const records = Array.isArray(parsed) ? parsed : parsed && parsed.activities;
+    if (!Array.isArray(records)) throw new Error('JSON file has no activities list');
+    return records;
+  }
+
+  const [header, ...lines] = parseCSV(text.replace(/^\uFEFF/, ''));
+  if (!header || !header.includes('type') || !header.includes('dateTime')) {
+    throw new Error('CSV file needs at least "type" and "dateTime" columns');
+  }
+  return lines.map(cells => Object.fromEntries(header.map((column, i) => [
+    column.trim(),
+    (cells[i] || '').trim().replace(ESCAPED_FORMULA, '')
+  ])));
+};
+
+// Same pet, type, amount and minute counts as the same activity
+const duplicateKey = (petId, type, duration, dateTime) => {
+  const minute = Math.floor(new Date(dateTime).getTime() / 60000);
+  return `${petId}|${type}|${parseFloat(duration)}|${minute}`;
+};
+
+// `details` arrives as an object from JSON files and as JSON text from
+// CSV; resolves undefined when it can't be read
+const parseDetails = (value) => {
+  if (value && typeof value === 'object') return value;
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : undefined;
+  } catch (err) {
+    return undefined;
+  }
+};
+
+// The zone the row was logged in. Files exported before the column existed
+// get this device's; an empty cell stays empty, like on the activity.
+const recordTimeZone = (record) => (
+  'timezone' in record ? String(record.timezone || '').trim() : currentTimeZone()
+);
+
+const isTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const resolvePet = (record, pets) => (
+  pets.find(pet => pet.id === record.petId)
+    || pets.find(pet => pet.name.toLowerCase() === String(record.petName || '').trim().toLowerCase())
+);
+
+// Validate raw records with the form's rules and flag rows that are already
+// logged (or repeated within the file). Returns one entry per record:
+// { line, activity, errors, duplicate }, where `activity` is an addActivity
+// payload with its own clientId, kept for every attempt to import it.
+export const prepareImport = (records, pets, existing = []) => {
+  const seen = new Set(existing.map(activity => {
+    const pet = pets.find(item => activityBelongsToPet(activity, item));
+    return duplicateKey(pet ? pet.id : activity.petId, activity.type, activity.duration, activity.dateTime);
+  }));
+
+  return records.map((record, index) => {
+    const pet = resolvePet(record, pets);
+    const date = new Date(record.dateTime);
+    const valid = !Number.isNaN(date.getTime());
+    const details = parseDetails(record.details);
+    const timezone = recordTimeZone(record);
+    const fields = {
+      petId: pet ? pet.id : '',
+      activityType: String(record.type || record.activityType || '').trim().toLowerCase(),
+      duration: record.duration,
+      details: details || {},
+      notes: record.notes ? String(record.notes) : '',
+      dateTime: valid ? toFormDateTime(date) : ''
+    };
+
+    const errors = validateActivity(fields, pets);
+    if (!details) {
+      errors.details = `Unreadable details "${record.details}"`;
+    }
+    if (errors.petId) {
+      errors.petId = `Unknown pet "${record.petName || record.petId || ''}"`;
+    }
+    if (errors.dateTime && record.dateTime) {
+      errors.dateTime = `Invalid date "${record.dateTime}"`;
+    }
+    if (timezone && !isTimeZone(timezone)) {
+      errors.timezone = `Unknown timezone "${timezone}"`;
+    }
+
+    const activity = {
+      clientId: createClientId(),
+      petId: fields.petId,
+      petName: pet ? pet.name : '',
+      activityType: fields.activityType,
+      dateTime: valid ? toOffsetISOString(date) : '',
+      ...(timezone ? { timezone } : {}),
+      ...(getActivityType(fields.activityType) ? activityFields(fields) : {}),
+      ...(record.medicationName ? { medicationName: String(record.medicationName) } : {})
+    };
+
+    let duplicate = false;
+    if (Object.keys(errors).length === 0) {
+      const key = duplicateKey(activity.petId, activity.activityType, activity.duration, date);
+      duplicate = seen.has(key);
+      seen.add(key);
+    }
+
+    return { line: index + 1, activity, errors, duplicate };
+  });
+};
+
+// Rows that will be created: valid and not already logged
+export const acceptedRows = (rows) => rows.filter(row => !row.duplicate && Object.keys(row.errors).length === 0);
+
+// 409: an earlier attempt already created them
+export const importActivities = (rows) => apiService.bulkAddActivities(rows.map(row => row.activity))
+  .catch(err => {
+    if (err.status !== 409) throw err;
+  });
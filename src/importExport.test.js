@@ -0,0 +1,88 @@
+import { ApiError } from './apiClient';
+import apiService from './apiService';
+import { currentTimeZone } from './dates';
+import {
+  EXPORT_COLUMNS,
+  acceptedRows,
+  activitiesToCSV,
+  activitiesToJSON,
+  importActivities,
+  prepareImport,
+  readImportFile
+} from './importExport';
+
+jest.mock('./apiService');
+
+const pets = [{ id: 'p1', name: 'Rex' }];
+
+const records = [
+  { petName: 'Rex', type: 'walk', duration: '30', dateTime: '2024-05-01T08:00:00+02:00' },
+  { petName: 'Rex', type: 'meal', duration: '1', dateTime: '2024-05-01T12:00:00+02:00' }
+];
+
+describe('importActivities', () => {
+  it('gives every row its own clientId and keeps it for a retry', async () => {
+    const rows = acceptedRows(prepareImport(records, pets));
+    apiService.bulkAddActivities
+      .mockRejectedValueOnce(new ApiError('Failed to import activities', 503))
+      .mockResolvedValueOnce({ data: [] });
+
+    await expect(importActivities(rows)).rejects.toThrow('Failed to import activities');
+    await importActivities(rows);
+
+    const [first, retry] = apiService.bulkAddActivities.mock.calls.map(([activities]) => activities);
+    const clientIds = first.map(activity => activity.clientId);
+    expect(new Set(clientIds).size).toBe(2);
+    expect(retry.map(activity => activity.clientId)).toEqual(clientIds);
+  });
+
+  it('counts a conflict as already imported', async () => {
+    const rows = acceptedRows(prepareImport(records, pets));
+    apiService.bulkAddActivities.mockRejectedValue(new ApiError('Already imported', 409));
+
+    await expect(importActivities(rows)).resolves.toBeUndefined();
+  });
+});
+
+describe('timezones', () => {
+  it('exports the zone each activity was logged in', () => {
+    const activity = {
+      id: 'a1',
+      type: 'walk',
+      petId: 'p1',
+      petName: 'Rex',
+      duration: 30,
+      dateTime: '2024-05-01T06:00:00Z',
+      timezone: 'Asia/Tokyo'
+    };
+    const [header, row] = activitiesToCSV([activity], pets).split('\r\n');
+    const cells = Object.fromEntries(header.split(',').map((column, i) => [column, row.split(',')[i]]));
+
+    expect(header.split(',')).toEqual(EXPORT_COLUMNS);
+    expect(cells.timezone).toBe('Asia/Tokyo');
+    expect(JSON.parse(activitiesToJSON([activity], pets)).activities[0].timezone).toBe('Asia/Tokyo');
+  });
+
+  it("keeps each imported row's own zone", () => {
+    const csv = [
+      'petName,type,duration,dateTime,timezone',
+      'Rex,walk,30,2024-05-01T08:00:00+02:00,Europe/Berlin',
+      'Rex,walk,20,2024-05-02T08:00:00+09:00,Asia/Tokyo',
+      'Rex,walk,10,2024-05-03T08:00:00+00:00,'
+    ].join('\n');
+    const rows = prepareImport(readImportFile('activities.csv', csv), pets);
+
+    expect(rows.map(row => row.activity.timezone)).toEqual(['Europe/Berlin', 'Asia/Tokyo', undefined]);
+    expect(rows.every(row => Object.keys(row.errors).length === 0)).toBe(true);
+  });
+
+  it('falls back to the current zone for files without the column', () => {
+    const [row] = prepareImport([records[0]], pets);
+    expect(row.activity.timezone).toBe(currentTimeZone());
+  });
+
+  it('flags an unknown zone', () => {
+    const [row] = prepareImport([{ ...records[0], timezone: 'Mars/Olympus_Mons' }], pets);
+    expect(row.errors.timezone).toBe('Unknown timezone "Mars/Olympus_Mons"');
+  });
+});
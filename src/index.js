@@ -2,10 +2,19 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import AuthGate from './components/AuthGate';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <AuthGate>
+      {({ session, onLogout }) => (
+        <App key={session.household.id} session={session} onLogout={onLogout} />
+      )}
+    </AuthGate>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Cache the app shell and replay offline activities in the background
+serviceWorkerRegistration.register();
\ No newline at end of file
@@ -0,0 +1,42 @@
+// Keeps a live connection to the household's event stream, so activities
+// logged by other caregivers show up without a reload. Reconnects with
+// exponential backoff whenever the stream drops.
+import apiService from './apiService';
+
+const MIN_RETRY_MS = 2000;
+const MAX_RETRY_MS = 60000;
+
+// Calls onEvent(event, data) for every event and onStatus(true/false) as
+// the connection comes and goes. Returns a function that disconnects.
+export const subscribeToHousehold = (onEvent, { onStatus = () => {} } = {}) => {
+  const controller = new AbortController();
+  let retryMs = MIN_RETRY_MS;
+  let timer = null;
+
+  const connect = async () => {
+    try {
+      await apiService.streamHouseholdEvents({
+        signal: controller.signal,
+        onOpen: () => {
+          retryMs = MIN_RETRY_MS;
+          onStatus(true);
+        },
+        onEvent
+      });
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.error('Live updates disconnected:', err);
+    }
+    if (controller.signal.aborted) return;
+
+    onStatus(false);
+    timer = setTimeout(connect, retryMs);
+    retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+  };
+
+  connect();
+  return () => {
+    controller.abort();
+    clearTimeout(timer);
+  };
+};
@@ -0,0 +1,84 @@
+// Small Markdown parser for assistant replies. It returns plain data that
+// the Markdown component turns into React elements, so reply text is never
+// injected as HTML; links are kept only for safe schemes.
+
+const INLINE = /`([^`]+)`|\*\*([^*]+)\*\*|\[([^\]]+)\]\(([^)\s]+)\)|\*([^*\s][^*]*)\*/g;
+
+export const safeHref = (url) => (/^(https?:|mailto:)/i.test(url.trim()) ? url.trim() : null);
+
+// "**Walks** are `fine`" -> [{ type: 'strong', text: 'Walks' }, { type: 'text', ... }, ...]
+export const parseInline = (text) => {
+  const nodes = [];
+  let last = 0;
+  let match;
+  INLINE.lastIndex = 0;
+
+  while ((match = INLINE.exec(text)) !== null) {
+    if (match.index > last) nodes.push({ type: 'text', text: text.slice(last, match.index) });
+    const [whole, code, strong, linkText, href, em] = match;
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (strong !== undefined) {
+      nodes.push({ type: 'strong', text: strong });
+    } else if (linkText !== undefined) {
+      const safe = safeHref(href);
+      nodes.push(safe ? { type: 'link', text: linkText, href: safe } : { type: 'text', text: whole });
+    } else {
+      nodes.push({ type: 'em', text: em });
+    }
+    last = match.index + whole.length;
+  }
+  if (last < text.length) nodes.push({ type: 'text', text: text.slice(last) });
+  return nodes;
+};
+
+// Blocks: paragraph, heading, list (ordered or not) and fenced code
+export const parseMarkdown = (source = '') => {
+  const blocks = [];
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join(' ')) });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (line.trim().startsWith('```')) {
+      flush();
+      const code = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith('```')) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+    } else if (bullet || numbered) {
+      flush();
+      const ordered = Boolean(numbered);
+      const previous = blocks[blocks.length - 1];
+      const item = parseInline((bullet || numbered)[1]);
+      if (previous && previous.type === 'list' && previous.ordered === ordered) {
+        previous.items.push(item);
+      } else {
+        blocks.push({ type: 'list', ordered, items: [item] });
+      }
+    } else if (line.trim() === '') {
+      flush();
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+  return blocks;
+};
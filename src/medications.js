@@ -0,0 +1,122 @@
+// Medication schedules. A medication is
+//   { id, petId, name, dose, unit, frequencyHours, startDate, firstDoseTime, endDate }
+// and is due every `frequencyHours` from `firstDoseTime` on `startDate`
+// until the end of `endDate` (or indefinitely without one).
+// A dose is a regular medication activity tagged with `medicationId` and
+// the ISO time of the `slot` it was given for.
+import { dayKey } from './dates';
+
+export const DOSE_UNITS = ['mg', 'ml', 'tablet', 'capsule', 'drop', 'puff'];
+
+// How long after its slot a dose still counts as "due" rather than missed
+export const GRACE_MINUTES = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const emptyMedication = () => ({
+  name: '',
+  dose: '',
+  unit: 'mg',
+  frequencyHours: 24,
+  startDate: dayKey(new Date()),
+  firstDoseTime: '08:00',
+  endDate: ''
+});
+
+// Schedules follow the wall clock: a daily 08:00 dose stays at 08:00 when
+// DST starts or ends. Slots are counted in wall-clock time (the local date
+// and time read as if they were UTC, so every day is 24 hours long) and
+// only turned into real instants at the end.
+const wallClock = (date, time = '00:00') => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes);
+};
+
+const fromWallClock = (ms) => {
+  const date = new Date(ms);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes());
+};
+
+// Scheduled dose times for one medication that fall on the local day of `day`
+export const doseSlots = (medication, day = new Date()) => {
+  const dayStart = wallClock(dayKey(day));
+  const dayEnd = dayStart + 24 * HOUR_MS;
+  const first = wallClock(medication.startDate, medication.firstDoseTime);
+  const last = medication.endDate ? wallClock(medication.endDate, '23:59') : null;
+  const interval = Number(medication.frequencyHours) * HOUR_MS;
+  if (!(interval > 0)) return [];
+
+  const slots = [];
+  let k = Math.max(0, Math.ceil((dayStart - first) / interval));
+  let slot = first + k * interval;
+  while (slot < dayEnd && !(last !== null && slot > last)) {
+    slots.push(fromWallClock(slot));
+    k += 1;
+    slot = first + k * interval;
+  }
+  return slots;
+};
+
+// How many doses are due on the local day of `day`: the dose slots of the
+// pet's medications when it has any, as Today's Summary counts them, else
+// the daily medication times from its goals
+export const dailyDoseTarget = (medications, medicationTimes, day = new Date()) => (
+  medications.length > 0
+    ? medications.reduce((count, medication) => count + doseSlots(medication, day).length, 0)
+    : medicationTimes.length
+);
+
+// Every scheduled dose for the day with its status: 'taken', 'due',
+// 'upcoming' or 'missed'. `activities` may include pending ones.
+export const daySchedule = (medications, activities, now = new Date()) => {
+  const doses = activities.filter(activity => activity.type === 'medication' && activity.medicationId);
+
+  return medications
+    .flatMap(medication => doseSlots(medication, now).map(slot => {
+      const slotKey = slot.toISOString();
+      const dose = doses.find(activity => activity.medicationId === medication.id && activity.slot === slotKey);
+
+      let status = 'upcoming';
+      if (dose) status = 'taken';
+      else if (now - slot > GRACE_MINUTES * 60 * 1000) status = 'missed';
+      else if (now >= slot) status = 'due';
+
+      return { medication, slot, slotKey, status, dose };
+    }))
+    .sort((a, b) => a.slot - b.slot);
+};
+
+// Doses given vs doses that should have been given by `now`
+export const scheduleAdherence = (schedule) => {
+  const taken = schedule.filter(item => item.status === 'taken').length;
+  const dueSoFar = schedule.filter(item => item.status !== 'upcoming').length;
+  return {
+    taken,
+    scheduled: schedule.length,
+    dueSoFar,
+    percent: dueSoFar ? Math.round((taken / dueSoFar) * 100) : 100
+  };
+};
+
+export const validateMedication = (medication) => {
+  const errors = {};
+
+  if (!medication.name.trim()) {
+    errors.name = 'Medication name is required';
+  }
+  if (!medication.dose || parseFloat(medication.dose) <= 0) {
+    errors.dose = 'Dose must be greater than 0';
+  }
+  if (!medication.frequencyHours || parseFloat(medication.frequencyHours) <= 0) {
+    errors.frequencyHours = 'Frequency must be greater than 0';
+  }
+  if (!medication.startDate) {
+    errors.startDate = 'Start date is required';
+  }
+  if (medication.endDate && medication.endDate < medication.startDate) {
+    errors.endDate = 'End date must be after the start date';
+  }
+
+  return errors;
+};
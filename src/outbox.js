@@ -0,0 +1,92 @@
+import { withStore } from './db';
+
+// Durable queue of activities that could not reach the backend yet.
+// Entries are replayed oldest first; each carries a clientId that is sent
+// as the idempotency key so a retried POST never creates a duplicate.
+const STORE = 'outbox';
+
+export const SYNC_TAG = 'activity-outbox';
+
+export const createClientId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// Network failures (fetch throws without a status), timeouts, rate limits
+// and 5xx responses are worth retrying, as is a 401: the entry waits until
+// someone signs in again. Anything else means the backend looked at the
+// activity and rejected it.
+export const isRetryableError = (err) =>
+  !err.status || err.status >= 500 || [401, 408, 429].includes(err.status);
+
+export const enqueueActivity = (activityData, clientId = createClientId()) =>
+  withStore(STORE, 'readwrite', (store) =>
+    store.add({ clientId, payload: activityData, queuedAt: new Date().toISOString() })
+  ).then(() => clientId);
+
+// Put a removed entry back, e.g. on undo. An entry whose clientId is
+// already queued (from an earlier attempt) is left as it is.
+export const requeueActivity = async ({ payload, clientId }) => {
+  const entries = await getQueuedActivities();
+  if (entries.some(item => item.clientId === clientId)) return clientId;
+  return enqueueActivity(payload, clientId);
+};
+
+export const getQueuedActivities = () =>
+  withStore(STORE, 'readonly', (store) => store.getAll());
+
+export const removeQueuedActivity = async (clientId) => {
+  const entries = await getQueuedActivities();
+  const entry = entries.find(item => item.clientId === clientId);
+  if (!entry) return;
+  await withStore(STORE, 'readwrite', (store) => store.delete(entry.seq));
+};
+
+// Edit a queued activity before it has been sent
+export const updateQueuedActivity = async (clientId, activityData) => {
+  const entries = await getQueuedActivities();
+  const entry = entries.find(item => item.clientId === clientId);
+  if (!entry) throw new Error('Offline activity has already been synced');
+  await withStore(STORE, 'readwrite', (store) => store.put({ ...entry, payload: activityData }));
+};
+
+let flushing = null;
+
+// Replay queued activities in order with `send(payload, clientId)`. Stops at
+// the first retryable failure so later entries never overtake earlier ones.
+// Entries the backend rejects are dropped and reported back to the caller.
+export const flushOutbox = (send) => {
+  if (!flushing) {
+    flushing = (async () => {
+      const result = { sent: [], rejected: [], remaining: 0 };
+      const entries = await getQueuedActivities();
+
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        try {
+          await send(entry.payload, entry.clientId);
+          result.sent.push(entry);
+        } catch (err) {
+          if (isRetryableError(err)) {
+            result.remaining = entries.length - i;
+            break;
+          }
+          // 409 means the backend already has this clientId: treat as sent
+          if (err.status === 409) {
+            result.sent.push(entry);
+          } else {
+            result.rejected.push({ ...entry, error: err.message });
+          }
+        }
+        await withStore(STORE, 'readwrite', (store) => store.delete(entry.seq));
+      }
+
+      return result;
+    })().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
@@ -0,0 +1,30 @@
+import 'fake-indexeddb/auto';
+import { clearStore } from './db';
+import { enqueueActivity, getQueuedActivities, removeQueuedActivity, requeueActivity } from './outbox';
+
+const walk = { petId: 'p1', activityType: 'walk', duration: 30, dateTime: '2024-05-01T08:00:00+02:00' };
+
+describe('requeueActivity', () => {
+  beforeEach(() => clearStore('outbox'));
+
+  it('puts a removed entry back under its clientId', async () => {
+    await enqueueActivity(walk, 'c1');
+    const [entry] = await getQueuedActivities();
+    await removeQueuedActivity('c1');
+
+    await expect(requeueActivity(entry)).resolves.toBe('c1');
+
+    const entries = await getQueuedActivities();
+    expect(entries.map(item => [item.clientId, item.payload])).toEqual([['c1', walk]]);
+  });
+
+  it('leaves an entry that is already queued alone', async () => {
+    await enqueueActivity(walk, 'c1');
+    const [entry] = await getQueuedActivities();
+
+    await expect(requeueActivity({ ...entry, payload: { ...walk, duration: 45 } })).resolves.toBe('c1');
+
+    const entries = await getQueuedActivities();
+    expect(entries).toEqual([entry]);
+  });
+});
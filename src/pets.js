@@ -0,0 +1,57 @@
+// Pet profile helpers shared by the tracker and the profile editor
+import { DEFAULT_GOALS } from './goals';
+
+export const SPECIES = ['dog', 'cat', 'rabbit', 'bird', 'other'];
+
+export const emptyPet = () => ({
+  name: '',
+  species: 'dog',
+  breed: '',
+  birthdate: '',
+  weight: '',
+  photo: '',
+  notes: [],
+  goals: { ...DEFAULT_GOALS, medicationTimes: [] }
+});
+
+// Activities logged before profiles existed only carry a free-typed
+// petName, so fall back to a case-insensitive name match for those
+export const activityBelongsToPet = (activity, pet) => {
+  if (!pet) return true;
+  if (activity.petId) return activity.petId === pet.id;
+  return (activity.petName || '').trim().toLowerCase() === pet.name.trim().toLowerCase();
+};
+
+// Human-readable age such as "3 yrs" or "5 mos"
+export const petAge = (birthdate, now = new Date()) => {
+  if (!birthdate) return '';
+  const born = new Date(birthdate);
+  if (Number.isNaN(born.getTime())) return '';
+
+  let months = (now.getFullYear() - born.getFullYear()) * 12 + (now.getMonth() - born.getMonth());
+  if (now.getDate() < born.getDate()) months -= 1;
+  if (months < 0) return '';
+  if (months < 12) return `${months} mo${months !== 1 ? 's' : ''}`;
+  const years = Math.floor(months / 12);
+  return `${years} yr${years !== 1 ? 's' : ''}`;
+};
+
+export const validatePet = (pet, pets = []) => {
+  const errors = {};
+
+  if (!pet.name.trim()) {
+    errors.name = 'Pet name is required';
+  } else if (pets.some(other => other.id !== pet.id && other.name.trim().toLowerCase() === pet.name.trim().toLowerCase())) {
+    errors.name = 'You already have a pet with this name';
+  }
+
+  if (pet.weight !== '' && pet.weight !== null && parseFloat(pet.weight) <= 0) {
+    errors.weight = 'Weight must be greater than 0';
+  }
+
+  if (pet.birthdate && new Date(pet.birthdate) > new Date()) {
+    errors.birthdate = 'Birthdate cannot be in the future';
+  }
+
+  return errors;
+};
@@ -0,0 +1,184 @@
+// Vet records: vaccinations, vet visits and the health passport. A
+// vaccination is
+//   { id, petId, name, givenOn, dueOn, notes }
+// with `givenOn` and `dueOn` (the next booster, optional) as local
+// "YYYY-MM-DD" dates. Vet visits are regular 'vet' activities (reason,
+// diagnosis, clinic and cost in `details`). Everything here is pure and
+// takes `now` as an argument.
+import { activityBelongsToPet, petAge } from './pets';
+import { dayKey, fromFormDateTime } from './dates';
+import { formatMeasurement, getHealthMetric, latestMeasurements } from './health';
+
+// Vaccinations show as due this many days before their due date
+export const VACCINATION_DUE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const emptyVaccination = () => ({
+  name: '',
+  givenOn: dayKey(new Date()),
+  dueOn: '',
+  notes: ''
+});
+
+export const validateVaccination = (vaccination, now = new Date()) => {
+  const errors = {};
+
+  if (!vaccination.name.trim()) {
+    errors.name = 'Vaccine name is required';
+  }
+  if (!vaccination.givenOn) {
+    errors.givenOn = 'Date given is required';
+  } else if (vaccination.givenOn > dayKey(now)) {
+    errors.givenOn = 'Date given cannot be in the future';
+  }
+  if (vaccination.dueOn && vaccination.givenOn && vaccination.dueOn <= vaccination.givenOn) {
+    errors.dueOn = 'Next due date must be after the date given';
+  }
+
+  return errors;
+};
+
+// Whole local days from `now` until a "YYYY-MM-DD" date; negative once
+// it has passed. Rounded, so a DST change doesn't shift it by one.
+export const daysUntil = (date, now = new Date()) =>
+  Math.round((fromFormDateTime(date) - fromFormDateTime(dayKey(now))) / DAY_MS);
+
+// The latest dose of each vaccine (matched by name, ignoring case); a
+// booster replaces the dose before it
+export const currentVaccinations = (vaccinations) => {
+  const latest = new Map();
+  vaccinations.forEach(vaccination => {
+    const key = vaccination.name.trim().toLowerCase();
+    const previous = latest.get(key);
+    if (!previous || vaccination.givenOn > previous.givenOn) latest.set(key, vaccination);
+  });
+  return [...latest.values()];
+};
+
+// 'overdue', 'due' (within VACCINATION_DUE_DAYS), 'current', 'none' when
+// no booster is scheduled, or 'superseded' once a later dose was given
+export const vaccinationStatus = (vaccination, vaccinations, now = new Date()) => {
+  if (!currentVaccinations(vaccinations).includes(vaccination)) return 'superseded';
+  if (!vaccination.dueOn) return 'none';
+  const days = daysUntil(vaccination.dueOn, now);
+  if (days < 0) return 'overdue';
+  if (days <= VACCINATION_DUE_DAYS) return 'due';
+  return 'current';
+};
+
+// Vaccinations due soon or overdue for one pet: [{ key, title, body,
+// overdue }]. The key includes the due date, so dismissing an alert
+// doesn't hide the next booster.
+export const evaluateVaccinationAlerts = (vaccinations, pet, now = new Date()) => {
+  if (!pet) return [];
+  return currentVaccinations(vaccinations)
+    .filter(vaccination => vaccination.dueOn && daysUntil(vaccination.dueOn, now) <= VACCINATION_DUE_DAYS)
+    .sort((a, b) => (a.dueOn < b.dueOn ? -1 : 1))
+    .map(vaccination => {
+      const days = daysUntil(vaccination.dueOn, now);
+      const when = days < 0
+        ? `was due ${-days} day${days !== -1 ? 's' : ''} ago`
+        : days === 0 ? 'is due today' : `is due in ${days} day${days !== 1 ? 's' : ''}`;
+      return {
+        key: `vaccination:${vaccination.id}:${vaccination.dueOn}`,
+        title: days < 0 ? 'Vaccination overdue' : 'Vaccination due',
+        body: `${pet.name}'s ${vaccination.name} ${when} (${vaccination.dueOn}).`,
+        overdue: days < 0
+      };
+    });
+};
+
+// A pet's vet visits, newest first
+export const vetVisits = (activities, pet) => activities
+  .filter(activity => activity.type === 'vet' && activityBelongsToPet(activity, pet))
+  .sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
+
+// Total cost of `visits` that fall in the local calendar year of `now`
+export const visitCostThisYear = (visits, now = new Date()) => visits
+  .filter(visit => new Date(visit.dateTime).getFullYear() === now.getFullYear())
+  .reduce((total, visit) => total + (Number(visit.details && visit.details.cost) || 0), 0);
+
+// Medications still being given on the local day of `now`
+const activeMedications = (medications, now) => {
+  const today = dayKey(now);
+  return medications.filter(medication => medication.startDate <= today && (!medication.endDate || medication.endDate >= today));
+};
+
+// Everything a boarding kennel or a new vet asks for, as plain data:
+// the profile, vaccinations with their status, current medications,
+// latest measurements, recent vet visits and the documents on file
+export const buildPassport = ({ pet, vaccinations, activities, medications, measurements, attachments, now = new Date() }) => ({
+  generatedOn: dayKey(now),
+  pet: {
+    name: pet.name,
+    species: pet.species,
+    breed: pet.breed || '',
+    birthdate: pet.birthdate || '',
+    age: petAge(pet.birthdate, now),
+    weight: pet.weight ? `${pet.weight} kg` : '',
+    photo: pet.photo || ''
+  },
+  vaccinations: vaccinations
+    .slice()
+    .sort((a, b) => (a.givenOn < b.givenOn ? 1 : -1))
+    .map(vaccination => ({
+      name: vaccination.name,
+      givenOn: vaccination.givenOn,
+      dueOn: vaccination.dueOn || '',
+      status: vaccinationStatus(vaccination, vaccinations, now),
+      notes: vaccination.notes || ''
+    })),
+  medications: activeMedications(medications, now).map(medication => (
+    `${medication.name} ${medication.dose} ${medication.unit}, every ${medication.frequencyHours}h`
+  )),
+  measurements: Object.entries(latestMeasurements(measurements)).map(([id, reading]) => {
+    const metric = getHealthMetric(id);
+    return {
+      label: metric.label,
+      value: formatMeasurement(reading.value, reading.unit, metric),
+      measuredOn: dayKey(reading.measuredAt)
+    };
+  }),
+  visits: vetVisits(activities, pet).slice(0, 10).map(visit => ({
+    date: dayKey(visit.dateTime),
+    reason: (visit.details && visit.details.reason) || '',
+    diagnosis: (visit.details && visit.details.diagnosis) || '',
+    clinic: (visit.details && visit.details.clinic) || ''
+  })),
+  documents: attachments.map(attachment => attachment.name)
+});
+
+const STATUS_LABELS = { overdue: 'OVERDUE', due: 'due soon' };
+
+// The passport as a plain text file
+export const passportText = (passport) => {
+  const { pet } = passport;
+  const section = (title, lines) => [title, ...(lines.length > 0 ? lines : ['  None recorded']), ''];
+
+  return [
+    `HEALTH PASSPORT: ${pet.name}`,
+    `Generated ${passport.generatedOn}`,
+    '',
+    ...section('Profile', [
+      `  Species: ${pet.species}`,
+      pet.breed && `  Breed: ${pet.breed}`,
+      pet.birthdate && `  Born: ${pet.birthdate}${pet.age ? ` (${pet.age})` : ''}`,
+      pet.weight && `  Weight: ${pet.weight}`
+    ].filter(Boolean)),
+    ...section('Vaccinations', passport.vaccinations.map(vaccination => [
+      `  ${vaccination.name}: given ${vaccination.givenOn}`,
+      vaccination.dueOn && `, next due ${vaccination.dueOn}`,
+      STATUS_LABELS[vaccination.status] && ` (${STATUS_LABELS[vaccination.status]})`,
+      vaccination.notes && ` - ${vaccination.notes}`
+    ].filter(Boolean).join(''))),
+    ...section('Current medications', passport.medications.map(line => `  ${line}`)),
+    ...section('Latest measurements', passport.measurements.map(item => `  ${item.label}: ${item.value} (${item.measuredOn})`)),
+    ...section('Recent vet visits', passport.visits.map(visit => [
+      `  ${visit.date}: ${visit.reason}`,
+      visit.diagnosis && ` - ${visit.diagnosis}`,
+      visit.clinic && ` (${visit.clinic})`
+    ].filter(Boolean).join(''))),
+    ...section('Documents on file', passport.documents.map(name => `  ${name}`))
+  ].join('\n');
+};
@@ -0,0 +1,52 @@
+// Persistence and notification delivery for reminder rules. Rules and
+// reminder state live in IndexedDB so the service worker can evaluate
+// them while the app is closed.
+import { getSetting, setSetting } from './db';
+import { DEFAULT_RULES, emptyReminderState, markNotified, pruneReminderState, remindersToNotify } from './reminders';
+
+export const REMINDER_SYNC_TAG = 'reminders';
+
+export const loadRules = async () => (await getSetting('reminderRules')) || DEFAULT_RULES;
+
+export const saveRules = (rules) => setSetting('reminderRules', rules);
+
+export const loadReminderState = async () => (await getSetting('reminderState')) || emptyReminderState();
+
+export const saveReminderState = (state) => setSetting('reminderState', state);
+
+export const notificationsAllowed = () =>
+  typeof Notification !== 'undefined' && Notification.permission === 'granted';
+
+// Service worker notifications keep working with the tab in the background
+// and can carry snooze/dismiss buttons; plain ones are the fallback.
+const showNotification = (registration, reminder) => {
+  if (registration) {
+    return registration.showNotification(reminder.title, {
+      body: reminder.body,
+      tag: reminder.key,
+      icon: 'logo192.png',
+      data: { key: reminder.key },
+      actions: [
+        { action: 'snooze', title: 'Snooze 30 min' },
+        { action: 'dismiss', title: 'Dismiss' }
+      ]
+    });
+  }
+  return new Notification(reminder.title, { body: reminder.body, tag: reminder.key });
+};
+
+// Notify every reminder that hasn't been notified yet and record it, so
+// the page and the service worker don't both announce the same reminder.
+// Resolves with the updated reminder state.
+export const deliverReminders = async (reminders, registration, now) => {
+  const state = pruneReminderState(await loadReminderState(), now);
+  if (!notificationsAllowed()) return state;
+
+  const fresh = remindersToNotify(reminders, state);
+  if (fresh.length === 0) return state;
+
+  await Promise.all(fresh.map(reminder => showNotification(registration, reminder)));
+  const next = markNotified(state, fresh.map(reminder => reminder.key), now);
+  await saveReminderState(next);
+  return next;
+};
@@ -0,0 +1,195 @@
+// Reminder rule engine. Everything here is pure and takes `now` as an
+// argument, so the same code runs in the page, in the service worker and
+// under a fake clock.
+//
+// A rule is
+//   { id, enabled, kind, label, petId, activityType, minCount, byTime,
+//     quietStart, quietEnd }
+// where kind is 'missing-activity' ("fewer than minCount walks logged by
+// 18:00") or 'medication-due' (a scheduled dose is due now). An empty
+// petId applies the rule to every pet.
+import { dayKey } from './dates';
+import { activityBelongsToPet } from './pets';
+
+export const RULE_KINDS = ['missing-activity', 'medication-due'];
+
+export const SNOOZE_MINUTES = 30;
+
+// Forget snoozes, dismissals and sent notifications after two days
+const STATE_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RULES = [
+  {
+    id: 'evening-walk',
+    enabled: true,
+    kind: 'missing-activity',
+    label: 'Evening walk',
+    petId: '',
+    activityType: 'walk',
+    minCount: 1,
+    byTime: '18:00',
+    quietStart: '22:00',
+    quietEnd: '07:00'
+  },
+  {
+    id: 'dinner',
+    enabled: false,
+    kind: 'missing-activity',
+    label: 'Dinner',
+    petId: '',
+    activityType: 'meal',
+    minCount: 2,
+    byTime: '19:30',
+    quietStart: '22:00',
+    quietEnd: '07:00'
+  },
+  {
+    id: 'medication-due',
+    enabled: true,
+    kind: 'medication-due',
+    label: 'Medication due',
+    petId: '',
+    activityType: 'medication',
+    minCount: 1,
+    byTime: '',
+    quietStart: '',
+    quietEnd: ''
+  }
+];
+
+export const emptyReminderState = () => ({ snoozed: {}, dismissed: {}, notified: {} });
+
+const minutesOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Quiet hours may wrap past midnight, e.g. 22:00-07:00
+export const inQuietHours = (rule, now) => {
+  if (!rule.quietStart || !rule.quietEnd || rule.quietStart === rule.quietEnd) return false;
+  const current = now.getHours() * 60 + now.getMinutes();
+  const start = minutesOfDay(rule.quietStart);
+  const end = minutesOfDay(rule.quietEnd);
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+const missingActivityReminders = (rule, { activities, pets, now }) => {
+  if (now.getHours() * 60 + now.getMinutes() < minutesOfDay(rule.byTime)) return [];
+
+  const today = dayKey(now);
+  const targets = rule.petId
+    ? pets.filter(pet => pet.id === rule.petId)
+    : (pets.length > 0 ? pets : [null]);
+
+  return targets
+    .map(pet => ({
+      pet,
+      count: activities.filter(activity =>
+        activity.type === rule.activityType &&
+        dayKey(activity.dateTime) === today &&
+        activityBelongsToPet(activity, pet)
+      ).length
+    }))
+    .filter(({ count }) => count < rule.minCount)
+    .map(({ pet, count }) => {
+      const name = pet ? pet.name : 'your pet';
+      return {
+        key: `${rule.id}:${pet ? pet.id : 'all'}:${today}`,
+        ruleId: rule.id,
+        title: rule.label || 'Reminder',
+        body: count > 0
+          ? `Only ${count} of ${rule.minCount} ${rule.activityType}s logged for ${name} by ${rule.byTime}.`
+          : `No ${rule.activityType} logged for ${name} by ${rule.byTime}.`
+      };
+    });
+};
+
+const medicationDueReminders = (rule, { doses, pets }) =>
+  doses
+    .filter(item => item.status === 'due' && (!rule.petId || item.medication.petId === rule.petId))
+    .map(item => {
+      const pet = pets.find(candidate => candidate.id === item.medication.petId);
+      return {
+        key: `${rule.id}:${item.medication.id}:${item.slotKey}`,
+        ruleId: rule.id,
+        title: rule.label || 'Medication due',
+        body: `${item.medication.name} ${item.medication.dose} ${item.medication.unit}${pet ? ` for ${pet.name}` : ''} is due now.`
+      };
+    });
+
+// Active reminders for `now`. `doses` are medication schedule items (see
+// daySchedule in medications.js). Snoozed and dismissed reminders are
+// left out; reminders inside quiet hours are returned with `quiet: true`
+// so they can still be shown in the app without a notification.
+export const evaluateReminders = (rules, { activities = [], doses = [], pets = [], now, state = emptyReminderState() }) =>
+  rules
+    .filter(rule => rule.enabled)
+    .flatMap(rule => {
+      const reminders = rule.kind === 'medication-due'
+        ? medicationDueReminders(rule, { doses, pets })
+        : missingActivityReminders(rule, { activities, pets, now });
+      const quiet = inQuietHours(rule, now);
+      return reminders.map(reminder => ({ ...reminder, quiet }));
+    })
+    .filter(reminder =>
+      !state.dismissed[reminder.key] &&
+      !(state.snoozed[reminder.key] && state.snoozed[reminder.key] > now.getTime())
+    );
+
+// Reminders that should produce a notification now
+export const remindersToNotify = (reminders, state) =>
+  reminders.filter(reminder => !reminder.quiet && !state.notified[reminder.key]);
+
+export const snoozeReminder = (state, key, now, minutes = SNOOZE_MINUTES) => ({
+  ...state,
+  snoozed: { ...state.snoozed, [key]: now.getTime() + minutes * 60 * 1000 },
+  // Notify again once the snooze is over
+  notified: Object.fromEntries(Object.entries(state.notified).filter(([notifiedKey]) => notifiedKey !== key))
+});
+
+export const dismissReminder = (state, key, now) => ({
+  ...state,
+  dismissed: { ...state.dismissed, [key]: now.getTime() }
+});
+
+export const markNotified = (state, keys, now) => ({
+  ...state,
+  notified: { ...state.notified, ...Object.fromEntries(keys.map(key => [key, now.getTime()])) }
+});
+
+export const pruneReminderState = (state, now) => {
+  const keep = (entries, stamp) => Object.fromEntries(
+    Object.entries(entries).filter(([, value]) => now.getTime() - stamp(value) < STATE_TTL_MS)
+  );
+  return {
+    // Snoozes store when they end, the others when they happened
+    snoozed: keep(state.snoozed, until => Math.min(until, now.getTime())),
+    dismissed: keep(state.dismissed, at => at),
+    notified: keep(state.notified, at => at)
+  };
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const validateRule = (rule) => {
+  const errors = {};
+
+  if (!rule.label.trim()) {
+    errors.label = 'Give the reminder a name';
+  }
+  if (rule.kind === 'missing-activity') {
+    if (!TIME_PATTERN.test(rule.byTime)) {
+      errors.byTime = 'Choose a time';
+    }
+    if (!Number.isInteger(Number(rule.minCount)) || Number(rule.minCount) < 1) {
+      errors.minCount = 'Must be at least 1';
+    }
+  }
+  if (Boolean(rule.quietStart) !== Boolean(rule.quietEnd)) {
+    errors.quiet = 'Set both the start and end of quiet hours';
+  }
+
+  return errors;
+};
@@ -0,0 +1,198 @@
+import {
+  DEFAULT_RULES,
+  SNOOZE_MINUTES,
+  dismissReminder,
+  emptyReminderState,
+  evaluateReminders,
+  inQuietHours,
+  markNotified,
+  pruneReminderState,
+  remindersToNotify,
+  snoozeReminder
+} from './reminders';
+
+const rex = { id: 'p1', name: 'Rex' };
+const tom = { id: 'p2', name: 'Tom' };
+
+const at = (hour, minute = 0, day = 1) => new Date(2024, 4, day, hour, minute);
+
+const activity = (type, petId, date) => ({ id: `${type}-${petId}-${date.getTime()}`, type, petId, dateTime: date.toISOString() });
+
+const walkRule = {
+  id: 'evening-walk',
+  enabled: true,
+  kind: 'missing-activity',
+  label: 'Evening walk',
+  petId: '',
+  activityType: 'walk',
+  minCount: 1,
+  byTime: '18:00',
+  quietStart: '22:00',
+  quietEnd: '07:00'
+};
+
+const medicationRule = DEFAULT_RULES.find(rule => rule.kind === 'medication-due');
+
+const dose = (status, petId = 'p1') => ({
+  medication: { id: 'm1', petId, name: 'Apoquel', dose: 16, unit: 'mg' },
+  slotKey: '2024-05-01T08:00',
+  status
+});
+
+describe('inQuietHours', () => {
+  it('is never quiet without both ends', () => {
+    expect(inQuietHours({ quietStart: '', quietEnd: '' }, at(3))).toBe(false);
+    expect(inQuietHours({ quietStart: '22:00', quietEnd: '' }, at(23))).toBe(false);
+    expect(inQuietHours({ quietStart: '09:00', quietEnd: '09:00' }, at(9))).toBe(false);
+  });
+
+  it('covers a window within the day', () => {
+    const rule = { quietStart: '13:00', quietEnd: '15:30' };
+    expect(inQuietHours(rule, at(12, 59))).toBe(false);
+    expect(inQuietHours(rule, at(13))).toBe(true);
+    expect(inQuietHours(rule, at(15, 29))).toBe(true);
+    expect(inQuietHours(rule, at(15, 30))).toBe(false);
+  });
+
+  it('covers a window that wraps past midnight', () => {
+    const rule = { quietStart: '22:00', quietEnd: '07:00' };
+    expect(inQuietHours(rule, at(21, 59))).toBe(false);
+    expect(inQuietHours(rule, at(22))).toBe(true);
+    expect(inQuietHours(rule, at(0, 30))).toBe(true);
+    expect(inQuietHours(rule, at(6, 59))).toBe(true);
+    expect(inQuietHours(rule, at(7))).toBe(false);
+    expect(inQuietHours(rule, at(12))).toBe(false);
+  });
+});
+
+describe('evaluateReminders', () => {
+  it('waits until the rule is due', () => {
+    expect(evaluateReminders([walkRule], { pets: [rex], now: at(17, 59) })).toEqual([]);
+  });
+
+  it('reminds about each pet missing the activity', () => {
+    const reminders = evaluateReminders([walkRule], {
+      pets: [rex, tom],
+      activities: [activity('walk', 'p2', at(9))],
+      now: at(18, 30)
+    });
+    expect(reminders).toEqual([{
+      key: 'evening-walk:p1:2024-05-01',
+      ruleId: 'evening-walk',
+      title: 'Evening walk',
+      body: 'No walk logged for Rex by 18:00.',
+      quiet: false
+    }]);
+  });
+
+  it("only counts today's activities of the rule's type", () => {
+    const reminders = evaluateReminders([{ ...walkRule, minCount: 2 }], {
+      pets: [rex],
+      activities: [
+        activity('walk', 'p1', at(8)),
+        activity('walk', 'p1', new Date(2024, 3, 30, 19)),
+        activity('meal', 'p1', at(12))
+      ],
+      now: at(18)
+    });
+    expect(reminders.map(reminder => reminder.body)).toEqual(['Only 1 of 2 walks logged for Rex by 18:00.']);
+  });
+
+  it('is not due once the activity is logged', () => {
+    expect(evaluateReminders([walkRule], {
+      pets: [rex],
+      activities: [activity('walk', 'p1', at(8))],
+      now: at(20)
+    })).toEqual([]);
+  });
+
+  it('limits a rule to its pet and skips disabled rules', () => {
+    const now = at(20);
+    expect(evaluateReminders([{ ...walkRule, petId: 'p2' }], { pets: [rex, tom], now }).map(reminder => reminder.key))
+      .toEqual(['evening-walk:p2:2024-05-01']);
+    expect(evaluateReminders([{ ...walkRule, enabled: false }], { pets: [rex, tom], now })).toEqual([]);
+  });
+
+  it('still applies with no pets set up', () => {
+    const [reminder] = evaluateReminders([walkRule], { now: at(20) });
+    expect(reminder.key).toBe('evening-walk:all:2024-05-01');
+    expect(reminder.body).toBe('No walk logged for your pet by 18:00.');
+  });
+
+  it('marks reminders inside quiet hours', () => {
+    const [reminder] = evaluateReminders([walkRule], { pets: [rex], now: at(23) });
+    expect(reminder.quiet).toBe(true);
+    expect(remindersToNotify([reminder], emptyReminderState())).toEqual([]);
+  });
+
+  it('reminds about doses that are due', () => {
+    const reminders = evaluateReminders([medicationRule], {
+      pets: [rex],
+      doses: [dose('due'), dose('taken'), dose('upcoming')],
+      now: at(8, 5)
+    });
+    expect(reminders).toEqual([{
+      key: 'medication-due:m1:2024-05-01T08:00',
+      ruleId: 'medication-due',
+      title: 'Medication due',
+      body: 'Apoquel 16 mg for Rex is due now.',
+      quiet: false
+    }]);
+  });
+
+  it('leaves out dismissed reminders and snoozed ones until the snooze ends', () => {
+    const now = at(20);
+    const key = 'evening-walk:p1:2024-05-01';
+    const snoozed = snoozeReminder(emptyReminderState(), key, now);
+
+    expect(evaluateReminders([walkRule], { pets: [rex], now, state: snoozed })).toEqual([]);
+    expect(evaluateReminders([walkRule], { pets: [rex], now: at(20, SNOOZE_MINUTES), state: snoozed }))
+      .toHaveLength(1);
+    expect(evaluateReminders([walkRule], {
+      pets: [rex],
+      now: at(21),
+      state: dismissReminder(emptyReminderState(), key, now)
+    })).toEqual([]);
+  });
+});
+
+describe('reminder state', () => {
+  const now = at(20);
+
+  it('snoozes for half an hour by default and forgets the notification', () => {
+    const state = markNotified(emptyReminderState(), ['a', 'b'], now);
+    const next = snoozeReminder(state, 'a', now);
+    expect(next.snoozed).toEqual({ a: now.getTime() + SNOOZE_MINUTES * 60 * 1000 });
+    expect(next.notified).toEqual({ b: now.getTime() });
+    expect(snoozeReminder(state, 'a', now, 5).snoozed.a).toBe(now.getTime() + 5 * 60 * 1000);
+  });
+
+  it('records dismissals and notifications', () => {
+    const state = emptyReminderState();
+    expect(dismissReminder(state, 'a', now).dismissed).toEqual({ a: now.getTime() });
+    expect(markNotified(state, ['a', 'b'], now).notified).toEqual({ a: now.getTime(), b: now.getTime() });
+    expect(state).toEqual(emptyReminderState());
+  });
+
+  it('notifies about each reminder once', () => {
+    const reminders = [{ key: 'a', quiet: false }, { key: 'b', quiet: false }];
+    const state = markNotified(emptyReminderState(), ['a'], now);
+    expect(remindersToNotify(reminders, state)).toEqual([{ key: 'b', quiet: false }]);
+  });
+
+  it('forgets entries older than two days', () => {
+    const old = at(19, 0, 1).getTime();
+    const recent = at(21, 0, 2).getTime();
+    const state = {
+      snoozed: { ended: old, running: at(12, 0, 4).getTime() },
+      dismissed: { old, recent },
+      notified: { old, recent }
+    };
+
+    expect(pruneReminderState(state, at(20, 0, 3))).toEqual({
+      snoozed: { running: at(12, 0, 4).getTime() },
+      dismissed: { recent },
+      notified: { recent }
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// Quick-log templates and daily routines. Templates live on each pet
+// profile under `templates`:
+//   { id, name, activityType, duration, details, notes, time, days }
+// The activity fields are stored like on a saved activity, `time` is the
+// typical "HH:MM" it happens at and `days` the weekdays it recurs on
+// (0 = Sunday). A template with no days is a quick-log button only; one
+// with days is also a routine on today's checklist. An activity logged
+// from the checklist is tagged with the template's id as `routineId`.
+import { activityFields, activityFormValues, validateActivity } from './activities';
+import { dayKey, fromFormDateTime, storedDateTime } from './dates';
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const getPetTemplates = (pet) => (pet && pet.templates) || [];
+
+export const emptyTemplate = () => ({
+  name: '',
+  activityType: 'walk',
+  duration: '',
+  details: {},
+  notes: '',
+  time: '08:00',
+  days: []
+});
+
+// Form values for editing a saved template
+export const templateFormValues = (template) => ({
+  ...emptyTemplate(),
+  ...activityFormValues({ ...template, type: template.activityType }),
+  id: template.id,
+  name: template.name,
+  time: template.time,
+  days: template.days || []
+});
+
+// The activity fields are checked with the same rules as the form. The
+// date comes from wherever the template is used, so any valid one will do.
+export const validateTemplate = (template, pet) => {
+  const errors = validateActivity({ ...template, petId: pet.id, dateTime: new Date() }, [pet]);
+
+  if (!template.name.trim()) {
+    errors.name = 'Name is required';
+  }
+  if (!/^\d{2}:\d{2}$/.test(template.time)) {
+    errors.time = 'Typical time is required';
+  }
+
+  return errors;
+};
+
+// A template as stored on the pet, from validated form values
+export const toTemplate = (values) => ({
+  id: values.id,
+  name: values.name.trim(),
+  activityType: values.activityType,
+  ...activityFields(values),
+  time: values.time,
+  days: values.days.slice().sort((a, b) => a - b)
+});
+
+// "Every day", "Weekdays", "Mon, Wed, Fri" or '' for no routine
+export const describeDays = (days = []) => {
+  if (days.length === 7) return 'Every day';
+  if (days.length === 5 && ![0, 6].some(day => days.includes(day))) return 'Weekdays';
+  if (days.length === 2 && days.includes(0) && days.includes(6)) return 'Weekends';
+  return days.map(day => WEEKDAYS[day]).join(', ');
+};
+
+// The addActivity payload for logging `template` for `pet` at `dateTime`
+// (a Date or a datetime-local value)
+export const templateActivity = (template, pet, dateTime) => ({
+  petId: pet.id,
+  petName: pet.name,
+  activityType: template.activityType,
+  ...storedDateTime(dateTime),
+  ...(template.duration !== undefined ? { duration: template.duration } : {}),
+  ...(template.details ? { details: template.details } : {}),
+  ...(template.notes ? { notes: template.notes } : {})
+});
+
+// Today's routines for a pet as a checklist, in time order, each with its
+// status: 'done' (with the activity logged for it), 'due' once its time
+// has passed, or 'upcoming'. `activities` may include pending ones.
+export const routineChecklist = (templates, activities, now = new Date()) => {
+  const today = dayKey(now);
+
+  return templates
+    .filter(template => (template.days || []).includes(now.getDay()))
+    .map(template => {
+      const scheduledAt = fromFormDateTime(`${today}T${template.time}`);
+      const activity = activities.find(item => item.routineId === template.id && dayKey(item.dateTime) === today);
+
+      let status = 'upcoming';
+      if (activity) status = 'done';
+      else if (now >= scheduledAt) status = 'due';
+
+      return { template, scheduledAt, status, activity };
+    })
+    .sort((a, b) => a.scheduledAt - b.scheduledAt);
+};
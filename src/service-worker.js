@@ -0,0 +1,130 @@
+/* eslint-disable no-restricted-globals */
+
+// Built by react-scripts with Workbox's InjectManifest plugin. Precaches the
+// app shell so the tracker opens without a connection, replays the
+// activity outbox through Background Sync when connectivity returns, and
+// checks reminder rules through Periodic Background Sync.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+import apiService from './apiService';
+import { loadSession } from './auth';
+import { flushOutbox, SYNC_TAG } from './outbox';
+import { daySchedule } from './medications';
+import { dismissReminder, evaluateReminders, pruneReminderState, snoozeReminder } from './reminders';
+import {
+  deliverReminders,
+  loadReminderState,
+  loadRules,
+  REMINDER_SYNC_TAG,
+  saveReminderState
+} from './reminderDelivery';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for navigations so client-side routes work offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Runtime cache for same-origin images that are not part of the precache
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+};
+
+const replayOutbox = async () => {
+  const result = await flushOutbox((payload, clientId) =>
+    apiService.addActivity(payload, { idempotencyKey: clientId })
+  );
+  await notifyClients({ type: 'OUTBOX_FLUSHED', result });
+  // Rejecting makes the browser retry the sync later
+  if (result.remaining > 0) {
+    throw new Error(`${result.remaining} activities still queued`);
+  }
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replayOutbox());
+  }
+});
+
+const checkReminders = async () => {
+  // Nothing to check for until someone signs in
+  if (!(await loadSession())) return;
+
+  const now = new Date();
+  const [rules, petsResult, activitiesResult, medicationsResult] = await Promise.all([
+    loadRules(),
+    apiService.getPets(),
+    apiService.getActivities(),
+    apiService.getMedications()
+  ]);
+  const activities = activitiesResult.data.activities;
+  const state = pruneReminderState(await loadReminderState(), now);
+  const reminders = evaluateReminders(rules, {
+    activities,
+    doses: daySchedule(medicationsResult.data, activities, now),
+    pets: petsResult.data,
+    now,
+    state
+  });
+  await deliverReminders(reminders, self.registration, now);
+};
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(checkReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const { key } = event.notification.data || {};
+  event.notification.close();
+
+  event.waitUntil((async () => {
+    if (key && (event.action === 'snooze' || event.action === 'dismiss')) {
+      const now = new Date();
+      const state = await loadReminderState();
+      await saveReminderState(event.action === 'snooze'
+        ? snoozeReminder(state, key, now)
+        : dismissReminder(state, key, now));
+      await notifyClients({ type: 'REMINDERS_CHANGED' });
+      return;
+    }
+
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+      await windows[0].focus();
+    } else {
+      await self.clients.openWindow(`${process.env.PUBLIC_URL}/`);
+    }
+  })());
+});
+
+// Lets the page activate a waiting worker via registration.waiting.postMessage
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
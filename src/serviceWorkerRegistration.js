@@ -0,0 +1,119 @@
+// Registers the Workbox service worker built from src/service-worker.js.
+// Only active in production builds: in development the worker would cache
+// stale bundles and get in the way of hot reloading.
+import { SYNC_TAG } from './outbox';
+import { REMINDER_SYNC_TAG } from './reminderDelivery';
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    window.location.hostname === '[::1]' ||
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+const registerValidSW = (swUrl, config) => {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (installingWorker == null) return;
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) {
+            // New content will be used once all tabs for this page are closed
+            if (config && config.onUpdate) config.onUpdate(registration);
+          } else if (config && config.onSuccess) {
+            config.onSuccess(registration);
+          }
+        };
+      };
+    })
+    .catch((error) => {
+      console.error('Error during service worker registration:', error);
+    });
+};
+
+// On localhost, make sure a worker actually exists at swUrl before
+// registering, so a stale worker from another project gets removed
+const checkValidServiceWorker = (swUrl, config) => {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then((response) => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType != null && contentType.indexOf('javascript') === -1)) {
+        navigator.serviceWorker.ready.then((registration) => {
+          registration.unregister().then(() => window.location.reload());
+        });
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => {
+      console.log('No internet connection found. App is running in offline mode.');
+    });
+};
+
+export const register = (config) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // The worker won't work if PUBLIC_URL is on a different origin (e.g. a CDN)
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  });
+};
+
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((error) => console.error(error.message));
+};
+
+// Ask the worker to replay the outbox as soon as the browser is back
+// online, even if the tab has been closed by then. Resolves to false where
+// Background Sync is unsupported so the caller can fall back to `online`.
+export const requestOutboxSync = async () => {
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return false;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.sync) return false;
+    await registration.sync.register(SYNC_TAG);
+    return true;
+  } catch (err) {
+    console.error('Error registering background sync:', err);
+    return false;
+  }
+};
+
+// The active registration, or undefined when no worker is installed
+// (always the case in development)
+export const getRegistration = async () => {
+  if (!('serviceWorker' in navigator)) return undefined;
+  try {
+    return await navigator.serviceWorker.getRegistration();
+  } catch (err) {
+    return undefined;
+  }
+};
+
+// Let the worker check reminder rules while the app is closed. Browsers
+// only grant Periodic Background Sync to installed apps, so this is best
+// effort; the open app checks reminders every minute regardless.
+export const registerReminderSync = async () => {
+  const registration = await getRegistration();
+  if (!registration || !registration.periodicSync) return false;
+  try {
+    await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 15 * 60 * 1000 });
+    return true;
+  } catch (err) {
+    console.error('Error registering reminder sync:', err);
+    return false;
+  }
+};
@@ -0,0 +1,5 @@
+// Runs before every test file (react-scripts picks it up by name)
+import '@testing-library/jest-dom';
+import { toHaveNoViolations } from 'jest-axe';
+
+expect.extend(toHaveNoViolations);
@@ -0,0 +1,142 @@
+// Shared state for the tracker screen: pets, activities and today's
+// summary, the offline outbox, medications, the health log, vet records,
+// the activity open in the form, loading flags, the error banner and
+// what screen readers were last told.
+//
+// The data hooks in src/hooks/ load and change it by dispatching the
+// actions below; components read it with useStore(). State changes only
+// go through `reducer`, so it can be exercised without rendering anything.
+import React, { createContext, useContext, useMemo, useReducer } from 'react';
+import { activityBelongsToPet } from './pets';
+
+// Last known profiles, so the pet picker still works offline
+const cachedPets = () => {
+  try {
+    return JSON.parse(localStorage.getItem('petProfiles')) || [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const createInitialState = (session) => ({
+  session,
+  pets: cachedPets(),
+  selectedPetId: localStorage.getItem('selectedPetId') || '',
+  activities: [],
+  summary: { walks: 0, meals: 0, medications: 0 },
+  // Activities waiting in the offline outbox
+  pendingActivities: [],
+  medications: [],
+  // Health measurements (weight, temperature, ...) for the selected pet
+  measurements: [],
+  // Vaccinations and record files (see records.js, attachments.js) for
+  // the selected pet
+  vaccinations: [],
+  attachments: [],
+  // Activity being edited in the form, or null when logging a new one
+  editingActivity: null,
+  // Connected to the household's live event stream
+  live: false,
+  loading: {
+    activities: false,
+    form: false,
+    summary: false,
+    pets: false,
+    medications: false,
+    health: false,
+    records: false
+  },
+  error: '',
+  // Last message for screen readers (see LiveRegion); `id` changes even
+  // when the same message is repeated
+  announcement: { message: '', id: 0 }
+});
+
+// Keep activities oldest first, the order the server lists them in
+const insertActivity = (activities, activity) => {
+  const index = activities.findIndex(item => new Date(item.dateTime) > new Date(activity.dateTime));
+  return index === -1
+    ? [...activities, activity]
+    : [...activities.slice(0, index), activity, ...activities.slice(index)];
+};
+
+export const reducer = (state, action) => {
+  switch (action.type) {
+    case 'pets/loaded':
+      return { ...state, pets: action.pets };
+    case 'pets/selected':
+      return { ...state, selectedPetId: action.petId };
+    case 'activities/loaded':
+      return { ...state, activities: action.activities };
+    case 'activities/added':
+      return { ...state, activities: insertActivity(state.activities, action.activity) };
+    case 'activities/replaced':
+      return {
+        ...state,
+        activities: state.activities.map(item => (item.id === action.activity.id ? action.activity : item))
+      };
+    case 'activities/removed': {
+      const ids = new Set(action.ids);
+      return { ...state, activities: state.activities.filter(item => !ids.has(item.id)) };
+    }
+    case 'summary/loaded':
+      return { ...state, summary: action.summary };
+    case 'pending/loaded':
+      return { ...state, pendingActivities: action.entries };
+    case 'medications/loaded':
+      return { ...state, medications: action.medications };
+    case 'measurements/loaded':
+      return { ...state, measurements: action.measurements };
+    case 'vaccinations/loaded':
+      return { ...state, vaccinations: action.vaccinations };
+    case 'attachments/loaded':
+      return { ...state, attachments: action.attachments };
+    case 'editing/started':
+      return { ...state, editingActivity: action.activity };
+    case 'editing/finished':
+      return { ...state, editingActivity: null };
+    case 'live/changed':
+      return { ...state, live: action.live };
+    case 'loading':
+      return { ...state, loading: { ...state.loading, [action.key]: action.value } };
+    case 'error':
+      return { ...state, error: action.message };
+    case 'announced':
+      return { ...state, announcement: { message: action.message, id: state.announcement.id + 1 } };
+    default:
+      throw new Error(`Unknown action "${action.type}"`);
+  }
+};
+
+export const selectSelectedPet = (state) => state.pets.find(pet => pet.id === state.selectedPetId) || null;
+
+// Server activities plus queued ones, shaped like server activities
+export const selectAllActivities = (state) => [
+  ...state.activities,
+  ...state.pendingActivities.map(({ clientId, payload: { activityType, ...fields } }) => ({
+    ...fields,
+    id: clientId,
+    type: activityType,
+    pending: true
+  }))
+];
+
+// ...limited to the selected pet
+export const selectPetActivities = (state) => {
+  const pet = selectSelectedPet(state);
+  return selectAllActivities(state).filter(activity => activityBelongsToPet(activity, pet));
+};
+
+const StoreContext = createContext(null);
+
+export const StoreProvider = ({ session, children }) => {
+  const [state, dispatch] = useReducer(reducer, session, createInitialState);
+  const value = useMemo(() => ({ state, dispatch }), [state]);
+  return <StoreContext.Provider value={value}>{children}</StoreContext.Provider>;
+};
+
+export const useStore = () => {
+  const store = useContext(StoreContext);
+  if (!store) throw new Error('useStore must be used inside a StoreProvider');
+  return store;
+};
@@ -0,0 +1,161 @@
+import { createInitialState, reducer, selectAllActivities, selectPetActivities, selectSelectedPet } from './store';
+
+const session = { user: { id: 'u1', name: 'Sam' }, household: { name: 'Home' } };
+
+const walk = (id, dateTime, fields = {}) => ({ id, type: 'walk', petId: 'p1', duration: 30, dateTime, ...fields });
+
+describe('createInitialState', () => {
+  afterEach(() => localStorage.clear());
+
+  it('starts empty for the session', () => {
+    const state = createInitialState(session);
+    expect(state.session).toBe(session);
+    expect(state.pets).toEqual([]);
+    expect(state.selectedPetId).toBe('');
+    expect(state.editingActivity).toBeNull();
+    expect(state.announcement).toEqual({ message: '', id: 0 });
+  });
+
+  it('restores the cached pets and selection', () => {
+    localStorage.setItem('petProfiles', JSON.stringify([{ id: 'p1', name: 'Rex' }]));
+    localStorage.setItem('selectedPetId', 'p1');
+    const state = createInitialState(session);
+    expect(state.pets).toEqual([{ id: 'p1', name: 'Rex' }]);
+    expect(state.selectedPetId).toBe('p1');
+  });
+
+  it('ignores an unreadable pet cache', () => {
+    localStorage.setItem('petProfiles', '{not json');
+    expect(createInitialState(session).pets).toEqual([]);
+  });
+});
+
+describe('reducer', () => {
+  const initial = createInitialState(session);
+
+  it('loads and selects pets', () => {
+    const pets = [{ id: 'p1', name: 'Rex' }];
+    const loaded = reducer(initial, { type: 'pets/loaded', pets });
+    expect(loaded.pets).toBe(pets);
+    expect(reducer(loaded, { type: 'pets/selected', petId: 'p1' }).selectedPetId).toBe('p1');
+  });
+
+  it('loads activities', () => {
+    const activities = [walk('a1', '2024-05-01T08:00:00Z')];
+    expect(reducer(initial, { type: 'activities/loaded', activities }).activities).toBe(activities);
+  });
+
+  it('adds an activity in date order', () => {
+    const state = reducer(initial, {
+      type: 'activities/loaded',
+      activities: [walk('a1', '2024-05-01T08:00:00Z'), walk('a3', '2024-05-01T18:00:00Z')]
+    });
+    const middle = reducer(state, { type: 'activities/added', activity: walk('a2', '2024-05-01T12:00:00Z') });
+    expect(middle.activities.map(item => item.id)).toEqual(['a1', 'a2', 'a3']);
+    const latest = reducer(middle, { type: 'activities/added', activity: walk('a4', '2024-05-02T08:00:00Z') });
+    expect(latest.activities.map(item => item.id)).toEqual(['a1', 'a2', 'a3', 'a4']);
+  });
+
+  it('replaces an activity by id', () => {
+    const state = reducer(initial, {
+      type: 'activities/loaded',
+      activities: [walk('a1', '2024-05-01T08:00:00Z'), walk('a2', '2024-05-01T12:00:00Z')]
+    });
+    const edited = walk('a2', '2024-05-01T12:00:00Z', { duration: 45 });
+    const next = reducer(state, { type: 'activities/replaced', activity: edited });
+    expect(next.activities[1]).toBe(edited);
+    expect(next.activities[0]).toBe(state.activities[0]);
+  });
+
+  it('removes activities by id', () => {
+    const state = reducer(initial, {
+      type: 'activities/loaded',
+      activities: [walk('a1', '2024-05-01T08:00:00Z'), walk('a2', '2024-05-01T12:00:00Z'), walk('a3', '2024-05-01T18:00:00Z')]
+    });
+    const next = reducer(state, { type: 'activities/removed', ids: ['a1', 'a3'] });
+    expect(next.activities.map(item => item.id)).toEqual(['a2']);
+  });
+
+  it.each([
+    ['summary/loaded', 'summary', 'summary', { walks: 30, meals: 1, medications: 0 }],
+    ['pending/loaded', 'entries', 'pendingActivities', [{ clientId: 'c1', payload: {} }]],
+    ['medications/loaded', 'medications', 'medications', [{ id: 'm1' }]],
+    ['measurements/loaded', 'measurements', 'measurements', [{ id: 'w1' }]],
+    ['vaccinations/loaded', 'vaccinations', 'vaccinations', [{ id: 'v1' }]],
+    ['attachments/loaded', 'attachments', 'attachments', [{ id: 'f1' }]]
+  ])('%s stores the loaded %s', (type, key, field, value) => {
+    expect(reducer(initial, { type, [key]: value })[field]).toBe(value);
+  });
+
+  it('starts and finishes editing', () => {
+    const activity = walk('a1', '2024-05-01T08:00:00Z');
+    const editing = reducer(initial, { type: 'editing/started', activity });
+    expect(editing.editingActivity).toBe(activity);
+    expect(reducer(editing, { type: 'editing/finished' }).editingActivity).toBeNull();
+  });
+
+  it('tracks the live connection', () => {
+    expect(reducer(initial, { type: 'live/changed', live: true }).live).toBe(true);
+  });
+
+  it('sets one loading flag at a time', () => {
+    const next = reducer(initial, { type: 'loading', key: 'form', value: true });
+    expect(next.loading).toEqual({ ...initial.loading, form: true });
+  });
+
+  it('sets and clears the error', () => {
+    const failed = reducer(initial, { type: 'error', message: 'Offline' });
+    expect(failed.error).toBe('Offline');
+    expect(reducer(failed, { type: 'error', message: '' }).error).toBe('');
+  });
+
+  it('gives every announcement a new id, even when repeated', () => {
+    const first = reducer(initial, { type: 'announced', message: 'Walk logged' });
+    const second = reducer(first, { type: 'announced', message: 'Walk logged' });
+    expect(first.announcement).toEqual({ message: 'Walk logged', id: 1 });
+    expect(second.announcement).toEqual({ message: 'Walk logged', id: 2 });
+  });
+
+  it('leaves the previous state untouched', () => {
+    const before = JSON.stringify(initial);
+    reducer(initial, { type: 'activities/added', activity: walk('a1', '2024-05-01T08:00:00Z') });
+    reducer(initial, { type: 'loading', key: 'pets', value: true });
+    expect(JSON.stringify(initial)).toBe(before);
+  });
+
+  it('rejects unknown actions', () => {
+    expect(() => reducer(initial, { type: 'pets/renamed' })).toThrow('Unknown action "pets/renamed"');
+  });
+});
+
+describe('selectors', () => {
+  const state = {
+    ...createInitialState(session),
+    pets: [{ id: 'p1', name: 'Rex' }, { id: 'p2', name: 'Tom' }],
+    selectedPetId: 'p1',
+    activities: [walk('a1', '2024-05-01T08:00:00Z'), walk('a2', '2024-05-01T09:00:00Z', { petId: 'p2' })],
+    pendingActivities: [{
+      clientId: 'c1',
+      payload: { activityType: 'meal', petId: 'p1', dateTime: '2024-05-01T10:00:00Z' }
+    }]
+  };
+
+  it('finds the selected pet', () => {
+    expect(selectSelectedPet(state)).toEqual({ id: 'p1', name: 'Rex' });
+    expect(selectSelectedPet({ ...state, selectedPetId: 'gone' })).toBeNull();
+  });
+
+  it('shapes queued activities like saved ones', () => {
+    expect(selectAllActivities(state)[2]).toEqual({
+      id: 'c1',
+      type: 'meal',
+      petId: 'p1',
+      dateTime: '2024-05-01T10:00:00Z',
+      pending: true
+    });
+  });
+
+  it("limits activities to the selected pet's", () => {
+    expect(selectPetActivities(state).map(item => item.id)).toEqual(['a1', 'c1']);
+  });
+});
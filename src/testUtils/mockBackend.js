@@ -0,0 +1,17 @@
+// A stand-in backend for tests that go through fetch
+
+export const API = 'http://localhost:5000';
+
+export const json = (status, body) => ({ ok: status >= 200 && status < 300, status, json: async () => body });
+
+// Replaces global.fetch. `routes` maps "METHOD /path" to a handler called
+// with the request's headers and parsed body. The runtime config.json is
+// always missing, so requests go to `API`.
+export const mockBackend = (routes) => {
+  global.fetch = jest.fn(async (url, { method = 'GET', headers = {}, body } = {}) => {
+    if (url.endsWith('/config.json')) return json(404, {});
+    const route = routes[`${method} ${url.replace(API, '')}`];
+    if (!route) throw new Error(`Unexpected ${method} ${url}`);
+    return route({ headers, body: body ? JSON.parse(body) : undefined });
+  });
+};
@@ -0,0 +1,132 @@
+// Live walk tracking: a stopwatch that can be paused, and a route built
+// from Geolocation fixes. Everything here is pure and takes `now` (ms) or
+// the position's own timestamp, so a walk can be replayed from a recorded
+// or fake position stream.
+//
+// A walk looks like { petId, startedAt, status: 'running' | 'paused',
+// elapsedMs, resumedAt, route, lastFix }. `elapsedMs` holds the time from
+// finished stretches and `resumedAt` when the current one began. `route`
+// is a list of segments of [lat, lng] points; pausing ends a segment, so
+// ground covered while paused doesn't count towards the distance.
+import { toFormDateTime } from './dates';
+
+// Fixes less accurate than this (in metres) are dropped
+export const MAX_ACCURACY_M = 50;
+// Closer than this to the previous point is GPS jitter while standing still
+const MIN_STEP_M = 5;
+// Faster than this (m/s, about 36 km/h) is a bad fix, not a dog
+const MAX_SPEED_MPS = 10;
+
+const EARTH_RADIUS_M = 6371000;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two [lat, lng] points, in metres
+export const distanceMeters = ([lat1, lng1], [lat2, lng2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
+
+export const routeDistanceKm = (route = []) => route.reduce((total, segment) => (
+  total + segment.slice(1).reduce((sum, point, i) => sum + distanceMeters(segment[i], point), 0)
+), 0) / 1000;
+
+export const startWalk = (petId, now) => ({
+  petId,
+  startedAt: now,
+  status: 'running',
+  elapsedMs: 0,
+  resumedAt: now,
+  route: [[]],
+  lastFix: null
+});
+
+export const pauseWalk = (walk, now) => (walk.status !== 'running' ? walk : {
+  ...walk,
+  status: 'paused',
+  elapsedMs: walk.elapsedMs + Math.max(0, now - walk.resumedAt),
+  resumedAt: null
+});
+
+export const resumeWalk = (walk, now) => (walk.status !== 'paused' ? walk : {
+  ...walk,
+  status: 'running',
+  resumedAt: now,
+  route: [...walk.route, []],
+  lastFix: null
+});
+
+export const elapsedMs = (walk, now) => (
+  walk.elapsedMs + (walk.status === 'running' ? Math.max(0, now - walk.resumedAt) : 0)
+);
+
+// Add a GeolocationPosition (or anything shaped like one) to the route.
+// Returns the walk unchanged when the fix is paused, inaccurate, jitter
+// or an impossible jump.
+export const addPosition = (walk, { coords, timestamp }) => {
+  if (walk.status !== 'running' || coords.accuracy > MAX_ACCURACY_M) return walk;
+
+  const point = [Number(coords.latitude.toFixed(6)), Number(coords.longitude.toFixed(6))];
+  const segment = walk.route[walk.route.length - 1];
+
+  if (walk.lastFix) {
+    const step = distanceMeters(walk.lastFix.point, point);
+    const seconds = (timestamp - walk.lastFix.timestamp) / 1000;
+    if (step < MIN_STEP_M) return walk;
+    if (seconds > 0 && step / seconds > MAX_SPEED_MPS) return walk;
+  }
+
+  return {
+    ...walk,
+    route: [...walk.route.slice(0, -1), [...segment, point]],
+    lastFix: { point, timestamp }
+  };
+};
+
+// "05:09", or "1:05:09" from an hour on
+export const formatStopwatch = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor(totalSeconds / 60) % 60).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Minutes per km, e.g. "12:30", or '' until there's enough distance to tell
+export const formatPace = (distanceKm, ms) => {
+  if (!distanceKm || distanceKm < 0.05 || !ms) return '';
+  const secondsPerKm = Math.round(ms / 1000 / distanceKm);
+  return `${Math.floor(secondsPerKm / 60)}:${String(secondsPerKm % 60).padStart(2, '0')}`;
+};
+
+// Form values for the finished walk, ready for validateActivity and
+// activityFields. Durations round to whole minutes (at least 1) and
+// distances to 10 m, like a typed-in walk.
+export const walkFormValues = (walk, now) => {
+  const distance = Math.round(routeDistanceKm(walk.route) * 100) / 100;
+  return {
+    petId: walk.petId,
+    activityType: 'walk',
+    dateTime: toFormDateTime(new Date(walk.startedAt)),
+    duration: String(Math.max(1, Math.round(elapsedMs(walk, now) / 60000))),
+    details: distance > 0 ? { distance: String(distance) } : {},
+    notes: ''
+  };
+};
+
+// The route as saved on the activity: segments with at least two points
+export const walkRoute = (walk) => walk.route.filter(segment => segment.length > 1);
+
+// Follow the device's position until the returned function is called.
+// `geolocation` is navigator.geolocation or a stand-in with the same
+// watchPosition/clearWatch methods.
+export const watchPositions = (geolocation, onPosition, onError) => {
+  const watchId = geolocation.watchPosition(onPosition, onError, {
+    enableHighAccuracy: true,
+    maximumAge: 5000,
+    timeout: 30000
+  });
+  return () => geolocation.clearWatch(watchId);
+};
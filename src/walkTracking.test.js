@@ -0,0 +1,195 @@
+import {
+  MAX_ACCURACY_M,
+  addPosition,
+  distanceMeters,
+  elapsedMs,
+  formatPace,
+  formatStopwatch,
+  pauseWalk,
+  resumeWalk,
+  routeDistanceKm,
+  startWalk,
+  walkFormValues,
+  walkRoute,
+  watchPositions
+} from './walkTracking';
+
+const start = new Date(2024, 4, 1, 8, 0).getTime();
+const seconds = (n) => start + n * 1000;
+
+// A GeolocationPosition `north` metres north of the start, `after` seconds in
+const fix = (north, after, accuracy = 10) => ({
+  coords: { latitude: 51.5 + north / 111195, longitude: -0.1, accuracy },
+  timestamp: seconds(after)
+});
+
+// Feeds the fixes to the walk in order, like the watch callback does
+const replay = (walk, fixes) => fixes.reduce(addPosition, walk);
+
+describe('distanceMeters', () => {
+  it('measures along the earth', () => {
+    expect(distanceMeters([0, 0], [0, 0])).toBe(0);
+    expect(distanceMeters([0, 0], [1, 0])).toBeCloseTo(111195, 0);
+    expect(distanceMeters([51.5, -0.1], [51.5, -0.1 + 1])).toBeCloseTo(69220, -2);
+  });
+});
+
+describe('addPosition', () => {
+  const walk = startWalk('p1', start);
+
+  it('starts the route at the first fix', () => {
+    const next = addPosition(walk, fix(0, 1));
+    expect(next.route).toEqual([[[51.5, -0.1]]]);
+    expect(next.lastFix).toEqual({ point: [51.5, -0.1], timestamp: seconds(1) });
+  });
+
+  it('rounds points to six decimals', () => {
+    const next = addPosition(walk, { coords: { latitude: 51.123456789, longitude: -0.987654321, accuracy: 5 }, timestamp: start });
+    expect(next.route[0][0]).toEqual([51.123457, -0.987654]);
+  });
+
+  it('drops inaccurate fixes', () => {
+    expect(addPosition(walk, fix(0, 1, MAX_ACCURACY_M + 1))).toBe(walk);
+    expect(addPosition(walk, fix(0, 1, MAX_ACCURACY_M)).route[0]).toHaveLength(1);
+  });
+
+  it('drops jitter while standing still', () => {
+    const first = addPosition(walk, fix(0, 1));
+    expect(addPosition(first, fix(3, 5))).toBe(first);
+    expect(addPosition(first, fix(8, 5)).route[0]).toHaveLength(2);
+  });
+
+  it('drops jumps faster than a dog can run', () => {
+    const first = addPosition(walk, fix(0, 1));
+    expect(addPosition(first, fix(500, 11))).toBe(first);
+    expect(addPosition(first, fix(90, 11)).route[0]).toHaveLength(2);
+  });
+
+  it('keeps the route from a noisy stream', () => {
+    const next = replay(walk, [
+      fix(0, 0),
+      fix(2, 5),
+      fix(15, 10),
+      fix(20, 12, 120),
+      fix(30, 15),
+      fix(1000, 20),
+      fix(45, 25)
+    ]);
+    expect(next.route[0]).toHaveLength(4);
+    expect(routeDistanceKm(next.route)).toBeCloseTo(0.045, 3);
+  });
+
+  it('ignores fixes while paused', () => {
+    const paused = pauseWalk(walk, seconds(10));
+    expect(addPosition(paused, fix(0, 11))).toBe(paused);
+  });
+});
+
+describe('pausing and resuming', () => {
+  it('only counts time while running', () => {
+    let walk = startWalk('p1', start);
+    expect(elapsedMs(walk, seconds(60))).toBe(60000);
+
+    walk = pauseWalk(walk, seconds(60));
+    expect(walk.status).toBe('paused');
+    expect(elapsedMs(walk, seconds(600))).toBe(60000);
+
+    walk = resumeWalk(walk, seconds(600));
+    expect(elapsedMs(walk, seconds(630))).toBe(90000);
+  });
+
+  it('ignores a pause while paused and a resume while running', () => {
+    const running = startWalk('p1', start);
+    const paused = pauseWalk(running, seconds(60));
+    expect(resumeWalk(running, seconds(60))).toBe(running);
+    expect(pauseWalk(paused, seconds(120))).toBe(paused);
+  });
+
+  it("starts a new segment on resume, so ground covered while paused doesn't count", () => {
+    let walk = replay(startWalk('p1', start), [fix(0, 0), fix(100, 60)]);
+    walk = pauseWalk(walk, seconds(60));
+    walk = resumeWalk(walk, seconds(600));
+    // 900 m further on after 9 minutes: too fast from the last fix, but
+    // the new segment starts fresh
+    walk = replay(walk, [fix(1000, 601), fix(1100, 660)]);
+
+    expect(walk.route).toHaveLength(2);
+    expect(walk.route.map(segment => segment.length)).toEqual([2, 2]);
+    expect(routeDistanceKm(walk.route)).toBeCloseTo(0.2, 3);
+  });
+});
+
+describe('routeDistanceKm', () => {
+  it('is zero without points to join', () => {
+    expect(routeDistanceKm()).toBe(0);
+    expect(routeDistanceKm([[]])).toBe(0);
+    expect(routeDistanceKm([[[51.5, -0.1]]])).toBe(0);
+  });
+
+  it('adds up each segment but not the gaps between them', () => {
+    expect(routeDistanceKm([[[0, 0], [1, 0], [2, 0]]])).toBeCloseTo(222.39, 2);
+    expect(routeDistanceKm([[[0, 0], [1, 0]], [[5, 0], [6, 0]]])).toBeCloseTo(222.39, 2);
+  });
+});
+
+describe('formatting', () => {
+  it('formats the stopwatch', () => {
+    expect(formatStopwatch(0)).toBe('00:00');
+    expect(formatStopwatch(309999)).toBe('05:09');
+    expect(formatStopwatch(3909000)).toBe('1:05:09');
+  });
+
+  it('formats the pace once there is enough to go on', () => {
+    expect(formatPace(0, 60000)).toBe('');
+    expect(formatPace(0.04, 60000)).toBe('');
+    expect(formatPace(1, 0)).toBe('');
+    expect(formatPace(2, 25 * 60000)).toBe('12:30');
+    expect(formatPace(0.5, 4 * 60000 + 3000)).toBe('8:06');
+  });
+});
+
+describe('walkFormValues', () => {
+  it('fills in the form for the finished walk', () => {
+    let walk = replay(startWalk('p1', start), [fix(0, 0), fix(1234, 600)]);
+    walk = pauseWalk(walk, seconds(1290));
+
+    expect(walkFormValues(walk, seconds(2000))).toEqual({
+      petId: 'p1',
+      activityType: 'walk',
+      dateTime: '2024-05-01T08:00',
+      duration: '22',
+      details: { distance: '1.23' },
+      notes: ''
+    });
+  });
+
+  it('logs at least a minute and leaves out a distance without a route', () => {
+    const values = walkFormValues(startWalk('p1', start), seconds(10));
+    expect(values.duration).toBe('1');
+    expect(values.details).toEqual({});
+  });
+});
+
+describe('walkRoute', () => {
+  it('keeps the segments that form a line', () => {
+    expect(walkRoute({ route: [[[0, 0], [1, 0]], [[2, 0]], [], [[3, 0], [4, 0]]] }))
+      .toEqual([[[0, 0], [1, 0]], [[3, 0], [4, 0]]]);
+  });
+});
+
+describe('watchPositions', () => {
+  it('follows the position with high accuracy until stopped', () => {
+    const geolocation = { watchPosition: jest.fn(() => 7), clearWatch: jest.fn() };
+    const onPosition = jest.fn();
+    const onError = jest.fn();
+
+    const stop = watchPositions(geolocation, onPosition, onError);
+
+    expect(geolocation.watchPosition).toHaveBeenCalledWith(onPosition, onError, expect.objectContaining({
+      enableHighAccuracy: true
+    }));
+    expect(geolocation.clearWatch).not.toHaveBeenCalled();
+    stop();
+    expect(geolocation.clearWatch).toHaveBeenCalledWith(7);
+  });
+});
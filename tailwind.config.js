@@ -1,3 +1,5 @@
+const plugin = require('tailwindcss/plugin');
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   content: [
@@ -6,5 +8,9 @@ module.exports = {
   theme: {
     extend: {},
   },
-  plugins: [],
-}
\ No newline at end of file
+  plugins: [
+    // `can-hover:` applies only where there is a real hover, so controls
+    // hidden until hover stay visible on touch screens
+    plugin(({ addVariant }) => addVariant('can-hover', '@media (hover: hover)')),
+  ],
+}